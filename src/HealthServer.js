@@ -0,0 +1,99 @@
+import http from 'http';
+
+class HealthServer {
+  /**
+   * A small HTTP server for whatever runs the bot, e.g. Docker or
+   * Kubernetes, to check on it:
+   *
+   * - `/healthz` answers 200 whenever the process is up.
+   * - `/readyz` answers 200 when every readiness check passes, otherwise 503,
+   *   with the checks as JSON.
+   * - `/metrics` answers with the metrics in the Prometheus text format.
+   *
+   * @param {Object} options
+   * @param {Number} options.port - 0 picks a free port.
+   * @param {Function} options.getChecks - Returns readiness checks keyed by name, e.g. `{rtm: true, cron: false}`.
+   * @param {Metrics} options.metrics
+   */
+  constructor(options) {
+    if (typeof options.port !== 'number') {
+      throw new Error('HealthServer: Missing port.');
+    }
+
+    this.port = options.port;
+    this.getChecks = options.getChecks;
+    this.metrics = options.metrics;
+    this.server = null;
+  }
+
+  /**
+   * Starts listening.
+   *
+   * @returns {Promise} Resolves with the port listened on.
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((request, response) => this.handleRequest(request, response));
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  /**
+   * Stops listening.
+   *
+   * @returns {Promise}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Answers a request for one of the endpoints.
+   *
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  handleRequest(request, response) {
+    const path = String(request.url || '').split('?')[0];
+    const send = (status, contentType, body) => {
+      response.writeHead(status, {'Content-Type': contentType});
+      response.end(body);
+    };
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      send(405, 'text/plain', 'Method not allowed\n');
+      return;
+    }
+
+    switch (path) {
+      case '/healthz':
+        send(200, 'text/plain', 'ok\n');
+        break;
+      case '/readyz': {
+        const checks = this.getChecks();
+        const ready = Object.keys(checks).every((name) => checks[name] === true);
+
+        send(ready ? 200 : 503, 'application/json', `${JSON.stringify({ready, checks})}\n`);
+        break;
+      }
+      case '/metrics':
+        send(200, 'text/plain; version=0.0.4', this.metrics.toPrometheus());
+        break;
+      default:
+        send(404, 'text/plain', 'Not found\n');
+    }
+  }
+}
+
+export default HealthServer;
@@ -0,0 +1,112 @@
+class IntentClassifier {
+  /**
+   * Works out what a message is asking for without any outside service.
+   * Intents are tried by pattern first, in the order given, then scored by
+   * the weights of the keywords found in the message. Keyword matches only
+   * count when their score reaches the confidence threshold.
+   *
+   * @param {Object} options
+   * @param {Array} options.intents - Intent definitions, see intents.js.
+   * @param {Number} [options.threshold] - Lowest keyword score accepted, from 0 to 1.
+   */
+  constructor(options) {
+    this.intents = options.intents.map((intent) => {
+      if (!intent || typeof intent.name !== 'string' || intent.name.length <= 0) {
+        throw new Error('Intents must have a name.');
+      }
+
+      return {
+        name: intent.name,
+        patterns: (intent.patterns || []).map((pattern) => new RegExp(pattern, 'i')),
+        keywords: intent.keywords || {}
+      };
+    });
+    this.threshold = (typeof options.threshold === 'number') ? options.threshold : 0.5;
+  }
+
+  /**
+   * Classifies a message.
+   *
+   * @param {String} text
+   * @returns {Object} The `intent` name, or null when nothing was recognised
+   *   confidently enough, its `confidence` from 0 to 1, and the `match` of the
+   *   pattern that recognised it, or of the whole text for keyword matches.
+   */
+  classify(text) {
+    const message = String(text || '').trim();
+
+    for (let index = 0; index < this.intents.length; index++) {
+      const intent = this.intents[index];
+
+      for (let patternIndex = 0; patternIndex < intent.patterns.length; patternIndex++) {
+        const match = message.match(intent.patterns[patternIndex]);
+
+        if (match) {
+          return {intent: intent.name, confidence: 1, match};
+        }
+      }
+    }
+
+    const words = this.tokenize(message);
+    let best = {intent: null, confidence: 0, match: null};
+
+    this.intents.forEach((intent) => {
+      const score = this.scoreKeywords(words, intent.keywords);
+
+      if (score > best.confidence) {
+        best = {intent: intent.name, confidence: score, match: [message]};
+      }
+    });
+
+    return (best.confidence >= this.threshold) ? best : {intent: null, confidence: best.confidence, match: null};
+  }
+
+  /**
+   * Adds up the weights of the keywords found in a message, each counted
+   * once, clamped to the range 0 to 1.
+   *
+   * @param {Array} words - The message's stemmed words.
+   * @param {Object} keywords - Weights keyed by stemmed keyword.
+   * @returns {Number}
+   */
+  scoreKeywords(words, keywords) {
+    const score = Object.keys(keywords).reduce((total, keyword) => {
+      return (words.indexOf(keyword) !== -1) ? total + keywords[keyword] : total;
+    }, 0);
+
+    return Math.min(1, Math.max(0, Math.round(score * 100) / 100));
+  }
+
+  /**
+   * Splits text into lowercase, stemmed words.
+   *
+   * @param {String} text
+   * @returns {Array}
+   */
+  tokenize(text) {
+    return text.toLowerCase().replace(/['’]s\b/g, '').split(/[^a-z0-9]+/).filter(Boolean).map((word) => {
+      return this.stem(word);
+    });
+  }
+
+  /**
+   * Reduces plural words to their singular, e.g. "categories" to "category"
+   * and "jokes" to "joke".
+   *
+   * @param {String} word
+   * @returns {String}
+   */
+  stem(word) {
+    if (word.length > 4 && /ies$/.test(word)) {
+      return word.replace(/ies$/, 'y');
+    }
+
+    if (word.length > 3 && /[^s]s$/.test(word)) {
+      return word.slice(0, -1);
+    }
+
+    return word;
+  }
+}
+
+export default IntentClassifier;
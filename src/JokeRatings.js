@@ -0,0 +1,218 @@
+import createJoke from './createJoke';
+
+class JokeRatings {
+  /**
+   * Collects 1 to 5 star ratings for jokes, one vote per user per joke, and
+   * keeps a summary of every joke's score in memory for quick lookups.
+   *
+   * @param {Object} options
+   * @param {Storage} options.storage
+   * @param {Number} [options.retirementVotes] - Votes needed before a joke can be retired.
+   * @param {Number} [options.retirementScore] - Average score below which a joke is retired.
+   * @param {Number} [options.toldJokesKept] - Jokes remembered per channel for rating, 100 by default.
+   * @param {Function} [options.now] - Returns the current date.
+   */
+  constructor(options) {
+    this.storage = options.storage;
+    this.now = options.now || (() => new Date());
+    this.toldJokesKept = options.toldJokesKept || 100;
+    this.retirementVotes = options.retirementVotes || 5;
+    this.retirementScore = options.retirementScore || 2;
+    this.summaries = {};
+    this.updates = Promise.resolve();
+  }
+
+  /**
+   * Loads the summaries of every rated joke from storage.
+   *
+   * @returns {Promise}
+   */
+  load() {
+    return this.storage.all('ratings').then((ratings) => {
+      this.summaries = {};
+      ratings.forEach((rating) => this.summarise(rating));
+    });
+  }
+
+  /**
+   * Remembers which joke a posted message contains so reactions to it, or a
+   * "rate" reply in the same channel, can be attributed to the joke. Each
+   * channel keeps one record of its most recent jokes, oldest first, so
+   * storage doesn't grow with every joke told.
+   *
+   * @param {String} channelId
+   * @param {String} ts - Slack timestamp of the posted message.
+   * @param {Object} joke
+   * @returns {Promise}
+   */
+  recordTold(channelId, ts, joke) {
+    return this.storage.update('toldJokes', channelId, (record) => {
+      const told = (record ? record.told : []).concat({ts, joke, toldAt: this.now().toISOString()});
+
+      return {id: channelId, told: told.slice(-this.toldJokesKept)};
+    });
+  }
+
+  /**
+   * Gets the joke within a posted message, if it was one of the jokes the
+   * channel still remembers.
+   *
+   * @param {String} channelId
+   * @param {String} ts
+   * @returns {Promise}
+   */
+  getToldJoke(channelId, ts) {
+    return this.getToldJokes(channelId).then((told) => {
+      const match = told.filter((entry) => entry.ts === ts)[0];
+
+      return match ? createJoke(match.joke) : null;
+    });
+  }
+
+  /**
+   * Gets the joke most recently told in a channel.
+   *
+   * @param {String} channelId
+   * @returns {Promise}
+   */
+  getLatestToldJoke(channelId) {
+    return this.getToldJokes(channelId).then((told) => told.length > 0 ? createJoke(told[told.length - 1].joke) : null);
+  }
+
+  /**
+   * Gets the jokes a channel remembers telling, oldest first, each with the
+   * `ts` of its message, the `joke` and when it was told (`toldAt`).
+   *
+   * @param {String} channelId
+   * @returns {Promise}
+   */
+  getToldJokes(channelId) {
+    return this.storage.get('toldJokes', channelId).then((record) => record ? record.told : []);
+  }
+
+  /**
+   * Records a user's score for a joke, replacing any earlier vote of theirs.
+   *
+   * @param {Object} joke
+   * @param {String} userId
+   * @param {Number} score - From 1 to 5.
+   * @returns {Promise}
+   */
+  rate(joke, userId, score) {
+    return this.updateVotes(joke, (votes) => {
+      votes[userId] = score;
+    });
+  }
+
+  /**
+   * Withdraws a user's vote for a joke.
+   *
+   * @param {Object} joke
+   * @param {String} userId
+   * @returns {Promise}
+   */
+  unrate(joke, userId) {
+    return this.updateVotes(joke, (votes) => {
+      delete votes[userId];
+    });
+  }
+
+  /**
+   * Gets the average score and number of votes for a joke.
+   *
+   * @param {Object} joke
+   * @returns {Object|null}
+   */
+  getSummary(joke) {
+    return this.summaries[joke.id] || null;
+  }
+
+  /**
+   * Gets the best or worst rated of some jokes.
+   *
+   * @param {String} order - Either "top" or "worst".
+   * @param {Array} jokeIds - The jokes to rank, e.g. those a team can be told.
+   * @param {Number} [limit]
+   * @returns {Array}
+   */
+  getLeaderboard(order, jokeIds, limit = 5) {
+    const direction = (order === 'worst') ? 1 : -1;
+
+    return jokeIds
+      .filter((jokeId) => this.summaries.hasOwnProperty(jokeId))
+      .map((jokeId) => this.summaries[jokeId])
+      .filter((summary) => summary.count > 0)
+      .sort((a, b) => ((a.average - b.average) * direction) || (b.count - a.count))
+      .slice(0, limit);
+  }
+
+  /**
+   * Gets how strongly a joke should be favoured when picking jokes. Unrated
+   * jokes sit in the middle of the 1 to 5 scale.
+   *
+   * @param {Object} joke
+   * @returns {Number}
+   */
+  getWeight(joke) {
+    const summary = this.getSummary(joke);
+
+    return (summary && summary.count > 0) ? summary.average : 3;
+  }
+
+  /**
+   * Determines whether enough people have scored a joke badly enough for it
+   * to stop being told.
+   *
+   * @param {Object} joke
+   * @returns {Boolean}
+   */
+  isRetired(joke) {
+    const summary = this.getSummary(joke);
+
+    return Boolean(summary) && summary.count >= this.retirementVotes && summary.average < this.retirementScore;
+  }
+
+  /**
+   * Applies a change to the votes for a joke, then stores and summarises it.
+   *
+   * @param {Object} joke
+   * @param {Function} change - Receives the votes keyed by user ID.
+   * @returns {Promise}
+   */
+  updateVotes(joke, change) {
+    const jokeId = joke.id;
+
+    // Votes are applied one at a time so simultaneous reactions aren't lost.
+    const updated = this.updates.then(() => this.storage.get('ratings', jokeId)).then((rating) => {
+      rating = rating || {id: jokeId, joke: joke.text, votes: {}};
+      change(rating.votes);
+
+      return this.storage.save('ratings', rating);
+    }).then((rating) => this.summarise(rating));
+
+    this.updates = updated.catch(() => {});
+
+    return updated;
+  }
+
+  /**
+   * Updates the in memory summary of a joke's rating.
+   *
+   * @param {Object} rating
+   * @returns {Object}
+   */
+  summarise(rating) {
+    const scores = Object.keys(rating.votes).map((userId) => rating.votes[userId]);
+    const total = scores.reduce((sum, score) => sum + score, 0);
+
+    this.summaries[rating.id] = {
+      joke: rating.joke,
+      count: scores.length,
+      average: scores.length > 0 ? total / scores.length : 0
+    };
+
+    return this.summaries[rating.id];
+  }
+}
+
+export default JokeRatings;
@@ -0,0 +1,126 @@
+class JokeRotation {
+  /**
+   * Hands out jokes shuffle-bag style: within a scope (e.g. a channel) no joke
+   * is repeated until every joke in the pool has been told. Progress is kept
+   * in storage so restarting the bot doesn't reset it.
+   *
+   * @param {Object} options
+   * @param {Storage} options.storage
+   * @param {Function} [options.random] - Returns numbers in the range [0, 1).
+   * @param {Number} [options.recentLimit] - How many recent jokes to remember.
+   * @param {Function} [options.getWeight] - Gets how likely a joke is to be picked.
+   */
+  constructor(options) {
+    this.storage = options.storage;
+    this.random = options.random || Math.random;
+    this.recentLimit = options.recentLimit || 20;
+    this.getWeight = options.getWeight || (() => 1);
+    this.queues = {};
+  }
+
+  /**
+   * Picks the next joke for a scope. Jokes told recently in the scope, or
+   * passed in as exclusions, are avoided unless nothing else is left.
+   *
+   * @param {String} scope
+   * @param {Array} jokes - The current joke pool.
+   * @param {Array} [excludeIds] - Ids of jokes to avoid if possible.
+   * @returns {Promise}
+   */
+  next(scope, jokes, excludeIds = []) {
+    return this.enqueue(scope, () => {
+      return this.getState(scope).then((state) => {
+        let remaining = jokes.filter((joke) => state.told.indexOf(joke.id) === -1);
+
+        if (remaining.length <= 0) {
+          state.told = [];
+          remaining = jokes.slice();
+        }
+
+        const avoidIds = state.recent.concat(excludeIds);
+        const preferred = remaining.filter((joke) => avoidIds.indexOf(joke.id) === -1);
+        const candidates = (preferred.length > 0) ? preferred : remaining;
+        const joke = this.pick(candidates);
+
+        state.told.push(joke.id);
+        state.recent = state.recent.concat(joke.id).slice(-this.recentLimit);
+
+        return this.storage.save('rotations', state).then(() => joke);
+      });
+    });
+  }
+
+  /**
+   * Picks one of the given jokes at random, in proportion to their weights.
+   *
+   * @param {Array} jokes
+   * @returns {Object}
+   */
+  pick(jokes) {
+    const weights = jokes.map((joke) => Math.max(0, this.getWeight(joke)));
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+
+    if (totalWeight <= 0) {
+      return jokes[Math.floor(this.random() * jokes.length)];
+    }
+
+    let target = this.random() * totalWeight;
+
+    for (let index = 0; index < jokes.length; index++) {
+      target -= weights[index];
+
+      if (target < 0) {
+        return jokes[index];
+      }
+    }
+
+    return jokes[jokes.length - 1];
+  }
+
+  /**
+   * Gets the ids of jokes recently told across every scope.
+   *
+   * @returns {Promise}
+   */
+  getRecentJokeIds() {
+    return this.storage.all('rotations').then((states) => {
+      return states.reduce((recent, state) => recent.concat(state.recent || []), []);
+    });
+  }
+
+  /**
+   * Loads the rotation progress of a scope.
+   *
+   * @param {String} scope
+   * @returns {Promise}
+   */
+  getState(scope) {
+    return this.storage.get('rotations', scope).then((state) => {
+      return state || {id: scope, told: [], recent: []};
+    });
+  }
+
+  /**
+   * Runs tasks for the same scope one after another, so two requests arriving
+   * together can't both draw from the same stale state.
+   *
+   * @param {String} scope
+   * @param {Function} task - Returns a promise.
+   * @returns {Promise}
+   */
+  enqueue(scope, task) {
+    const current = (this.queues[scope] || Promise.resolve()).then(task);
+    const settled = current.then(() => {}, () => {});
+
+    this.queues[scope] = settled;
+    settled.then(() => {
+      if (this.queues[scope] === settled) {
+        delete this.queues[scope];
+      }
+    });
+
+    return current;
+  }
+}
+
+export default JokeRotation;
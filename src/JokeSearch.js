@@ -0,0 +1,179 @@
+const STOP_WORDS = [
+  'a', 'about', 'an', 'and', 'any', 'chuck', 'for', 'in', 'is', 'it', 'joke', 'jokes', 'me', 'norris', 'of', 'on',
+  'one', 'the', 'to', 'with'
+];
+
+class JokeSearch {
+  /**
+   * Finds jokes by keyword. Words match case-insensitively, as prefixes
+   * (e.g. "kick" finds "kicks") or with a typo or two, against both a joke's
+   * text and its tags. The index is rebuilt automatically whenever the jokes
+   * being searched change.
+   */
+  constructor() {
+    this.indexedJokes = null;
+    this.indexKey = null;
+    this.index = {};
+  }
+
+  /**
+   * Searches jokes for a term, best matches first.
+   *
+   * @param {String} term
+   * @param {Array} jokes
+   * @returns {Array} Matches as objects with `joke` and `score` properties.
+   *   Matching more of the searched words always outscores matching fewer.
+   */
+  search(term, jokes) {
+    const queryWords = this.tokenize(term).filter((word) => STOP_WORDS.indexOf(word) === -1);
+
+    if (queryWords.length <= 0) {
+      return [];
+    }
+
+    this.ensureIndex(jokes);
+
+    const scores = {};
+    const vocabulary = Object.keys(this.index);
+
+    queryWords.forEach((queryWord) => {
+      const wordScores = {};
+
+      vocabulary.forEach((word) => {
+        const wordScore = this.scoreWord(queryWord, word);
+
+        if (wordScore > 0) {
+          this.index[word].forEach((jokeIndex) => {
+            wordScores[jokeIndex] = Math.max(wordScores[jokeIndex] || 0, wordScore);
+          });
+        }
+      });
+
+      Object.keys(wordScores).forEach((jokeIndex) => {
+        scores[jokeIndex] = (scores[jokeIndex] || 0) + 10 + wordScores[jokeIndex];
+      });
+    });
+
+    return Object.keys(scores)
+      .map((jokeIndex) => ({joke: this.indexedJokes[jokeIndex], score: scores[jokeIndex]}))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Rebuilds the index if the jokes have changed since it was built.
+   *
+   * @param {Array} jokes
+   */
+  ensureIndex(jokes) {
+    const indexKey = jokes.map((joke) => joke.id).join('\n');
+
+    if (indexKey === this.indexKey) {
+      return;
+    }
+
+    this.index = {};
+    this.indexedJokes = jokes.slice();
+    this.indexKey = indexKey;
+
+    this.indexedJokes.forEach((joke, jokeIndex) => {
+      this.tokenize(`${joke.text} ${joke.tags.join(' ')}`).forEach((word) => {
+        this.index[word] = this.index[word] || [];
+
+        if (this.index[word].indexOf(jokeIndex) === -1) {
+          this.index[word].push(jokeIndex);
+        }
+      });
+    });
+  }
+
+  /**
+   * Scores how well a joke's word matches a searched word: 3 for an exact
+   * match, 2 for a prefix match and 1 for a close misspelling.
+   *
+   * @param {String} queryWord
+   * @param {String} word
+   * @returns {Number}
+   */
+  scoreWord(queryWord, word) {
+    if (word === queryWord) {
+      return 3;
+    }
+
+    if (queryWord.length >= 3 && word.indexOf(queryWord) === 0) {
+      return 2;
+    }
+
+    const allowedTypos = (queryWord.length >= 8) ? 2 : (queryWord.length >= 4 ? 1 : 0);
+
+    if (allowedTypos > 0 && this.getDistance(queryWord, word, allowedTypos) <= allowedTypos) {
+      return 1;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Counts the edits (insertions, deletions, substitutions or swapping two
+   * neighbouring letters) needed to turn one word into another. Gives up
+   * once the count exceeds `limit`.
+   *
+   * @param {String} a
+   * @param {String} b
+   * @param {Number} limit
+   * @returns {Number}
+   */
+  getDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) {
+      return limit + 1;
+    }
+
+    let previousRow = null;
+    let row = [];
+
+    for (let j = 0; j <= b.length; j++) {
+      row.push(j);
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      const nextRow = [i];
+      let rowMinimum = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = (a[i - 1] === b[j - 1]) ? 0 : 1;
+        let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          distance = Math.min(distance, previousRow[j - 2] + 1);
+        }
+
+        nextRow.push(distance);
+        rowMinimum = Math.min(rowMinimum, distance);
+      }
+
+      if (rowMinimum > limit) {
+        return limit + 1;
+      }
+
+      previousRow = row;
+      row = nextRow;
+    }
+
+    return row[b.length];
+  }
+
+  /**
+   * Splits text into lowercase words, ignoring punctuation and possessives.
+   *
+   * @param {String} text
+   * @returns {Array}
+   */
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/'s\b/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+}
+
+export default JokeSearch;
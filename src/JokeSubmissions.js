@@ -0,0 +1,162 @@
+class JokeSubmissions {
+  /**
+   * Keeps jokes submitted by users, which wait in a moderation queue until an
+   * admin approves or rejects them. Each team has a queue of its own, and only
+   * its own admins can moderate it.
+   *
+   * @param {Object} options
+   * @param {Storage} options.storage
+   * @param {Function} [options.now] - Returns the current date.
+   */
+  constructor(options) {
+    this.storage = options.storage;
+    this.now = options.now || (() => new Date());
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Queues a joke for moderation.
+   *
+   * @param {Object} submission
+   * @param {String} submission.text
+   * @param {String} submission.team
+   * @param {String} submission.submittedBy - Slack user ID.
+   * @returns {Promise}
+   */
+  submit(submission) {
+    // Ids are sequential, so submissions are created one at a time.
+    const created = this.pending.then(() => this.getAll()).then((submissions) => {
+      const lastId = submissions.reduce((highest, existing) => Math.max(highest, Number(existing.id) || 0), 0);
+
+      return this.storage.save('submissions', {
+        id: String(lastId + 1),
+        text: submission.text,
+        team: submission.team,
+        submittedBy: submission.submittedBy,
+        submittedAt: this.now().toISOString(),
+        status: 'pending'
+      });
+    });
+
+    this.pending = created.catch(() => {});
+
+    return created;
+  }
+
+  /**
+   * Approves a pending submission so it joins the joke pool of its team.
+   *
+   * @param {String} team
+   * @param {String} id
+   * @param {String} reviewedBy - Slack user ID.
+   * @returns {Promise} Resolves with null if there's no such pending submission in the team.
+   */
+  approve(team, id, reviewedBy) {
+    return this.review(team, id, reviewedBy, {status: 'approved'});
+  }
+
+  /**
+   * Rejects a pending submission.
+   *
+   * @param {String} team
+   * @param {String} id
+   * @param {String} reviewedBy - Slack user ID.
+   * @returns {Promise} Resolves with null if there's no such pending submission in the team.
+   */
+  reject(team, id, reviewedBy) {
+    return this.review(team, id, reviewedBy, {status: 'rejected'});
+  }
+
+  /**
+   * Rewords a pending submission before it gets approved.
+   *
+   * @param {String} team
+   * @param {String} id
+   * @param {String} text
+   * @param {String} editedBy - Slack user ID.
+   * @returns {Promise} Resolves with null if there's no such pending submission in the team.
+   */
+  edit(team, id, text, editedBy) {
+    return this.getPendingById(team, id).then((submission) => {
+      if (!submission) {
+        return null;
+      }
+
+      submission.text = text;
+      submission.editedBy = editedBy;
+      submission.editedAt = this.now().toISOString();
+
+      return this.storage.save('submissions', submission);
+    });
+  }
+
+  /**
+   * Gets a team's submissions awaiting moderation, oldest first.
+   *
+   * @param {String} team
+   * @returns {Promise}
+   */
+  getPending(team) {
+    return this.getAll().then((submissions) => submissions.filter((submission) => {
+      return submission.status === 'pending' && submission.team === team;
+    }));
+  }
+
+  /**
+   * Gets every team's approved submissions, oldest first.
+   *
+   * @returns {Promise}
+   */
+  getApproved() {
+    return this.getAll().then((submissions) => submissions.filter((submission) => submission.status === 'approved'));
+  }
+
+  /**
+   * Gets every submission, oldest first.
+   *
+   * @returns {Promise}
+   */
+  getAll() {
+    return this.storage.all('submissions').then((submissions) => {
+      return submissions.sort((a, b) => Number(a.id) - Number(b.id));
+    });
+  }
+
+  /**
+   * Gets a team's submission if it is still awaiting moderation.
+   *
+   * @param {String} team
+   * @param {String} id
+   * @returns {Promise}
+   */
+  getPendingById(team, id) {
+    return this.storage.get('submissions', String(id)).then((submission) => {
+      return (submission && submission.status === 'pending' && submission.team === team) ? submission : null;
+    });
+  }
+
+  /**
+   * Records the outcome of moderating a pending submission.
+   *
+   * @param {String} team
+   * @param {String} id
+   * @param {String} reviewedBy
+   * @param {Object} outcome
+   * @returns {Promise}
+   */
+  review(team, id, reviewedBy, outcome) {
+    return this.getPendingById(team, id).then((submission) => {
+      if (!submission) {
+        return null;
+      }
+
+      submission.status = outcome.status;
+      submission.reviewedBy = reviewedBy;
+      submission.reviewedAt = this.now().toISOString();
+
+      return this.storage.save('submissions', submission);
+    });
+  }
+}
+
+export default JokeSubmissions;
@@ -0,0 +1,132 @@
+import util from 'util';
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Botkit logs with syslog severities, which map onto the levels above.
+const BOTKIT_LEVELS = {
+  emergency: 'error',
+  alert: 'error',
+  critical: 'error',
+  error: 'error',
+  warning: 'warn',
+  notice: 'info',
+  info: 'info',
+  debug: 'debug'
+};
+
+// Slack tokens, e.g. bot (xoxb-), user (xoxp-) and app (xoxa-) tokens.
+const SLACK_TOKEN_PATTERN = /xox[a-z]-[A-Za-z0-9-]+/g;
+
+class Logger {
+  /**
+   * Writes log entries as JSON lines, e.g.
+   * `{"time":"...","level":"info","event":"randomJoke","team":"T1","channel":"C1","user":"U1","latency":12}`,
+   * leaving out entries below the configured level and redacting tokens.
+   *
+   * @param {Object} [options]
+   * @param {String} [options.level] - The least severe level written: "debug", "info", "warn" or "error".
+   *   "info" by default.
+   * @param {Array} [options.secrets] - Values, such as API keys, to redact from everything written.
+   * @param {Function} [options.write] - Writes a line, to stdout by default.
+   * @param {Function} [options.now] - Returns the current time in milliseconds.
+   */
+  constructor(options = {}) {
+    const level = String(options.level || 'info').trim().toLowerCase();
+
+    if (LEVELS.indexOf(level) < 0) {
+      throw new Error(`Logger: Unknown log level "${options.level}".`);
+    }
+
+    this.level = level;
+    this.secrets = (options.secrets || []).filter((secret) => typeof secret === 'string' && secret.length > 0);
+    this.write = options.write || ((line) => process.stdout.write(`${line}\n`));
+    this.now = options.now || Date.now;
+  }
+
+  /**
+   * Logs detail that's only useful while debugging.
+   *
+   * @param {String} event - e.g. "randomJoke".
+   * @param {Object} [context] - e.g. the `team`, `channel` and `user` involved.
+   */
+  debug(event, context) {
+    this.log('debug', event, context);
+  }
+
+  /**
+   * Logs something the bot did.
+   *
+   * @param {String} event
+   * @param {Object} [context]
+   */
+  info(event, context) {
+    this.log('info', event, context);
+  }
+
+  /**
+   * Logs something unexpected the bot recovered from.
+   *
+   * @param {String} event
+   * @param {Object} [context]
+   */
+  warn(event, context) {
+    this.log('warn', event, context);
+  }
+
+  /**
+   * Logs something that went wrong, with the `err` in the context.
+   *
+   * @param {String} event
+   * @param {Object} [context]
+   */
+  error(event, context) {
+    this.log('error', event, context);
+  }
+
+  /**
+   * Writes an entry if its level is at or above the configured level.
+   *
+   * @param {String} level
+   * @param {String} event
+   * @param {Object} [context]
+   */
+  log(level, event, context) {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(this.level)) {
+      return;
+    }
+
+    const entry = Object.assign({time: new Date(this.now()).toISOString(), level, event}, context);
+
+    this.write(this.redact(JSON.stringify(entry, (key, value) => {
+      return (value instanceof Error) ? {message: value.message, stack: value.stack} : value;
+    })));
+  }
+
+  /**
+   * Hides secrets and Slack tokens in text.
+   *
+   * @param {String} text
+   * @returns {String}
+   */
+  redact(text) {
+    return this.secrets.reduce((redacted, secret) => {
+      return redacted.split(secret).join('[REDACTED]');
+    }, text).replace(SLACK_TOKEN_PATTERN, '[REDACTED]');
+  }
+
+  /**
+   * Creates a logger Botkit can write to, so its output follows the same
+   * format, level and redaction.
+   *
+   * @returns {Object}
+   */
+  toBotkitLogger() {
+    return {
+      log: (level, ...args) => {
+        this.log(BOTKIT_LEVELS[level] || 'info', 'botkit', {message: util.format(...args)});
+      }
+    };
+  }
+}
+
+export default Logger;
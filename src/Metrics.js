@@ -0,0 +1,162 @@
+// Upper bounds, in seconds, of the buckets histograms count durations into.
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class Metrics {
+  /**
+   * Keeps counters, gauges and histograms in memory and renders them in the
+   * Prometheus text format, for scraping from a `/metrics` endpoint.
+   */
+  constructor() {
+    this.metrics = {};
+  }
+
+  /**
+   * Registers a metric. Metrics must be registered before they're updated.
+   *
+   * @param {String} name - e.g. "norrisbot_messages_total".
+   * @param {String} type - "counter", "gauge" or "histogram".
+   * @param {String} help - What the metric measures.
+   * @param {Array} [buckets] - Upper bounds of a histogram's buckets.
+   */
+  define(name, type, help, buckets = DEFAULT_BUCKETS) {
+    if (['counter', 'gauge', 'histogram'].indexOf(type) < 0) {
+      throw new Error(`Metrics: Unknown metric type "${type}".`);
+    }
+
+    this.metrics[name] = {name, type, help, buckets, series: {}};
+  }
+
+  /**
+   * Adds to a counter or gauge.
+   *
+   * @param {String} name
+   * @param {Object} [labels] - e.g. `{intent: 'randomJoke'}`.
+   * @param {Number} [value]
+   */
+  increment(name, labels = {}, value = 1) {
+    const series = this.getSeries(name, labels);
+
+    series.value += value;
+  }
+
+  /**
+   * Sets a gauge.
+   *
+   * @param {String} name
+   * @param {Object} labels
+   * @param {Number} value
+   */
+  set(name, labels, value) {
+    const series = this.getSeries(name, labels);
+
+    series.value = value;
+  }
+
+  /**
+   * Counts an observation, such as a duration in seconds, into a histogram.
+   *
+   * @param {String} name
+   * @param {Object} labels
+   * @param {Number} value
+   */
+  observe(name, labels, value) {
+    const metric = this.getMetric(name);
+    const series = this.getSeries(name, labels);
+
+    series.counts = series.counts || metric.buckets.map(() => 0);
+    metric.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum = (series.sum || 0) + value;
+    series.value += 1;
+  }
+
+  /**
+   * Gets a registered metric.
+   *
+   * @param {String} name
+   * @returns {Object}
+   */
+  getMetric(name) {
+    const metric = this.metrics[name];
+
+    if (!metric) {
+      throw new Error(`Metrics: Unknown metric "${name}".`);
+    }
+
+    return metric;
+  }
+
+  /**
+   * Gets the values of a metric for a set of labels, starting them at zero.
+   *
+   * @param {String} name
+   * @param {Object} labels
+   * @returns {Object}
+   */
+  getSeries(name, labels) {
+    const metric = this.getMetric(name);
+    const key = this.formatLabels(labels);
+
+    metric.series[key] = metric.series[key] || {labels, value: 0};
+
+    return metric.series[key];
+  }
+
+  /**
+   * Formats labels as Prometheus expects, e.g. `{intent="randomJoke"}`.
+   *
+   * @param {Object} labels
+   * @returns {String}
+   */
+  formatLabels(labels) {
+    const pairs = Object.keys(labels || {}).sort().map((label) => {
+      const value = String(labels[label]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+      return `${label}="${value}"`;
+    });
+
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format.
+   *
+   * @returns {String}
+   */
+  toPrometheus() {
+    const lines = [];
+
+    Object.keys(this.metrics).sort().forEach((name) => {
+      const metric = this.metrics[name];
+
+      lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+
+      Object.keys(metric.series).sort().forEach((key) => {
+        const series = metric.series[key];
+
+        if (metric.type !== 'histogram') {
+          lines.push(`${name}${key} ${series.value}`);
+          return;
+        }
+
+        metric.buckets.forEach((bound, index) => {
+          const labels = this.formatLabels(Object.assign({}, series.labels, {le: bound}));
+
+          lines.push(`${name}_bucket${labels} ${series.counts[index]}`);
+        });
+        lines.push(
+          `${name}_bucket${this.formatLabels(Object.assign({}, series.labels, {le: '+Inf'}))} ${series.value}`,
+          `${name}_sum${key} ${series.sum}`,
+          `${name}_count${key} ${series.value}`
+        );
+      });
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export default Metrics;
@@ -1,254 +1,3465 @@
 import Botkit from 'botkit';
 import BeepBoop from 'beepboop-botkit';
-import giphy from 'giphy-api';
-import {CronJob} from 'cron';
+import {CronJob, time as cronTime} from 'cron';
+import express from 'express';
+import bodyParser from 'body-parser';
+import MemoryStorage from './storage/MemoryStorage';
+import GiphyGifProvider from './gifProviders/GiphyGifProvider';
+import TenorGifProvider from './gifProviders/TenorGifProvider';
+import FallbackGifProvider from './gifProviders/FallbackGifProvider';
+import JokeRotation from './JokeRotation';
+import JokeSubmissions from './JokeSubmissions';
+import JokeRatings from './JokeRatings';
+import JokeSearch from './JokeSearch';
+import IntentClassifier from './IntentClassifier';
+import RateLimiter from './RateLimiter';
+import UsageStats from './UsageStats';
+import Logger from './Logger';
+import Metrics from './Metrics';
+import HealthServer from './HealthServer';
+import intents from './intents';
+import locales from './locales';
+import createRandom from './createRandom';
+import createJoke from './createJoke';
+import personaliseJoke from './personaliseJoke';
+
+// Slack errors that reconnecting won't fix, e.g. a revoked token.
+const FATAL_RTM_ERRORS = ['invalid_auth', 'not_authed', 'account_inactive'];
+
+// Words that clear a language setting, e.g. "language auto", in each language the bot speaks.
+const LOCALE_RESETS = ['auto', 'default', 'automático', 'automatico', 'predeterminado', 'automatisch', 'standard'];
+
+// The pack of built in jokes, see jokes.js. Other packs are loaded from JSON files, see packs/.
+const DEFAULT_PACK = {
+  id: 'chuck-norris',
+  name: 'Chuck Norris',
+  aliases: ['chuck', 'norris', 'chuck norris'],
+  nameTarget: 'Chuck Norris',
+  phrases: ['chuck norris joke', 'chuck norris jokes', 'chuck norris fact', 'chuck norris facts']
+};
 
 class NorrisBot {
   /**
-   * Validates specified options then triggers internal methods to setup bot.
+   * Validates specified options and sets up the bot's state and listeners.
+   * Nothing is loaded, scheduled or connected to until `start()`.
    *
    * @param {Object} options
    * @param {String} options.slackToken
-   * @param {String} options.giphyToken
-   * @param {Array} options.jokes
+   * @param {String} [options.giphyToken]
+   * @param {String} [options.tenorApiKey]
+   * @param {Number} [options.gifTimeout] - Milliseconds to wait for each GIF service.
+   * @param {Array} [options.gifProviders] - Where GIFs come from, in the order tried: "giphy" and/or "tenor".
+   *   Both by default, skipping services without an API key.
+   * @param {String} [options.gifSearchTerm] - What GIFs are searched for in channels telling the built in
+   *   jokes, "chuck norris" by default.
+   * @param {Array} options.jokes - Strings, or objects with `text` and optionally `id` and `tags`.
+   * @param {Array} [options.unsafeTags] - Tags of jokes left out in channels using safe mode.
+   * @param {Storage} [options.storage] - Where state is persisted, in memory by default.
+   * @param {Number|String} [options.seed] - Makes joke picks repeatable.
+   * @param {Function} [options.loadJokes] - Gets the jokes afresh, or a promise of them, when admins reload jokes.
+   * @param {Array} [options.packs] - More packs of jokes, see createPacks.
+   * @param {Function} [options.loadPacks] - Gets the packs afresh, or a promise of them, when admins reload jokes.
+   * @param {Array} [options.admins] - Slack user IDs allowed to moderate jokes and control the bot.
+   * @param {Boolean} [options.workspaceAdmins] - Whether Slack workspace admins and owners are admins too.
+   * @param {Boolean} [options.favorRatedJokes] - Tell well rated jokes more often and retire badly rated ones.
+   * @param {Number} [options.port] - Port to receive slash commands and button clicks on.
+   * @param {String} [options.verificationToken] - Slack token sent along with slash commands.
+   * @param {Boolean} [options.slashCommandsInChannel] - Whether slash command replies are visible to everyone.
+   * @param {Number} [options.intentThreshold] - How confident the bot must be, from 0 to 1, to act on a message.
+   * @param {Object} [options.phrases] - More phrases that trigger intents, keyed by intent, e.g.
+   *   `{randomJoke: ['gimme a joke']}`. Only intents that don't need details from the message can be extended.
+   * @param {Object} [options.replies] - Templates rewording English replies, keyed by name, see locales/en.js.
+   * @param {Object} [options.localeReplies] - Templates rewording the replies of other languages, keyed by
+   *   language code and then by name, e.g. `{es: {salutation: '¡Hola {user}!'}}`.
+   * @param {Object} [options.locales] - Languages the bot speaks, keyed by code, see locales/index.js. Must
+   *   include English.
+   * @param {Object} [options.jokeOfTheDaySchedule] - The `hour`, `minute` and `timeZone` the joke of the day
+   *   changes at. 15:00 server time by default.
+   * @param {Object} [options.rateLimits] - Requests per minute allowed per `user`, `channel` and `team`. 0 turns
+   *   a limit off.
+   * @param {String} [options.logLevel] - The least severe level logged: "debug", "info", "warn" or "error".
+   * @param {Logger} [options.logger] - Where logs are written, JSON lines on stdout by default.
+   * @param {Number} [options.healthPort] - Port to serve `/healthz`, `/readyz` and `/metrics` on.
+   * @param {Object} [options.reconnectDelay] - Milliseconds to wait before the first (`min`) and any (`max`)
+   *   attempt to reconnect to Slack, doubling in between. 1 second and 5 minutes by default.
+   * @param {Object} [options.controller] - Botkit controller to listen to, created from the options by default.
+   * @param {String} [options.giphyUrl] - Where the Giphy API is, e.g. a stand in for it in tests.
+   * @param {Function} [options.now] - Returns the current time in milliseconds.
+   * @param {Function} [options.random] - Returns numbers in the range [0, 1), seeded by `seed` by default.
    */
   constructor(options) {
-    if (typeof options.giphyToken !== 'string' || options.giphyToken.length <= 0) {
-      throw new Error('NorrisBot: Missing Giphy token.');
+    if (options.port && (typeof options.verificationToken !== 'string' || options.verificationToken.length <= 0)) {
+      throw new Error('NorrisBot: Missing Slack verification token.');
     }
 
-    if (Array.isArray(options.jokes) === false || options.jokes.length <= 0) {
-      throw new Error('NorrisBot: Missing jokes.');
-    }
+    const jokes = this.createJokes(options.jokes);
 
+    this.now = options.now || Date.now;
+    this.logger = options.logger || new Logger({
+      level: options.logLevel,
+      secrets: [options.slackToken, options.giphyToken, options.tenorApiKey, options.verificationToken],
+      now: () => this.now()
+    });
+    this.metrics = this.createMetrics();
     this.slackToken = options.slackToken;
-    this.giphyToken = options.giphyToken;
-    this.jokes = options.jokes;
-    this.giphy = giphy(this.giphyToken);
+    this.port = options.port || null;
+    this.healthPort = options.healthPort || null;
+    this.verificationToken = options.verificationToken || null;
+    this.slashCommandsInChannel = options.slashCommandsInChannel === true;
+    this.jokes = jokes;
+    this.loadJokes = options.loadJokes || null;
+    this.defaultPack = Object.assign({gifSearchTerm: options.gifSearchTerm || 'chuck norris'}, DEFAULT_PACK);
+    this.packs = this.createPacks(options.packs || []);
+    this.loadPacks = options.loadPacks || null;
+    this.unsafeTags = options.unsafeTags || [];
+    this.storage = options.storage || new MemoryStorage();
+    this.random = options.random || createRandom(options.seed);
+    this.favorRatedJokes = options.favorRatedJokes === true;
+    this.jokeRatings = new JokeRatings({storage: this.storage, now: () => new Date(this.now())});
+    this.jokeRotation = new JokeRotation({
+      storage: this.storage,
+      random: this.random,
+      getWeight: this.favorRatedJokes ? (joke) => this.jokeRatings.getWeight(joke) : null
+    });
+    this.jokeSubmissions = new JokeSubmissions({storage: this.storage, now: () => new Date(this.now())});
+    this.jokeSearch = new JokeSearch();
+    this.usageStats = new UsageStats({storage: this.storage, now: () => new Date(this.now())});
+    this.locales = this.createLocales(options.locales || locales, Object.assign({}, options.localeReplies, {
+      en: options.replies
+    }));
+    this.userLocaleCache = {};
+    this.configPhrases = options.phrases || {};
+    this.intentClassifier = this.createIntentClassifier(options.intentThreshold);
+    this.rateLimiter = new RateLimiter({limits: this.getRateLimits(options.rateLimits), now: () => this.now()});
+    this.rateLimitExemptChannels = {};
+    this.mutedChannels = {};
+    this.approvedJokes = [];
+    this.admins = options.admins || [];
+    this.workspaceAdmins = options.workspaceAdmins === true;
+    this.workspaceAdminCache = {};
+    this.gifProvider = this.createGifProvider(options);
+    this.recentGifs = {};
     this.jokeOfTheDay = null;
+    this.safeJokeOfTheDay = null;
+    this.jokeOfTheDayPickedAt = null;
     this.jokeOfTheDayCronJob = null;
-    this.controller = null;
+    this.jokeOfTheDaySchedule = Object.assign({hour: 15, minute: 0, timeZone: null}, options.jokeOfTheDaySchedule);
+    this.broadcastCronJobs = {};
+    this.bot = null;
     this.beepboop = null;
-    this.regexes = {
-      salutations: ['\\bhi\\b', 'hiya', 'hey', 'hello', 'greetings'],
-      gratitude: ['\\bthanks\\b', 'thank you'],
-      jokeOfTheDayRequests: ['joke of the day'],
-      randomJokeRequests: ['tell me a joke'],
-      randomGifRequests: ['show me chuck'],
-      helpRequests: ['^help$']
-    };
+    this.rtmConnections = {};
+    this.healthServer = null;
+    this.webserver = null;
+    this.reconnectDelay = Object.assign({min: 1000, max: 5 * 60 * 1000}, options.reconnectDelay);
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.stopping = false;
+    this.controller = options.controller || this.createController();
 
-    this.setJokeOfTheDay();
-    this.scheduleJokeOfTheDay();
-    this.createController();
     this.setupEventListeners();
+  }
+
+  /**
+   * Starts the bot: loads its state, schedules the joke of the day, starts
+   * its servers and connects to Slack.
+   */
+  start() {
+    this.scheduleJokeOfTheDay();
+    this.load();
+
+    if (this.port) {
+      this.startWebserver();
+    }
+
+    if (this.healthPort) {
+      this.startHealthServer();
+    }
+
+    this.syncBroadcastCronJobs().catch((err) => {
+      this.logger.error('broadcastScheduleRestoreFailed', {err});
+    });
 
     if (this.slackToken) {
-      this.spawnBotAndStartRTM();
+      this.spawnBotAndStartRTM().catch((err) => {
+        this.logger.error('rtmStartFailed', {err});
+        this.scheduleReconnect(err);
+      });
     } else {
       this.startBeepboopWithController();
     }
   }
 
+  /**
+   * Loads the approved jokes, ratings, joke of the day and channel settings
+   * from storage. Failures are logged rather than rejected, so the bot can
+   * carry on without them.
+   *
+   * @returns {Promise}
+   */
+  load() {
+    return Promise.all([
+      Promise.all([this.loadApprovedJokes(), this.jokeRatings.load()]).then(() => {
+        return this.restoreJokeOfTheDay();
+      }).catch((err) => {
+        this.logger.error('jokeOfTheDayRestoreFailed', {err});
+      }),
+      this.loadChannelSettings().catch((err) => {
+        this.logger.error('channelSettingsLoadFailed', {err});
+      })
+    ]);
+  }
+
   /**
    * Create Slack controller which can spawn the bot.
+   *
+   * @returns {Object}
    */
   createController() {
-    this.controller = Botkit.slackbot({
-      retry: Infinity,
-      debug: false
+    const controller = Botkit.slackbot({
+      // With a single token the bot reconnects itself, as Botkit doesn't for every kind of disconnection.
+      retry: this.slackToken ? false : Infinity,
+      logger: this.logger.toBotkitLogger(),
+      storage: this.storage.toBotkitStorage()
+    });
+
+    // Remembering when each message arrived, so logs can tell how long it took to handle.
+    controller.middleware.receive.use((bot, message, next) => {
+      message.receivedAt = this.now();
+      next();
+    });
+
+    return controller;
+  }
+
+  /**
+   * Creates the provider GIFs come from, trying each of the configured
+   * services in turn, by default Giphy, then Tenor. Services without an API
+   * key are skipped, so without either key the bot has no GIFs to show.
+   *
+   * @param {Object} options - The bot's options.
+   * @returns {GifProvider}
+   */
+  createGifProvider(options) {
+    const createProvider = {
+      giphy: () => {
+        if (!options.giphyToken) {
+          return null;
+        }
+
+        return new GiphyGifProvider({apiKey: options.giphyToken, url: options.giphyUrl, random: this.random});
+      },
+      tenor: () => {
+        return options.tenorApiKey ? new TenorGifProvider({apiKey: options.tenorApiKey, random: this.random}) : null;
+      }
+    };
+    const providers = (options.gifProviders || ['giphy', 'tenor']).map((name) => {
+      if (!createProvider.hasOwnProperty(name)) {
+        throw new Error(`NorrisBot: Unknown GIF provider "${name}".`);
+      }
+
+      return createProvider[name]();
+    }).filter(Boolean);
+
+    return new FallbackGifProvider({
+      providers,
+      timeout: options.gifTimeout,
+      logger: this.logger,
+      metrics: this.metrics,
+      now: () => this.now()
+    });
+  }
+
+  /**
+   * Registers the metrics served on `/metrics`.
+   *
+   * @returns {Metrics}
+   */
+  createMetrics() {
+    const metrics = new Metrics();
+
+    metrics.define('norrisbot_messages_total', 'counter', 'Messages sent to the bot, by the intent recognised.');
+    metrics.define('norrisbot_gif_request_duration_seconds', 'histogram', 'How long GIF providers took to answer.');
+    metrics.define('norrisbot_gif_errors_total', 'counter', 'GIF provider requests that failed or timed out.');
+    metrics.define('norrisbot_rtm_reconnects_total', 'counter', 'Times a team\'s real time messaging reconnected.');
+    metrics.define('norrisbot_rtm_connected', 'gauge', 'Whether a team\'s real time messaging is connected.');
+
+    return metrics;
+  }
+
+  /**
+   * Starts the server that reports on the bot's health, readiness and metrics.
+   */
+  startHealthServer() {
+    this.healthServer = new HealthServer({
+      port: this.healthPort,
+      metrics: this.metrics,
+      getChecks: () => this.getReadinessChecks()
+    });
+
+    this.healthServer.start().catch((err) => {
+      this.logger.error('healthServerStartFailed', {port: this.healthPort, err});
+    });
+  }
+
+  /**
+   * Checks the bot is ready to do its job: connected to Slack for at least
+   * one team and with the joke of the day scheduled.
+   *
+   * @returns {Object}
+   */
+  getReadinessChecks() {
+    const teamIds = Object.keys(this.rtmConnections);
+
+    return {
+      rtm: teamIds.some((teamId) => this.rtmConnections[teamId] === true),
+      jokeOfTheDaySchedule: Boolean(this.jokeOfTheDayCronJob && this.jokeOfTheDayCronJob.running)
+    };
+  }
+
+  /**
+   * Keeps track of a team's real time messaging connection.
+   *
+   * @param {Object} bot - Instance of the bot.
+   * @param {Boolean} connected
+   */
+  setRtmConnected(bot, connected) {
+    const teamId = (bot.team_info && bot.team_info.id) || 'unknown';
+
+    if (connected && this.rtmConnections.hasOwnProperty(teamId)) {
+      this.metrics.increment('norrisbot_rtm_reconnects_total', {team: teamId});
+    }
+
+    this.rtmConnections[teamId] = connected;
+    this.metrics.set('norrisbot_rtm_connected', {team: teamId}, connected ? 1 : 0);
+  }
+
+  /**
+   * Starts a webserver for Slack to send slash commands and interactive
+   * message actions to, when a port is given. Only requests carrying the
+   * verification token are accepted.
+   */
+  startWebserver() {
+    const app = express();
+
+    app.use(bodyParser.json());
+    app.use(bodyParser.urlencoded({extended: true}));
+    this.controller.createWebhookEndpoints(app, [this.verificationToken]);
+
+    // Listening here rather than through Botkit's setupWebserver, which doesn't hand back the server to close.
+    this.webserver = app.listen(this.port);
+    this.webserver.on('error', (err) => {
+      this.logger.error('webserverStartFailed', {port: this.port, err});
     });
   }
 
+  /**
+   * Stops the webserver for slash commands and interactive messages, once
+   * the requests it's answering are done.
+   *
+   * @returns {Promise}
+   */
+  stopWebserver() {
+    const webserver = this.webserver;
+
+    this.webserver = null;
+
+    if (!webserver) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => webserver.close(() => resolve()));
+  }
+
   /**
    * Binds various event listners to respond to user interaction.
    */
   setupEventListeners() {
-    // Salutation upon joining a channel.
+    // Messages are heard by intent, e.g. "randomJoke", rather than by regex.
+    this.controller.changeEars((intentNames, message) => this.hearsIntent(intentNames, message));
+
+    // Staying quiet in channels the bot has been muted in. This comes before
+    // every other handler so nothing else hears the message.
+    this.controller.on(['direct_mention', 'mention', 'ambient'], (bot, message) => {
+      return this.isChannelMuted(message.channel) ? false : undefined;
+    });
+
+    // Cooling people down when they ask for too much too quickly. This comes
+    // before every other handler so over-limit requests go no further.
+    this.controller.on(['direct_message', 'direct_mention', 'mention'], (bot, message) => {
+      return this.enforceRateLimit(bot, message);
+    });
+
+    // Logging the bot connecting to and disconnecting from Slack's real time messaging.
+    this.controller.on('rtm_open', (bot) => {
+      this.logger.info('rtmOpen', {team: bot.team_info && bot.team_info.id});
+      this.setRtmConnected(bot, true);
+    });
+
+    this.controller.on('rtm_close', (bot, err) => {
+      this.logger.warn('rtmClose', {team: bot.team_info && bot.team_info.id, err});
+      this.setRtmConnected(bot, false);
+
+      if (bot === this.bot) {
+        this.scheduleReconnect(err);
+      }
+    });
+
+    this.controller.on('rtm_reconnect_failed', (bot, err) => {
+      this.logger.error('rtmReconnectFailed', {team: bot.team_info && bot.team_info.id, err});
+    });
+
+    // Salutation upon joining a channel, in the team's language. The channel follows the team's safe
+    // mode policy from then on.
     this.controller.on('bot_channel_join', (bot, message) => {
-      console.log('Event::bot_channel_join');
-      bot.reply(message, 'Howdy folks.');
+      const teamId = this.getTeamId(bot, message);
+
+      this.logger.info('bot_channel_join', this.getLogContext(bot, message));
+      this.getLocale({team: teamId, channel: message.channel}).then((locale) => {
+        bot.reply(message, this.formatReply('channelJoin', {}, locale));
+      });
+      this.setChannelSafeMode(teamId, message.channel, null);
     });
 
-    // Salutation upon joining a group.
+    // Salutation upon joining a group, in the team's language. The group follows the team's safe
+    // mode policy from then on.
     this.controller.on('bot_group_join', (bot, message) => {
-      console.log('Event::bot_group_join');
-      bot.reply(message, 'Howdy folks.');
+      const teamId = this.getTeamId(bot, message);
+
+      this.logger.info('bot_group_join', this.getLogContext(bot, message));
+      this.getLocale({team: teamId, channel: message.channel}).then((locale) => {
+        bot.reply(message, this.formatReply('channelJoin', {}, locale));
+      });
+      this.setChannelSafeMode(teamId, message.channel, null);
+    });
+
+    // Responding to the /norris slash command.
+    this.controller.on('slash_command', (bot, message) => {
+      if (message.command !== '/norris') {
+        return;
+      }
+
+      this.logger.info('slashCommand', this.getLogContext(bot, message));
+
+      return this.handleSlashCommand(bot, message);
+    });
+
+    // Responding to the buttons attached to jokes.
+    this.controller.on('interactive_message_callback', (bot, message) => {
+      if (message.callback_id !== 'joke') {
+        return;
+      }
+
+      this.logger.info('jokeAction', this.getLogContext(bot, message));
+
+      return this.handleJokeAction(bot, message);
     });
 
-    // Salutation to someone speaking to the bot.
-    this.controller.hears(
-      this.regexes.salutations,
-      ['direct_message', 'direct_mention', 'mention'],
-      (bot, message) => {
-        console.log('Event::salutation');
-        const userGreeting = (message.user) ? ` <@${message.user}>` : '';
+    // Rating a joke through a 👍/👎 reaction to it.
+    this.controller.on('reaction_added', (bot, message) => {
+      const score = this.getReactionScore(message.reaction);
 
-        bot.reply(message, `Howdy${userGreeting}.`);
+      if (score === null || !message.item || message.item.type !== 'message') {
+        return;
       }
-    );
 
-    // Telling a joke when being asked to.
-    this.controller.hears(
-      this.regexes.randomJokeRequests,
-      ['direct_message', 'direct_mention'],
-      (bot, message) => {
-        console.log('Event::randomJoke');
+      this.logger.info('reactionRating', this.getLogContext(bot, message));
 
-        bot.startConversation(message, (err, convo) => {
-          if (message.user) {
-            convo.say(`Sure thing <@${message.user}>.`);
-          }
+      return this.jokeRatings.getToldJoke(message.item.channel, message.item.ts).then((joke) => {
+        return joke ? this.jokeRatings.rate(joke, message.user, score) : null;
+      }).catch((err) => {
+        this.logger.error('reactionRatingFailed', this.getLogContext(bot, message, {err}));
+      });
+    });
 
-          convo.say(`>${this.getRandomJoke()}`);
-        });
+    // Withdrawing a rating when its reaction is removed.
+    this.controller.on('reaction_removed', (bot, message) => {
+      if (this.getReactionScore(message.reaction) === null || !message.item || message.item.type !== 'message') {
+        return;
       }
-    );
 
-    // Telling the joke of the day when being asked to.
-    this.controller.hears(
-      this.regexes.jokeOfTheDayRequests,
-      ['direct_message', 'direct_mention'],
-      (bot, message) => {
-        console.log('Event::jokeOfTheDay');
+      this.logger.info('reactionRatingRemoved', this.getLogContext(bot, message));
+
+      return this.jokeRatings.getToldJoke(message.item.channel, message.item.ts).then((joke) => {
+        return joke ? this.jokeRatings.unrate(joke, message.user) : null;
+      }).catch((err) => {
+        this.logger.error('reactionRatingFailed', this.getLogContext(bot, message, {err}));
+      });
+    });
+
+    // Handling each intent in the kinds of message it's heard in.
+    this.getRoutes().forEach((route) => {
+      this.controller.hears(route.intent, route.events, (bot, message) => this.respond(bot, message, route.handle));
+    });
+
+    // Pointing people at the help when a direct message wasn't understood.
+    this.controller.on('direct_message', (bot, message) => {
+      this.logger.info('unrecognised', this.getLogContext(bot, message));
+
+      return this.getLocale(this.createRequest(bot, message)).then((locale) => {
+        bot.reply(message, this.formatReply('unrecognised', {}, locale));
+      });
+    });
+  }
+
+  /**
+   * Lists the handler for each intent along with the kinds of message it's
+   * heard in. Moderation intents come first, so a submitted joke's wording
+   * can't trigger other replies.
+   *
+   * @returns {Array}
+   */
+  getRoutes() {
+    const direct = ['direct_message'];
+    const addressed = ['direct_message', 'direct_mention'];
+    const anywhere = ['direct_message', 'direct_mention', 'mention'];
+
+    return [
+      {intent: 'jokeSubmission', events: direct, handle: (request) => this.handleJokeSubmission(request)},
+      {intent: 'submissionList', events: direct, handle: (request) => this.handleSubmissionList(request)},
+      {intent: 'submissionApproval', events: direct, handle: (request) => this.handleSubmissionApproval(request)},
+      {intent: 'submissionRejection', events: direct, handle: (request) => this.handleSubmissionRejection(request)},
+      {intent: 'submissionEdit', events: direct, handle: (request) => this.handleSubmissionEdit(request)},
+      {intent: 'jokeReload', events: direct, handle: (request) => this.handleJokeReload(request)},
+      {intent: 'jokeOfTheDayChange', events: direct, handle: (request) => this.handleJokeOfTheDayChange(request)},
+      {intent: 'channelMute', events: direct, handle: (request) => this.handleChannelMute(request)},
+      {intent: 'channelUnmute', events: direct, handle: (request) => this.handleChannelUnmute(request)},
+      {intent: 'configRequest', events: direct, handle: (request) => this.handleConfigRequest(request)},
+      {intent: 'statsRequest', events: addressed, handle: (request) => this.handleStatsRequest(request)},
+      {intent: 'statsExport', events: direct, handle: (request) => this.handleStatsExport(request)},
+      {intent: 'namedJoke', events: addressed, handle: (request) => this.handleNamedJoke(request)},
+      {intent: 'nameOptOut', events: addressed, handle: (request) => this.handleNameOptOut(request)},
+      {intent: 'nameOptIn', events: addressed, handle: (request) => this.handleNameOptIn(request)},
+      {intent: 'salutation', events: anywhere, handle: (request) => this.handleSalutation(request)},
+      {intent: 'jokeSearch', events: addressed, handle: (request) => this.handleJokeSearch(request)},
+      {intent: 'packJoke', events: addressed, handle: (request) => this.handlePackJoke(request)},
+      {intent: 'randomJoke', events: addressed, handle: (request) => this.handleRandomJoke(request)},
+      {intent: 'categoryJoke', events: addressed, handle: (request) => this.handleCategoryJoke(request)},
+      {intent: 'categoryList', events: addressed, handle: (request) => this.handleCategoryList(request)},
+      {intent: 'packList', events: addressed, handle: (request) => this.handlePackList(request)},
+      {intent: 'packChange', events: addressed, handle: (request) => this.handlePackChange(request)},
+      {intent: 'jokeOfTheDaySubscribe', events: addressed, handle: (request) => this.handleSubscribe(request)},
+      {intent: 'jokeOfTheDayUnsubscribe', events: addressed, handle: (request) => this.handleUnsubscribe(request)},
+      {intent: 'subscriptionList', events: addressed, handle: (request) => this.handleSubscriptionList(request)},
+      {intent: 'scheduleChange', events: addressed, handle: (request) => this.handleScheduleChange(request)},
+      {intent: 'scheduleRequest', events: addressed, handle: (request) => this.handleScheduleRequest(request)},
+      {intent: 'jokeOfTheDay', events: addressed, handle: (request) => this.handleJokeOfTheDay(request)},
+      {intent: 'rating', events: addressed, handle: (request) => this.handleRating(request)},
+      {intent: 'leaderboard', events: addressed, handle: (request) => this.handleLeaderboard(request)},
+      {intent: 'randomGif', events: addressed, handle: (request) => this.handleRandomGif(request)},
+      {intent: 'gifRatingChange', events: addressed, handle: (request) => this.handleGifRatingChange(request)},
+      {intent: 'gifRatingRequest', events: addressed, handle: (request) => this.handleGifRatingRequest(request)},
+      {intent: 'rateLimitExemption', events: addressed, handle: (request) => this.handleRateLimitExemption(request)},
+      {intent: 'safeModeChange', events: addressed, handle: (request) => this.handleSafeModeChange(request)},
+      {intent: 'localeChange', events: addressed, handle: (request) => this.handleLocaleChange(request)},
+      {intent: 'help', events: addressed, handle: (request) => this.handleHelp(request)},
+      {intent: 'gratitude', events: anywhere, handle: (request) => this.handleGratitude(request)}
+    ];
+  }
+
+  /**
+   * Runs a handler for a message Botkit heard, in the language of whoever
+   * sent it, and sends its replies.
+   *
+   * @param {Object} bot - Instance of the bot.
+   * @param {Object} message
+   * @param {Function} handle - Takes a request and resolves with replies.
+   * @returns {Promise} Resolves once the replies are sent.
+   */
+  respond(bot, message, handle) {
+    const request = this.createRequest(bot, message);
+
+    this.logger.info(message.intent.intent, this.getRequestLogContext(request));
+
+    return this.getLocale(request).then((locale) => {
+      request.locale = locale;
+
+      return handle(request);
+    }).catch((err) => {
+      this.logger.error('requestFailed', this.getRequestLogContext(request, {intent: message.intent.intent, err}));
+
+      return [this.formatReply('failure', {}, request.locale)];
+    }).then((replies) => this.sendReplies(bot, message, replies));
+  }
+
+  /**
+   * Describes a message for the handlers, without anything Botkit specific.
+   *
+   * @param {Object} bot - Instance of the bot.
+   * @param {Object} message
+   * @returns {Object} The `text`, `user`, `channel` and `team` of the
+   *   message, the `match` of the intent's pattern, when it `receivedAt`, a
+   *   `slack` client for looking up users and uploading files, and the
+   *   `locale` to reply in, English until worked out by getLocale.
+   */
+  createRequest(bot, message) {
+    const item = message.item || {};
+
+    return {
+      text: message.text || '',
+      user: message.user,
+      channel: message.channel || item.channel,
+      team: this.getTeamId(bot, message),
+      match: message.match || [],
+      receivedAt: message.receivedAt || null,
+      slack: this.createSlackClient(bot),
+      locale: 'en'
+    };
+  }
 
-        bot.startConversation(message, (err, convo) => {
-          if (message.user) {
-            convo.say(`Sure thing <@${message.user}>.`);
+  /**
+   * Wraps the parts of the Slack API handlers use in promises.
+   *
+   * @param {Object} bot - Instance of the bot.
+   * @returns {Object}
+   */
+  createSlackClient(bot) {
+    return {
+      getBotName: () => this.getBotUsername(bot),
+      getUser: (userId) => new Promise((resolve, reject) => {
+        bot.api.users.info({user: userId, 'include_locale': true}, (err, response) => {
+          if (err || !response || !response.user) {
+            reject(new Error(`NorrisBot: Couldn't look up user ${userId}. ${err || ''}`.trim()));
+            return;
           }
 
-          convo.say(`>${this.jokeOfTheDay}`);
+          resolve(response.user);
         });
-      }
-    );
+      }),
+      getChannel: (channelId) => new Promise((resolve, reject) => {
+        const api = (channelId.charAt(0) === 'G') ? bot.api.groups : bot.api.channels;
 
-    // Showing a random gif.
-    this.controller.hears(
-      this.regexes.randomGifRequests,
-      ['direct_message', 'direct_mention'],
-      (bot, message) => {
-        console.log('Event::randomGif');
+        api.info({channel: channelId}, (err, response) => {
+          const channel = response && (response.channel || response.group);
 
-        bot.startConversation(message, (err, convo) => {
-          if (message.user) {
-            convo.say(`Sure thing <@${message.user}>.`);
+          if (err || !channel) {
+            reject(new Error(`NorrisBot: Couldn't look up channel ${channelId}. ${err || ''}`.trim()));
+            return;
           }
 
-          this.giphy.random('chuck norris').then(
-            (response) => {
-              if (response.meta.status === 200) {
-                convo.say(`${response.data.image_url}`);
-              } else {
-                convo.say('Uhoh... Something went wrong... Sorry!');
-              }
-            },
-            (error) => {
-              throw new Error(error);
-            }
-          );
+          resolve(channel);
         });
-      }
-    );
+      }),
+      uploadFile: (file) => new Promise((resolve, reject) => {
+        bot.api.files.upload(file, (err, response) => (err ? reject(err) : resolve(response)));
+      })
+    };
+  }
 
-    // Giving help when it's been requested.
-    this.controller.hears(
-      this.regexes.helpRequests,
-      ['direct_message', 'direct_mention'],
-      (bot, message) => {
-        console.log('Event::helpRequest');
-
-        const botUsername = this.getBotUsername(bot);
-
-        bot.reply(message,
-          'Ask me to tell you a joke, e.g.\n' +
-          `>"<@${botUsername}>, tell me a joke please!"\n\n` +
-          'Ask me to tell you the joke of the day, e.g.\n' +
-          `>"<@${botUsername}>, tell me the joke of the day please!"\n\n` +
-          'Ask me to tell show you a gif, e.g.\n' +
-          `>"<@${botUsername}>, show me chuck please!"`
-        );
-      }
-    );
+  /**
+   * Sends replies one after the other. Replies are text or message objects;
+   * a message object's `joke` is remembered against the posted message so
+   * it can be rated, rather than sent.
+   *
+   * @param {Object} bot - Instance of the bot.
+   * @param {Object} message - The message being replied to.
+   * @param {Array} replies
+   * @returns {Promise}
+   */
+  sendReplies(bot, message, replies) {
+    return (replies || []).reduce((previous, reply) => previous.then(() => new Promise((resolve) => {
+      const joke = reply.joke || null;
+      const slackMessage = (typeof reply === 'string') ? reply : Object.assign({}, reply);
 
-    // Responding to being thanked.
-    this.controller.hears(
-      this.regexes.gratitude,
-      ['direct_message', 'direct_mention', 'mention'],
-      (bot, message) => {
-        console.log('Event::gratitude');
+      delete slackMessage.joke;
 
-        const userGreeting = (message.user) ? ` <@${message.user}>` : '';
+      bot.reply(message, slackMessage, (err, response) => {
+        if (joke && !err && response && response.ts) {
+          this.jokeRatings.recordTold(response.channel || message.channel, response.ts, joke).catch((recordErr) => {
+            this.logger.error('toldJokeRecordFailed', this.getLogContext(bot, message, {err: recordErr}));
+          });
+        }
 
-        bot.reply(message, `You're welcome${userGreeting}.`);
-      }
-    );
+        resolve();
+      });
+    })), Promise.resolve());
   }
 
   /**
-   * Spawn an instance of the bot and connects it to Real-time messaging API.
+   * Runs part of a handler only for admins, replying with a refusal to
+   * anyone else.
    *
+   * @param {Object} request
+   * @param {String} refusal
+   * @param {Function} handle - Resolves with the replies for admins.
    * @returns {Promise}
    */
-  spawnBotAndStartRTM() {
-    return new Promise((resolve, reject) => {
-      this.controller.spawn({
-        token: this.slackToken
-      }).startRTM((err, bot, payload) => {
-        if (err) {
-          reject(err);
+  forAdmins(request, refusal, handle) {
+    return this.isAdmin(request.slack, request.user).then((isAdmin) => (isAdmin ? handle() : [refusal]));
+  }
+
+  /**
+   * Runs part of a handler only for the bot's configured admins, as it
+   * affects every team, replying with a refusal to anyone else.
+   *
+   * @param {Object} request
+   * @param {String} refusal
+   * @param {Function} handle - Resolves with the replies for bot admins.
+   * @returns {Promise}
+   */
+  forBotAdmins(request, refusal, handle) {
+    return Promise.resolve(this.isBotAdmin(request.user) ? handle() : [refusal]);
+  }
+
+  /**
+   * Runs part of an admin handler only if a channel belongs to the admin's
+   * team. Workspace admins may only control their own team's channels,
+   * which Slack only describes to the bot in that team.
+   *
+   * @param {Object} request
+   * @param {String} channelId
+   * @param {Function} handle - Resolves with the replies.
+   * @returns {Promise}
+   */
+  forTeamChannel(request, channelId, handle) {
+    if (this.isBotAdmin(request.user)) {
+      return Promise.resolve(handle());
+    }
+
+    return request.slack.getChannel(channelId).then(
+      () => handle(),
+      () => [this.formatReply('teamChannelRefusal', {channel: channelId}, request.locale)]
+    );
+  }
+
+  /**
+   * Queues a joke submitted by a user for moderation.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleJokeSubmission(request) {
+    return this.jokeSubmissions.submit({
+      text: request.match[1].trim(),
+      team: request.team,
+      submittedBy: request.user
+    }).then(
+      (submission) => [this.formatReply('submissionThanks', {id: submission.id}, request.locale)],
+      () => [this.formatReply('submissionFailure', {}, request.locale)]
+    );
+  }
+
+  /**
+   * Lists submitted jokes awaiting moderation.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleSubmissionList(request) {
+    return this.forAdmins(request, this.formatReply('moderationRefusal', {}, request.locale), () => {
+      return this.jokeSubmissions.getPending(request.team).then((submissions) => {
+        if (submissions.length <= 0) {
+          return [this.formatReply('submissionListEmpty', {}, request.locale)];
         }
 
-        resolve({bot, payload});
+        return [this.formatReply('submissionList', {
+          submissions: submissions.map((submission) => this.formatReply('submissionListItem', {
+            id: submission.id,
+            user: submission.submittedBy,
+            text: submission.text
+          }, request.locale)).join('\n')
+        }, request.locale)];
       });
     });
   }
 
   /**
-   * Initialises BeepBoop wrapper around our controller to bring multi-team
-   * capabilities to the bot.
+   * Approves a submitted joke so it joins the pool.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
    */
-  startBeepboopWithController() {
-    this.beepboop = BeepBoop.start(this.controller);
+  handleSubmissionApproval(request) {
+    return this.forAdmins(request, this.formatReply('moderationRefusal', {}, request.locale), () => {
+      return this.jokeSubmissions.approve(request.team, request.match[1], request.user).then((submission) => {
+        if (!submission) {
+          return [this.formatReply('submissionNotFound', {id: request.match[1]}, request.locale)];
+        }
+
+        return this.loadApprovedJokes().then(() => {
+          return [this.formatReply('submissionApproval', {id: submission.id}, request.locale)];
+        });
+      });
+    });
   }
 
   /**
-   * Determines the bots username.
+   * Rejects a submitted joke.
    *
-   * @param {Object} bot - Instance of the bot.
-   * @returns {String}
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
    */
-  getBotUsername(bot) {
-    return bot.identifyBot().name;
+  handleSubmissionRejection(request) {
+    return this.forAdmins(request, this.formatReply('moderationRefusal', {}, request.locale), () => {
+      return this.jokeSubmissions.reject(request.team, request.match[1], request.user).then((submission) => {
+        if (!submission) {
+          return [this.formatReply('submissionNotFound', {id: request.match[1]}, request.locale)];
+        }
+
+        return [this.formatReply('submissionRejection', {id: submission.id}, request.locale)];
+      });
+    });
   }
 
   /**
-   * Schedules "Joke of the Day" logic to run at 3pm every single day.
+   * Rewords a submitted joke before approving it.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
    */
-  scheduleJokeOfTheDay() {
-    this.jokeOfTheDayCronJob = new CronJob({
-      cronTime: '0 0 15 * * *',
-      onTick: this.setJokeOfTheDay,
-      start: true,
-      context: this
+  handleSubmissionEdit(request) {
+    return this.forAdmins(request, this.formatReply('moderationRefusal', {}, request.locale), () => {
+      const text = request.match[2].trim();
+
+      return this.jokeSubmissions.edit(request.team, request.match[1], text, request.user).then((submission) => {
+        if (!submission) {
+          return [this.formatReply('submissionNotFound', {id: request.match[1]}, request.locale)];
+        }
+
+        return [this.formatReply('submissionEdit', {id: submission.id, text: submission.text}, request.locale)];
+      });
     });
   }
 
   /**
-   * Sets the bots 'Joke of the Day' to a random joke.
+   * Reloads the jokes without restarting the bot.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
    */
-  setJokeOfTheDay() {
-    this.jokeOfTheDay = this.getRandomJoke();
+  handleJokeReload(request) {
+    return this.forBotAdmins(request, this.formatReply('jokeReloadRefusal', {}, request.locale), () => {
+      return this.reloadJokes().then(() => {
+        const packs = (this.packs.length > 0) ? this.formatReply('jokeReloadPacks', {
+          jokes: this.packs.reduce((count, pack) => count + pack.jokes.length, 0),
+          packs: this.formatCountReply('otherPacks', this.packs.length, {}, request.locale)
+        }, request.locale) : '';
+
+        return [this.formatReply('jokeReload', {
+          jokes: this.jokes.length,
+          approved: this.approvedJokes.length,
+          packs
+        }, request.locale)];
+      },
+        (err) => [this.formatReply('jokeReloadFailure', {error: err.message}, request.locale)]
+      );
+    });
   }
 
   /**
-   * Gets a random joke for the stack.
+   * Picks a new joke of the day on demand.
    *
-   * @returns {String}
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
    */
-  getRandomJoke() {
-    const randomIndex = Math.floor(Math.random() * this.jokes.length);
+  handleJokeOfTheDayChange(request) {
+    const refusal = this.formatReply('jokeOfTheDayChangeRefusal', {}, request.locale);
 
-    return this.jokes[randomIndex];
+    return this.forBotAdmins(request, refusal, () => {
+      return this.setJokeOfTheDay().then(() => {
+        const joke = this.localiseJoke(this.jokeOfTheDay, request.locale);
+
+        return [this.formatReply('jokeOfTheDayChange', {joke: joke.text}, request.locale)];
+      });
+    });
+  }
+
+  /**
+   * Mutes the bot in a channel for a number of hours.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleChannelMute(request) {
+    return this.forAdmins(request, this.formatReply('muteRefusal', {}, request.locale), () => {
+      const channelId = request.match[1];
+      const hours = parseInt(request.match[2], 10);
+
+      if (hours <= 0 || hours > 24 * 7) {
+        return [this.formatReply('muteLimit', {}, request.locale)];
+      }
+
+      const duration = this.formatCountReply('hours', hours, {}, request.locale);
+
+      return this.forTeamChannel(request, channelId, () => {
+        return this.setChannelMute(channelId, new Date(this.now() + (hours * 60 * 60 * 1000))).then(
+          () => [this.formatReply('channelMute', {channel: channelId, duration}, request.locale)],
+          () => [this.formatReply('settingFailure', {}, request.locale)]
+        );
+      });
+    });
+  }
+
+  /**
+   * Unmutes the bot in a channel early.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleChannelUnmute(request) {
+    return this.forAdmins(request, this.formatReply('unmuteRefusal', {}, request.locale), () => {
+      return this.forTeamChannel(request, request.match[1], () => {
+        return this.setChannelMute(request.match[1], null).then(
+          () => [this.formatReply('channelUnmute', {channel: request.match[1]}, request.locale)],
+          () => [this.formatReply('settingFailure', {}, request.locale)]
+        );
+      });
+    });
+  }
+
+  /**
+   * Shows admins how the bot is configured.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleConfigRequest(request) {
+    return this.forBotAdmins(request, this.formatReply('configRefusal', {}, request.locale), () => {
+      return [this.formatConfig(request.locale)];
+    });
+  }
+
+  /**
+   * Summarises how the bot has been used in the admin's team.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleStatsRequest(request) {
+    return this.forAdmins(request, this.formatReply('statsRefusal', {}, request.locale), () => {
+      const days = Math.min(parseInt(request.match[1], 10) || 30, 365);
+
+      return this.formatUsageStats(days, request.team, request.locale).then(
+        (text) => [text],
+        () => [this.formatReply('statsFailure', {}, request.locale)]
+      );
+    });
+  }
+
+  /**
+   * Exports the admin's team's usage as a CSV file, e.g. "export stats from
+   * 2016-12-01 to 2016-12-31".
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleStatsExport(request) {
+    return this.forAdmins(request, this.formatReply('statsExportRefusal', {}, request.locale), () => {
+      const from = request.match[1] || this.usageStats.getDaysAgo(29);
+      const to = request.match[2] || this.usageStats.getDaysAgo(0);
+
+      return this.usageStats.getEvents(from, to, request.team).then((events) => {
+        return request.slack.uploadFile({
+          content: this.usageStats.toCsv(events),
+          filename: `norrisbot-usage-${from}-to-${to}.csv`,
+          filetype: 'csv',
+          channels: request.channel
+        }).then(() => [], (err) => {
+          this.logger.error('statsExportFailed', this.getRequestLogContext(request, {err}));
+
+          return [this.formatReply('statsUploadFailure', {}, request.locale)];
+        });
+      }, () => [this.formatReply('statsExportFailure', {}, request.locale)]);
+    });
+  }
+
+  /**
+   * Tells a joke about someone, e.g. "tell me a joke about @alice", like any
+   * other joke, see createJokeReplies.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleNamedJoke(request) {
+    const userId = request.match[1];
+
+    return this.isNameOptedOut(userId).then((optedOut) => {
+      if (optedOut) {
+        return [this.formatReply('namedJokeOptedOut', {}, request.locale)];
+      }
+
+      return Promise.all([
+        this.getDisplayName(request.slack, userId),
+        this.getSafeMode(request.team, request.channel)
+      ]).then((results) => {
+        return this.getNamedJoke(request.team, request.channel, results[0], results[1]);
+      }).then((joke) => this.createJokeReplies(request, joke));
+    }).catch((err) => {
+      this.logger.error('namedJokeFailed', this.getRequestLogContext(request, {err}));
+
+      return [this.formatReply('failure', {}, request.locale)];
+    });
+  }
+
+  /**
+   * Opts someone out of having their name used in jokes.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleNameOptOut(request) {
+    return this.setNameOptOut(request.user, true).then(
+      () => [this.formatReply('nameOptOut', {}, request.locale)],
+      () => [this.formatReply('settingFailure', {}, request.locale)]
+    );
+  }
+
+  /**
+   * Opts someone back in to having their name used in jokes.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleNameOptIn(request) {
+    return this.setNameOptOut(request.user, false).then(
+      () => [this.formatReply('nameOptIn', {}, request.locale)],
+      () => [this.formatReply('settingFailure', {}, request.locale)]
+    );
+  }
+
+  /**
+   * Greets someone speaking to the bot.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleSalutation(request) {
+    this.recordUsage(request, 'greeting');
+
+    return Promise.resolve([this.formatReply('salutation', {user: request.user}, request.locale)]);
+  }
+
+  /**
+   * Finds jokes about something, e.g. "tell me a joke about beards" or
+   * "3 jokes about roundhouse kicks".
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleJokeSearch(request) {
+    const count = Math.min(parseInt(request.match[1], 10) || 1, 5);
+    const term = request.match[2].trim();
+
+    return Promise.all([
+      this.getSafeMode(request.team, request.channel),
+      this.getChannelPack(request.channel)
+    ]).then((settings) => {
+      const results = this.searchJokes(term, settings[0], settings[1], request.team);
+
+      if (results.length <= 0) {
+        return [this.formatReply('searchNotFound', {term}, request.locale)];
+      }
+
+      if (count === 1) {
+        return this.createJokeReplies(request, this.pickBestSearchResult(results));
+      }
+
+      results.slice(0, count).forEach((result) => this.recordUsage(request, 'joke', {jokeId: result.joke.id}));
+
+      return [this.formatReply('searchResults', {
+        count: Math.min(count, results.length),
+        term,
+        jokes: results.slice(0, count).map((result) => {
+          return `>${this.localiseJoke(result.joke, request.locale).text}`;
+        }).join('\n\n')
+      }, request.locale)];
+    });
+  }
+
+  /**
+   * Tells a joke when being asked to.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleRandomJoke(request) {
+    return this.getNextJoke(request.team, request.channel).then((joke) => this.createJokeReplies(request, joke));
+  }
+
+  /**
+   * Tells a joke from a category, e.g. "tell me a sports joke".
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleCategoryJoke(request) {
+    const category = request.match[1].toLowerCase();
+
+    return Promise.all([
+      this.getSafeMode(request.team, request.channel),
+      this.getChannelPack(request.channel)
+    ]).then((settings) => {
+      const categories = this.getCategories(settings[0], settings[1], request.team);
+
+      if (categories.indexOf(category) === -1) {
+        return [this.formatReply('categoryUnknown', {category, categories: categories.join(', ')}, request.locale)];
+      }
+
+      return this.getNextJoke(request.team, request.channel, category, settings[1]).then((joke) => {
+        return this.createJokeReplies(request, joke);
+      });
+    });
+  }
+
+  /**
+   * Lists the categories jokes can be asked for by.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleCategoryList(request) {
+    return Promise.all([
+      this.getSafeMode(request.team, request.channel),
+      this.getChannelPack(request.channel)
+    ]).then((settings) => {
+      const categories = this.getCategories(settings[0], settings[1], request.team);
+
+      return [this.formatReply('categoryList', {categories: categories.join(', ')}, request.locale)];
+    });
+  }
+
+  /**
+   * Tells a joke from the pack asked for by one of its phrases, e.g. "tell
+   * me a dad joke", whichever pack the channel uses by default.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handlePackJoke(request) {
+    const pack = this.getPacks().filter((candidate) => candidate.phrases.some((phrase) => {
+      return new RegExp(this.createPhrasePattern(phrase), 'i').test(request.text);
+    }))[0];
+
+    return this.getNextJoke(request.team, request.channel, null, pack).then((joke) => {
+      return this.createJokeReplies(request, joke);
+    });
+  }
+
+  /**
+   * Lists the joke packs, and which one the channel uses by default.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handlePackList(request) {
+    return this.getChannelPack(request.channel).then((channelPack) => [
+      this.formatReply('packList', {packs: this.formatPacks(), pack: channelPack.name}, request.locale)
+    ]);
+  }
+
+  /**
+   * Changes the joke pack a channel uses by default, e.g. "joke pack dad".
+   * "default", or its Spanish or German, goes back to the default pack. As
+   * the joke of the day is shared by every channel, it stays a joke from the
+   * default pack, which the reply points out.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handlePackChange(request) {
+    const name = request.match[1].trim();
+    const reset = /^(?:default|predeterminado|por defecto|standard)$/i.test(name);
+    const pack = reset ? this.defaultPack : this.findPack(name);
+
+    if (!pack) {
+      return Promise.resolve([this.formatReply('packUnknown', {name, packs: this.formatPacks()}, request.locale)]);
+    }
+
+    const packId = (pack.id === this.defaultPack.id) ? null : pack.id;
+
+    return this.setChannelPack(request.team, request.channel, packId).then(() => {
+      const reply = this.formatReply('packChange', {pack: pack.name}, request.locale);
+
+      if (!packId) {
+        return [reply];
+      }
+
+      return [`${reply} ${this.formatReply('packChangeJokeOfTheDay', {pack: this.defaultPack.name}, request.locale)}`];
+    }, () => [this.formatReply('settingFailure', {}, request.locale)]);
+  }
+
+  /**
+   * Subscribes a channel to the daily joke of the day broadcast.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleSubscribe(request) {
+    return this.setChannelSubscription(request.team, request.channel, true).then(
+      () => this.syncBroadcastCronJobs()
+    ).then(
+      () => [this.formatReply('subscribe', {}, request.locale)],
+      () => [this.formatReply('subscriptionFailure', {}, request.locale)]
+    );
+  }
+
+  /**
+   * Unsubscribes a channel from the daily joke of the day broadcast.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleUnsubscribe(request) {
+    return this.setChannelSubscription(request.team, request.channel, false).then(
+      () => this.syncBroadcastCronJobs()
+    ).then(
+      () => [this.formatReply('unsubscribe', {}, request.locale)],
+      () => [this.formatReply('subscriptionFailure', {}, request.locale)]
+    );
+  }
+
+  /**
+   * Lists the channels of a team that are subscribed to the joke of the day.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleSubscriptionList(request) {
+    return this.getSubscribedChannels(request.team).then(
+      (channels) => {
+        if (channels.length <= 0) {
+          return [this.formatReply('subscriptionListEmpty', {}, request.locale)];
+        }
+
+        return [this.formatReply('subscriptionList', {
+          channels: channels.map((channel) => this.formatReply('subscriptionListItem', {
+            channel: channel.id,
+            schedule: this.formatSchedule(this.getChannelSchedule(channel), request.locale)
+          }, request.locale)).join('\n')
+        }, request.locale)];
+      },
+      () => [this.formatReply('subscriptionListFailure', {}, request.locale)]
+    );
+  }
+
+  /**
+   * Changes the time (and optionally timezone) a channel gets the joke of the day.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleScheduleChange(request) {
+    const schedule = {
+      hour: parseInt(request.match[1], 10),
+      minute: parseInt(request.match[2], 10),
+      timeZone: request.match[3] || null
+    };
+    const validationError = this.validateSchedule(schedule, request.locale);
+
+    if (validationError) {
+      return Promise.resolve([validationError]);
+    }
+
+    const description = this.formatSchedule(schedule, request.locale);
+
+    return this.setChannelSchedule(request.team, request.channel, schedule).then(
+      () => this.syncBroadcastCronJobs()
+    ).then(
+      () => [this.formatReply('scheduleChange', {schedule: description}, request.locale)],
+      () => [this.formatReply('scheduleFailure', {}, request.locale)]
+    );
+  }
+
+  /**
+   * Shows when the joke of the day gets posted in a channel.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleScheduleRequest(request) {
+    return this.getChannelData(request.channel).then((channelData) => {
+      const schedule = this.formatSchedule(this.getChannelSchedule(channelData), request.locale);
+      const name = (channelData.jokeOfTheDaySubscribed === true) ? 'scheduleSubscribed' : 'scheduleUnsubscribed';
+
+      return [this.formatReply(name, {schedule}, request.locale)];
+    });
+  }
+
+  /**
+   * Tells the joke of the day when being asked to. It's the same joke from
+   * the default pack everywhere, whichever pack the channel has chosen.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleJokeOfTheDay(request) {
+    return this.getSafeMode(request.team, request.channel).then((safeMode) => {
+      return this.createJokeReplies(request, this.getJokeOfTheDay(safeMode), 'jokeOfTheDay');
+    });
+  }
+
+  /**
+   * Rates the joke most recently told in a channel.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleRating(request) {
+    return this.jokeRatings.getLatestToldJoke(request.channel).then((joke) => {
+      if (!joke) {
+        return [this.formatReply('ratingNotFound', {}, request.locale)];
+      }
+
+      return this.jokeRatings.rate(joke, request.user, parseInt(request.match[1], 10)).then((summary) => {
+        return [this.formatReply('ratingThanks', {rating: this.formatRating(summary, request.locale)}, request.locale)];
+      });
+    }).catch(() => [this.formatReply('ratingFailure', {}, request.locale)]);
+  }
+
+  /**
+   * Shows the best or worst rated of the jokes the team can be told, so
+   * other teams' approved submissions stay out of it.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleLeaderboard(request) {
+    const order = /^(?:worst|peores|schlechtesten?)$/i.test(request.match[1]) ? 'worst' : 'top';
+    const jokeIds = this.getPacks().reduce((ids, pack) => {
+      // Retired jokes still count, as they're often the worst.
+      const jokes = (pack.id === this.defaultPack.id) ?
+        this.jokes.concat(this.approvedJokes.filter((joke) => joke.team === request.team)) :
+        pack.jokes;
+
+      return ids.concat(jokes.map((joke) => joke.id));
+    }, []);
+    const leaderboard = this.jokeRatings.getLeaderboard(order, jokeIds);
+
+    if (leaderboard.length <= 0) {
+      return Promise.resolve([this.formatReply('leaderboardEmpty', {}, request.locale)]);
+    }
+
+    return Promise.resolve([this.formatReply(`${order}Jokes`, {
+      jokes: leaderboard.map((summary, index) => {
+        return `${index + 1}. ${this.formatRating(summary, request.locale)}\n>${summary.joke}`;
+      }).join('\n')
+    }, request.locale)]);
+  }
+
+  /**
+   * Shows a Chuck Norris GIF, optionally of something in particular.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleRandomGif(request) {
+    const acknowledgement = request.user ?
+      [this.formatReply('acknowledgement', {user: request.user}, request.locale)] :
+      [];
+
+    return this.findGif(request, request.match[1]).then(
+      (url) => acknowledgement.concat(url),
+      () => acknowledgement.concat(this.formatReply('gifFailure', {}, request.locale))
+    );
+  }
+
+  /**
+   * Changes the highest content rating of GIFs shown in a channel.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleGifRatingChange(request) {
+    return this.forAdmins(request, this.formatReply('gifRatingRefusal', {}, request.locale), () => {
+      const rating = request.match[1].toLowerCase();
+
+      return this.setChannelGifRating(request.team, request.channel, rating).then(
+        () => [this.formatReply('gifRatingChange', {rating: rating.toUpperCase()}, request.locale)],
+        () => [this.formatReply('settingFailure', {}, request.locale)]
+      );
+    });
+  }
+
+  /**
+   * Tells someone the highest content rating of GIFs shown in a channel.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleGifRatingRequest(request) {
+    return this.getChannelData(request.channel).then((channelData) => {
+      const rating = this.getChannelGifRating(channelData).toUpperCase();
+
+      return [this.formatReply('gifRating', {rating}, request.locale)];
+    });
+  }
+
+  /**
+   * Exempts a channel from rate limits, or limits it again.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleRateLimitExemption(request) {
+    return this.forAdmins(request, this.formatReply('rateLimitRefusal', {}, request.locale), () => {
+      const exempt = String(request.match[1] || '').toLowerCase() === 'exempt';
+
+      return this.setChannelRateLimitExemption(request.team, request.channel, exempt).then(
+        () => [this.formatReply(exempt ? 'rateLimitExemption' : 'rateLimitRestored', {}, request.locale)],
+        () => [this.formatReply('settingFailure', {}, request.locale)]
+      );
+    });
+  }
+
+  /**
+   * Turns safe mode on or off for a channel, or for the whole team.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleSafeModeChange(request) {
+    return this.forAdmins(request, this.formatReply('safeModeRefusal', {}, request.locale), () => {
+      const words = request.match.slice(1).join(' ').toLowerCase();
+      const safeMode = /\b(on|enable|activa|an)\b/.test(words);
+
+      if (/\b(team|equipo)\b/.test(words)) {
+        return this.setTeamSafeMode(request.team, safeMode).then(
+          () => [this.formatReply(safeMode ? 'teamSafeModeOn' : 'teamSafeModeOff', {}, request.locale)],
+          () => [this.formatReply('settingFailure', {}, request.locale)]
+        );
+      }
+
+      return this.setChannelSafeMode(request.team, request.channel, safeMode).then(
+        () => [this.formatReply(safeMode ? 'channelSafeModeOn' : 'channelSafeModeOff', {}, request.locale)],
+        () => [this.formatReply('settingFailure', {}, request.locale)]
+      );
+    });
+  }
+
+  /**
+   * Changes the language spoken to whoever asked, e.g. "language es", or
+   * for admins in the channel or team, e.g. "team language de". "auto", or
+   * e.g. "idioma automático" or "sprache automatisch", clears the setting,
+   * and asking without a language lists them.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleLocaleChange(request) {
+    const scopes = {team: 'team', equipo: 'team', channel: 'channel', canal: 'channel', kanal: 'channel'};
+    const scope = scopes[String(request.match[1] || '').toLowerCase()] || 'user';
+    const language = String(request.match[2] || '').toLowerCase();
+    const reset = LOCALE_RESETS.indexOf(language) !== -1;
+    const locale = reset ? null : this.findLocale(language);
+    const languages = Object.keys(this.locales).map((code) => `${this.locales[code].name} (${code})`).join(', ');
+
+    if (!language) {
+      return Promise.resolve([this.formatReply('localeList', {
+        language: this.locales[request.locale].name,
+        languages
+      }, request.locale)]);
+    }
+
+    if (!reset && !locale) {
+      return Promise.resolve([this.formatReply('localeUnknown', {language, languages}, request.locale)]);
+    }
+
+    const setLocale = {
+      user: () => this.setUserLocale(request.user, locale),
+      channel: () => this.setChannelLocale(request.team, request.channel, locale),
+      team: () => this.setTeamLocale(request.team, locale)
+    }[scope];
+    const change = () => setLocale().then(() => {
+      if (reset) {
+        return [this.formatReply('localeReset', {}, request.locale)];
+      }
+
+      return [this.formatReply(`${scope}LocaleChange`, {language: this.locales[locale].name}, locale)];
+    }, () => [this.formatReply('settingFailure', {}, request.locale)]);
+
+    if (scope === 'user') {
+      return change();
+    }
+
+    return this.forAdmins(request, this.formatReply('localeRefusal', {}, request.locale), change);
+  }
+
+  /**
+   * Gives help when it's been requested, in the request's language.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleHelp(request) {
+    const botUsername = request.slack.getBotName();
+
+    this.recordUsage(request, 'help');
+
+    return this.getSafeMode(request.team, request.channel).then((safeMode) => {
+      const help = this.formatReply('help', {bot: botUsername}, request.locale);
+      const safeModeHelp = this.formatReply(safeMode ? 'safeModeOnHelp' : 'safeModeOffHelp', {bot: botUsername},
+        request.locale);
+
+      return [`${help}\n\n${safeModeHelp}`];
+    });
+  }
+
+  /**
+   * Responds to being thanked.
+   *
+   * @param {Object} request - See createRequest.
+   * @returns {Promise} Replies, see sendReplies.
+   */
+  handleGratitude(request) {
+    this.recordUsage(request, 'thanks');
+
+    return Promise.resolve([this.formatReply('gratitude', {user: request.user}, request.locale)]);
+  }
+
+  /**
+   * Checks whether a message is asking for one of the given intents, making
+   * the pattern's capture groups available as `message.match`. Messages are
+   * classified once, however many handlers ask.
+   *
+   * @param {Array} intentNames
+   * @param {Object} message
+   * @returns {Boolean}
+   */
+  hearsIntent(intentNames, message) {
+    const intent = this.classifyMessage(message);
+
+    if (!intent.intent || intentNames.indexOf(intent.intent) === -1) {
+      return false;
+    }
+
+    message.match = intent.match;
+
+    return true;
+  }
+
+  /**
+   * Classifies a message, once.
+   *
+   * @param {Object} message
+   * @returns {Object} See IntentClassifier#classify.
+   */
+  classifyMessage(message) {
+    if (!message.intent) {
+      message.intent = message.text ?
+        this.intentClassifier.classify(message.text) :
+        {intent: null, confidence: 0, match: null};
+      this.metrics.increment('norrisbot_messages_total', {intent: message.intent.intent || 'none'});
+    }
+
+    return message.intent;
+  }
+
+  /**
+   * Stops a request from going any further when its sender, channel or team
+   * has made too many recently, letting the sender know when they can try
+   * again. Only messages the bot would act on count towards the limits.
+   *
+   * @param {Object} bot - Instance of the bot.
+   * @param {Object} message
+   * @returns {Boolean|undefined} False when the request is over the limit, which stops other handlers hearing it.
+   */
+  enforceRateLimit(bot, message) {
+    if (!this.classifyMessage(message).intent || this.rateLimitExemptChannels[message.channel]) {
+      return undefined;
+    }
+
+    const wait = this.rateLimiter.consume({
+      user: message.user,
+      channel: message.channel,
+      team: this.getTeamId(bot, message)
+    });
+
+    if (wait <= 0) {
+      return undefined;
+    }
+
+    this.logger.info('rateLimited', this.getLogContext(bot, message, {wait}));
+
+    // Only the first request over the limit is answered, so the cool-down replies aren't spam themselves.
+    if (this.rateLimiter.claimNotice(`${message.channel}:${message.user}`, wait)) {
+      this.getLocale(this.createRequest(bot, message)).catch(() => 'en').then((locale) => {
+        bot.reply(message, this.formatReply('rateLimited', {
+          user: message.user,
+          duration: this.formatCountReply('seconds', Math.ceil(wait / 1000), {}, locale)
+        }, locale));
+      });
+    }
+
+    return false;
+  }
+
+  /**
+   * Combines the configured rate limits with the defaults.
+   *
+   * @param {Object} [rateLimits]
+   * @returns {Object}
+   */
+  getRateLimits(rateLimits) {
+    const limits = {user: 5, channel: 10, team: 30};
+
+    Object.keys(rateLimits || {}).forEach((scope) => {
+      if (Number.isFinite(rateLimits[scope])) {
+        limits[scope] = rateLimits[scope];
+      }
+    });
+
+    return limits;
+  }
+
+  /**
+   * Exempts a channel from rate limits, or limits it again.
+   *
+   * @param {String} teamId
+   * @param {String} channelId
+   * @param {Boolean} exempt
+   * @returns {Promise}
+   */
+  setChannelRateLimitExemption(teamId, channelId, exempt) {
+    return this.updateChannelData(channelId, (channelData) => {
+      channelData.team = teamId;
+      channelData.rateLimitExempt = exempt;
+    }).then(() => {
+      if (exempt) {
+        this.rateLimitExemptChannels[channelId] = true;
+      } else {
+        delete this.rateLimitExemptChannels[channelId];
+      }
+    });
+  }
+
+  /**
+   * Refreshes the channels exempt from rate limits and the muted channels
+   * held in memory from storage, as messages are checked against them
+   * without waiting on storage.
+   *
+   * @returns {Promise}
+   */
+  loadChannelSettings() {
+    return this.storage.all('channels').then((channels) => {
+      this.rateLimitExemptChannels = {};
+      this.mutedChannels = {};
+
+      channels.forEach((channel) => {
+        if (channel.rateLimitExempt === true) {
+          this.rateLimitExemptChannels[channel.id] = true;
+        }
+
+        if (channel.mutedUntil) {
+          this.mutedChannels[channel.id] = new Date(channel.mutedUntil).getTime();
+        }
+      });
+    });
+  }
+
+  /**
+   * Mutes the bot in a channel until the given time, or unmutes it.
+   *
+   * @param {String} channelId
+   * @param {Date|null} mutedUntil
+   * @returns {Promise}
+   */
+  setChannelMute(channelId, mutedUntil) {
+    return this.updateChannelData(channelId, (channelData) => {
+      if (mutedUntil) {
+        channelData.mutedUntil = mutedUntil.toISOString();
+      } else {
+        delete channelData.mutedUntil;
+      }
+    }).then(() => {
+      if (mutedUntil) {
+        this.mutedChannels[channelId] = mutedUntil.getTime();
+      } else {
+        delete this.mutedChannels[channelId];
+      }
+    });
+  }
+
+  /**
+   * Checks whether the bot is muted in a channel.
+   *
+   * @param {String} channelId
+   * @returns {Boolean}
+   */
+  isChannelMuted(channelId) {
+    return this.mutedChannels[channelId] > this.now();
+  }
+
+  /**
+   * Spawn an instance of the bot and connects it to Real-time messaging API.
+   *
+   * @returns {Promise}
+   */
+  spawnBotAndStartRTM() {
+    this.bot = this.bot || this.controller.spawn({
+      token: this.slackToken
+    });
+
+    return new Promise((resolve, reject) => {
+      this.bot.startRTM((err, bot, payload) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        this.reconnectAttempts = 0;
+
+        // Button clicks are only handled for teams Botkit has stored.
+        this.controller.saveTeam({id: bot.team_info.id, name: bot.team_info.name}, () => {});
+
+        resolve({bot, payload});
+      });
+    });
+  }
+
+  /**
+   * Reconnects to the Real-time messaging API after a while, waiting twice
+   * as long after each failed attempt, up to a limit. Does nothing when a
+   * reconnect is already scheduled, the bot is stopping or the error is one
+   * reconnecting won't fix.
+   *
+   * @param {*} [err] - Why the connection was lost.
+   */
+  scheduleReconnect(err) {
+    if (this.stopping || this.reconnectTimer) {
+      return;
+    }
+
+    if (FATAL_RTM_ERRORS.indexOf(err) >= 0) {
+      this.logger.error('rtmReconnectAbandoned', {err});
+      return;
+    }
+
+    const attempt = this.reconnectAttempts + 1;
+    const delay = Math.min(this.reconnectDelay.max, this.reconnectDelay.min * Math.pow(2, this.reconnectAttempts));
+
+    this.reconnectAttempts = attempt;
+    this.logger.info('rtmReconnectScheduled', {attempt, delay});
+
+    this.reconnectTimer = setTimeout(() => {
+      // Closing what's left of the old connection while this reconnect is still pending, so it isn't rescheduled.
+      if (this.bot.rtm) {
+        this.bot.closeRTM();
+      }
+
+      this.reconnectTimer = null;
+
+      this.spawnBotAndStartRTM().catch((reconnectErr) => {
+        this.logger.error('rtmReconnectFailed', {attempt, err: reconnectErr});
+        this.scheduleReconnect(reconnectErr);
+      });
+    }, delay);
+  }
+
+  /**
+   * Stops the bot: cancels any pending reconnect, disconnects from Slack,
+   * stops the joke of the day schedules and its servers, then waits for
+   * state still being written, such as ratings and usage, to be saved.
+   *
+   * @returns {Promise}
+   */
+  stop() {
+    this.logger.info('stopping');
+    this.stopping = true;
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.jokeOfTheDayCronJob) {
+      this.jokeOfTheDayCronJob.stop();
+    }
+
+    Object.keys(this.broadcastCronJobs).forEach((scheduleKey) => {
+      this.broadcastCronJobs[scheduleKey].stop();
+    });
+    this.broadcastCronJobs = {};
+
+    if (this.bot) {
+      this.bot.destroy();
+    }
+
+    if (this.beepboop) {
+      Object.keys(this.beepboop.workers).forEach((resourceId) => this.beepboop.removeResource(resourceId));
+    }
+
+    return Promise.all([
+      this.healthServer ? this.healthServer.stop() : null,
+      this.stopWebserver(),
+      this.jokeRatings.updates,
+      this.usageStats.updates
+    ]).then(() => this.storage.flush()).then(() => {
+      this.logger.info('stopped');
+    });
+  }
+
+  /**
+   * Initialises BeepBoop wrapper around our controller to bring multi-team
+   * capabilities to the bot.
+   */
+  startBeepboopWithController() {
+    this.beepboop = BeepBoop.start(this.controller);
+  }
+
+  /**
+   * Determines the bots username.
+   *
+   * @param {Object} bot - Instance of the bot.
+   * @returns {String}
+   */
+  getBotUsername(bot) {
+    return bot.identifyBot().name;
+  }
+
+  /**
+   * Carries out a /norris slash command, e.g. "/norris joke --public".
+   *
+   * @param {Object} bot - Instance of the bot.
+   * @param {Object} message - The slash command.
+   * @returns {Promise} Resolves once the command has been answered.
+   */
+  handleSlashCommand(bot, message) {
+    const words = String(message.text || '').trim().split(/\s+/).filter(Boolean);
+    const flags = words.filter((word) => word.indexOf('--') === 0);
+    const args = words.filter((word) => word.indexOf('--') !== 0);
+    const subcommand = (args.shift() || 'help').toLowerCase();
+    let inChannel = this.slashCommandsInChannel;
+
+    if (flags.indexOf('--public') !== -1) {
+      inChannel = true;
+    } else if (flags.indexOf('--private') !== -1) {
+      inChannel = false;
+    }
+
+    const reply = (text) => (inChannel ? bot.replyPublic(message, text) : bot.replyPrivate(message, text));
+    const replyDelayed = (text) => {
+      return inChannel ? bot.replyPublicDelayed(message, text) : bot.replyPrivateDelayed(message, text);
+    };
+    const request = this.createRequest(bot, message);
+    const teamId = request.team;
+    // Replies fall back to English rather than going unsent when the language can't be looked up.
+    const localePromise = this.getLocale(request).catch(() => 'en');
+    const replyFailure = () => localePromise.then((locale) => reply(this.formatReply('failure', {}, locale)));
+
+    switch (subcommand) {
+      case 'joke': {
+        const category = args[0] ? args[0].toLowerCase() : null;
+
+        return Promise.all([
+          this.getSafeMode(teamId, message.channel),
+          this.getChannelPack(message.channel),
+          localePromise
+        ]).then((settings) => {
+          const categories = this.getCategories(settings[0], settings[1], teamId);
+
+          if (category && categories.indexOf(category) === -1) {
+            reply(this.formatReply('categoryUnknown', {category, categories: categories.join(', ')}, settings[2]));
+            return null;
+          }
+
+          return this.getNextJoke(teamId, message.channel, category, settings[1]).then((joke) => {
+            reply(`>${this.localiseJoke(joke, settings[2]).text}`);
+            this.recordUsage(request, 'joke', {jokeId: joke.id});
+          });
+        }).catch(replyFailure);
+      }
+      case 'today':
+        return Promise.all([this.getSafeMode(teamId, message.channel), localePromise]).then((results) => {
+          const joke = this.getJokeOfTheDay(results[0]);
+          const intro = this.formatReply('jokeOfTheDayIntro', {}, results[1]);
+
+          reply(`${intro}\n>${this.localiseJoke(joke, results[1]).text}`);
+          this.recordUsage(request, 'jokeOfTheDay', {jokeId: joke.id});
+        }).catch(replyFailure);
+      case 'gif':
+        // Finding a GIF can take longer than Slack waits for a response, so the GIF follows separately.
+        bot.replyAcknowledge();
+
+        return this.findGif(request, args.join(' ')).then(
+          (url) => replyDelayed(url),
+          () => localePromise.then((locale) => replyDelayed(this.formatReply('gifFailure', {}, locale)))
+        );
+      case 'search': {
+        const term = args.join(' ');
+
+        if (term.length <= 0) {
+          return localePromise.then((locale) => reply(this.formatReply('slashSearchMissing', {}, locale)));
+        }
+
+        return Promise.all([
+          this.getSafeMode(teamId, message.channel),
+          localePromise,
+          this.getChannelPack(message.channel)
+        ]).then((settings) => {
+          const results = this.searchJokes(term, settings[0], settings[2], teamId);
+
+          if (results.length <= 0) {
+            reply(this.formatReply('searchNotFound', {term}, settings[1]));
+          } else {
+            const joke = this.pickBestSearchResult(results);
+
+            reply(`>${this.localiseJoke(joke, settings[1]).text}`);
+            this.recordUsage(request, 'joke', {jokeId: joke.id});
+          }
+        }).catch(replyFailure);
+      }
+      default:
+        return localePromise.then((locale) => {
+          const visibility = this.formatReply(this.slashCommandsInChannel ? 'slashHelpPublic' : 'slashHelpPrivate',
+            {}, locale);
+
+          bot.replyPrivate(message, this.formatReply('slashHelp', {visibility}, locale));
+        });
+    }
+  }
+
+  /**
+   * Finds the jokes in the pool about a search term, best matches first.
+   *
+   * @param {String} term
+   * @param {Boolean} [safeMode] - Leave out jokes that aren't safe for work.
+   * @param {Object} [pack] - The default pack unless given, see getPack.
+   * @param {String} [teamId] - Whose approved submissions to include, none unless given.
+   * @returns {Array}
+   */
+  searchJokes(term, safeMode, pack, teamId) {
+    return this.jokeSearch.search(term, this.getJokePool(safeMode, pack, teamId));
+  }
+
+  /**
+   * Picks one of the jokes that matched a search equally well at random.
+   *
+   * @param {Array} results - Search results, best matches first.
+   * @returns {Object}
+   */
+  pickBestSearchResult(results) {
+    const bestResults = results.filter((result) => result.score === results[0].score);
+
+    return bestResults[Math.floor(this.random() * bestResults.length)].joke;
+  }
+
+  /**
+   * Gets the next joke in a channel's rotation that can be rewritten to be
+   * about someone, already rewritten with their name. The joke keeps its id,
+   * and says who it's `about` so its translations can be rewritten too, see
+   * localiseJoke. Jokes come from the channel's pack when it has a name to
+   * swap, otherwise from the default pack.
+   *
+   * @param {String} teamId
+   * @param {String} channelId
+   * @param {String} name
+   * @param {Boolean} [safeMode] - Leave out jokes that aren't safe for work.
+   * @returns {Promise}
+   */
+  getNamedJoke(teamId, channelId, name, safeMode) {
+    return this.getChannelPack(channelId).then((channelPack) => {
+      const pack = channelPack.nameTarget ? channelPack : this.defaultPack;
+      const personalise = (joke) => personaliseJoke(joke.text, name, pack.nameTarget);
+      const jokes = this.getJokePool(safeMode, pack, teamId).filter((joke) => personalise(joke) !== null);
+
+      if (jokes.length <= 0) {
+        throw new Error('NorrisBot: No jokes can be told about someone else.');
+      }
+
+      const scope = `${teamId}:${channelId}:named${this.getRotationSuffix(pack)}`;
+
+      return this.jokeRotation.next(scope, jokes).then((joke) => {
+        return Object.assign({}, joke, {text: personalise(joke), about: {name, target: pack.nameTarget}});
+      });
+    });
+  }
+
+  /**
+   * Looks up the name someone goes by in Slack, preferring their display name.
+   * When they can't be looked up, they're mentioned instead, which Slack shows
+   * as their name.
+   *
+   * @param {Object} slack - See createSlackClient.
+   * @param {String} userId
+   * @returns {Promise}
+   */
+  getDisplayName(slack, userId) {
+    return slack.getUser(userId).then((user) => {
+      const profile = user.profile || {};
+
+      return profile.display_name || profile.real_name || user.name || `<@${userId}>`;
+    }, (err) => {
+      this.logger.warn('displayNameLookupFailed', {user: userId, err});
+
+      return `<@${userId}>`;
+    });
+  }
+
+  /**
+   * Checks whether someone has asked not to have their name used in jokes.
+   *
+   * @param {String} userId
+   * @returns {Promise}
+   */
+  isNameOptedOut(userId) {
+    return this.storage.get('userSettings', userId).then((userSettings) => {
+      return Boolean(userSettings && userSettings.nameOptOut);
+    });
+  }
+
+  /**
+   * Opts someone out of, or back in to, having their name used in jokes.
+   *
+   * @param {String} userId
+   * @param {Boolean} optedOut
+   * @returns {Promise}
+   */
+  setNameOptOut(userId, optedOut) {
+    return this.storage.update('userSettings', userId, (userSettings) => {
+      return Object.assign({id: userId}, userSettings, {nameOptOut: optedOut});
+    });
+  }
+
+  /**
+   * Sets the language someone is spoken to in. Null clears their choice.
+   *
+   * @param {String} userId
+   * @param {String|null} locale
+   * @returns {Promise}
+   */
+  setUserLocale(userId, locale) {
+    return this.storage.update('userSettings', userId, (userSettings) => {
+      return Object.assign({id: userId}, userSettings, {locale});
+    });
+  }
+
+  /**
+   * Creates the replies that tell a joke in the request's language, marking
+   * the joke so it's remembered against the message it's posted in and can
+   * be rated.
+   *
+   * @param {Object} request - See createRequest.
+   * @param {Object} joke
+   * @param {String} [usageType] - What to record the joke as in the usage stats.
+   * @returns {Array}
+   */
+  createJokeReplies(request, joke, usageType = 'joke') {
+    const acknowledgement = request.user ?
+      [this.formatReply('acknowledgement', {user: request.user}, request.locale)] :
+      [];
+
+    const jokeMessage = this.createJokeMessage(this.localiseJoke(joke, request.locale), null, request.locale);
+
+    this.recordUsage(request, usageType, {jokeId: joke.id});
+
+    return acknowledgement.concat(Object.assign(jokeMessage, {joke}));
+  }
+
+  /**
+   * Fills in a reply template in a language, see locales/index.js, falling
+   * back to English when it isn't translated. A user is mentioned by ID and
+   * the bot by name.
+   *
+   * @param {String} name - e.g. "salutation".
+   * @param {Object} [values] - e.g. `{user: 'U1'}`.
+   * @param {String} [locale] - e.g. "es", English by default.
+   * @returns {String}
+   */
+  formatReply(name, values = {}, locale = 'en') {
+    const replies = (this.locales[locale] || this.locales.en).replies;
+    const template = replies[name] || this.locales.en.replies[name];
+
+    return template.replace(/( ?)\{(\w+)\}/g, (placeholder, space, key) => {
+      if (values[key] === undefined || values[key] === null || values[key] === '') {
+        return '';
+      }
+
+      return `${space}${key === 'user' || key === 'bot' ? `<@${values[key]}>` : values[key]}`;
+    });
+  }
+
+  /**
+   * Fills in a reply template about a number of things, using its "One"
+   * variant, e.g. "hoursOne" rather than "hours", when there is just one.
+   *
+   * @param {String} name - e.g. "hours".
+   * @param {Number} count
+   * @param {Object} [values] - More values to fill in besides the `count`.
+   * @param {String} [locale] - e.g. "es", English by default.
+   * @returns {String}
+   */
+  formatCountReply(name, count, values = {}, locale = 'en') {
+    return this.formatReply(count === 1 ? `${name}One` : name, Object.assign({count}, values), locale);
+  }
+
+  /**
+   * Adds phrases to the patterns of the intents they trigger. Phrases match
+   * whole words, anywhere in a message and regardless of case.
+   *
+   * @param {Array} intentList - Intent definitions, see intents.js.
+   * @param {Object} [phrases] - Lists of phrases keyed by intent name.
+   * @returns {Array}
+   */
+  addPhrases(intentList, phrases) {
+    return intentList.map((intent) => {
+      const intentPhrases = (phrases && phrases[intent.name]) || [];
+
+      if (intentPhrases.length <= 0) {
+        return intent;
+      }
+
+      return Object.assign({}, intent, {
+        patterns: (intent.patterns || []).concat(intentPhrases.map((phrase) => this.createPhrasePattern(phrase)))
+      });
+    });
+  }
+
+  /**
+   * Creates the pattern a trigger phrase is recognised by, matching whole
+   * words anywhere in a message.
+   *
+   * @param {String} phrase - e.g. "gimme a joke".
+   * @returns {String}
+   */
+  createPhrasePattern(phrase) {
+    const escapedPhrase = phrase.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    return `(?:^|\\W)${escapedPhrase}(?:\\W|$)`;
+  }
+
+  /**
+   * Validates the languages the bot speaks, rewording their replies with
+   * those from the config.
+   *
+   * @param {Object} bundles - Locales keyed by code, see locales/index.js.
+   * @param {Object} [replies] - Templates rewording replies, keyed by language code and then by name.
+   * @returns {Object}
+   */
+  createLocales(bundles, replies) {
+    if (!bundles.en) {
+      throw new Error('NorrisBot: Missing the English locale.');
+    }
+
+    return Object.keys(bundles).reduce((created, code) => {
+      const bundle = bundles[code];
+
+      created[code] = {
+        name: bundle.name || code,
+        aliases: bundle.aliases || [],
+        replies: Object.assign({}, bundle.replies, (replies || {})[code]),
+        phrases: bundle.phrases || {},
+        jokes: bundle.jokes || {}
+      };
+
+      return created;
+    }, {});
+  }
+
+  /**
+   * Recognises intents by the patterns and keywords in intents.js, along with
+   * the extra phrases of every language, joke pack and the config.
+   *
+   * @param {Number} [threshold] - Lowest keyword score accepted, from 0 to 1.
+   * @returns {IntentClassifier}
+   */
+  createIntentClassifier(threshold) {
+    return new IntentClassifier({intents: this.addPhrases(intents, this.getPhrases()), threshold});
+  }
+
+  /**
+   * Gathers the extra trigger phrases of every language, as people can ask in
+   * any language whatever they're spoken to in, along with those of the joke
+   * packs and the config.
+   *
+   * @returns {Object} Lists of phrases keyed by intent name.
+   */
+  getPhrases() {
+    const phraseMaps = Object.keys(this.locales).map((code) => this.locales[code].phrases).concat(
+      {packJoke: this.getPacks().reduce((phrases, pack) => phrases.concat(pack.phrases), [])},
+      this.configPhrases
+    );
+
+    return phraseMaps.reduce((merged, phraseMap) => {
+      Object.keys(phraseMap).forEach((intentName) => {
+        merged[intentName] = (merged[intentName] || []).concat(phraseMap[intentName]);
+      });
+
+      return merged;
+    }, {});
+  }
+
+  /**
+   * Works out which language to speak to someone: the one they chose, or
+   * failing that the channel's, the team's, then the one their Slack is set
+   * to. English when there's nothing to go on.
+   *
+   * @param {Object} request - See createRequest. Only the `team` and `channel` are needed when there's no user.
+   * @returns {Promise}
+   */
+  getLocale(request) {
+    const getSettings = (type, id) => (id ? this.storage.get(type, id) : Promise.resolve(null));
+
+    return Promise.all([
+      getSettings('userSettings', request.user),
+      getSettings('channels', request.channel),
+      getSettings('teamSettings', request.team)
+    ]).then((results) => {
+      const chosen = results.filter((settings) => settings && this.locales.hasOwnProperty(settings.locale))[0];
+
+      if (chosen) {
+        return chosen.locale;
+      }
+
+      return (request.user && request.slack) ? this.getSlackLocale(request.slack, request.user) : 'en';
+    }).catch((err) => {
+      this.logger.warn('localeLookupFailed', this.getRequestLogContext(request, {err}));
+
+      return 'en';
+    });
+  }
+
+  /**
+   * Gets the language someone's Slack is set to, e.g. "es" for "es-ES", if
+   * the bot speaks it. Looked up at most every 10 minutes.
+   *
+   * @param {Object} slack - See createSlackClient.
+   * @param {String} userId
+   * @returns {Promise}
+   */
+  getSlackLocale(slack, userId) {
+    const cached = this.userLocaleCache[userId];
+
+    if (cached && cached.checkedAt > this.now() - (10 * 60 * 1000)) {
+      return Promise.resolve(cached.locale);
+    }
+
+    return slack.getUser(userId).then((user) => {
+      const code = String(user.locale || '').split('-')[0].toLowerCase();
+      const locale = this.locales.hasOwnProperty(code) ? code : 'en';
+
+      this.userLocaleCache[userId] = {locale, checkedAt: this.now()};
+
+      return locale;
+    }, (err) => {
+      this.logger.warn('userLocaleLookupFailed', {user: userId, err});
+
+      return 'en';
+    });
+  }
+
+  /**
+   * Finds the language someone asked for by its code, name or an alias,
+   * e.g. "es", "Español" or "spanish".
+   *
+   * @param {String} language
+   * @returns {String|null} The locale's code.
+   */
+  findLocale(language) {
+    const wanted = language.toLowerCase();
+
+    return Object.keys(this.locales).filter((code) => {
+      const locale = this.locales[code];
+
+      return code === wanted || locale.name.toLowerCase() === wanted || locale.aliases.indexOf(wanted) !== -1;
+    })[0] || null;
+  }
+
+  /**
+   * Swaps a joke's text for its translation, keeping its id, when there is
+   * one in the given language. Jokes about someone, see getNamedJoke, have
+   * their translation rewritten with that person's name too, or stay in
+   * English when it can't be, e.g. as possessives such as "Chuck Norris'"
+   * are only rewritten the English way.
+   *
+   * @param {Object} joke
+   * @param {String} locale
+   * @returns {Object}
+   */
+  localiseJoke(joke, locale) {
+    const translations = (this.locales[locale] || this.locales.en).jokes;
+
+    if (!translations.hasOwnProperty(joke.id)) {
+      return joke;
+    }
+
+    if (!joke.about) {
+      return Object.assign({}, joke, {text: translations[joke.id]});
+    }
+
+    const translation = translations[joke.id];
+    const text = (translation.indexOf(`${joke.about.target}'`) === -1)
+      && personaliseJoke(translation, joke.about.name, joke.about.target);
+
+    return text ? Object.assign({}, joke, {text}) : joke;
+  }
+
+  /**
+   * Creates the message a joke is posted as. When the bot can receive button
+   * clicks the joke comes with buttons for another joke, a GIF and rating it.
+   *
+   * @param {Object} joke
+   * @param {String} [intro] - Text to show above the joke.
+   * @param {String} [locale] - The language of the buttons, English by default.
+   * @returns {Object}
+   */
+  createJokeMessage(joke, intro, locale = 'en') {
+    if (!this.port) {
+      return {text: intro ? `${intro}\n>${joke.text}` : `>${joke.text}`};
+    }
+
+    return {
+      text: intro || '',
+      attachments: [{
+        fallback: joke.text,
+        text: joke.text,
+        'callback_id': 'joke',
+        'attachment_type': 'default',
+        actions: [
+          {name: 'another', text: this.formatReply('anotherJokeButton', {}, locale), type: 'button', value: 'another'},
+          {name: 'gif', text: this.formatReply('gifButton', {}, locale), type: 'button', value: 'gif'},
+          {name: 'rate', text: '👍', type: 'button', value: 'up'},
+          {name: 'rate', text: '👎', type: 'button', value: 'down'}
+        ]
+      }]
+    };
+  }
+
+  /**
+   * Carries out a click on one of the buttons attached to a joke.
+   *
+   * @param {Object} bot - Instance of the bot.
+   * @param {Object} message - The interactive message action.
+   * @returns {Promise} Resolves once the click has been answered.
+   */
+  handleJokeAction(bot, message) {
+    const action = message.actions[0] || {};
+    const request = this.createRequest(bot, message);
+    // Replies fall back to English rather than going unsent when the language can't be looked up.
+    const localePromise = this.getLocale(request).catch(() => 'en');
+    const replyAlongside = (text) => {
+      bot.replyInteractive(message, {text, 'response_type': 'in_channel', 'replace_original': false});
+    };
+
+    switch (action.name) {
+      case 'another':
+        // Swap the joke in place rather than posting another message.
+        return Promise.all([
+          this.getNextJoke(request.team, message.channel),
+          localePromise
+        ]).then((results) => {
+          const joke = results[0];
+          const original = message.original_message || {};
+          const jokeMessage = this.createJokeMessage(this.localiseJoke(joke, results[1]), original.text, results[1]);
+
+          bot.replyInteractive(message, jokeMessage);
+          this.recordUsage(request, 'joke', {jokeId: joke.id});
+
+          return this.jokeRatings.recordTold(message.channel, message.message_ts, joke);
+        }).catch((err) => {
+          this.logger.error('jokeActionFailed', this.getLogContext(bot, message, {err}));
+        });
+      case 'gif':
+        return this.findGif(request).then(
+          (url) => replyAlongside(url),
+          () => localePromise.then((locale) => replyAlongside(this.formatReply('gifFailure', {}, locale)))
+        );
+      case 'rate':
+        return this.jokeRatings.getToldJoke(message.channel, message.message_ts).then((joke) => {
+          if (!joke) {
+            return null;
+          }
+
+          return Promise.all([
+            this.jokeRatings.rate(joke, message.user, action.value === 'up' ? 5 : 1),
+            localePromise
+          ]).then((results) => {
+            const rating = this.formatRating(results[0], results[1]);
+
+            bot.replyInteractive(message, {
+              text: this.formatReply('ratingThanks', {user: message.user, rating}, results[1]),
+              'response_type': 'ephemeral',
+              'replace_original': false
+            });
+          });
+        }).catch((err) => {
+          this.logger.error('jokeActionFailed', this.getLogContext(bot, message, {err}));
+        });
+      default:
+        return Promise.resolve();
+    }
+  }
+
+  /**
+   * Converts a reaction into a rating, or null if it isn't a 👍/👎.
+   *
+   * @param {String} reaction - Reaction name, e.g. "+1::skin-tone-2".
+   * @returns {Number|null}
+   */
+  getReactionScore(reaction) {
+    const name = String(reaction || '').split('::')[0];
+
+    if (name === '+1' || name === 'thumbsup') {
+      return 5;
+    }
+
+    if (name === '-1' || name === 'thumbsdown') {
+      return 1;
+    }
+
+    return null;
+  }
+
+  /**
+   * Describes a joke's rating for use in replies, e.g. "4.5/5 from 2 ratings".
+   *
+   * @param {Object} summary
+   * @param {String} [locale] - e.g. "es", English by default.
+   * @returns {String}
+   */
+  formatRating(summary, locale = 'en') {
+    return this.formatCountReply('rating', summary.count, {average: summary.average.toFixed(1)}, locale);
+  }
+
+  /**
+   * Determines whether a user is one of the bot's configured admins, who
+   * may also do things that affect every team.
+   *
+   * @param {String} userId
+   * @returns {Boolean}
+   */
+  isBotAdmin(userId) {
+    return this.admins.indexOf(userId) !== -1;
+  }
+
+  /**
+   * Determines whether a user may moderate their team's submitted jokes and
+   * control the bot in their team, either as a configured admin or, when
+   * enabled, as a Slack workspace admin or owner. Workspace roles are looked
+   * up at most every 10 minutes.
+   *
+   * @param {Object} slack - See createSlackClient.
+   * @param {String} userId
+   * @returns {Promise}
+   */
+  isAdmin(slack, userId) {
+    if (this.isBotAdmin(userId)) {
+      return Promise.resolve(true);
+    }
+
+    if (!this.workspaceAdmins || !userId) {
+      return Promise.resolve(false);
+    }
+
+    const cached = this.workspaceAdminCache[userId];
+
+    if (cached && cached.checkedAt > this.now() - (10 * 60 * 1000)) {
+      return Promise.resolve(cached.isAdmin);
+    }
+
+    return slack.getUser(userId).then((user) => {
+      const isAdmin = user.is_admin === true || user.is_owner === true;
+
+      this.workspaceAdminCache[userId] = {isAdmin, checkedAt: this.now()};
+
+      return isAdmin;
+    }, (err) => {
+      this.logger.warn('workspaceAdminLookupFailed', {user: userId, err});
+
+      return false;
+    });
+  }
+
+  /**
+   * Determines the Slack team a message was sent from.
+   *
+   * @param {Object} bot - Instance of the bot.
+   * @param {Object} message
+   * @returns {String}
+   */
+  getTeamId(bot, message) {
+    // Interactive message actions describe the team as an object.
+    if (message.team && message.team.id) {
+      return message.team.id;
+    }
+
+    return message.team || message.team_id || bot.identifyTeam();
+  }
+
+  /**
+   * Finds the bot connected to a given team. In single token mode there is
+   * only one bot, whereas BeepBoop keeps a worker per team.
+   *
+   * @param {String} teamId
+   * @returns {Object|null}
+   */
+  getBotForTeam(teamId) {
+    if (this.beepboop) {
+      return this.beepboop.botByTeamId(teamId);
+    }
+
+    return this.bot;
+  }
+
+  /**
+   * Loads the stored data for a channel, defaulting to an empty record.
+   *
+   * @param {String} channelId
+   * @returns {Promise}
+   */
+  getChannelData(channelId) {
+    return this.storage.get('channels', channelId).then((channelData) => channelData || {id: channelId});
+  }
+
+  /**
+   * Changes the stored data for a channel, one change at a time so settings
+   * changed together aren't lost.
+   *
+   * @param {String} channelId
+   * @param {Function} change - Changes the channel's data in place.
+   * @returns {Promise}
+   */
+  updateChannelData(channelId, change) {
+    return this.storage.update('channels', channelId, (channelData) => {
+      const updatedChannelData = channelData || {id: channelId};
+
+      change(updatedChannelData);
+
+      return updatedChannelData;
+    });
+  }
+
+  /**
+   * Subscribes or unsubscribes a channel from the joke of the day broadcast.
+   *
+   * @param {String} teamId
+   * @param {String} channelId
+   * @param {Boolean} subscribed
+   * @returns {Promise}
+   */
+  setChannelSubscription(teamId, channelId, subscribed) {
+    return this.updateChannelData(channelId, (channelData) => {
+      channelData.team = teamId;
+      channelData.jokeOfTheDaySubscribed = subscribed;
+    });
+  }
+
+  /**
+   * Sets the time a channel gets the joke of the day, subscribing it if it
+   * wasn't already.
+   *
+   * @param {String} teamId
+   * @param {String} channelId
+   * @param {Object} schedule
+   * @returns {Promise}
+   */
+  setChannelSchedule(teamId, channelId, schedule) {
+    return this.updateChannelData(channelId, (channelData) => {
+      channelData.team = teamId;
+      channelData.jokeOfTheDaySubscribed = true;
+      channelData.jokeOfTheDaySchedule = schedule;
+    });
+  }
+
+  /**
+   * Turns safe mode on or off for a channel. Null clears the channel's own
+   * setting so it follows the team's policy.
+   *
+   * @param {String} teamId
+   * @param {String} channelId
+   * @param {Boolean|null} safeMode
+   * @returns {Promise}
+   */
+  setChannelSafeMode(teamId, channelId, safeMode) {
+    return this.updateChannelData(channelId, (channelData) => {
+      channelData.team = teamId;
+
+      if (safeMode === null) {
+        delete channelData.safeMode;
+      } else {
+        channelData.safeMode = safeMode;
+      }
+    });
+  }
+
+  /**
+   * Turns safe mode on or off for every channel in a team that hasn't got a
+   * setting of its own. Kept apart from the team records Botkit manages, as
+   * those get overwritten whenever the bot connects.
+   *
+   * @param {String} teamId
+   * @param {Boolean} safeMode
+   * @returns {Promise}
+   */
+  setTeamSafeMode(teamId, safeMode) {
+    return this.storage.update('teamSettings', teamId, (teamSettings) => {
+      return Object.assign({id: teamId}, teamSettings, {safeMode});
+    });
+  }
+
+  /**
+   * Sets the language spoken in a channel to anyone who hasn't chosen their
+   * own. Null clears the channel's setting so it follows the team's.
+   *
+   * @param {String} teamId
+   * @param {String} channelId
+   * @param {String|null} locale
+   * @returns {Promise}
+   */
+  setChannelLocale(teamId, channelId, locale) {
+    return this.updateChannelData(channelId, (channelData) => {
+      channelData.team = teamId;
+      channelData.locale = locale;
+    });
+  }
+
+  /**
+   * Sets the language spoken in a team's channels that haven't got a setting
+   * of their own, to anyone who hasn't chosen their own.
+   *
+   * @param {String} teamId
+   * @param {String|null} locale
+   * @returns {Promise}
+   */
+  setTeamLocale(teamId, locale) {
+    return this.storage.update('teamSettings', teamId, (teamSettings) => {
+      return Object.assign({id: teamId}, teamSettings, {locale});
+    });
+  }
+
+  /**
+   * Works out whether a channel is in safe mode, from its own setting or
+   * failing that the team's policy.
+   *
+   * @param {String} teamId
+   * @param {String} channelId
+   * @returns {Promise}
+   */
+  getSafeMode(teamId, channelId) {
+    return Promise.all([
+      this.getChannelData(channelId),
+      teamId ? this.storage.get('teamSettings', teamId) : Promise.resolve(null)
+    ]).then((results) => {
+      const channelData = results[0];
+      const teamSettings = results[1] || {};
+
+      if (typeof channelData.safeMode === 'boolean') {
+        return channelData.safeMode;
+      }
+
+      return teamSettings.safeMode === true;
+    }).catch((err) => {
+      this.logger.warn('safeModeLookupFailed', {team: teamId, channel: channelId, err});
+
+      return true;
+    });
+  }
+
+  /**
+   * Checks that a joke has none of the tags that keep it out of safe mode.
+   *
+   * @param {Object} joke
+   * @returns {Boolean}
+   */
+  isSafeJoke(joke) {
+    return joke.tags.every((tag) => this.unsafeTags.indexOf(tag) === -1);
+  }
+
+  /**
+   * Gets the schedule a channel receives the joke of the day on.
+   *
+   * @param {Object} channelData
+   * @returns {Object}
+   */
+  getChannelSchedule(channelData) {
+    return channelData.jokeOfTheDaySchedule || this.jokeOfTheDaySchedule;
+  }
+
+  /**
+   * Sets the highest content rating of GIFs shown in a channel.
+   *
+   * @param {String} teamId
+   * @param {String} channelId
+   * @param {String} rating - "g", "pg" or "pg-13".
+   * @returns {Promise}
+   */
+  setChannelGifRating(teamId, channelId, rating) {
+    return this.updateChannelData(channelId, (channelData) => {
+      channelData.team = teamId;
+      channelData.gifRating = rating;
+    });
+  }
+
+  /**
+   * Gets the highest content rating of GIFs shown in a channel.
+   *
+   * @param {Object} channelData
+   * @returns {String}
+   */
+  getChannelGifRating(channelData) {
+    return channelData.gifRating || 'pg-13';
+  }
+
+  /**
+   * Finds a Chuck Norris GIF for the channel a request came from, optionally
+   * about something in particular, within the channel's content rating and
+   * avoiding the GIFs it was shown recently.
+   *
+   * @param {Object} request - See createRequest.
+   * @param {String} [topic] - e.g. "kicking" or "walker texas ranger".
+   * @returns {Promise}
+   */
+  findGif(request, topic) {
+    const channelId = request.channel;
+    const words = String(topic || '').replace(/\bplease\b/gi, '').trim();
+    const recentUrls = this.recentGifs[channelId] || [];
+
+    return this.getChannelData(channelId).then((channelData) => {
+      const gifSearchTerm = this.getPack(channelData.pack).gifSearchTerm;
+
+      return this.gifProvider.getGif(words ? `${gifSearchTerm} ${words}` : gifSearchTerm, {
+        rating: this.getChannelGifRating(channelData),
+        excludeUrls: recentUrls
+      });
+    }).then((url) => {
+      this.recentGifs[channelId] = recentUrls.concat(url).slice(-10);
+      this.recordUsage(request, 'gif', {success: true});
+
+      return url;
+    }, (err) => {
+      this.logger.warn('gifNotFound', this.getRequestLogContext(request, {topic: words, err}));
+      this.recordUsage(request, 'gif', {success: false});
+      throw err;
+    });
+  }
+
+  /**
+   * Describes who and where a message came from for the logs, and how long
+   * ago it arrived.
+   *
+   * @param {Object} bot - Instance of the bot.
+   * @param {Object} message
+   * @param {Object} [context] - More to log, e.g. an `err`.
+   * @returns {Object}
+   */
+  getLogContext(bot, message, context) {
+    return this.getRequestLogContext(this.createRequest(bot, message), context);
+  }
+
+  /**
+   * Describes who and where a request came from for the logs, and how long
+   * ago it arrived.
+   *
+   * @param {Object} request - See createRequest.
+   * @param {Object} [context] - More to log, e.g. an `err`.
+   * @returns {Object}
+   */
+  getRequestLogContext(request, context) {
+    return Object.assign({
+      team: request.team,
+      channel: request.channel,
+      user: request.user,
+      latency: request.receivedAt ? this.now() - request.receivedAt : undefined
+    }, context);
+  }
+
+  /**
+   * Records that someone used the bot, for the usage stats.
+   *
+   * @param {Object} request - See createRequest.
+   * @param {String} type - e.g. "joke", "gif" or "help".
+   * @param {Object} [details] - e.g. the `jokeId` told.
+   */
+  recordUsage(request, type, details) {
+    this.usageStats.record(Object.assign({
+      type,
+      user: request.user,
+      channel: request.channel,
+      team: request.team
+    }, details)).catch((err) => {
+      this.logger.error('usageRecordFailed', this.getRequestLogContext(request, {err}));
+    });
+  }
+
+  /**
+   * Describes a team's usage over a number of days: requests of each kind,
+   * the top requesters, the most told jokes and how often GIFs were found.
+   *
+   * @param {Number} days
+   * @param {String} teamId
+   * @param {String} [locale] - e.g. "es", English by default.
+   * @returns {Promise}
+   */
+  formatUsageStats(days, teamId, locale = 'en') {
+    const from = this.usageStats.getDaysAgo(days - 1);
+    const to = this.usageStats.getDaysAgo(0);
+
+    return this.usageStats.getEvents(from, to, teamId).then((events) => {
+      const stats = this.usageStats.summarise(events);
+      const jokes = this.getPacks().reduce((pool, pack) => pool.concat(this.getJokePool(false, pack, teamId)), []);
+      const findJoke = (jokeId) => jokes.filter((joke) => joke.id === jokeId)[0];
+
+      if (stats.total <= 0) {
+        return this.formatReply('usageStatsEmpty', {days}, locale);
+      }
+
+      const gifs = (stats.gifs.requested > 0) ? this.formatReply('usageStatsGifs', {
+        percent: Math.round((stats.gifs.found / stats.gifs.requested) * 100),
+        requested: stats.gifs.requested
+      }, locale) : this.formatReply('usageStatsNoGifs', {}, locale);
+
+      return this.formatReply('usageStats', {
+        days,
+        total: stats.total,
+        types: Object.keys(stats.types).sort().map((type) => `${type}: ${stats.types[type]}`).join(', '),
+        users: stats.topUsers.map((user, index) => `${index + 1}. <@${user.id}> (${user.count})`).join('\n'),
+        jokes: stats.topJokes.map((told, index) => {
+          const joke = findJoke(told.id);
+
+          return `${index + 1}. ${joke ? this.localiseJoke(joke, locale).text : told.id} (${told.count})`;
+        }).join('\n') || this.formatReply('usageStatsNoJokes', {}, locale),
+        gifs
+      }, locale);
+    });
+  }
+
+  /**
+   * Checks a requested schedule, returning a reply explaining what is wrong
+   * with it or null when it is usable.
+   *
+   * @param {Object} schedule
+   * @param {String} [locale] - The language of the reply, English by default.
+   * @returns {String|null}
+   */
+  validateSchedule(schedule, locale = 'en') {
+    if (schedule.hour > 23 || schedule.minute > 59) {
+      return this.formatReply('scheduleInvalidTime', {}, locale);
+    }
+
+    try {
+      cronTime(this.getCronTime(schedule), schedule.timeZone);
+    } catch (err) {
+      return this.formatReply('scheduleUnknownTimeZone', {timeZone: schedule.timeZone}, locale);
+    }
+
+    return null;
+  }
+
+  /**
+   * Converts a schedule into the cron expression for its daily tick.
+   *
+   * @param {Object} schedule
+   * @returns {String}
+   */
+  getCronTime(schedule) {
+    return `0 ${schedule.minute} ${schedule.hour} * * *`;
+  }
+
+  /**
+   * Gets a key which is shared by every channel on the same schedule.
+   *
+   * @param {Object} schedule
+   * @returns {String}
+   */
+  getScheduleKey(schedule) {
+    return `${this.getCronTime(schedule)} ${schedule.timeZone || ''}`.trim();
+  }
+
+  /**
+   * Describes a schedule for use in replies, e.g. "09:30 Australia/Sydney".
+   *
+   * @param {Object} schedule
+   * @param {String} [locale] - e.g. "es", English by default.
+   * @returns {String}
+   */
+  formatSchedule(schedule, locale = 'en') {
+    const pad = (value) => (value < 10 ? `0${value}` : `${value}`);
+    const timeZone = schedule.timeZone || this.formatReply('serverTime', {}, locale);
+
+    return `${pad(schedule.hour)}:${pad(schedule.minute)} ${timeZone}`;
+  }
+
+  /**
+   * Gets every channel subscribed to the joke of the day, optionally limited
+   * to a single team.
+   *
+   * @param {String} [teamId]
+   * @returns {Promise}
+   */
+  getSubscribedChannels(teamId) {
+    return this.storage.all('channels').then((channels) => {
+      return channels.filter((channel) => {
+        return channel.jokeOfTheDaySubscribed === true && (!teamId || channel.team === teamId);
+      });
+    });
+  }
+
+  /**
+   * Posts the joke of the day into every subscribed channel on a schedule,
+   * in the channel's language, using the bot connected to the team each
+   * channel belongs to. Channels' joke packs don't apply, as there's one
+   * joke of the day, from the default pack, for every channel.
+   *
+   * @param {String} scheduleKey
+   * @returns {Promise}
+   */
+  broadcastJokeOfTheDay(scheduleKey) {
+    return this.getSubscribedChannels().then((channels) => {
+      channels.filter((channel) => {
+        const onSchedule = this.getScheduleKey(this.getChannelSchedule(channel)) === scheduleKey;
+
+        return onSchedule && !this.isChannelMuted(channel.id);
+      }).forEach((channel) => {
+        const bot = this.getBotForTeam(channel.team);
+
+        if (!bot) {
+          return;
+        }
+
+        Promise.all([
+          this.getSafeMode(channel.team, channel.id),
+          this.getLocale({team: channel.team, channel: channel.id})
+        ]).then((results) => {
+          const joke = this.getJokeOfTheDay(results[0]);
+          const jokeMessage = this.createJokeMessage(
+            this.localiseJoke(joke, results[1]),
+            this.formatReply('jokeOfTheDayIntro', {}, results[1]),
+            results[1]
+          );
+
+          bot.say(Object.assign({channel: channel.id}, jokeMessage), (err, response) => {
+            if (!err && response && response.ts) {
+              this.jokeRatings.recordTold(channel.id, response.ts, joke).catch((recordErr) => {
+                this.logger.error('toldJokeRecordFailed', {team: channel.team, channel: channel.id, err: recordErr});
+              });
+            }
+          });
+        }).catch((err) => {
+          this.logger.error('broadcastFailed', {team: channel.team, channel: channel.id, err});
+        });
+      });
+    });
+  }
+
+  /**
+   * Picks a new joke of the day and shares it with subscribed channels that
+   * are on the default schedule.
+   */
+  onJokeOfTheDayTick() {
+    this.logger.info('jokeOfTheDayTick');
+
+    this.setJokeOfTheDay().then(() => {
+      return this.broadcastJokeOfTheDay(this.getScheduleKey(this.jokeOfTheDaySchedule));
+    }).catch((err) => {
+      this.logger.error('jokeOfTheDayBroadcastFailed', {err});
+    });
+  }
+
+  /**
+   * Schedules "Joke of the Day" logic to run at 3pm every single day.
+   */
+  scheduleJokeOfTheDay() {
+    this.jokeOfTheDayCronJob = new CronJob({
+      cronTime: this.getCronTime(this.jokeOfTheDaySchedule),
+      timeZone: this.jokeOfTheDaySchedule.timeZone,
+      onTick: this.onJokeOfTheDayTick,
+      start: true,
+      context: this
+    });
+  }
+
+  /**
+   * Ensures there is exactly one running cron job for every custom schedule
+   * that subscribed channels are on, stopping jobs nobody uses anymore. The
+   * default schedule is served by the joke of the day cron job itself.
+   *
+   * @returns {Promise}
+   */
+  syncBroadcastCronJobs() {
+    const defaultScheduleKey = this.getScheduleKey(this.jokeOfTheDaySchedule);
+
+    return this.getSubscribedChannels().then((channels) => {
+      const schedules = {};
+
+      channels.forEach((channel) => {
+        const schedule = this.getChannelSchedule(channel);
+        const scheduleKey = this.getScheduleKey(schedule);
+
+        if (scheduleKey !== defaultScheduleKey) {
+          schedules[scheduleKey] = schedule;
+        }
+      });
+
+      Object.keys(this.broadcastCronJobs).forEach((scheduleKey) => {
+        if (!schedules[scheduleKey]) {
+          this.broadcastCronJobs[scheduleKey].stop();
+          delete this.broadcastCronJobs[scheduleKey];
+        }
+      });
+
+      Object.keys(schedules).forEach((scheduleKey) => {
+        if (!this.broadcastCronJobs[scheduleKey]) {
+          this.broadcastCronJobs[scheduleKey] = this.createBroadcastCronJob(schedules[scheduleKey]);
+        }
+      });
+    });
+  }
+
+  /**
+   * Creates a cron job which posts the joke of the day to every channel on
+   * the given schedule.
+   *
+   * @param {Object} schedule
+   * @returns {CronJob}
+   */
+  createBroadcastCronJob(schedule) {
+    const scheduleKey = this.getScheduleKey(schedule);
+
+    return new CronJob({
+      cronTime: this.getCronTime(schedule),
+      timeZone: schedule.timeZone,
+      onTick: () => {
+        this.logger.info('jokeOfTheDayBroadcast', {schedule: scheduleKey});
+
+        this.broadcastJokeOfTheDay(scheduleKey).catch((err) => {
+          this.logger.error('jokeOfTheDayBroadcastFailed', {schedule: scheduleKey, err});
+        });
+      },
+      start: true
+    });
+  }
+
+  /**
+   * Sets the bots 'Joke of the Day' to the next joke in its own rotation,
+   * avoiding anything recently told as a random joke, and stores it. When
+   * that joke isn't safe for work, a safe one is picked for channels in safe
+   * mode too.
+   *
+   * @returns {Promise}
+   */
+  setJokeOfTheDay() {
+    let recentJokeIds;
+
+    return this.jokeRotation.getRecentJokeIds().then((jokeIds) => {
+      recentJokeIds = jokeIds;
+
+      return this.jokeRotation.next('jokeOfTheDay', this.getJokePool(), recentJokeIds);
+    }).then((joke) => {
+      this.jokeOfTheDay = joke;
+      this.jokeOfTheDayPickedAt = new Date(this.now());
+
+      return this.isSafeJoke(joke) ? null : this.pickSafeJokeOfTheDay(recentJokeIds);
+    }).then((safeJoke) => {
+      this.safeJokeOfTheDay = safeJoke;
+
+      return this.storage.save('state', {
+        id: 'jokeOfTheDay',
+        joke: this.jokeOfTheDay,
+        safeJoke: this.safeJokeOfTheDay,
+        pickedAt: this.jokeOfTheDayPickedAt.toISOString()
+      });
+    }).catch((err) => {
+      this.logger.error('jokeOfTheDaySaveFailed', {err});
+    });
+  }
+
+  /**
+   * Restores the stored joke of the day if it was picked since the last
+   * scheduled tick, so restarting the bot doesn't change it mid-day.
+   * Otherwise a new joke of the day is picked.
+   *
+   * @returns {Promise}
+   */
+  restoreJokeOfTheDay() {
+    return this.storage.get('state', 'jokeOfTheDay').then((state) => {
+      const schedule = this.jokeOfTheDaySchedule;
+      const nextTick = cronTime(this.getCronTime(schedule), schedule.timeZone).sendAt();
+      const lastTick = nextTick.valueOf() - (24 * 60 * 60 * 1000);
+      const pickedAt = state ? new Date(state.pickedAt) : null;
+      const storedJokeId = state ? createJoke(state.joke).id : null;
+      const storedSafeJokeId = (state && state.safeJoke) ? createJoke(state.safeJoke).id : null;
+      const joke = this.getJokePool().filter((poolJoke) => poolJoke.id === storedJokeId)[0];
+      const safeJoke = this.getJokePool(true).filter((poolJoke) => poolJoke.id === storedSafeJokeId)[0];
+
+      if (!pickedAt || pickedAt.getTime() < lastTick || !joke) {
+        return this.setJokeOfTheDay();
+      }
+
+      this.jokeOfTheDay = joke;
+      this.jokeOfTheDayPickedAt = pickedAt;
+
+      if (this.isSafeJoke(joke) || safeJoke) {
+        this.safeJokeOfTheDay = safeJoke || null;
+        return null;
+      }
+
+      // The unsafe tags have changed since the joke was picked, so it needs a safe alternative now.
+      return this.jokeRotation.getRecentJokeIds().then((recentJokeIds) => {
+        return this.pickSafeJokeOfTheDay(recentJokeIds);
+      }).then((pickedSafeJoke) => {
+        this.safeJokeOfTheDay = pickedSafeJoke;
+
+        return this.storage.save('state', Object.assign({}, state, {safeJoke: pickedSafeJoke}));
+      });
+    });
+  }
+
+  /**
+   * Picks the joke of the day for channels in safe mode from a rotation of
+   * its own.
+   *
+   * @param {Array} recentJokeIds - Jokes to avoid if possible.
+   * @returns {Promise}
+   */
+  pickSafeJokeOfTheDay(recentJokeIds) {
+    const jokes = this.getJokePool(true);
+
+    if (jokes.length <= 0) {
+      return Promise.resolve(null);
+    }
+
+    return this.jokeRotation.next('safeJokeOfTheDay', jokes, recentJokeIds);
+  }
+
+  /**
+   * Gets the joke of the day to tell a channel, swapping in the safe
+   * alternative for channels in safe mode.
+   *
+   * @param {Boolean} [safeMode]
+   * @returns {Object}
+   */
+  getJokeOfTheDay(safeMode) {
+    if (safeMode && this.safeJokeOfTheDay && !this.isSafeJoke(this.jokeOfTheDay)) {
+      return this.safeJokeOfTheDay;
+    }
+
+    return this.jokeOfTheDay;
+  }
+
+  /**
+   * Gets every joke the bot can tell from a pack, less any retired for being
+   * rated badly. The default pack has the built in jokes along with the
+   * submissions approved in the team, as those are only told where they were
+   * submitted.
+   *
+   * @param {Boolean} [safeMode] - Leave out jokes that aren't safe for work.
+   * @param {Object} [pack] - The default pack unless given, see getPack.
+   * @param {String} [teamId] - Whose approved submissions to include, none unless given.
+   * @returns {Array}
+   */
+  getJokePool(safeMode, pack = this.defaultPack, teamId = null) {
+    let jokes = (pack.id === this.defaultPack.id) ?
+      this.jokes.concat(this.approvedJokes.filter((joke) => joke.team === teamId)) :
+      pack.jokes;
+
+    if (safeMode) {
+      jokes = jokes.filter((joke) => this.isSafeJoke(joke));
+    }
+
+    if (!this.favorRatedJokes) {
+      return jokes;
+    }
+
+    const unretiredJokes = jokes.filter((joke) => !this.jokeRatings.isRetired(joke));
+
+    return (unretiredJokes.length > 0) ? unretiredJokes : jokes;
+  }
+
+  /**
+   * Describes how the bot is configured, leaving out any secrets.
+   *
+   * @param {String} [locale] - e.g. "es", English by default.
+   * @returns {String}
+   */
+  formatConfig(locale = 'en') {
+    const word = (name) => this.formatReply(name, {}, locale);
+    const limits = this.rateLimiter.limits;
+    const formatLimit = (limit) => (limit > 0 ? this.formatReply('configRateLimit', {limit}, locale) : word('off'));
+    const mutedChannels = Object.keys(this.mutedChannels).filter((channelId) => this.isChannelMuted(channelId));
+    const exemptChannels = Object.keys(this.rateLimitExemptChannels);
+    const formatChannels = (channelIds) => {
+      return channelIds.length > 0 ? channelIds.map((channelId) => `<#${channelId}>`).join(', ') : word('none');
+    };
+    const admins = this.admins.map((userId) => `<@${userId}>`).join(', ') || word('none');
+    const slashCommands = this.slashCommandsInChannel ? 'configSlashCommandsPublic' : 'configSlashCommandsPrivate';
+
+    return this.formatReply('config', {
+      admins: this.workspaceAdmins ? this.formatReply('configWorkspaceAdmins', {admins}, locale) : admins,
+      jokes: this.jokes.length,
+      approved: this.approvedJokes.length,
+      packs: this.formatPacks(),
+      schedule: this.formatSchedule(this.jokeOfTheDaySchedule, locale),
+      favorRatedJokes: word(this.favorRatedJokes ? 'on' : 'off'),
+      unsafeTags: this.unsafeTags.join(', ') || word('none'),
+      gifProviders: this.gifProvider.providers.map((provider) => provider.constructor.name).join(', ') || word('none'),
+      slashCommands: this.port ? this.formatReply(slashCommands, {port: this.port}, locale) : word('off'),
+      userLimit: formatLimit(limits.user),
+      channelLimit: formatLimit(limits.channel),
+      teamLimit: formatLimit(limits.team),
+      exemptChannels: formatChannels(exemptChannels),
+      mutedChannels: formatChannels(mutedChannels),
+      threshold: this.intentClassifier.threshold,
+      languages: Object.keys(this.locales).map((code) => this.locales[code].name).join(', ')
+    }, locale);
+  }
+
+  /**
+   * Validates and normalises the built in jokes.
+   *
+   * @param {Array} entries - Strings, or objects with `text` and optionally `id` and `tags`.
+   * @returns {Array}
+   */
+  createJokes(entries) {
+    if (Array.isArray(entries) === false || entries.length <= 0) {
+      throw new Error('NorrisBot: Missing jokes.');
+    }
+
+    const jokes = entries.map((joke, index) => {
+      try {
+        return createJoke(joke);
+      } catch (err) {
+        throw new Error(`NorrisBot: Invalid joke at index ${index}. ${err.message}`);
+      }
+    });
+
+    const jokeIds = {};
+
+    jokes.forEach((joke, index) => {
+      if (jokeIds[joke.id]) {
+        throw new Error(`NorrisBot: Duplicate joke id "${joke.id}" at index ${index}.`);
+      }
+
+      jokeIds[joke.id] = true;
+    });
+
+    return jokes;
+  }
+
+  /**
+   * Validates and normalises the joke packs told alongside the built in
+   * jokes, which are the "chuck-norris" pack.
+   *
+   * @param {Array} entries - Objects with an `id`, `name` and `jokes`, and
+   *   optionally `aliases` it can be asked for by, the `phrases` that ask for
+   *   one of its jokes, the `gifSearchTerm` for its GIFs and the `nameTarget`
+   *   swapped for people's names in jokes about them.
+   * @returns {Array}
+   */
+  createPacks(entries) {
+    if (Array.isArray(entries) === false) {
+      throw new Error('NorrisBot: Joke packs must be a list.');
+    }
+
+    const packIds = {[this.defaultPack.id]: true};
+    const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+    const isTextList = (value) => Array.isArray(value) && value.every(isText);
+
+    return entries.map((entry, index) => {
+      const pack = entry || {};
+
+      if (isText(pack.id) === false || isText(pack.name) === false) {
+        throw new Error(`NorrisBot: Invalid joke pack at index ${index}. It needs an id and a name.`);
+      }
+
+      if (packIds[pack.id]) {
+        throw new Error(`NorrisBot: Duplicate joke pack "${pack.id}".`);
+      }
+
+      if ([pack.aliases, pack.phrases].some((list) => list !== undefined && isTextList(list) === false)
+        || [pack.gifSearchTerm, pack.nameTarget].some((text) => text !== undefined && isText(text) === false)) {
+        throw new Error(`NorrisBot: Invalid joke pack "${pack.id}". Aliases and phrases must be lists of text, ` +
+          'and the GIF search term and name target text.');
+      }
+
+      packIds[pack.id] = true;
+
+      let jokes;
+
+      try {
+        jokes = this.createJokes(pack.jokes);
+      } catch (err) {
+        throw new Error(`NorrisBot: Invalid joke pack "${pack.id}". ${err.message.replace(/^NorrisBot: /, '')}`);
+      }
+
+      return {
+        id: pack.id,
+        name: pack.name,
+        aliases: (pack.aliases || []).map((alias) => alias.toLowerCase()),
+        gifSearchTerm: pack.gifSearchTerm || pack.name.toLowerCase(),
+        nameTarget: pack.nameTarget || null,
+        phrases: pack.phrases || [],
+        jokes
+      };
+    });
+  }
+
+  /**
+   * Gets every joke pack, the default pack first.
+   *
+   * @returns {Array}
+   */
+  getPacks() {
+    return [this.defaultPack].concat(this.packs);
+  }
+
+  /**
+   * Lists the joke packs by name and id.
+   *
+   * @returns {String}
+   */
+  formatPacks() {
+    return this.getPacks().map((pack) => `${pack.name} (${pack.id})`).join(', ');
+  }
+
+  /**
+   * Gets a joke pack by id, falling back to the default pack for unknown ids,
+   * e.g. those of packs that have since been removed.
+   *
+   * @param {String} [packId]
+   * @returns {Object}
+   */
+  getPack(packId) {
+    return this.packs.filter((pack) => pack.id === packId)[0] || this.defaultPack;
+  }
+
+  /**
+   * Finds the joke pack someone means by its id, name or one of its aliases.
+   *
+   * @param {String} name - e.g. "dad", "Jack Bauer" or "programming".
+   * @returns {Object|null}
+   */
+  findPack(name) {
+    const search = name.trim().toLowerCase();
+
+    return this.getPacks().filter((pack) => {
+      return pack.id === search || pack.name.toLowerCase() === search || pack.aliases.indexOf(search) !== -1;
+    })[0] || null;
+  }
+
+  /**
+   * Gets the joke pack a channel tells jokes from by default.
+   *
+   * @param {String} channelId
+   * @returns {Promise}
+   */
+  getChannelPack(channelId) {
+    return this.getChannelData(channelId).then((channelData) => this.getPack(channelData.pack));
+  }
+
+  /**
+   * Sets the joke pack a channel tells jokes from by default. Null clears it
+   * so the channel goes back to the default pack.
+   *
+   * @param {String} teamId
+   * @param {String} channelId
+   * @param {String|null} packId
+   * @returns {Promise}
+   */
+  setChannelPack(teamId, channelId, packId) {
+    return this.updateChannelData(channelId, (channelData) => {
+      channelData.team = teamId;
+
+      if (packId === null) {
+        delete channelData.pack;
+      } else {
+        channelData.pack = packId;
+      }
+    });
+  }
+
+  /**
+   * Reloads the built in jokes and joke packs, when they can be loaded
+   * afresh, along with the approved submissions. The current jokes and packs
+   * are kept if any of the new ones are invalid.
+   *
+   * @returns {Promise}
+   */
+  reloadJokes() {
+    return Promise.resolve().then(() => Promise.all([
+      this.loadJokes ? this.loadJokes() : this.jokes,
+      this.loadPacks ? this.loadPacks() : this.packs
+    ])).then((results) => {
+      const jokes = this.createJokes(results[0]);
+      const packs = this.createPacks(results[1]);
+
+      this.jokes = jokes;
+      this.packs = packs;
+      this.intentClassifier = this.createIntentClassifier(this.intentClassifier.threshold);
+
+      return this.loadApprovedJokes();
+    });
+  }
+
+  /**
+   * Refreshes the approved submissions held in memory from storage.
+   *
+   * @returns {Promise}
+   */
+  loadApprovedJokes() {
+    return this.jokeSubmissions.getApproved().then((submissions) => {
+      this.approvedJokes = submissions.map((submission) => {
+        return Object.assign(createJoke(submission.text), {team: submission.team});
+      });
+    });
+  }
+
+  /**
+   * Gets the categories jokes are tagged with, alphabetically.
+   *
+   * @param {Boolean} [safeMode] - Leave out categories of jokes that aren't safe for work.
+   * @param {Object} [pack] - The default pack unless given, see getPack.
+   * @param {String} [teamId] - Whose approved submissions to include, none unless given.
+   * @returns {Array}
+   */
+  getCategories(safeMode, pack, teamId) {
+    const categories = [];
+
+    this.getJokePool(safeMode, pack, teamId).forEach((joke) => {
+      joke.tags.forEach((tag) => {
+        if (categories.indexOf(tag) === -1) {
+          categories.push(tag);
+        }
+      });
+    });
+
+    return categories.sort();
+  }
+
+  /**
+   * Gets the next joke in a channel's rotation, steering clear of the current
+   * joke of the day and of anything unsafe when the channel is in safe mode.
+   * Each pack has a rotation of its own.
+   *
+   * @param {String} teamId
+   * @param {String} channelId
+   * @param {String} [category] - Only pick jokes tagged with this.
+   * @param {Object} [pack] - The channel's pack unless given, see getPack.
+   * @returns {Promise}
+   */
+  getNextJoke(teamId, channelId, category, pack) {
+    return Promise.all([
+      this.getSafeMode(teamId, channelId),
+      pack || this.getChannelPack(channelId)
+    ]).then((results) => {
+      const safeMode = results[0];
+      const jokePack = results[1];
+      const jokeOfTheDay = this.getJokeOfTheDay(safeMode);
+      const excludeIds = jokeOfTheDay ? [jokeOfTheDay.id] : [];
+      let jokes = this.getJokePool(safeMode, jokePack, teamId);
+
+      if (category) {
+        jokes = jokes.filter((joke) => joke.tags.indexOf(category) !== -1);
+      }
+
+      if (jokes.length <= 0) {
+        throw new Error(category ?
+          `NorrisBot: No jokes in the "${category}" category.` :
+          'NorrisBot: No jokes to tell.'
+        );
+      }
+
+      // Categories run out sooner than the whole pool, so they rotate apart from it.
+      const suffix = this.getRotationSuffix(jokePack) + (category ? `:category:${category}` : '');
+
+      return this.jokeRotation.next(`${teamId}:${channelId}${suffix}`, jokes, excludeIds);
+    });
+  }
+
+  /**
+   * Gets what sets a pack's joke rotations apart from the default pack's,
+   * which keep the scopes they had before there were packs.
+   *
+   * @param {Object} pack
+   * @returns {String}
+   */
+  getRotationSuffix(pack) {
+    return (pack.id === this.defaultPack.id) ? '' : `:${pack.id}`;
   }
 }
 
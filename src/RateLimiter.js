@@ -0,0 +1,123 @@
+class RateLimiter {
+  /**
+   * Limits how often requests can be made with token buckets, one for each
+   * user, channel and team. Each bucket holds up to its limit of tokens and
+   * refills at its limit per minute, so short bursts are fine but sustained
+   * spamming isn't. A request needs a token from every bucket it involves.
+   * Buckets that have filled up again are forgotten, as a new one would be
+   * just the same, so memory doesn't grow with everyone who's ever asked.
+   * The same goes for the notices telling people they're over the limit.
+   *
+   * @param {Object} options
+   * @param {Object} options.limits - Requests per minute keyed by scope, e.g.
+   *   `{user: 5, channel: 10, team: 30}`. Scopes without a limit aren't limited.
+   * @param {Function} [options.now] - Returns the current time in milliseconds.
+   */
+  constructor(options) {
+    this.limits = options.limits || {};
+    this.now = options.now || Date.now;
+    this.buckets = {};
+    this.notices = {};
+    this.sweptAt = this.now();
+  }
+
+  /**
+   * Takes a token from the bucket of every scope a request involves, or none
+   * at all if any of them is empty.
+   *
+   * @param {Object} keys - Who the request involves keyed by scope, e.g.
+   *   `{user: 'U123', channel: 'C123', team: 'T123'}`.
+   * @returns {Number} 0 when the request is allowed, otherwise how many
+   *   milliseconds until it would be.
+   */
+  consume(keys) {
+    const now = this.now();
+
+    // Sweeping at most once a minute keeps each request cheap however many buckets there are.
+    if (now - this.sweptAt >= 60 * 1000) {
+      this.sweep(now);
+    }
+
+    const buckets = Object.keys(keys).filter((scope) => this.limits[scope] > 0 && keys[scope]).map((scope) => {
+      return this.refill(scope, keys[scope], now);
+    });
+    const waits = buckets.map((bucket) => {
+      return (bucket.tokens >= 1) ? 0 : Math.ceil((1 - bucket.tokens) / bucket.refillRate);
+    });
+    const wait = Math.max.apply(null, [0].concat(waits));
+
+    if (wait <= 0) {
+      buckets.forEach((bucket) => {
+        bucket.tokens -= 1;
+      });
+    }
+
+    return wait;
+  }
+
+  /**
+   * Claims the notice telling someone they're over the limit, so they're
+   * only told once for as long as they have to wait.
+   *
+   * @param {String} key - Who's told where, e.g. "C123:U123".
+   * @param {Number} wait - Milliseconds until their requests are allowed again.
+   * @returns {Boolean} Whether they should be told, i.e. they haven't been already.
+   */
+  claimNotice(key, wait) {
+    const now = this.now();
+
+    if (this.notices[key] > now) {
+      return false;
+    }
+
+    this.notices[key] = now + wait;
+
+    return true;
+  }
+
+  /**
+   * Gets a bucket, topped up with the tokens earned since it was last used.
+   *
+   * @param {String} scope
+   * @param {String} key
+   * @param {Number} now
+   * @returns {Object}
+   */
+  refill(scope, key, now) {
+    const id = `${scope}:${key}`;
+    const capacity = this.limits[scope];
+    const refillRate = capacity / (60 * 1000);
+    const bucket = this.buckets[id] || {tokens: capacity, updatedAt: now, capacity, refillRate};
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) * refillRate));
+    bucket.updatedAt = now;
+    this.buckets[id] = bucket;
+
+    return bucket;
+  }
+
+  /**
+   * Forgets the buckets that have filled up again since they were last used,
+   * and the notices whose wait is over.
+   *
+   * @param {Number} now
+   */
+  sweep(now) {
+    Object.keys(this.notices).forEach((key) => {
+      if (this.notices[key] <= now) {
+        delete this.notices[key];
+      }
+    });
+
+    Object.keys(this.buckets).forEach((id) => {
+      const bucket = this.buckets[id];
+
+      if (bucket.tokens + ((now - bucket.updatedAt) * bucket.refillRate) >= bucket.capacity) {
+        delete this.buckets[id];
+      }
+    });
+    this.sweptAt = now;
+  }
+}
+
+export default RateLimiter;
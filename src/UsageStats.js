@@ -0,0 +1,189 @@
+const CSV_COLUMNS = ['at', 'type', 'user', 'channel', 'team', 'jokeId', 'success'];
+
+class UsageStats {
+  /**
+   * Records what the bot is asked to do, by whom and where, so usage can be
+   * summarised or exported later. Events are grouped by (UTC) day and team
+   * into pages of limited size, so each event only rewrites its page rather
+   * than everything recorded that day.
+   *
+   * @param {Object} options
+   * @param {Storage} options.storage
+   * @param {Number} [options.pageSize] - Events per stored page, 500 by default.
+   * @param {Function} [options.now] - Returns the current date.
+   */
+  constructor(options) {
+    this.storage = options.storage;
+    this.pageSize = options.pageSize || 500;
+    this.now = options.now || (() => new Date());
+    this.updates = Promise.resolve();
+    // The page being filled for each team today, found from storage after a restart.
+    this.pageDay = null;
+    this.pages = {};
+  }
+
+  /**
+   * Records a usage event.
+   *
+   * @param {Object} event
+   * @param {String} event.type - e.g. "joke", "gif" or "help".
+   * @param {String} [event.user]
+   * @param {String} [event.channel]
+   * @param {String} [event.team]
+   * @param {String} [event.jokeId] - The joke told, if any.
+   * @param {Boolean} [event.success] - Whether the request could be fulfilled, e.g. a GIF was found.
+   * @returns {Promise}
+   */
+  record(event) {
+    const at = this.now();
+    const day = this.getDay(at);
+    const entry = {at: at.toISOString()};
+
+    CSV_COLUMNS.slice(1).forEach((column) => {
+      if (event[column] !== undefined && event[column] !== null) {
+        entry[column] = event[column];
+      }
+    });
+
+    // Events are added one at a time so simultaneous requests aren't lost.
+    const recorded = this.updates.then(() => this.getPage(day, event.team)).then((usage) => {
+      usage.events.push(entry);
+
+      return this.storage.save('usage', usage);
+    });
+
+    this.updates = recorded.catch(() => {});
+
+    return recorded;
+  }
+
+  /**
+   * Gets the page a team's next event on a day goes in, starting a new one
+   * when the current page is full.
+   *
+   * @param {String} day - In the form "YYYY-MM-DD".
+   * @param {String} [team]
+   * @returns {Promise} Resolves with the page's record.
+   */
+  getPage(day, team) {
+    const key = team || '-';
+
+    if (this.pageDay !== day) {
+      this.pageDay = day;
+      this.pages = {};
+    }
+
+    const find = (page) => this.storage.get('usage', `${day}:${key}:${page}`).then((usage) => {
+      if (usage && usage.events.length >= this.pageSize) {
+        return find(page + 1);
+      }
+
+      this.pages[key] = page;
+
+      return usage || {id: `${day}:${key}:${page}`, events: []};
+    });
+
+    return find(this.pages[key] || 0);
+  }
+
+  /**
+   * Gets the events recorded between two days, inclusive, oldest first.
+   *
+   * @param {String} from - Day in the form "YYYY-MM-DD".
+   * @param {String} to - Day in the form "YYYY-MM-DD".
+   * @param {String} [team] - Only get the events from this team.
+   * @returns {Promise}
+   */
+  getEvents(from, to, team = null) {
+    return this.storage.all('usage').then((pages) => {
+      return pages
+        .filter((usage) => usage.id.slice(0, 10) >= from && usage.id.slice(0, 10) <= to)
+        .reduce((events, usage) => events.concat(usage.events), [])
+        .filter((event) => !team || event.team === team)
+        // Ties keep the order they were recorded in.
+        .map((event, index) => ({event, index}))
+        .sort((a, b) => (a.event.at < b.event.at ? -1 : (a.event.at > b.event.at ? 1 : a.index - b.index)))
+        .map((sorted) => sorted.event);
+    });
+  }
+
+  /**
+   * Gets the day, in the form "YYYY-MM-DD", a number of days before today.
+   *
+   * @param {Number} [daysAgo]
+   * @returns {String}
+   */
+  getDaysAgo(daysAgo = 0) {
+    return this.getDay(new Date(this.now().getTime() - (daysAgo * 24 * 60 * 60 * 1000)));
+  }
+
+  /**
+   * Gets the day a date falls on, in the form "YYYY-MM-DD".
+   *
+   * @param {Date} date
+   * @returns {String}
+   */
+  getDay(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Summarises events: how many of each type there were, who made the most
+   * requests, which jokes were told most and how often GIFs were found.
+   *
+   * @param {Array} events
+   * @param {Number} [limit] - How many requesters and jokes to include.
+   * @returns {Object}
+   */
+  summarise(events, limit = 5) {
+    const count = (key) => {
+      const counts = {};
+
+      events.forEach((event) => {
+        if (event[key]) {
+          counts[event[key]] = (counts[event[key]] || 0) + 1;
+        }
+      });
+
+      return counts;
+    };
+    const top = (counts) => {
+      return Object.keys(counts)
+        .map((id) => ({id, count: counts[id]}))
+        .sort((a, b) => (b.count - a.count) || (a.id < b.id ? -1 : 1))
+        .slice(0, limit);
+    };
+    const gifs = events.filter((event) => event.type === 'gif');
+
+    return {
+      total: events.length,
+      types: count('type'),
+      topUsers: top(count('user')),
+      topJokes: top(count('jokeId')),
+      gifs: {
+        requested: gifs.length,
+        found: gifs.filter((event) => event.success === true).length
+      }
+    };
+  }
+
+  /**
+   * Converts events to CSV, one row per event.
+   *
+   * @param {Array} events
+   * @returns {String}
+   */
+  toCsv(events) {
+    const escape = (value) => {
+      const text = (value === undefined || value === null) ? '' : String(value);
+
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [CSV_COLUMNS.join(',')].concat(events.map((event) => {
+      return CSV_COLUMNS.map((column) => escape(event[column])).join(',');
+    })).join('\n') + '\n';
+  }
+}
+
+export default UsageStats;
@@ -0,0 +1,110 @@
+import {time as cronTime} from 'cron';
+import intents from './intents';
+import locales from './locales';
+import en from './locales/en';
+
+const port = {type: 'integer', min: 1, max: 65535, nullable: true, default: null};
+
+// Rewordings of replies use the names and placeholders of the English ones, whichever language they're in.
+const replies = {
+  type: 'map',
+  keys: Object.keys(en.replies),
+  values: {type: 'string', min: 1},
+  default: {},
+  check: (templates) => {
+    const unknown = Object.keys(templates).map((name) => {
+      const allowed = en.replies[name].match(/\{\w+\}/g) || [];
+      const used = templates[name].match(/\{\w+\}/g) || [];
+      const extra = used.filter((placeholder) => allowed.indexOf(placeholder) === -1);
+
+      return extra.length > 0 ? `${name} can't use ${extra.join(', ')}` : null;
+    }).filter(Boolean);
+
+    return unknown.length > 0 ? `has unknown placeholders: ${unknown.join('; ')}` : null;
+  }
+};
+
+/**
+ * Describes every setting the config file can hold. Each setting has a
+ * `type` and a `default`, and may name the environment variable (`env`)
+ * that overrides it:
+ *
+ * - "integer" and "number" settings may set a `min` and `max`.
+ * - "string" settings may set a `min` length or the `values` allowed.
+ * - Any setting can be `nullable`.
+ * - "array" settings describe their `items`.
+ * - "object" settings describe their `properties`, and no others are allowed.
+ * - "map" settings describe their `values`, keyed by any of `keys`.
+ *
+ * A `check` function can reject a value that's the right type, returning
+ * what's wrong with it.
+ */
+export default {
+  type: 'object',
+  properties: {
+    slackToken: {type: 'string', default: '', env: 'SLACK_TOKEN'},
+    verificationToken: {type: 'string', default: '', env: 'SLACK_VERIFICATION_TOKEN'},
+    giphyToken: {type: 'string', default: '', env: 'GIPHY_TOKEN'},
+    tenorApiKey: {type: 'string', default: '', env: 'TENOR_API_KEY'},
+    port: Object.assign({env: 'PORT'}, port),
+    healthPort: Object.assign({env: 'HEALTH_PORT'}, port),
+    storagePath: {type: 'string', default: './data', env: 'STORAGE_PATH'},
+    packsPath: {type: 'string', default: './packs', env: 'PACKS_PATH'},
+    logLevel: {type: 'string', values: ['debug', 'info', 'warn', 'error'], default: 'info', env: 'LOG_LEVEL'},
+    admins: {type: 'array', items: {type: 'string'}, default: [], env: 'ADMINS'},
+    workspaceAdmins: {type: 'boolean', default: false, env: 'WORKSPACE_ADMINS'},
+    favorRatedJokes: {type: 'boolean', default: false, env: 'FAVOR_RATED_JOKES'},
+    slashCommandsInChannel: {type: 'boolean', default: false, env: 'SLASH_COMMANDS_IN_CHANNEL'},
+    rateLimits: {
+      type: 'object',
+      properties: {
+        user: {type: 'integer', min: 0, default: 5, env: 'RATE_LIMIT_PER_USER'},
+        channel: {type: 'integer', min: 0, default: 10, env: 'RATE_LIMIT_PER_CHANNEL'},
+        team: {type: 'integer', min: 0, default: 30, env: 'RATE_LIMIT_PER_TEAM'}
+      }
+    },
+    jokeOfTheDaySchedule: {
+      type: 'object',
+      properties: {
+        hour: {type: 'integer', min: 0, max: 23, default: 15},
+        minute: {type: 'integer', min: 0, max: 59, default: 0},
+        timeZone: {
+          type: 'string',
+          nullable: true,
+          default: null,
+          check: (timeZone) => {
+            try {
+              cronTime('0 0 * * *', timeZone);
+            } catch (err) {
+              return 'isn\'t a timezone I know. Use an IANA name, e.g. "Europe/London"';
+            }
+
+            return null;
+          }
+        }
+      }
+    },
+    gifProviders: {
+      type: 'array',
+      items: {type: 'string', values: ['giphy', 'tenor']},
+      default: ['giphy', 'tenor']
+    },
+    gifSearchTerm: {type: 'string', min: 1, default: 'chuck norris'},
+    gifTimeout: {type: 'integer', min: 1, default: 3000},
+    intentThreshold: {type: 'number', min: 0, max: 1, default: 0.5},
+    phrases: {
+      type: 'map',
+      // Intents that need details from the message can't be recognised by a plain phrase.
+      keys: intents.filter((intent) => intent.keywords).map((intent) => intent.name),
+      values: {type: 'array', items: {type: 'string', min: 1}},
+      default: {}
+    },
+    replies,
+    localeReplies: {
+      type: 'map',
+      keys: Object.keys(locales).filter((code) => code !== 'en'),
+      values: replies,
+      default: {}
+    }
+  }
+};
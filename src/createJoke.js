@@ -0,0 +1,37 @@
+import getJokeId from './getJokeId';
+
+/**
+ * Normalises a joke into an object with an `id`, `text` and `tags`. Jokes
+ * can be given as plain strings, or as objects whose `id` is optional and
+ * derived from the text when missing.
+ *
+ * @param {String|Object} entry
+ * @returns {Object}
+ */
+export default function createJoke(entry) {
+  const joke = (typeof entry === 'string') ? {text: entry} : entry;
+
+  if (!joke || typeof joke !== 'object' || Array.isArray(joke)) {
+    throw new Error('Jokes must be strings or objects.');
+  }
+
+  if (typeof joke.text !== 'string' || joke.text.trim().length <= 0) {
+    throw new Error('Joke text must be a non-empty string.');
+  }
+
+  if (joke.id !== undefined && (typeof joke.id !== 'string' || joke.id.length <= 0)) {
+    throw new Error('Joke id must be a non-empty string.');
+  }
+
+  if (joke.tags !== undefined && (!Array.isArray(joke.tags) || joke.tags.some((tag) => {
+    return typeof tag !== 'string' || tag.trim().length <= 0;
+  }))) {
+    throw new Error('Joke tags must be an array of non-empty strings.');
+  }
+
+  return {
+    id: joke.id || getJokeId(joke.text),
+    text: joke.text,
+    tags: (joke.tags || []).map((tag) => tag.trim().toLowerCase())
+  };
+}
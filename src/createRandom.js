@@ -0,0 +1,29 @@
+/**
+ * Creates a random number generator returning numbers in the range [0, 1).
+ * Given a seed, the generator always produces the same sequence (mulberry32),
+ * which lets tests assert exact picks. Without one it's just `Math.random`.
+ *
+ * @param {Number|String} [seed]
+ * @returns {Function}
+ */
+export default function createRandom(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return Math.random;
+  }
+
+  let state = 2166136261;
+
+  String(seed).split('').forEach((character) => {
+    state = Math.imul(state ^ character.charCodeAt(0), 16777619);
+  });
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,12 @@
+import crypto from 'crypto';
+
+/**
+ * Derives a short, stable id from a joke's wording, suitable for use as a
+ * storage record id.
+ *
+ * @param {String} joke
+ * @returns {String}
+ */
+export default function getJokeId(joke) {
+  return crypto.createHash('sha1').update(joke).digest('hex').slice(0, 12);
+}
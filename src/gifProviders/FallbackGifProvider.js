@@ -0,0 +1,93 @@
+import GifProvider from './GifProvider';
+
+class FallbackGifProvider extends GifProvider {
+  /**
+   * Tries a list of providers in order until one finds a GIF, giving each a
+   * limited time to answer.
+   *
+   * @param {Object} options
+   * @param {Array} options.providers
+   * @param {Number} [options.timeout] - Milliseconds each provider gets, 3 seconds by default.
+   * @param {Logger} [options.logger] - Where to log providers failing.
+   * @param {Metrics} [options.metrics] - Where to count how long providers take and how often they fail.
+   * @param {Function} [options.now] - Returns the current time in milliseconds.
+   */
+  constructor(options) {
+    super();
+
+    this.providers = options.providers || [];
+    this.timeout = options.timeout || 3000;
+    this.logger = options.logger || null;
+    this.metrics = options.metrics || null;
+    this.now = options.now || Date.now;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  getGif(topic, options) {
+    return this.providers.reduce((previous, provider) => {
+      return previous.catch(() => {
+        const startedAt = this.now();
+        const labels = {provider: provider.constructor.name};
+        const observe = () => {
+          if (this.metrics) {
+            this.metrics.observe('norrisbot_gif_request_duration_seconds', labels, (this.now() - startedAt) / 1000);
+          }
+        };
+
+        const aborts = [];
+        const search = provider.getGif(topic, Object.assign({}, options, {onAbort: (abort) => aborts.push(abort)}));
+
+        return this.withTimeout(search, () => aborts.forEach((abort) => abort())).then((url) => {
+          observe();
+
+          return url;
+        }, (err) => {
+          observe();
+
+          if (this.metrics) {
+            this.metrics.increment('norrisbot_gif_errors_total', labels);
+          }
+
+          if (this.logger) {
+            this.logger.warn('gifProviderFailed', {provider: provider.constructor.name, topic, err});
+          }
+
+          throw err;
+        });
+      });
+    }, Promise.reject(new Error('FallbackGifProvider: No GIF providers.'))).catch(() => {
+      throw new Error(`FallbackGifProvider: No provider found a GIF for "${topic}".`);
+    });
+  }
+
+  /**
+   * Rejects if a promise hasn't settled within the timeout, abandoning
+   * whatever it was waiting on.
+   *
+   * @param {Promise} promise
+   * @param {Function} abort - Abandons what the promise is waiting on.
+   * @returns {Promise}
+   */
+  withTimeout(promise, abort) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        abort();
+        reject(new Error(`Timed out after ${this.timeout}ms.`));
+      }, this.timeout);
+    });
+
+    return Promise.race([promise, timeout]).then((result) => {
+      clearTimeout(timer);
+
+      return result;
+    }, (err) => {
+      clearTimeout(timer);
+      throw err;
+    });
+  }
+}
+
+export default FallbackGifProvider;
@@ -0,0 +1,27 @@
+class GifProvider {
+  /**
+   * Base class for the services GIFs come from. Providers implement `getGif`,
+   * which resolves with the URL of a GIF about a topic.
+   */
+  constructor() {
+    if (this.constructor === GifProvider) {
+      throw new Error('GifProvider: Use a GIF provider rather than the base class.');
+    }
+  }
+
+  /**
+   * Finds a random GIF about a topic.
+   *
+   * @param {String} topic
+   * @param {Object} [options]
+   * @param {String} [options.rating] - Highest content rating allowed: "g", "pg" or "pg-13".
+   * @param {Array} [options.excludeUrls] - GIFs to avoid, e.g. ones shown recently, unless there's nothing else.
+   * @param {Function} [options.onAbort] - Takes a function that abandons the search, e.g. once it's taken too long.
+   * @returns {Promise} Resolves with the GIF's URL.
+   */
+  getGif() {
+    return Promise.reject(new Error('GifProvider: getGif() is not implemented.'));
+  }
+}
+
+export default GifProvider;
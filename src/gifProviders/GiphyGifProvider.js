@@ -0,0 +1,58 @@
+import querystring from 'querystring';
+import GifProvider from './GifProvider';
+import pickGif from './pickGif';
+import requestJson from './requestJson';
+
+class GiphyGifProvider extends GifProvider {
+  /**
+   * Finds GIFs through the Giphy search API.
+   *
+   * @param {Object} options
+   * @param {String} options.apiKey
+   * @param {String} [options.url] - Where the Giphy API is, e.g. a stand in for it in tests.
+   * @param {Function} [options.random] - Returns numbers in the range [0, 1).
+   */
+  constructor(options) {
+    super();
+
+    if (typeof options.apiKey !== 'string' || options.apiKey.length <= 0) {
+      throw new Error('GiphyGifProvider: Missing API key.');
+    }
+
+    this.apiKey = options.apiKey;
+    this.url = options.url || 'https://api.giphy.com';
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  getGif(topic, options = {}) {
+    const query = querystring.stringify({
+      q: topic,
+      limit: 25,
+      rating: options.rating || 'pg-13',
+      'api_key': this.apiKey
+    });
+
+    const url = `${this.url}/v1/gifs/search?${query}`;
+
+    return requestJson(url, {provider: 'GiphyGifProvider', service: 'Giphy', onAbort: options.onAbort}).then((body) => {
+      if (body.meta && body.meta.status !== 200) {
+        throw new Error(`GiphyGifProvider: Giphy responded with status ${body.meta.status}.`);
+      }
+
+      const urls = (body.data || []).filter((gif) => {
+        return gif.images && gif.images.original && gif.images.original.url;
+      }).map((gif) => gif.images.original.url);
+
+      if (urls.length <= 0) {
+        throw new Error(`GiphyGifProvider: No GIFs found for "${topic}".`);
+      }
+
+      return pickGif(urls, options.excludeUrls, this.random);
+    });
+  }
+}
+
+export default GiphyGifProvider;
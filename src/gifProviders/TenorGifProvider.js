@@ -0,0 +1,56 @@
+import querystring from 'querystring';
+import GifProvider from './GifProvider';
+import pickGif from './pickGif';
+import requestJson from './requestJson';
+
+// Tenor's content filters closest to each content rating.
+const CONTENT_FILTERS = {g: 'high', pg: 'medium', 'pg-13': 'low'};
+
+class TenorGifProvider extends GifProvider {
+  /**
+   * Finds GIFs through the Tenor search API.
+   *
+   * @param {Object} options
+   * @param {String} options.apiKey
+   * @param {Function} [options.random] - Returns numbers in the range [0, 1).
+   */
+  constructor(options) {
+    super();
+
+    if (typeof options.apiKey !== 'string' || options.apiKey.length <= 0) {
+      throw new Error('TenorGifProvider: Missing API key.');
+    }
+
+    this.apiKey = options.apiKey;
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  getGif(topic, options = {}) {
+    const query = querystring.stringify({
+      q: topic,
+      key: this.apiKey,
+      limit: 20,
+      'media_filter': 'gif',
+      contentfilter: CONTENT_FILTERS[options.rating] || CONTENT_FILTERS['pg-13']
+    });
+
+    const url = `https://tenor.googleapis.com/v2/search?${query}`;
+
+    return requestJson(url, {provider: 'TenorGifProvider', service: 'Tenor', onAbort: options.onAbort}).then((body) => {
+      const results = (body.results || []).filter((result) => {
+        return result.media_formats && result.media_formats.gif && result.media_formats.gif.url;
+      });
+
+      if (results.length <= 0) {
+        throw new Error(`TenorGifProvider: No GIFs found for "${topic}".`);
+      }
+
+      return pickGif(results.map((result) => result.media_formats.gif.url), options.excludeUrls, this.random);
+    });
+  }
+}
+
+export default TenorGifProvider;
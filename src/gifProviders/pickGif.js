@@ -0,0 +1,23 @@
+/**
+ * Picks one of a provider's GIFs at random, avoiding any that should be
+ * excluded. When every GIF is excluded, only the last one (the most recently
+ * shown) is avoided so the same GIF isn't shown twice in a row.
+ *
+ * @param {Array} urls
+ * @param {Array} [excludeUrls] - Oldest first.
+ * @param {Function} random - Returns numbers in the range [0, 1).
+ * @returns {String}
+ */
+export default function pickGif(urls, excludeUrls = [], random) {
+  const preferred = urls.filter((url) => excludeUrls.indexOf(url) === -1);
+  const notLast = urls.filter((url) => url !== excludeUrls[excludeUrls.length - 1]);
+  let candidates = urls;
+
+  if (preferred.length > 0) {
+    candidates = preferred;
+  } else if (notLast.length > 0) {
+    candidates = notLast;
+  }
+
+  return candidates[Math.floor(random() * candidates.length)];
+}
@@ -0,0 +1,47 @@
+import http from 'http';
+import https from 'https';
+
+/**
+ * Fetches and parses a JSON response from a GIF service, aborting the
+ * request if asked to, e.g. when the service takes too long to answer.
+ *
+ * @param {String} url
+ * @param {Object} options
+ * @param {String} options.provider - Who's asking, e.g. "GiphyGifProvider", to explain failures.
+ * @param {String} options.service - Who's asked, e.g. "Giphy", to explain failures.
+ * @param {Function} [options.onAbort] - Takes a function that aborts the request, see GifProvider.
+ * @returns {Promise}
+ */
+export default function requestJson(url, options) {
+  const client = (url.indexOf('http:') === 0) ? http : https;
+  const failure = (reason) => new Error(`${options.provider}: ${options.service} ${reason}.`);
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, (response) => {
+      let body = '';
+
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        body += chunk;
+      });
+      response.on('end', () => {
+        if (response.statusCode !== 200) {
+          reject(failure(`responded with status ${response.statusCode}`));
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(body));
+        } catch (err) {
+          reject(failure('responded with invalid JSON'));
+        }
+      });
+    });
+
+    request.on('error', reject);
+
+    if (options.onAbort) {
+      options.onAbort(() => request.abort());
+    }
+  });
+}
@@ -1,8 +1,46 @@
 import NorrisBot from './NorrisBot';
 import jokes from './jokes';
+import unsafeTags from './unsafeTags';
+import JsonFileStorage from './storage/JsonFileStorage';
+import loadConfig from './loadConfig';
+import loadPacks from './loadPacks';
 
-new NorrisBot({
-  slackToken: String(process.env.SLACK_TOKEN || '').trim(),
-  giphyToken: String(process.env.GIPHY_TOKEN || '').trim(),
-  jokes: jokes
+let config;
+let packs;
+
+// Refusing to start with an invalid config or joke packs, explaining what's wrong with them.
+try {
+  config = loadConfig();
+  packs = loadPacks(config.packsPath);
+} catch (err) {
+  process.stderr.write(`${err.message}\n`);
+  process.exit(1);
+}
+
+const norrisBot = new NorrisBot(Object.assign({}, config, {
+  jokes: jokes,
+  loadJokes: () => {
+    delete require.cache[require.resolve('./jokes')];
+
+    return require('./jokes').default;
+  },
+  packs: packs,
+  loadPacks: () => loadPacks(config.packsPath),
+  unsafeTags: unsafeTags,
+  storage: new JsonFileStorage(config.storagePath)
+}));
+
+norrisBot.start();
+
+// Stopping cleanly when asked to, e.g. by `docker stop` or Ctrl+C, giving up
+// after 10 seconds.
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.once(signal, () => {
+    const forceExit = setTimeout(() => process.exit(1), 10000);
+
+    norrisBot.stop().then(() => {
+      clearTimeout(forceExit);
+      process.exit(0);
+    }, () => process.exit(1));
+  });
 });
@@ -0,0 +1,230 @@
+/**
+ * Everything the bot can be asked to do. An intent is recognised when one of
+ * its `patterns` matches, checked in the order intents are listed here, or
+ * failing that by scoring the `keywords` it shares with the message. Intents
+ * that need details from the message, such as a joke number, only have
+ * patterns so their handlers always get capture groups in `message.match`.
+ *
+ * Patterns include Spanish and German wordings of the commands the help
+ * lists, so people can ask in the language they're spoken to in. Commands
+ * without details to capture get theirs from the phrases in locales/.
+ *
+ * Keywords are stemmed the way IntentClassifier stems message words, e.g.
+ * "jokes" becomes "joke" and "categories" becomes "category". Negative
+ * weights steer messages away from an intent.
+ */
+export default [
+  {
+    name: 'jokeSubmission',
+    patterns: ['^(?:submit joke|env[ií]a(?:r)? chiste|witz einreichen):?\\s*([\\s\\S]+)$']
+  },
+  {
+    name: 'submissionList',
+    patterns: ['^(?:list )?pending jokes$', '^list submissions$', '^chistes pendientes$', '^offene witze$']
+  },
+  {
+    name: 'submissionApproval',
+    patterns: ['^(?:approve|aprueba|genehmige) (?:joke |chiste |witz )?#?(\\d+)$']
+  },
+  {
+    name: 'submissionRejection',
+    patterns: ['^(?:reject|rechaza|verwirf) (?:joke |chiste |witz )?#?(\\d+)$']
+  },
+  {
+    name: 'submissionEdit',
+    patterns: ['^(?:edit|edita|bearbeite) (?:joke |chiste |witz )?#?(\\d+):?\\s+([\\s\\S]+)$']
+  },
+  {
+    name: 'jokeReload',
+    patterns: ['^reload jokes$']
+  },
+  {
+    name: 'jokeOfTheDayChange',
+    patterns: ['^(?:new|change|force(?: a)? new) joke of the day$']
+  },
+  {
+    name: 'channelMute',
+    patterns: ['^mute (?:in )?<#([A-Z0-9]+)(?:\\|[^>]*)?> for (\\d+) hours?$']
+  },
+  {
+    name: 'channelUnmute',
+    patterns: ['^unmute (?:in )?<#([A-Z0-9]+)(?:\\|[^>]*)?>$']
+  },
+  {
+    name: 'configRequest',
+    patterns: ['^(?:show |view )?(?:my |your |the )?config(?:uration)?$']
+  },
+  {
+    name: 'statsExport',
+    patterns: ['^export (?:usage )?stats(?: from (\\d{4}-\\d{2}-\\d{2}) to (\\d{4}-\\d{2}-\\d{2}))?$']
+  },
+  {
+    name: 'statsRequest',
+    patterns: [
+      '^(?:usage )?stats(?: for (?:the )?(?:last )?(\\d+) days?)?$',
+      '^estad[ií]sticas(?: de (?:los )?(?:[uú]ltimos )?(\\d+) d[ií]as?)?$',
+      '^statistik(?: (?:der|für die) letzten (\\d+) tage?)?$'
+    ]
+  },
+  {
+    name: 'namedJoke',
+    patterns: ['\\b(?:jokes? about|chistes? sobre|witze? über) <@([A-Z0-9]+)(?:\\|[^>]*)?>']
+  },
+  {
+    name: 'nameOptOut',
+    patterns: ['\\b(?:don[\'’]t|do not|stop) (?:use|using) my name\\b']
+  },
+  {
+    name: 'nameOptIn',
+    patterns: ['\\b(?:you can|please) use my name\\b', '^use my name\\b']
+  },
+  {
+    name: 'jokeSearch',
+    patterns: ['\\b(?:(\\d+) )?(?:jokes? about|chistes? sobre|witze? über) (.+?)[?.!]*$']
+  },
+  {
+    // Recognised by the phrases of each joke pack, e.g. "dad joke".
+    name: 'packJoke'
+  },
+  {
+    // Listed before randomJoke, whose phrases such as "cuéntame un chiste"
+    // would otherwise swallow the Spanish and German wordings.
+    name: 'categoryJoke',
+    patterns: [
+      'tell me an? ([a-z-]+) joke',
+      '(?:cu[eé]ntame|dime) un chiste de ([a-z-]+)',
+      'erz(?:ä|ae)hl mir einen witz aus (?:der kategorie )?([a-z-]+)'
+    ]
+  },
+  {
+    name: 'randomJoke',
+    patterns: ['tell me a joke'],
+    keywords: {
+      joke: 0.6, funny: 0.3, laugh: 0.4, another: 0.2, tell: 0.2, give: 0.2, make: 0.1, got: 0.1, any: 0.1,
+      have: 0.1, gif: -0.6, day: -0.4, today: -0.4, category: -0.6, kind: -0.3, subscribe: -0.6, top: -0.5,
+      best: -0.5, worst: -0.5
+    }
+  },
+  {
+    name: 'categoryList',
+    patterns: ['\\b(?:joke )?categories\\b'],
+    keywords: {category: 0.8, topic: 0.5, kind: 0.4, type: 0.4, joke: 0.1}
+  },
+  {
+    name: 'packList',
+    patterns: [
+      '^(?:list |which )?(?:joke )?packs\\??$',
+      '^¿?(?:qu[eé] )?paquetes(?: de chistes)?(?: hay)?\\??$',
+      '^(?:welche )?(?:witzpakete|pakete)(?: gibt es)?\\??$'
+    ]
+  },
+  {
+    name: 'packChange',
+    patterns: [
+      '^(?:joke )?pack:? (.+?)(?: here)?[.!]*$',
+      '^use (?:the )?(.+?) (?:joke )?pack(?: here)?[.!]*$',
+      '^paquete(?: de chistes)?:? (.+?)(?: aqu[ií])?[.!]*$',
+      '^usa (?:aqu[ií] )?el paquete(?: de chistes)? (.+?)(?: aqu[ií])?[.!]*$',
+      '^witzpaket:? (.+?)(?: hier)?[.!]*$',
+      '^(?:benutze|nimm) (?:hier )?das (?:witz)?paket (.+?)(?: hier)?[.!]*$'
+    ]
+  },
+  {
+    name: 'jokeOfTheDaySubscribe',
+    patterns: ['\\bsubscribe\\b.*joke of the day']
+  },
+  {
+    name: 'jokeOfTheDayUnsubscribe',
+    patterns: ['\\bunsubscribe\\b']
+  },
+  {
+    name: 'subscriptionList',
+    patterns: ['list subscriptions']
+  },
+  {
+    name: 'scheduleChange',
+    patterns: [
+      '(?:joke of the day at|chiste del d[ií]a a las|witz des tages um) (\\d{1,2}):(\\d{2})' +
+        '(?:\\s+([A-Za-z_]+(?:/[A-Za-z0-9_+-]+)*))?'
+    ]
+  },
+  {
+    name: 'scheduleRequest',
+    patterns: [
+      'joke of the day schedule',
+      'when.*joke of the day',
+      '(?:cu[aá]ndo|a qu[eé] hora).*chiste del d[ií]a',
+      'wann.*witz des tages'
+    ]
+  },
+  {
+    name: 'jokeOfTheDay',
+    patterns: ['joke of the day'],
+    keywords: {today: 0.5, daily: 0.5, day: 0.3, jotd: 0.9, joke: 0.2}
+  },
+  {
+    name: 'rating',
+    patterns: ['^(?:rate(?: it| that)?|punt[uú]a(?:lo)?|bewerte(?: ihn)?):? ?([1-5])(?: ?/ ?5)?$']
+  },
+  {
+    name: 'leaderboard',
+    patterns: [
+      '\\b(top|best|worst) jokes?\\b',
+      '\\b(mejores|peores) chistes\\b',
+      '\\b(besten?|schlechtesten?) witze\\b'
+    ]
+  },
+  {
+    name: 'gifRatingChange',
+    patterns: [
+      '\\bgif rating(?: to)? (pg-13|pg|g)\\b',
+      '\\bclasificaci[oó]n de (?:los )?gifs?(?: a)? (pg-13|pg|g)\\b',
+      '\\bgif-freigabe(?: auf)? (pg-13|pg|g)\\b'
+    ]
+  },
+  {
+    name: 'gifRatingRequest',
+    patterns: ['\\bgif rating\\b', '\\bclasificaci[oó]n de (?:los )?gifs?\\b', '\\bgif-freigabe\\b']
+  },
+  {
+    name: 'randomGif',
+    patterns: ['(?:show me|mu[eé]strame a|zeig mir) chuck(?: norris)?(?:\\s+(.+?))?[?.!]*$'],
+    keywords: {
+      gif: 0.8, animated: 0.5, animation: 0.5, picture: 0.5, pic: 0.5, image: 0.5, show: 0.2, chuck: 0.1,
+      joke: -0.5
+    }
+  },
+  {
+    name: 'rateLimitExemption',
+    patterns: [
+      '\\b(exempt|unexempt) (?:this channel )?from rate limits?\\b',
+      '\\b(?:stop exempting|rate limit) this channel\\b'
+    ]
+  },
+  {
+    name: 'safeModeChange',
+    patterns: [
+      '\\b(team )?safe mode (on|off)\\b',
+      '\\b(enable|disable|turn on|turn off) (team )?safe mode\\b',
+      '\\b(activa|desactiva) (?:el )?modo seguro( del equipo)?\\b',
+      '\\b(team )?sicherer modus (an|aus)\\b'
+    ]
+  },
+  {
+    name: 'localeChange',
+    patterns: ['^(?:(team|channel|equipo|canal|kanal) )?(?:language|idioma|sprache)(?:[: ]+([^\\s.!?]+))?[.!?]*$']
+  },
+  {
+    name: 'help',
+    patterns: ['^help$', '^what can you do'],
+    keywords: {help: 0.8, command: 0.6, instruction: 0.6}
+  },
+  {
+    name: 'salutation',
+    keywords: {hi: 0.6, hiya: 0.6, hey: 0.6, hello: 0.6, greeting: 0.6, howdy: 0.6, yo: 0.5, morning: 0.3}
+  },
+  {
+    name: 'gratitude',
+    keywords: {thank: 0.7, ty: 0.7, cheer: 0.6, appreciate: 0.6}
+  }
+];
@@ -1,43 +1,43 @@
 /* eslint-disable max-len */
 export default [
-  'MacGyver can build an airplane out of gum and paper clips. Chuck Norris can kill him and take it.',
+  {text: 'MacGyver can build an airplane out of gum and paper clips. Chuck Norris can kill him and take it.', tags: ['violence']},
   'Chuck Norris doesn\'t read books. He stares them down until he gets the information he wants.',
-  'If you ask Chuck Norris what time it is, he always answers \"Two seconds till\". After you ask \"Two seconds to what?\", he roundhouse kicks you in the face.',
-  'Chuck Norris lost his virginity before his dad did.',
-  'Since 1940, the year Chuck Norris was born, roundhouse kick related deaths have increased 13,000 percent.',
+  {text: 'If you ask Chuck Norris what time it is, he always answers \"Two seconds till\". After you ask \"Two seconds to what?\", he roundhouse kicks you in the face.', tags: ['violence']},
+  {text: 'Chuck Norris lost his virginity before his dad did.', tags: ['nsfw']},
+  {text: 'Since 1940, the year Chuck Norris was born, roundhouse kick related deaths have increased 13,000 percent.', tags: ['violence']},
   'Chuck Norris sheds his skin twice a year.',
-  'Chuck Norris once challenged Lance Armstrong in a \"Who has more testicles?\" contest. Chuck Norris won by 5.',
-  'There are no steroids in baseball. Just players Chuck Norris has breathed on.',
-  'When Chuck Norris goes to donate blood, he declines the syringe, and instead requests a hand gun and a bucket.',
+  {text: 'Chuck Norris once challenged Lance Armstrong in a \"Who has more testicles?\" contest. Chuck Norris won by 5.', tags: ['sports', 'nsfw']},
+  {text: 'There are no steroids in baseball. Just players Chuck Norris has breathed on.', tags: ['sports']},
+  {text: 'When Chuck Norris goes to donate blood, he declines the syringe, and instead requests a hand gun and a bucket.', tags: ['violence']},
   'According to the Encyclopedia Brittanica, the Native American \"Trail of Tears\" has been redefined as anywhere that Chuck Norris walks.',
-  'In an average living room there are 1,242 objects Chuck Norris could use to kill you, including the room itself.',
-  'Chuck Norris doesn\'t shower, he only takes blood baths.',
+  {text: 'In an average living room there are 1,242 objects Chuck Norris could use to kill you, including the room itself.', tags: ['violence']},
+  {text: 'Chuck Norris doesn\'t shower, he only takes blood baths.', tags: ['violence', 'nsfw']},
   'Time waits for no man. Unless that man is Chuck Norris.',
-  'Chuck Norris can hit you so hard that he can actually alter your DNA. Decades from now your descendants will occasionally clutch their heads and yell \"What The Hell was That?\".',
-  'In the Bible, Jesus turned water into wine. But then Chuck Norris turned that wine into beer.',
-  'Chuck Norris is the only human being to display the Heisenberg uncertainty principle - you can never know both exactly where and how quickly he will roundhouse-kick you in the face.',
+  {text: 'Chuck Norris can hit you so hard that he can actually alter your DNA. Decades from now your descendants will occasionally clutch their heads and yell \"What The Hell was That?\".', tags: ['science']},
+  {text: 'In the Bible, Jesus turned water into wine. But then Chuck Norris turned that wine into beer.', tags: ['religion']},
+  {text: 'Chuck Norris is the only human being to display the Heisenberg uncertainty principle - you can never know both exactly where and how quickly he will roundhouse-kick you in the face.', tags: ['violence', 'science']},
   'Faster than a speeding bullet... More powerful than a locomotive... Able to leap tall buildings in a single bound... These are some of Chuck Norris\'s warm-up exercises.',
-  'Chuck Norris is not hung like a horse. Horses are hung like Chuck Norris.',
-  'Teenage Mutant Ninja Turtles is based on a true story: Chuck Norris once swallowed a turtle whole, and when he crapped it out, the turtle was six feet tall and had learned karate.',
-  'Someone once tried to tell Chuck Norris that roundhouse kicks aren\'t the best way to kick someone. This has been recorded by historians as the worst mistake anyone has ever made.',
-  'Chuck Norris has two speeds: Walk and Kill.',
-  'Chuck Norris once shot down a German fighter plane with his finger. By yelling \"Bang!\"',
+  {text: 'Chuck Norris is not hung like a horse. Horses are hung like Chuck Norris.', tags: ['nsfw']},
+  {text: 'Teenage Mutant Ninja Turtles is based on a true story: Chuck Norris once swallowed a turtle whole, and when he crapped it out, the turtle was six feet tall and had learned karate.', tags: ['violence']},
+  {text: 'Someone once tried to tell Chuck Norris that roundhouse kicks aren\'t the best way to kick someone. This has been recorded by historians as the worst mistake anyone has ever made.', tags: ['violence']},
+  {text: 'Chuck Norris has two speeds: Walk and Kill.', tags: ['violence']},
+  {text: 'Chuck Norris once shot down a German fighter plane with his finger. By yelling \"Bang!\"', tags: ['violence']},
   'The opening scene of the movie \"Saving Private Ryan\" is loosely based on games of dodgeball Chuck Norris played in second grade.',
-  'Fool me once, shame on you. Fool Chuck Norris once and he will roundhouse kick you in the face.',
-  'Chuck Norris originally appeared in the \"Street Fighter II\" video game, but was removed by Beta Testers because every button caused him to do a roundhouse kick. When asked about this glitch, Norris replied \"That\'s no glitch.\"',
+  {text: 'Fool me once, shame on you. Fool Chuck Norris once and he will roundhouse kick you in the face.', tags: ['violence']},
+  {text: 'Chuck Norris originally appeared in the \"Street Fighter II\" video game, but was removed by Beta Testers because every button caused him to do a roundhouse kick. When asked about this glitch, Norris replied \"That\'s no glitch.\"', tags: ['violence']},
   'If you spell Chuck Norris in Scrabble, you win. Forever.',
-  'Someone once videotaped Chuck Norris getting pissed off. It was called Walker: Texas Chain Saw Masacre.',
+  {text: 'Someone once videotaped Chuck Norris getting pissed off. It was called Walker: Texas Chain Saw Masacre.', tags: ['nsfw']},
   'Chuck Norris will attain statehood in 2009. His state flower will be the Magnolia.',
   'A handicapped parking sign does not signify that this spot is for handicapped people. It is actually in fact a warning, that the spot belongs to Chuck Norris and that you will be handicapped if you park there.',
   'Chuck Norris doesn\'t wash his clothes. He disembowels them.',
-  'Chuck Norris doesn\'t churn butter. He roundhouse kicks the cows and the butter comes straight out.',
-  'Police label anyone attacking Chuck Norris as a Code 45-11.... A suicide.',
-  'Chuck Norris is the only man to ever defeat a brick wall in a game of tennis.',
-  'What was going through the minds of all of Chuck Norris\' victims before they died? His shoe.',
-  'Chuck Norris once ate three 72 oz. steaks in one hour. He spent the first 45 minutes having sex with his waitress.',
-  'There is no theory of evolution, just a list of creatures Chuck Norris allows to live.',
+  {text: 'Chuck Norris doesn\'t churn butter. He roundhouse kicks the cows and the butter comes straight out.', tags: ['violence']},
+  {text: 'Police label anyone attacking Chuck Norris as a Code 45-11.... A suicide.', tags: ['science']},
+  {text: 'Chuck Norris is the only man to ever defeat a brick wall in a game of tennis.', tags: ['sports']},
+  {text: 'What was going through the minds of all of Chuck Norris\' victims before they died? His shoe.', tags: ['violence']},
+  {text: 'Chuck Norris once ate three 72 oz. steaks in one hour. He spent the first 45 minutes having sex with his waitress.', tags: ['nsfw']},
+  {text: 'There is no theory of evolution, just a list of creatures Chuck Norris allows to live.', tags: ['science']},
   'Chuck Norris can win a game of Connect Four in only three moves.',
-  'CNN was originally created as the \"Chuck Norris Network\" to update Americans with on-the-spot ass kicking in real-time.',
+  {text: 'CNN was originally created as the \"Chuck Norris Network\" to update Americans with on-the-spot ass kicking in real-time.', tags: ['violence']},
   'Chuck Norris invented Kentucky Fried Chicken\'s famous secret recipe with eleven herbs and spices. Nobody ever mentions the twelfth ingredient: Fear.',
   'The quickest way to a man\'s heart is with Chuck Norris\' fist.',
   'When Chuck Norris sends in his taxes, he sends blank forms and includes only a picture of himself, crouched and ready to attack. Chuck Norris has not had to pay taxes, ever.',
@@ -46,269 +46,269 @@ export default [
   'The Great Wall of China was originally created to keep Chuck Norris out. It failed miserably.',
   'Chuck Norris is ten feet tall, weighs two-tons, breathes fire, and could eat a hammer and take a shotgun blast standing.',
   'Crop circles are Chuck Norris\' way of telling the world that sometimes corn needs to lie down.',
-  'Chuck Norris once roundhouse kicked someone so hard that his foot broke the speed of light, went back in time, and killed Amelia Earhart while she was flying over the Pacific Ocean.',
+  {text: 'Chuck Norris once roundhouse kicked someone so hard that his foot broke the speed of light, went back in time, and killed Amelia Earhart while she was flying over the Pacific Ocean.', tags: ['violence', 'science']},
   'When Chuck Norris calls 1-900 numbers, he doesn\'t get charged. He holds up the phone and money falls out.',
-  'Chuck Norris once ate a whole cake before his friends could tell him there was a stripper in it.',
+  {text: 'Chuck Norris once ate a whole cake before his friends could tell him there was a stripper in it.', tags: ['nsfw']},
   'Some people like to eat frogs\' legs. Chuck Norris likes to eat lizard legs. Hence, snakes.',
   'There are no races, only countries of people Chuck Norris has beaten to different shades of black and blue.',
-  'When Chuck Norris was denied an Egg McMuffin at McDonald\'s because it was 10:35, he roundhouse kicked the store so hard it became a Wendy\'s.',
-  'Chuck Norris can\'t finish a \"color by numbers\" because his markers are filled with the blood of his victims. Unfortunately, all blood is dark red.',
-  'A Chuck Norris-delivered Roundhouse Kick is the preferred method of execution in 16 states.',
+  {text: 'When Chuck Norris was denied an Egg McMuffin at McDonald\'s because it was 10:35, he roundhouse kicked the store so hard it became a Wendy\'s.', tags: ['violence']},
+  {text: 'Chuck Norris can\'t finish a \"color by numbers\" because his markers are filled with the blood of his victims. Unfortunately, all blood is dark red.', tags: ['violence']},
+  {text: 'A Chuck Norris-delivered Roundhouse Kick is the preferred method of execution in 16 states.', tags: ['violence']},
   'When Chuck Norris falls in water, Chuck Norris doesn\'t get wet. Water gets Chuck Norris.',
-  'Scientists have estimated that the energy given off during the Big Bang is roughly equal to 1CNRhK (Chuck Norris Roundhouse Kick).',
+  {text: 'Scientists have estimated that the energy given off during the Big Bang is roughly equal to 1CNRhK (Chuck Norris Roundhouse Kick).', tags: ['violence', 'science']},
   'Chuck Norris\' house has no doors, only walls that he walks through.',
-  'When Chuck Norris has sex with a man, it won\'t be because he is gay. It will be because he has run out of women.',
+  {text: 'When Chuck Norris has sex with a man, it won\'t be because he is gay. It will be because he has run out of women.', tags: ['nsfw']},
   'How much wood would a woodchuck chuck if a woodchuck could Chuck Norris? All of it.',
   'Chuck Norris doesn\'t actually write books, the words assemble themselves out of fear.',
   'In honor of Chuck Norris, all McDonald\'s in Texas have an even larger size than the super-size. When ordering, just ask to be Chucksized.',
   'Chuck Norris can believe it\'s not butter.',
-  'If tapped, a Chuck Norris roundhouse kick could power the country of Australia for 44 minutes.',
-  'Chuck Norris can divide by zero.',
-  'The grass is always greener on the other side, unless Chuck Norris has been there. In that case the grass is most likely soaked in blood and tears.',
-  'Newton\'s Third Law is wrong: Although it states that for each action, there is an equal and opposite reaction, there is no force equal in reaction to a Chuck Norris roundhouse kick.',
-  'Chuck Norris invented his own type of karate. It\'s called Chuck-Will-Kill.',
+  {text: 'If tapped, a Chuck Norris roundhouse kick could power the country of Australia for 44 minutes.', tags: ['violence']},
+  {text: 'Chuck Norris can divide by zero.', tags: ['science']},
+  {text: 'The grass is always greener on the other side, unless Chuck Norris has been there. In that case the grass is most likely soaked in blood and tears.', tags: ['violence']},
+  {text: 'Newton\'s Third Law is wrong: Although it states that for each action, there is an equal and opposite reaction, there is no force equal in reaction to a Chuck Norris roundhouse kick.', tags: ['violence', 'science']},
+  {text: 'Chuck Norris invented his own type of karate. It\'s called Chuck-Will-Kill.', tags: ['violence']},
   'When an episode of Walker Texas Ranger was aired in France, the French surrendered to Chuck Norris just to be on the safe side.',
-  'While urinating, Chuck Norris is easily capable of welding titanium.',
+  {text: 'While urinating, Chuck Norris is easily capable of welding titanium.', tags: ['nsfw']},
   'When Chuck Norris talks, everybody listens. And dies.',
-  'When Steven Seagal kills a ninja, he only takes its hide. When Chuck Norris kills a ninja, he uses every part.',
+  {text: 'When Steven Seagal kills a ninja, he only takes its hide. When Chuck Norris kills a ninja, he uses every part.', tags: ['violence']},
   'Wilt Chamberlain claims to have slept with more than 20,000 women in his lifetime. Chuck Norris calls this \"a slow Tuesday.\"',
   'Contrary to popular belief, there is indeed enough Chuck Norris to go around.',
-  'Chuck Norris doesnt shave; he kicks himself in the face. The only thing that can cut Chuck Norris is Chuck Norris.',
-  'For some, the left testicle is larger than the right one. For Chuck Norris, each testicle is larger than the other one.',
+  {text: 'Chuck Norris doesnt shave; he kicks himself in the face. The only thing that can cut Chuck Norris is Chuck Norris.', tags: ['violence']},
+  {text: 'For some, the left testicle is larger than the right one. For Chuck Norris, each testicle is larger than the other one.', tags: ['nsfw']},
   'Chuck Norris always knows the EXACT location of Carmen SanDiego.',
   'When taking the SAT, write \"Chuck Norris\" for every answer. You will score over 8000.',
   'Chuck Norris invented black. In fact, he invented the entire spectrum of visible light. Except pink. Tom Cruise invented pink.',
-  'When you\'re Chuck Norris, anything + anything is equal to 1. One roundhouse kick to the face.',
-  'Chuck Norris has the greatest Poker-Face of all time. He won the 1983 World Series of Poker, despite holding only a Joker, a Get out of Jail Free Monopoloy card, a 2 of clubs, 7 of spades and a green #4 card from the game UNO.',
-  'On his birthday, Chuck Norris randomly selects one lucky child to be thrown into the sun.',
+  {text: 'When you\'re Chuck Norris, anything + anything is equal to 1. One roundhouse kick to the face.', tags: ['violence']},
+  {text: 'Chuck Norris has the greatest Poker-Face of all time. He won the 1983 World Series of Poker, despite holding only a Joker, a Get out of Jail Free Monopoloy card, a 2 of clubs, 7 of spades and a green #4 card from the game UNO.', tags: ['sports']},
+  {text: 'On his birthday, Chuck Norris randomly selects one lucky child to be thrown into the sun.', tags: ['science']},
   'Nobody doesn\'t like Sara Lee. Except Chuck Norris.',
   'Chuck Norris doesn\'t throw up if he drinks too much. Chuck Norris throws down!',
-  'In the beginning there was nothing...then Chuck Norris Roundhouse kicked that nothing in the face and said \"Get a job\". That is the story of the universe.',
+  {text: 'In the beginning there was nothing...then Chuck Norris Roundhouse kicked that nothing in the face and said \"Get a job\". That is the story of the universe.', tags: ['violence', 'science']},
   'Chuck Norris has 12 moons. One of those moons is the Earth.',
   'Chuck Norris grinds his coffee with his teeth and boils the water with his own rage.',
   'Archeologists unearthed an old english dictionary dating back to the year 1236. It defined \"victim\" as \"one who has encountered Chuck Norris\"',
   'Chuck Norris ordered a Big Mac at Burger King, and got one.',
-  'Chuck Norris and Mr. T walked into a bar. The bar was instantly destroyed, as that level of awesome cannot be contained in one building.',
-  'If you Google search \"Chuck Norris getting his ass kicked\" you will generate zero results. It just doesn\'t happen.',
+  {text: 'Chuck Norris and Mr. T walked into a bar. The bar was instantly destroyed, as that level of awesome cannot be contained in one building.', tags: ['violence']},
+  {text: 'If you Google search \"Chuck Norris getting his ass kicked\" you will generate zero results. It just doesn\'t happen.', tags: ['violence', 'science']},
   'Chuck Norris can drink an entire gallon of milk in thirty-seven seconds.',
-  'Little known medical fact: Chuck Norris invented the Caesarean section when he roundhouse-kicked his way out of his monther\'s womb.',
+  {text: 'Little known medical fact: Chuck Norris invented the Caesarean section when he roundhouse-kicked his way out of his monther\'s womb.', tags: ['violence']},
   'Chuck Norris doesn\'t bowl strikes, he just knocks down one pin and the other nine faint.',
   'The show Survivor had the original premise of putting people on an island with Chuck Norris. There were no survivors, and nobody is brave enough to go to the island to retrieve the footage.',
   'It takes Chuck Norris 20 minutes to watch 60 Minutes.',
-  'You know how they say if you die in your dream then you will die in real life? In actuality, if you dream of death then Chuck Norris will find you and kill you.',
+  {text: 'You know how they say if you die in your dream then you will die in real life? In actuality, if you dream of death then Chuck Norris will find you and kill you.', tags: ['violence']},
   'Chuck Norris has a deep and abiding respect for human life... unless it gets in his way.',
-  'The Bermuda Triangle used to be the Bermuda Square, until Chuck Norris Roundhouse kicked one of the corners off.',
+  {text: 'The Bermuda Triangle used to be the Bermuda Square, until Chuck Norris Roundhouse kicked one of the corners off.', tags: ['violence']},
   'Chuck Norris doesn\'t believe in Germany.',
   'When Chuck Norris is in a crowded area, he doesn\'t walk around people. He walks through them.',
   'Chuck Norris once ate an entire bottle of sleeping pills. They made him blink.',
   'James Cameron wanted Chuck Norris to play the Terminator. However, upon reflection, he realized that would have turned his movie into a documentary, so he went with Arnold Schwarzenegger.',
   'Chuck Norris can touch MC Hammer.',
   'Thousands of years ago Chuck Norris came across a bear. It was so terrified that it fled north into the arctic. It was also so terrified that all of its decendents now have white hair.',
-  'Chuck Norris played Russian Roulette with a fully loaded gun and won.',
-  'It takes 14 puppeteers to make Chuck Norris smile, but only 2 to make him destroy an orphanage.',
-  'Chuck Norris is responsible for China\'s over-population. He hosted a Karate tournament in Beijing and all women within 1,000 miles became pregnant instantly.',
+  {text: 'Chuck Norris played Russian Roulette with a fully loaded gun and won.', tags: ['violence']},
+  {text: 'It takes 14 puppeteers to make Chuck Norris smile, but only 2 to make him destroy an orphanage.', tags: ['violence']},
+  {text: 'Chuck Norris is responsible for China\'s over-population. He hosted a Karate tournament in Beijing and all women within 1,000 miles became pregnant instantly.', tags: ['violence', 'nsfw']},
   'Some people wear Superman pajamas. Superman wears Chuck Norris pajamas.',
   'Chuck Norris once worked as a weatherman for the San Diego evening news. Every night he would make the same forecast: Partly cloudy with a 75% chance of Pain.',
   'Simply by pulling on both ends, Chuck Norris can stretch diamonds back into coal.',
-  'When Chuck Norris does a pushup, he isn\'t lifting himself up, he\'s pushing the Earth down.',
-  'Chuck Norris invented the bolt-action rifle, liquor, sexual intercourse, and football-- in that order.',
-  'A high tide means Chuck Norris is flying over your coast. The tide is caused by God pissing his pants.',
-  'Chuck Norris keeps his friends close and his enemies closer. Close enough to drop them with one round house kick to the face.',
+  {text: 'When Chuck Norris does a pushup, he isn\'t lifting himself up, he\'s pushing the Earth down.', tags: ['sports']},
+  {text: 'Chuck Norris invented the bolt-action rifle, liquor, sexual intercourse, and football-- in that order.', tags: ['sports', 'nsfw']},
+  {text: 'A high tide means Chuck Norris is flying over your coast. The tide is caused by God pissing his pants.', tags: ['religion', 'nsfw']},
+  {text: 'Chuck Norris keeps his friends close and his enemies closer. Close enough to drop them with one round house kick to the face.', tags: ['violence']},
   'There is in fact an \'I\' in Norris, but there is no \'team\'. Not even close.',
-  'Scotty in Star Trek often says \"Ye cannae change the laws of physics.\" This is untrue. Chuck Norris can change the laws of physics. With his fists.',
-  'An anagram for Walker Texas Ranger is KARATE WRANGLER SEX. I don\'t know what that is, but it sounds AWESOME.',
-  'Chuck Norris doesn\'t stub his toes. He accidentally destroys chairs, bedframes, and sidewalks.',
-  'Using his trademark roundhouse kick, Chuck Norris once made a fieldgoal in RJ Stadium in Tampa Bay from the 50 yard line of Qualcomm stadium in San Diego.',
-  'Chuck Norris roundhouse kicks don\'t really kill people. They wipe out their entire existence from the space-time continuum.',
+  {text: 'Scotty in Star Trek often says \"Ye cannae change the laws of physics.\" This is untrue. Chuck Norris can change the laws of physics. With his fists.', tags: ['science']},
+  {text: 'An anagram for Walker Texas Ranger is KARATE WRANGLER SEX. I don\'t know what that is, but it sounds AWESOME.', tags: ['violence', 'nsfw']},
+  {text: 'Chuck Norris doesn\'t stub his toes. He accidentally destroys chairs, bedframes, and sidewalks.', tags: ['violence']},
+  {text: 'Using his trademark roundhouse kick, Chuck Norris once made a fieldgoal in RJ Stadium in Tampa Bay from the 50 yard line of Qualcomm stadium in San Diego.', tags: ['violence']},
+  {text: 'Chuck Norris roundhouse kicks don\'t really kill people. They wipe out their entire existence from the space-time continuum.', tags: ['violence']},
   'Chuck Norris does not own a stove, oven, or microwave , because revenge is a dish best served cold.',
   'Tom Clancy has to pay royalties to Chuck Norris because \"The Sum of All Fears\" is the name of Chuck Norris\' autobiography.',
   'Chuck Norris can slam a revolving door.',
   'Chuck Norris built a better mousetrap, but the world was too frightened to beat a path to his door.',
-  'The original draft of The Lord of the Rings featured Chuck Norris instead of Frodo Baggins. It was only 5 pages long, as Chuck roundhouse-kicked Sauron\'s ass halfway through the first chapter.',
+  {text: 'The original draft of The Lord of the Rings featured Chuck Norris instead of Frodo Baggins. It was only 5 pages long, as Chuck roundhouse-kicked Sauron\'s ass halfway through the first chapter.', tags: ['violence']},
   'Hellen Keller\'s favorite color is Chuck Norris.',
-  'Chuck Norris eats beef jerky and craps gunpowder. Then, he uses that gunpowder to make a bullet, which he uses to kill a cow and make more beef jerky. Some people refer to this as the \"Circle of Life.\"',
-  'If, by some incredible space-time paradox, Chuck Norris would ever fight himself, he\'d win. Period.',
+  {text: 'Chuck Norris eats beef jerky and craps gunpowder. Then, he uses that gunpowder to make a bullet, which he uses to kill a cow and make more beef jerky. Some people refer to this as the \"Circle of Life.\"', tags: ['violence']},
+  {text: 'If, by some incredible space-time paradox, Chuck Norris would ever fight himself, he\'d win. Period.', tags: ['violence']},
   'Chuck Norris is currently suing myspace for taking the name of what he calls everything around you.',
-  'The crossing lights in Chuck Norris\'s home town say \"Die slowly\" and \"die quickly\". They each have a picture of Chuck Norris punching or kicking a pedestrian.',
-  'Science Fact: Roundhouse kicks are comprised primarily of an element called Chucktanium.',
-  'Chuck Norris proved that we are alone in the universe. We weren\'t before his first space expedition.',
+  {text: 'The crossing lights in Chuck Norris\'s home town say \"Die slowly\" and \"die quickly\". They each have a picture of Chuck Norris punching or kicking a pedestrian.', tags: ['violence']},
+  {text: 'Science Fact: Roundhouse kicks are comprised primarily of an element called Chucktanium.', tags: ['violence', 'science']},
+  {text: 'Chuck Norris proved that we are alone in the universe. We weren\'t before his first space expedition.', tags: ['science']},
   'Superman once watched an episode of Walker, Texas Ranger. He then cried himself to sleep.',
   'Chuck Norris doesn\'t step on toes. Chuck Norris steps on necks.',
   'The movie \"Delta Force\" was extremely hard to make because Chuck had to downplay his abilities. The first few cuts were completely unbelievable.',
   'Movie trivia: The movie \"Invasion U.S.A.\" is, in fact, a documentary.',
   'Chuck Norris does not \"style\" his hair. It lays perfectly in place out of sheer terror.',
-  'There is no such thing as global warming. Chuck Norris was cold, so he turned the sun up.',
-  'A study showed the leading causes of death in the United States are: 1. Heart disease, 2. Chuck Norris, 3. Cancer',
-  'It\'s widely believed that Jesus was Chuck Norris\' stunt double for crucifixion due to the fact that it is impossible for nails to pierce Chuck Norris\' skin.',
+  {text: 'There is no such thing as global warming. Chuck Norris was cold, so he turned the sun up.', tags: ['science']},
+  {text: 'A study showed the leading causes of death in the United States are: 1. Heart disease, 2. Chuck Norris, 3. Cancer', tags: ['violence']},
+  {text: 'It\'s widely believed that Jesus was Chuck Norris\' stunt double for crucifixion due to the fact that it is impossible for nails to pierce Chuck Norris\' skin.', tags: ['religion']},
   'Chuck Norris did in fact, build Rome in a day.',
   'Along with his black belt, Chuck Norris often chooses to wear brown shoes. No one has DARED call him on it. Ever.',
   'Once you go Norris, you are physically unable to go back.',
-  'Ninjas want to grow up to be just like Chuck Norris. But usually they grow up just to be killed by Chuck Norris.',
+  {text: 'Ninjas want to grow up to be just like Chuck Norris. But usually they grow up just to be killed by Chuck Norris.', tags: ['violence']},
   'Chuck Norris once sued Burger King after they refused to put razor wire in his Whopper Jr, insisting that that actually is \"his\" way.',
-  'The last thing you hear before Chuck Norris gives you a roundhouse kick? No one knows because dead men tell no tales.',
-  'Chuck Norris doesn\'t play god. Playing is for children.',
-  'As a teen, Chuck Norris had sex with every nun in a convent tucked away in the hills of Tuscany. Nine months later the nuns gave birth to the 1972 Miami Dolphins, the only undefeated and untied team in professional football history.',
-  'Chuck Norris is the only person in the world that can actually email a roundhouse kick.',
-  'Chuck Norris won super bowls VII and VIII singlehandedly before unexpectedly retiring to pursue a career in ass-kicking.',
+  {text: 'The last thing you hear before Chuck Norris gives you a roundhouse kick? No one knows because dead men tell no tales.', tags: ['violence']},
+  {text: 'Chuck Norris doesn\'t play god. Playing is for children.', tags: ['religion']},
+  {text: 'As a teen, Chuck Norris had sex with every nun in a convent tucked away in the hills of Tuscany. Nine months later the nuns gave birth to the 1972 Miami Dolphins, the only undefeated and untied team in professional football history.', tags: ['sports', 'nsfw']},
+  {text: 'Chuck Norris is the only person in the world that can actually email a roundhouse kick.', tags: ['violence']},
+  {text: 'Chuck Norris won super bowls VII and VIII singlehandedly before unexpectedly retiring to pursue a career in ass-kicking.', tags: ['violence']},
   'Wo hu cang long. The translation from Mandarin Chinese reads: \"Crouching Chuck, Hidden Norris\"',
   'Chuck Norris can set ants on fire with a magnifying glass. At night.',
-  'Some kids play Kick the can. Chuck Norris played Kick the keg.',
+  {text: 'Some kids play Kick the can. Chuck Norris played Kick the keg.', tags: ['violence']},
   '\'Icy-Hot\' is too weak for Chuck Norris. After a workout, Chuck Norris rubs his muscles down with liquid-hot MAGMA.',
-  'Chuck Norris cannot love, he can only not kill.',
-  'When Chuck Norris was a baby, he didn\'t suck his mother\'s breast. His mother served him whiskey, straight out of the bottle.',
-  'According to Einstein\'s theory of relativity, Chuck Norris can actually roundhouse kick you yesterday.',
+  {text: 'Chuck Norris cannot love, he can only not kill.', tags: ['violence']},
+  {text: 'When Chuck Norris was a baby, he didn\'t suck his mother\'s breast. His mother served him whiskey, straight out of the bottle.', tags: ['nsfw']},
+  {text: 'According to Einstein\'s theory of relativity, Chuck Norris can actually roundhouse kick you yesterday.', tags: ['violence', 'science']},
   'Chuck Norris once pulled out a single hair from his beard and skewered three men through the heart with it.',
-  'In an act of great philanthropy, Chuck made a generous donation to the American Cancer Society. He donated 6,000 dead bodies for scientific research.',
-  'Chuck Norris? favourite cut of meat is the roundhouse.',
-  'When J. Robert Oppenheimer said \"I am become death, the destroyer Of worlds\", He was not referring to the atomic bomb. He was referring to the Chuck Norris halloween costume he was wearing.',
+  {text: 'In an act of great philanthropy, Chuck made a generous donation to the American Cancer Society. He donated 6,000 dead bodies for scientific research.', tags: ['violence', 'science']},
+  {text: 'Chuck Norris? favourite cut of meat is the roundhouse.', tags: ['violence']},
+  {text: 'When J. Robert Oppenheimer said \"I am become death, the destroyer Of worlds\", He was not referring to the atomic bomb. He was referring to the Chuck Norris halloween costume he was wearing.', tags: ['violence']},
   'Chuck Norris recently had the idea to sell his urine as a canned beverage. We know this beverage as Red Bull.',
-  'In a recent survey it was discovered the 94% of American women lost their virginity to Chuck Norris. The other 6% were incredibly fat or ugly.',
-  'Chuck Norris invented a language that incorporates karate and roundhouse kicks. So next time Chuck Norris is kicking your ass, don?t be offended or hurt, he may be just trying to tell you he likes your hat.',
+  {text: 'In a recent survey it was discovered the 94% of American women lost their virginity to Chuck Norris. The other 6% were incredibly fat or ugly.', tags: ['nsfw']},
+  {text: 'Chuck Norris invented a language that incorporates karate and roundhouse kicks. So next time Chuck Norris is kicking your ass, don?t be offended or hurt, he may be just trying to tell you he likes your hat.', tags: ['violence']},
   'If at first you don\'t succeed, you\'re not Chuck Norris.',
-  'If Chuck Norris were a calendar, every month would be named Chucktober, and every day he\'d kick your ass.',
-  'Fear is not the only emotion Chuck Norris can smell. He can also detect hope, as in \"I hope I don\'t get a roundhouse kick from Chuck Norris.\"',
+  {text: 'If Chuck Norris were a calendar, every month would be named Chucktober, and every day he\'d kick your ass.', tags: ['violence']},
+  {text: 'Fear is not the only emotion Chuck Norris can smell. He can also detect hope, as in \"I hope I don\'t get a roundhouse kick from Chuck Norris.\"', tags: ['violence']},
   '# Chuck Norris\'s show is called Walker: Texas Ranger, because Chuck Norris doesn\'t run.',
-  'MacGyver can build an airplane out of gum and paper clips, but Chuck Norris can roundhouse-kick his head through a wall and take it.',
-  'Behind every successful man, there is a woman. Behind every dead man, there is Chuck Norris.',
+  {text: 'MacGyver can build an airplane out of gum and paper clips, but Chuck Norris can roundhouse-kick his head through a wall and take it.', tags: ['violence']},
+  {text: 'Behind every successful man, there is a woman. Behind every dead man, there is Chuck Norris.', tags: ['violence']},
   'Chuck Norris brushes his teeth with a mixture of iron shavings, industrial paint remover, and wood-grain alcohol.',
   'The easiest way to determine Chuck Norris\' age is to cut him in half and count the rings.',
   'There is endless debate about the existence of the human soul. Well it does exist and Chuck Norris finds it delicious.',
   'Most boots are made for walkin\'. Chuck Norris\' boots ain\'t that merciful.',
-  'The US did not boycott the 1980 Summer Olympics in Moscow due to political reasons: Chuck Norris killed the entire US team with a single round-house kick during TaeKwonDo practice.',
-  'Chuck Norris wears a live rattlesnake as a condom.',
-  'The Bible was originally titled \"Chuck Norris and Friends\"',
+  {text: 'The US did not boycott the 1980 Summer Olympics in Moscow due to political reasons: Chuck Norris killed the entire US team with a single round-house kick during TaeKwonDo practice.', tags: ['violence', 'sports']},
+  {text: 'Chuck Norris wears a live rattlesnake as a condom.', tags: ['nsfw']},
+  {text: 'The Bible was originally titled \"Chuck Norris and Friends\"', tags: ['religion']},
   'Chuck Norris began selling the Total Gym as an ill-fated attempt to make his day-to-day opponents less laughably pathetic.',
   'Do you know why Baskin Robbins only has 31 flavors? Because Chuck Norris doesn\'t like Fudge Ripple.',
   'When Chuck Norris says \"More cowbell\", he MEANS it.',
-  'On the set of Walker Texas Ranger Chuck Norris brought a dying lamb back to life by nuzzling it with his beard. As the onlookers gathered, the lamb sprang to life. Chuck Norris then roundhouse kicked it, killing it instantly. This was just to prove that the good Chuck givet',
+  {text: 'On the set of Walker Texas Ranger Chuck Norris brought a dying lamb back to life by nuzzling it with his beard. As the onlookers gathered, the lamb sprang to life. Chuck Norris then roundhouse kicked it, killing it instantly. This was just to prove that the good Chuck givet', tags: ['violence']},
   'Chuck Norris was what Willis was talkin\' about.',
-  'Google won\'t search for Chuck Norris because it knows you don\'t find Chuck Norris, he finds you.',
+  {text: 'Google won\'t search for Chuck Norris because it knows you don\'t find Chuck Norris, he finds you.', tags: ['science']},
   'Chuck Norris can lead a horse to water AND make it drink.',
-  'Nagasaki never had a bomb dropped on it. Chuck Norris jumped out of a plane and punched the ground',
-  'It is scientifically impossible for Chuck Norris to have had a mortal father. The most popular theory is that he went back in time and fathered himself.',
-  'Chuck Norris destroyed the periodic table, because Chuck Norris only recognizes the element of surprise.',
+  {text: 'Nagasaki never had a bomb dropped on it. Chuck Norris jumped out of a plane and punched the ground', tags: ['violence']},
+  {text: 'It is scientifically impossible for Chuck Norris to have had a mortal father. The most popular theory is that he went back in time and fathered himself.', tags: ['science']},
+  {text: 'Chuck Norris destroyed the periodic table, because Chuck Norris only recognizes the element of surprise.', tags: ['violence', 'science']},
   'It is believed dinosaurs are extinct due to a giant meteor. That\'s true if you want to call Chuck Norris a giant meteor.',
-  'Chuck Norris shot the sheriff, but he round house kicked the deputy.',
-  'That\'s not Chuck Norris doing push-ups -- that\'s Chuck Norris moving the Earth away from the path of a deadly asteroid.',
+  {text: 'Chuck Norris shot the sheriff, but he round house kicked the deputy.', tags: ['violence']},
+  {text: 'That\'s not Chuck Norris doing push-ups -- that\'s Chuck Norris moving the Earth away from the path of a deadly asteroid.', tags: ['sports']},
   'Chuck Norris can judge a book by its cover.',
-  'Nothing can escape the gravity of a black hole, except for Chuck Norris. Chuck Norris eats black holes. They taste like chicken.',
+  {text: 'Nothing can escape the gravity of a black hole, except for Chuck Norris. Chuck Norris eats black holes. They taste like chicken.', tags: ['science']},
   'Chuck Norris does not play the lottery. It doesn\'t have nearly enough balls.',
-  'How many Chuck Norris\' does it take to change a light bulb? None, Chuck Norris prefers to kill in the dark.',
+  {text: 'How many Chuck Norris\' does it take to change a light bulb? None, Chuck Norris prefers to kill in the dark.', tags: ['violence']},
   'As President Roosevelt said: \"We have nothing to fear but fear itself. And Chuck Norris.\"',
   'Chuck Norris just says \"no\" to drugs. If he said \"yes\", it would collapse Colombia\'s infrastructure.',
   'Crime does not pay - unless you are an undertaker following Walker, Texas Ranger, on a routine patrol.',
-  'Chuck Norris invented the internet? just so he had a place to store his porn.',
+  {text: 'Chuck Norris invented the internet? just so he had a place to store his porn.', tags: ['science', 'nsfw']},
   'Chuck Norris does not own a house. He walks into random houses and people move.',
-  'It is better to give than to receive. This is especially true of a Chuck Norris roundhouse kick.',
+  {text: 'It is better to give than to receive. This is especially true of a Chuck Norris roundhouse kick.', tags: ['violence']},
   'Chuck Norris is the only person to ever win a staring contest against Ray Charles and Stevie Wonder.',
   'Industrial logging isn\'t the cause of deforestation. Chuck Norris needs toothpicks.',
   'Chuck Norris smells what the Rock is cooking... because the Rock is Chuck Norris\' personal chef.',
-  'When Chuck Norris plays Oregon Trail, his family does not die from cholera or dysentery, but rather, roundhouse kicks to the face. He also requires no wagon, since he carries the oxen, axels, and buffalo meat on his back. He always makes it to Oregon before you.',
+  {text: 'When Chuck Norris plays Oregon Trail, his family does not die from cholera or dysentery, but rather, roundhouse kicks to the face. He also requires no wagon, since he carries the oxen, axels, and buffalo meat on his back. He always makes it to Oregon before you.', tags: ['violence']},
   'Chuck Norris is the reason why Waldo is hiding.',
-  '\"Brokeback Mountain\" is not just a movie. It\'s also what Chuck Norris calls the pile of dead ninjas in his front yard.',
-  'When God said, \"let there be light\", Chuck Norris said, \"say \'please\'.\"',
+  {text: '\"Brokeback Mountain\" is not just a movie. It\'s also what Chuck Norris calls the pile of dead ninjas in his front yard.', tags: ['violence']},
+  {text: 'When God said, \"let there be light\", Chuck Norris said, \"say \'please\'.\"', tags: ['religion']},
   'Chuck Norris does not eat. Food understands that the only safe haven from Chuck Norris\' fists is inside his own body.',
-  'One day Chuck Norris walked down the street with a massive erection. There were no survivors.',
-  'Chuck Norris built a time machine and went back in time to stop the JFK assassination. As Oswald shot, Chuck met all three bullets with his beard, deflecting them. JFK\'s head exploded out of sheer amazement.',
+  {text: 'One day Chuck Norris walked down the street with a massive erection. There were no survivors.', tags: ['nsfw']},
+  {text: 'Chuck Norris built a time machine and went back in time to stop the JFK assassination. As Oswald shot, Chuck met all three bullets with his beard, deflecting them. JFK\'s head exploded out of sheer amazement.', tags: ['violence']},
   'Chuck Norris uses a night light. Not because Chuck Norris is afraid of the dark, but the dark is afraid of Chuck Norris.',
   'When Bruce Banner gets mad, he turns into the Hulk. When the Hulk gets mad, he turns into Chuck Norris.',
-  'Chuck Norris kills anyone that asks: \"Do you want fries with that?\". Because by now everyone should know that Chuck doesn\'t want fries with anything. Ever.',
-  'Chuck Norris once kicked a horse in the chin. Its decendants are known today as Giraffes.',
+  {text: 'Chuck Norris kills anyone that asks: \"Do you want fries with that?\". Because by now everyone should know that Chuck doesn\'t want fries with anything. Ever.', tags: ['violence']},
+  {text: 'Chuck Norris once kicked a horse in the chin. Its decendants are known today as Giraffes.', tags: ['violence']},
   'Sticks and stones may break your bones, but a Chuck Norris glare will liquefy your kidneys.',
-  'Human cloning is outlawed because of Chuck Norris, because then it would be possible for a Chuck Norris roundhouse kick to meet another Chuck Norris roundhouse kick. Physicists theorize that this contact would end the universe.',
+  {text: 'Human cloning is outlawed because of Chuck Norris, because then it would be possible for a Chuck Norris roundhouse kick to meet another Chuck Norris roundhouse kick. Physicists theorize that this contact would end the universe.', tags: ['violence', 'science']},
   'Chuck Norris once went skydiving, but promised never to do it again. One Grand Canyon is enough.',
   'Chuck Norris\'s version of a \"chocolate milkshake\" is a raw porterhouse wrapped around ten Hershey bars, and doused in diesel fuel.',
-  'In a fight between Batman and Darth Vader, the winner would be Chuck Norris.',
-  'Chuck Norris puts his pants on one leg at a time, just like the rest of us. The only difference is, then he kills people.',
+  {text: 'In a fight between Batman and Darth Vader, the winner would be Chuck Norris.', tags: ['violence']},
+  {text: 'Chuck Norris puts his pants on one leg at a time, just like the rest of us. The only difference is, then he kills people.', tags: ['violence']},
   'Everybody loves Raymond. Except Chuck Norris.',
   'Contrary to popular belief, the Titanic didn\'t hit an iceberg. The ship was off course and ran into Chuck Norris while he was doing the backstroke across the Atlantic.',
   'Chuck Norris got his drivers license at the age of 16. Seconds.',
   'The original title for Alien vs. Predator was Alien and Predator vs Chuck Norris. The film was cancelled shortly after going into preproduction. No one would pay nine dollars to see a movie fourteen seconds long.',
-  'Chuck Norris? sperm is so badass, he had sex with Nicole Kidman, and 7 months later she prematurely gave birth to a Ford Excursion.',
+  {text: 'Chuck Norris? sperm is so badass, he had sex with Nicole Kidman, and 7 months later she prematurely gave birth to a Ford Excursion.', tags: ['nsfw']},
   'Chuck Norris can win at solitaire with only 18 cards.',
-  'Chuck Norris once shat blood - the blood of 11,940 natives he had killed and eaten.',
-  'Maslow\'s theory of higher needs does not apply to Chuck Norris. He only has two needs: killing people and finding people to kill.',
+  {text: 'Chuck Norris once shat blood - the blood of 11,940 natives he had killed and eaten.', tags: ['violence']},
+  {text: 'Maslow\'s theory of higher needs does not apply to Chuck Norris. He only has two needs: killing people and finding people to kill.', tags: ['violence', 'science']},
   'The truth will set you free. Unless Chuck Norris has you, in which case, forget it buddy!',
-  'Kryptonite has been found to contain trace elements of Chuck Norris roundhouse kicks to the face. This is why it is so deadly to Superman.',
-  'Saddam Hussein was not found hiding in a \"hole.\" Saddam was roundhouse-kicked in the head by Chuck Norris in Kansas, which sent him through the earth, stopping just short of the surface of Iraq.',
-  'Coroners refer to dead people as \"ABC\'s\". Already Been Chucked.',
+  {text: 'Kryptonite has been found to contain trace elements of Chuck Norris roundhouse kicks to the face. This is why it is so deadly to Superman.', tags: ['violence']},
+  {text: 'Saddam Hussein was not found hiding in a \"hole.\" Saddam was roundhouse-kicked in the head by Chuck Norris in Kansas, which sent him through the earth, stopping just short of the surface of Iraq.', tags: ['violence']},
+  {text: 'Coroners refer to dead people as \"ABC\'s\". Already Been Chucked.', tags: ['violence']},
   'Chuck Norris doesn\'t look both ways before he crosses the street... he just roundhouses any cars that get too close.',
   'Chuck Norris does not have to answer the phone. His beard picks up the incoming electrical impulses and translates them into audible sound.',
-  'How many roundhouse kicks does it take to get to the center of a tootsie pop? Just one. From Chuck Norris.',
+  {text: 'How many roundhouse kicks does it take to get to the center of a tootsie pop? Just one. From Chuck Norris.', tags: ['violence']},
   'Chuck Norris doesnt wear a watch, HE decides what time it is.',
   'The phrase \'break a leg\' was originally coined by Chuck Norris\'s co-stars in Walker, Texas Ranger as a good luck charm, indicating that a broken leg might be the worst extent of their injuries. This never proved to be the case.',
   'When Chuck Norris does division, there are no remainders.',
   'If you rearrange the letters in \"Chuck Norris\", they also spell \"Crush Rock In\". The words \"with his fists\" are understood.',
   'Never look a gift Chuck Norris in the mouth, because he will bite your damn eyes off.',
-  'Chuck Norris used to play baseball. When Babe Ruth was hailed as the better player, Chuck Norris killed him with a baseball bat to the throat. Lou Gehrig got off easy.',
+  {text: 'Chuck Norris used to play baseball. When Babe Ruth was hailed as the better player, Chuck Norris killed him with a baseball bat to the throat. Lou Gehrig got off easy.', tags: ['violence', 'sports']},
   'The original title for Star Wars was \"Skywalker: Texas Ranger\". Starring Chuck Norris.',
-  'Guantuanamo Bay, Cuba, is the military code-word for \"Chuck Norris\' basement\".',
+  {text: 'Guantuanamo Bay, Cuba, is the military code-word for \"Chuck Norris\' basement\".', tags: ['science']},
   'The phrase \'balls to the wall\' was originally conceived to describe Chuck Norris entering any building smaller than an aircraft hangar.',
-  'Chuck Norris? roundhouse kick is so powerful, it can be seen from outer space by the naked eye.',
+  {text: 'Chuck Norris? roundhouse kick is so powerful, it can be seen from outer space by the naked eye.', tags: ['violence']},
   'Ozzy Osbourne bites the heads off of bats. Chuck Norris bites the heads off of Siberian Tigers.',
-  'He who lives by the sword, dies by the sword. He who lives by Chuck Norris, dies by the roundhouse kick.',
+  {text: 'He who lives by the sword, dies by the sword. He who lives by Chuck Norris, dies by the roundhouse kick.', tags: ['violence']},
   'The best-laid plans of mice and men often go awry. Even the worst-laid plans of Chuck Norris come off without a hitch.',
-  'The phrase \'dead ringer\' refers to someone who sits behind Chuck Norris in a movie theater and forgets to turn their cell phone off.',
+  {text: 'The phrase \'dead ringer\' refers to someone who sits behind Chuck Norris in a movie theater and forgets to turn their cell phone off.', tags: ['violence']},
   'Staring at Chuck Norris for extended periods of time without proper eye protection will cause blindess, and possibly foot sized brusies on the face.',
   'Chuck Norris can taste lies.',
-  'Chuck Norris does not kick ass and take names. In fact, Chuck Norris kicks ass and assigns the corpse a number. It is currently recorded to be in the billions.',
-  'One time, Chuck Norris accidentally stubbed his toe. It destroyed the entire state of Ohio.',
-  'Little Miss Muffet sat on her tuffet, until Chuck Norris roundhouse kicked her into a glacier.',
+  {text: 'Chuck Norris does not kick ass and take names. In fact, Chuck Norris kicks ass and assigns the corpse a number. It is currently recorded to be in the billions.', tags: ['violence']},
+  {text: 'One time, Chuck Norris accidentally stubbed his toe. It destroyed the entire state of Ohio.', tags: ['violence']},
+  {text: 'Little Miss Muffet sat on her tuffet, until Chuck Norris roundhouse kicked her into a glacier.', tags: ['violence']},
   'Chuck Norris can blow bubbles with beef jerky.',
-  'They had to edit the first ending of \'Lone Wolf McQuade\' after Chuck Norris kicked David Carradine\'s ass, then proceeded to barbecue and eat him.',
+  {text: 'They had to edit the first ending of \'Lone Wolf McQuade\' after Chuck Norris kicked David Carradine\'s ass, then proceeded to barbecue and eat him.', tags: ['violence']},
   'Chuck Norris does, in fact, live in a round house.',
   'When Chuck Norris works out on the Total Gym, the Total Gym feels like it\'s been raped.',
   '4 out of 5 doctors fail to recommend Chuck Norris as a solution to most problems. Also, 80% of doctors die unexplained, needlessly brutal deaths.',
   'Chuck Norris can skeletize a cow in two minutes.',
-  'The only sure things are Death and Taxes?and when Chuck Norris goes to work for the IRS, they\'ll be the same thing.',
+  {text: 'The only sure things are Death and Taxes?and when Chuck Norris goes to work for the IRS, they\'ll be the same thing.', tags: ['violence']},
   'Chuck Norris\' first job was as a paperboy. There were no survivors.',
   'With the rising cost of gasoline, Chuck Norris is beginning to worry about his drinking habit.',
-  'The square root of Chuck Norris is pain. Do not try to square Chuck Norris, the result is death.',
-  'Chuck Norris\' testicles do not produce sperm. They produce tiny white ninjas that recognize only one mission: seek and destroy.',
+  {text: 'The square root of Chuck Norris is pain. Do not try to square Chuck Norris, the result is death.', tags: ['violence']},
+  {text: 'Chuck Norris\' testicles do not produce sperm. They produce tiny white ninjas that recognize only one mission: seek and destroy.', tags: ['violence', 'nsfw']},
   'To be or not to be? That is the question. The answer? Chuck Norris.',
-  'Chuck Norris has never been in a fight, ever. Do you call one roundhouse kick to the face a fight?',
+  {text: 'Chuck Norris has never been in a fight, ever. Do you call one roundhouse kick to the face a fight?', tags: ['violence']},
   'There are two types of people in the world... people that suck, and Chuck Norris.',
   'Chuck Norris never wet his bed as a child. The bed wet itself out of fear.',
-  'If you were somehow able to land a punch on Chuck Norris your entire arm would shatter upon impact. This is only in theory, since, come on, who in their right mind would try this?',
-  '70% of a human\'s weight is water. 70% of Chuck Norris\' weight is his dick.',
-  'Jean-Claude Van Damme once kicked Chuck Norris\' ass. He was then awakened from his dream by a roundhouse kick to the face.',
+  {text: 'If you were somehow able to land a punch on Chuck Norris your entire arm would shatter upon impact. This is only in theory, since, come on, who in their right mind would try this?', tags: ['violence', 'science']},
+  {text: '70% of a human\'s weight is water. 70% of Chuck Norris\' weight is his dick.', tags: ['nsfw']},
+  {text: 'Jean-Claude Van Damme once kicked Chuck Norris\' ass. He was then awakened from his dream by a roundhouse kick to the face.', tags: ['violence']},
   'The pie scene in \"American Pie\" is based on a dare Chuck Norris took when he was younger. However, in Chuck Norris\' case, the \"pie\" was the molten crater of an active volcano.',
   'Chuck Norris uses 8\'x10\' sheets of plywood as toilet paper.',
-  'Noah was the only man notified before Chuck Norris relieved himself in the Atlantic Ocean.',
-  'MacGyver immediately tried to make a bomb out of some Q-Tips and Gatorade, but Chuck Norris roundhouse-kicked him in the solar plexus. MacGyver promptly threw up his own heart.',
-  'Jack Bauer tried to use his detailed knowledge of torture techniques, but to no avail: Chuck Norris thrives on pain. Chuck Norris then ripped off Jack Bauer\'s arm and beat him to death with it. Game, set, match.',
-  'Chuck Norris eats steak for every single meal. Most times he forgets to kill the cow.',
-  'The First Law of Thermodynamics states that energy can neither be created nor destroyed... unless it meets Chuck Norris.',
-  'Chuck Norris doesn\'t go on the internet, he has every internet site stored in his memory. He refreshes webpages by blinking.',
-  'Fact: Chuck Norris doesn\'t consider it sex if the woman survives.',
-  'It is said that looking into Chuck Norris\' eyes will reveal your future. Unfortunately, everybody\'s future is always the same: death by a roundhouse-kick to the face.',
+  {text: 'Noah was the only man notified before Chuck Norris relieved himself in the Atlantic Ocean.', tags: ['religion']},
+  {text: 'MacGyver immediately tried to make a bomb out of some Q-Tips and Gatorade, but Chuck Norris roundhouse-kicked him in the solar plexus. MacGyver promptly threw up his own heart.', tags: ['violence']},
+  {text: 'Jack Bauer tried to use his detailed knowledge of torture techniques, but to no avail: Chuck Norris thrives on pain. Chuck Norris then ripped off Jack Bauer\'s arm and beat him to death with it. Game, set, match.', tags: ['violence']},
+  {text: 'Chuck Norris eats steak for every single meal. Most times he forgets to kill the cow.', tags: ['violence']},
+  {text: 'The First Law of Thermodynamics states that energy can neither be created nor destroyed... unless it meets Chuck Norris.', tags: ['violence']},
+  {text: 'Chuck Norris doesn\'t go on the internet, he has every internet site stored in his memory. He refreshes webpages by blinking.', tags: ['science']},
+  {text: 'Fact: Chuck Norris doesn\'t consider it sex if the woman survives.', tags: ['nsfw']},
+  {text: 'It is said that looking into Chuck Norris\' eyes will reveal your future. Unfortunately, everybody\'s future is always the same: death by a roundhouse-kick to the face.', tags: ['violence']},
   'Chuck Norris knows everything there is to know - Except for the definition of mercy.',
-  'Scientifically speaking, it is impossible to charge Chuck Norris with \"obstruction of justice.\" This is because even Chuck Norris cannot be in two places at the same time.',
-  'Chuck Norris never has to wax his skis because they\'re always slick with blood.',
+  {text: 'Scientifically speaking, it is impossible to charge Chuck Norris with \"obstruction of justice.\" This is because even Chuck Norris cannot be in two places at the same time.', tags: ['science']},
+  {text: 'Chuck Norris never has to wax his skis because they\'re always slick with blood.', tags: ['violence']},
   'When you say \"no one\'s perfect\", Chuck Norris takes this as a personal insult.',
   'Chuck Norris can win a game of Trivial Pursuit with one roll of the dice, and without answering a single question... just a nod of the head, and a stroke of the beard.',
   '182,000 Americans die from Chuck Norris-related accidents every year.',
   'Paper beats rock, rock beats scissors, and scissors beats paper, but Chuck Norris beats all 3 at the same time.',
-  'Jesus can walk on water, but Chuck Norris can walk on Jesus.',
-  'All roads lead to Chuck Norris. And by the transitive property, a roundhouse kick to the face.',
+  {text: 'Jesus can walk on water, but Chuck Norris can walk on Jesus.', tags: ['religion']},
+  {text: 'All roads lead to Chuck Norris. And by the transitive property, a roundhouse kick to the face.', tags: ['violence']},
   'July 4th is Independence day. And the day Chuck Norris was born. Coincidence? I think not.',
   'Chuck Norris never goes to the dentist because his teeth are unbreakable. His enemies never go to the dentist because they have no teeth.',
-  'In the medical community, death is referred to as \"Chuck Norris Disease\"',
-  'Chuck Norris was once in a knife fight, and the knife lost.',
-  'If you work in an office with Chuck Norris, don\'t ask him for his three-hole-punch.',
-  'In the Words of Julius Caesar, \"Veni, Vidi, Vici, Chuck Norris\". Translation: I came, I saw, and I was roundhouse-kicked inthe face by Chuck Norris.',
+  {text: 'In the medical community, death is referred to as \"Chuck Norris Disease\"', tags: ['violence']},
+  {text: 'Chuck Norris was once in a knife fight, and the knife lost.', tags: ['violence']},
+  {text: 'If you work in an office with Chuck Norris, don\'t ask him for his three-hole-punch.', tags: ['violence']},
+  {text: 'In the Words of Julius Caesar, \"Veni, Vidi, Vici, Chuck Norris\". Translation: I came, I saw, and I was roundhouse-kicked inthe face by Chuck Norris.', tags: ['violence']},
   'The First rule of Chuck Norris is: you do not talk about Chuck Norris.',
-  'Chuck Norris is widely predicted to be first black president. If you\'re thinking to yourself, \"But Chuck Norris isn\'t black\", then you are dead wrong. And stop being a racist.',
+  {text: 'Chuck Norris is widely predicted to be first black president. If you\'re thinking to yourself, \"But Chuck Norris isn\'t black\", then you are dead wrong. And stop being a racist.', tags: ['violence']},
   'When Chuck Norris plays Monopoly, it affects the actual world economy.',
-  'Chuck Norris can be unlocked on the hardest level of Tekken. But only Chuck Norris is skilled enough to unlock himself. Then he roundhouse kicks the Playstation back to Japan.',
+  {text: 'Chuck Norris can be unlocked on the hardest level of Tekken. But only Chuck Norris is skilled enough to unlock himself. Then he roundhouse kicks the Playstation back to Japan.', tags: ['violence']},
   'Chuck Norris drinks napalm to quell his heartburn.',
-  'Every time someone uses the word \"intense\", Chuck Norris always replies \"you know what else is intense?\" followed by a roundhouse kick to the face.',
+  {text: 'Every time someone uses the word \"intense\", Chuck Norris always replies \"you know what else is intense?\" followed by a roundhouse kick to the face.', tags: ['violence']},
   'As an infant, Chuck Norris\' parents gave him a toy hammer. He gave the world Stonehenge.',
   'Chuck Norris once ordered a steak in a restaurant. The steak did what it was told.',
   'Most people fear the Reaper. Chuck Norris considers him \"a promising Rookie\".',
   'There are only two things that can cut diamonds: other diamonds, and Chuck Norris.',
   'President Roosevelt once rode his horse 100 miles. Chuck Norris carried his the same distance in half the time.',
-  'Chuck Norris once ate four 30lb bowling balls without chewing.',
+  {text: 'Chuck Norris once ate four 30lb bowling balls without chewing.', tags: ['sports']},
   'What many people dont know is Chuck Norris is the founder of planned parenthood. Not even unborn children can escape his wrath.',
   'Chuck Norris was banned from competitive bullriding after a 1992 exhibition in San Antonio, when he rode the bull 1,346 miles from Texas to Milwaukee Wisconsin to pick up his dry cleaning.',
   'Chuck Norris qualified with a top speed of 324 mph at the Daytona 500, without a car.',
@@ -317,54 +317,54 @@ export default [
   'The chemical formula for the highly toxic cyanide ion is CN-. These are also Chuck Norris\' initials. This is not a coincidence.',
   'Chuck Norris\' credit cards have no limit. Last weekend, he maxed them out.',
   'Think of a hot woman. Chuck Norris did her.',
-  'A man once claimed Chuck Norris kicked his ass twice, but it was promptly dismissed as false - no one could survive it the first time.',
-  'Chuck Norris sleeps with a pillow under his gun.',
+  {text: 'A man once claimed Chuck Norris kicked his ass twice, but it was promptly dismissed as false - no one could survive it the first time.', tags: ['violence']},
+  {text: 'Chuck Norris sleeps with a pillow under his gun.', tags: ['violence']},
   'Chuck Norris owns a chain of fast-food restaurants throughout the southwest. They serve nothing but barbecue-flavored ice cream and Hot Pockets.',
   'Chuck Norris doesn\'t chew gum. Chuck Norris chews tin foil.',
-  'Aliens DO indeed exist. They just know better than to visit a planet that Chuck Norris is on.',
+  {text: 'Aliens DO indeed exist. They just know better than to visit a planet that Chuck Norris is on.', tags: ['science']},
   'When in a bar, you can order a drink called a \"Chuck Norris\". It is also known as a \"Bloody Mary\", if your name happens to be Mary.',
-  'Every time Chuck Norris smiles, someone dies. Unless he smiles while he?s roundhouse kicking someone in the face. Then two people die.',
+  {text: 'Every time Chuck Norris smiles, someone dies. Unless he smiles while he?s roundhouse kicking someone in the face. Then two people die.', tags: ['violence']},
   'Some people ask for a Kleenex when they sneeze, Chuck Norris asks for a body bag.',
-  'There?s an order to the universe: space, time, Chuck Norris.... Just kidding, Chuck Norris is first.',
+  {text: 'There?s an order to the universe: space, time, Chuck Norris.... Just kidding, Chuck Norris is first.', tags: ['science']},
   'A man once asked Chuck Norris if his real name is \"Charles\". Chuck Norris did not respond, he simply stared at him until he exploded.',
   'Chuck Norris starts everyday with a protein shake made from Carnation Instant Breakfast, one dozen eggs, pure Colombian cocaine, and rattlesnake venom. He injects it directly into his neck with a syringe.',
   'In a tagteam match, Chuck Norris was teamed with Hulk Hogan against King Kong Bundy and Andre The Giant. He pinned all 3 at the same time.',
-  'Chuck Norris doesn\'t see dead people. He makes people dead.',
-  'Chuck Norris is the only person who can simultaneously hold and fire FIVE Uzis: One in each hand, one in each foot -- and the 5th one he roundhouse-kicks into the air, so that it sprays bullets.',
+  {text: 'Chuck Norris doesn\'t see dead people. He makes people dead.', tags: ['violence']},
+  {text: 'Chuck Norris is the only person who can simultaneously hold and fire FIVE Uzis: One in each hand, one in each foot -- and the 5th one he roundhouse-kicks into the air, so that it sprays bullets.', tags: ['violence']},
   'For undercover police work, Chuck Norris pins his badge underneath his shirt, directly into his chest.',
   'In the X-Men movies, none of the X-Men super-powers are done with special effects. Chuck Norris is the stuntman for every character.',
-  'We live in an expanding universe. All of it is trying to get away from Chuck Norris.',
-  'The word \'Kill\' was invented by Chuck Norris. Other words were \'Die\', \'Beer\', and \'What\'.',
-  'The 11th commandment is ?Thou shalt not piss off Chuck Norris? This commandment is rarely enforced, as it is impossible to accomplish.',
+  {text: 'We live in an expanding universe. All of it is trying to get away from Chuck Norris.', tags: ['science']},
+  {text: 'The word \'Kill\' was invented by Chuck Norris. Other words were \'Die\', \'Beer\', and \'What\'.', tags: ['violence']},
+  {text: 'The 11th commandment is ?Thou shalt not piss off Chuck Norris? This commandment is rarely enforced, as it is impossible to accomplish.', tags: ['nsfw']},
   'Chuck Norris is his own line at the DMV.',
-  'Two wrongs don\'t make a right. Unless you\'re Chuck Norris. Then two wrongs make a roundhouse kick to the face.',
-  'Who let the dogs out? Chuck Norris let the dogs out... and then roundhouse kicked them through an Oldsmobile.',
-  'Chuck Norris can do a roundhouse kick faster than the speed of light. This means that if you turn on a light switch, you will be dead before the lightbulb turns on.',
+  {text: 'Two wrongs don\'t make a right. Unless you\'re Chuck Norris. Then two wrongs make a roundhouse kick to the face.', tags: ['violence']},
+  {text: 'Who let the dogs out? Chuck Norris let the dogs out... and then roundhouse kicked them through an Oldsmobile.', tags: ['violence']},
+  {text: 'Chuck Norris can do a roundhouse kick faster than the speed of light. This means that if you turn on a light switch, you will be dead before the lightbulb turns on.', tags: ['violence', 'science']},
   'When Chuck Norris goes to out to eat, he orders a whole chicken, but he only eats its soul.',
   'Chuck Norris has never won an Academy Award for acting... because he\'s not acting.',
   'If Chuck Norris wants your opinion, he\'ll beat it into you.',
-  'Not everyone that Chuck Norris is mad at gets killed. Some get away. They are called astronauts.',
+  {text: 'Not everyone that Chuck Norris is mad at gets killed. Some get away. They are called astronauts.', tags: ['violence']},
   'Chuck Norris has to register every part of his body as a separate lethal weapon. His spleen is considered a concealed weapon in over 50 states.',
-  'A movie scene depicting Chuck Norris losing a fight with Bruce Lee was the product of history\'s most expensive visual effect. When adjusted for inflation, the effect cost more than the Gross National Product of Paraguay.',
+  {text: 'A movie scene depicting Chuck Norris losing a fight with Bruce Lee was the product of history\'s most expensive visual effect. When adjusted for inflation, the effect cost more than the Gross National Product of Paraguay.', tags: ['violence']},
   'Godzilla is a Japanese rendition of Chuck Norris\' first visit to Tokyo.',
-  'They once made a Chuck Norris toilet paper, but there was a problem-- It wouldn\'t take shit from anybody.',
+  {text: 'They once made a Chuck Norris toilet paper, but there was a problem-- It wouldn\'t take shit from anybody.', tags: ['nsfw']},
   'Chuck Norris once rode a nine foot grizzly bear through an automatic car wash, instead of taking a shower.',
   '\"Sweating bullets\" is literally what happens when Chuck Norris gets too hot.',
-  'Chuck Norris\' sperm can be seen with the naked eye. Each one is the size of a quarter.',
-  'After taking a steroids test doctors informed Chuck Norris that he had tested positive. He laughed upon receiving this information, and said \"of course my urine tested positive, what do you think they make steroids from?\"',
+  {text: 'Chuck Norris\' sperm can be seen with the naked eye. Each one is the size of a quarter.', tags: ['nsfw']},
+  {text: 'After taking a steroids test doctors informed Chuck Norris that he had tested positive. He laughed upon receiving this information, and said \"of course my urine tested positive, what do you think they make steroids from?\"', tags: ['sports']},
   'Chuck Norris doesn\'t daydream. He\'s too busy giving other people nightmares.',
   'When Arnold says \"I\'ll be back\" in Terminator movie it is implied that he\'s going to ask Chuck Norris for help.',
   'There are no such things as tornados. Chuck Norris just hates trailer parks.',
-  'Chuck Norris\' Penis is a third degree blackbelt, and an honorable 32nd-degree mason.',
-  'Chuck Norris does not follow fashion trends, they follow him. But then he turns around and kicks their ass. Nobody follows Chuck Norris.',
-  'Diamonds are not, despite popular belief, carbon. They are, in fact, Chuck Norris fecal matter. This was proven a recently, when scientific analysis revealed what appeared to be Jean-Claude Van Damme bone fragments inside the Hope Diamond.',
+  {text: 'Chuck Norris\' Penis is a third degree blackbelt, and an honorable 32nd-degree mason.', tags: ['nsfw']},
+  {text: 'Chuck Norris does not follow fashion trends, they follow him. But then he turns around and kicks their ass. Nobody follows Chuck Norris.', tags: ['violence']},
+  {text: 'Diamonds are not, despite popular belief, carbon. They are, in fact, Chuck Norris fecal matter. This was proven a recently, when scientific analysis revealed what appeared to be Jean-Claude Van Damme bone fragments inside the Hope Diamond.', tags: ['science']},
   'Chuck Norris once participated in the running of the bulls. He walked.',
   'The Drummer for Def Leppard\'s only got one arm. Chuck Norris needed a back scratcher.',
   'Chuck Norris was the orginal sculptor of Mount Rushmore. He completed the entire project using only a bottle opener and a drywall trowel.',
   'Chuck Norris once rode a bull, and nine months later it had a calf.',
   'Chuck Norris once lost the remote, but maintained control of the TV by yelling at it in between bites of his \"Filet of Child\" sandwich.',
   'For Spring Break \'05, Chuck Norris drove to Madagascar, riding a chariot pulled by two electric eels.',
-  'The Manhattan Project was not intended to create nuclear weapons, it was meant to recreate the destructive power in a Chuck Norris Roundhouse Kick. They didn\'t even come close.',
+  {text: 'The Manhattan Project was not intended to create nuclear weapons, it was meant to recreate the destructive power in a Chuck Norris Roundhouse Kick. They didn\'t even come close.', tags: ['violence']},
   'Chuck Norris has banned rainbows from the state of North Dakota.',
   'Divide Chuck Norris by zero and you will in fact get one........one bad-ass that is.',
   'TNT was originally developed by Chuck Norris to cure indigestion.',
@@ -374,63 +374,63 @@ export default [
   'Chuck Norris will never have a heart attack. His heart isn\'t nearly foolish enough to attack him.',
   'Only Chuck Norris can prevent forest fires.',
   'When Chuck Norris makes a burrito, its main ingredient is real toes.',
-  'Chuck Norris is not Irish. His hair is soaked in the blood of his victims.',
-  'In the movie \"The Matrix\", Chuck Norris is the Matrix. If you pay close attention in the green \"falling code\" scenes, you can make out the faint texture of his beard.',
-  'Chuck Norris\' dick is so big, it has it\'s own dick, and that dick is still bigger than yours.',
-  'They say curiosity killed the cat. This is false. Chuck Norris killed the cat. Every single one of them.',
+  {text: 'Chuck Norris is not Irish. His hair is soaked in the blood of his victims.', tags: ['violence']},
+  {text: 'In the movie \"The Matrix\", Chuck Norris is the Matrix. If you pay close attention in the green \"falling code\" scenes, you can make out the faint texture of his beard.', tags: ['science']},
+  {text: 'Chuck Norris\' dick is so big, it has it\'s own dick, and that dick is still bigger than yours.', tags: ['nsfw']},
+  {text: 'They say curiosity killed the cat. This is false. Chuck Norris killed the cat. Every single one of them.', tags: ['violence']},
   'There is no such thing as a lesbian, just a woman who has never met Chuck Norris.',
   'Chuck Norris crossed the road. No one has ever dared question his motives.',
-  'When Chuck Norris was born, he immediately had sex with the first nurse he saw. He was her first. She was his third. That afternoon.',
+  {text: 'When Chuck Norris was born, he immediately had sex with the first nurse he saw. He was her first. She was his third. That afternoon.', tags: ['nsfw']},
   'One time, at band camp, Chuck Norris ate a percussionist.',
   'Chuck Norris doesn\'t say \"who\'s your daddy\", because he knows the answer.',
-  'Chuck Norris originally wrote the first dictionary. The definition for each word is as follows - A swift roundhouse kick to the face.',
+  {text: 'Chuck Norris originally wrote the first dictionary. The definition for each word is as follows - A swift roundhouse kick to the face.', tags: ['violence']},
   'Love does not hurt. Chuck Norris does.',
   'The term \"Cleveland Steamer\" got its name from Chuck Norris, when he took a dump while visiting the Rock and Roll Hall of fame and buried northern Ohio under a glacier of fecal matter.',
-  'Chuck Norris once round-house kicked a salesman. Over the phone.',
+  {text: 'Chuck Norris once round-house kicked a salesman. Over the phone.', tags: ['violence']},
   'The pen is mighter than the sword, but only if the pen is held by Chuck Norris.',
-  'Chuck Norris knows the last digit of pi.',
+  {text: 'Chuck Norris knows the last digit of pi.', tags: ['science']},
   'Those aren\'t credits that roll after Walker Texas Ranger. It is actually a list of fatalities that occurred during the making of the episode.',
   'The air around Chuck Norris is always a balmy 78 degrees.',
   'When Chuck Norris wants an egg, he cracks open a chicken.',
-  'Chuck Norris plays racquetball with a waffle iron and a bowling ball.',
-  'According to the Bible, God created the universe in six days. Before that, Chuck Norris created God by snapping his fingers.',
-  'Chuck Norris doesn\'t believe in ravioli. He stuffs a live turtle with beef and smothers it in pig\'s blood.',
-  'Count from one to ten. That\'s how long it would take Chuck Norris to kill you...Fourty seven times.',
-  'The 1972 Miami Dolphins lost one game, it was a game vs. Chuck Norris and three seven year old girls. Chuck Norris won with a roundhouse-kick to the face in overtime.',
+  {text: 'Chuck Norris plays racquetball with a waffle iron and a bowling ball.', tags: ['sports']},
+  {text: 'According to the Bible, God created the universe in six days. Before that, Chuck Norris created God by snapping his fingers.', tags: ['science', 'religion']},
+  {text: 'Chuck Norris doesn\'t believe in ravioli. He stuffs a live turtle with beef and smothers it in pig\'s blood.', tags: ['violence']},
+  {text: 'Count from one to ten. That\'s how long it would take Chuck Norris to kill you...Fourty seven times.', tags: ['violence']},
+  {text: 'The 1972 Miami Dolphins lost one game, it was a game vs. Chuck Norris and three seven year old girls. Chuck Norris won with a roundhouse-kick to the face in overtime.', tags: ['violence']},
   'Chuck Norris is not Politically Correct. He is just Correct. Always.',
   'Mr. T pities the fool. Chuck Norris rips the fool\'s head off.',
-  'Chuck Norris had to stop washing his clothes in the ocean. The tsunamis were killing people.',
-  'Chuck Norris has volunteered to remain on earth after the Rapture; he will spend his time fighting the Anti-Christ.',
-  'Chuck Norris is the only known mammal in history to have an opposable thumb. On his penis.',
+  {text: 'Chuck Norris had to stop washing his clothes in the ocean. The tsunamis were killing people.', tags: ['violence']},
+  {text: 'Chuck Norris has volunteered to remain on earth after the Rapture; he will spend his time fighting the Anti-Christ.', tags: ['violence', 'religion']},
+  {text: 'Chuck Norris is the only known mammal in history to have an opposable thumb. On his penis.', tags: ['nsfw']},
   'A man once taunted Chuck Norris with a bag of Lay\'s potato chips, saying \"Betcha can\'t eat just one!\" Chuck Norris proceeded to eat the chips, the bag, and the man in one deft move.',
   'Chuck Norris\' favorite cereal is Kellogg\'s Nails \'N\' Gravel.',
   'In the first Jurassic Park movie, the Tyrannosaurus Rex wasn\'t chasing the jeep. Chuck Norris was chasing the Tyrannosaurus AND the jeep.',
-  'Chuck Norris has never been accused of murder because his roundhouse kicks are recognized as \"acts of God.\"',
-  'Chuck Norris does not wear a condom. Because there is no such thing as protection from Chuck Norris.',
-  'Rules of fighting: 1) Don\'t bring a knife to a gun fight. 2) Don\'t bring a gun to a Chuck Norris fight.',
+  {text: 'Chuck Norris has never been accused of murder because his roundhouse kicks are recognized as \"acts of God.\"', tags: ['violence', 'religion']},
+  {text: 'Chuck Norris does not wear a condom. Because there is no such thing as protection from Chuck Norris.', tags: ['nsfw']},
+  {text: 'Rules of fighting: 1) Don\'t bring a knife to a gun fight. 2) Don\'t bring a gun to a Chuck Norris fight.', tags: ['violence']},
   'Chuck Norris is the only man who has, literally, beaten the odds. With his fists.',
-  'In ancient China there is a legend that one day a child will be born from a dragon, grow to be a man, and vanquish evil from the land. That man is not Chuck Norris, because Chuck Norris killed that man.',
+  {text: 'In ancient China there is a legend that one day a child will be born from a dragon, grow to be a man, and vanquish evil from the land. That man is not Chuck Norris, because Chuck Norris killed that man.', tags: ['violence']},
   'Chuck Norris wipes his ass with chain mail and sandpaper.',
   'When you play Monopoly with Chuck Norris, you do not pass go, and you do not collect two hundred dollars. You will be lucky if you make it out alive.',
-  'Chuck Norris describes human beings as \"a sociable holder for blood and guts\".',
+  {text: 'Chuck Norris describes human beings as \"a sociable holder for blood and guts\".', tags: ['violence']},
   'Chuck Norris likes his ice like he likes his skulls: crushed.',
-  'Chuck Norris can kick through all 6 degrees of separation, hitting anyone, anywhere, in the face, at any time.',
+  {text: 'Chuck Norris can kick through all 6 degrees of separation, hitting anyone, anywhere, in the face, at any time.', tags: ['violence']},
   'Most tough men eat nails for breakfast. Chuck Norris does all of his grocery shopping at Home Depot.',
-  'Chuck Norris did not \"lose\" his virginity, he stalked it and then destroyed it with extreme prejudice.',
-  'Everything King Midas touches turnes to gold. Everything Chuck Norris touches turns up dead.',
+  {text: 'Chuck Norris did not \"lose\" his virginity, he stalked it and then destroyed it with extreme prejudice.', tags: ['violence', 'nsfw']},
+  {text: 'Everything King Midas touches turnes to gold. Everything Chuck Norris touches turns up dead.', tags: ['violence']},
   'When Chuck Norris throws exceptions, it\'s across the room.',
   'All arrays Chuck Norris declares are of infinite size, because Chuck Norris knows no bounds.',
   'Chuck Norris doesn\'t have disk latency because the hard drive knows to hurry the hell up.',
-  'Chuck Norris writes code that optimizes itself.',
+  {text: 'Chuck Norris writes code that optimizes itself.', tags: ['science']},
   'Chuck Norris can\'t test for equality because he has no equal.',
   'Chuck Norris doesn\'t need garbage collection because he doesn\'t call .Dispose(), he calls .DropKick().',
-  'Chuck Norris\'s first program was kill -9.',
+  {text: 'Chuck Norris\'s first program was kill -9.', tags: ['violence']},
   'Chuck Norris burst the dot com bubble.',
   'All browsers support the hex definitions #chuck and #norris for the colors black and blue.',
   'MySpace actually isn\'t your space, it\'s Chuck\'s (he just lets you use it).',
   'Chuck Norris can write infinite recursion functions and have them return.',
   'Chuck Norris can solve the Towers of Hanoi in one move.',
-  'The only pattern Chuck Norris knows is God Object.',
+  {text: 'The only pattern Chuck Norris knows is God Object.', tags: ['religion']},
   'Chuck Norris finished World of Warcraft.',
   'Project managers never ask Chuck Norris for estimations... ever.',
   'Chuck Norris doesn\'t use web standards as the web will conform to him.',
@@ -440,13 +440,13 @@ export default [
   'Chuck Norris can delete the Recycling Bin.',
   'Chuck Norris\'s beard can type 140 wpm.',
   'Chuck Norris can unit test entire applications with a single assert.',
-  'Chuck Norris doesn\'t bug hunt as that signifies a probability of failure, he goes bug killing.',
+  {text: 'Chuck Norris doesn\'t bug hunt as that signifies a probability of failure, he goes bug killing.', tags: ['violence']},
   'Chuck Norris\'s keyboard doesn\'t have a Ctrl key because nothing controls Chuck Norris.',
-  'When Chuck Norris is web surfing websites get the message \"Warning: Internet Explorer has deemed this user to be malicious or dangerous. Proceed?\".',
+  {text: 'When Chuck Norris is web surfing websites get the message \"Warning: Internet Explorer has deemed this user to be malicious or dangerous. Proceed?\".', tags: ['science']},
   'Chuck Norris can overflow your stack just by looking at it.',
   'To Chuck Norris, everything contains a vulnerability.',
   'Chuck Norris doesn\'t need sudo, he just types \"Chuck Norris\" before his commands.',
-  'Chuck Norris doesn\'t need a debugger, he just stares down the bug until the code confesses.',
+  {text: 'Chuck Norris doesn\'t need a debugger, he just stares down the bug until the code confesses.', tags: ['science']},
   'Chuck Norris can access private methods.',
   'Chuck Norris can instantiate an abstract class.',
   'Chuck Norris does not need to know about class factory pattern. He can instantiate interfaces.',
@@ -454,8 +454,8 @@ export default [
   'For Chuck Norris, NP-Hard = O(1).',
   'Bill Gates thinks he\'s Chuck Norris. Chuck Norris actually laughed. Once.',
   'Chuck Norris is actually the front man for Apple. He let\'s Steve Jobs run the show when he\'s on a mission. Chuck Norris is always on a mission.',
-  'Chuck Norris\' Internet connection is faster upstream than downstream because even data has more incentive to run from him than to him.',
-  'Chuck Norris solved the Travelling Salesman problem in O(1) time. Here\'s the pseudo-code: Break salesman into N pieces. Kick each piece to a different city.',
+  {text: 'Chuck Norris\' Internet connection is faster upstream than downstream because even data has more incentive to run from him than to him.', tags: ['science']},
+  {text: 'Chuck Norris solved the Travelling Salesman problem in O(1) time. Here\'s the pseudo-code: Break salesman into N pieces. Kick each piece to a different city.', tags: ['violence', 'science']},
   'No statement can catch the ChuckNorrisException.',
   'Chuck Norris doesn\'t pair program.',
   'Chuck Norris can write multi-threaded applications with a single thread.',
@@ -466,12 +466,12 @@ export default [
   'Chuck Norris breaks RSA 128-bit encrypted codes in milliseconds.',
   'Chuck Norris doesn\'t needs try-catch, exceptions are too afraid to raise.',
   'Chuck Norris went out of an infinite loop.',
-  'If Chuck Norris writes code with bugs, the bugs fix themselves.',
+  {text: 'If Chuck Norris writes code with bugs, the bugs fix themselves.', tags: ['science']},
   'Chuck Norris hosting is 101% uptime guaranteed.',
   'Chuck Norris\'s keyboard has the Any key.',
   'Chuck Norris can access the DB from the UI.',
   'Chuck Norris\' programs never exit, they terminate.',
-  'Chuck Norris insists on strongly-typed programming languages.',
+  {text: 'Chuck Norris insists on strongly-typed programming languages.', tags: ['science']},
   'Chuck Norris protocol design method has no status, requests or responses, only commands.',
   'Chuck Norris programs occupy 150% of CPU, even when they are not executing.',
   'Chuck Norris can spawn threads that complete before they are started.',
@@ -482,57 +482,57 @@ export default [
   'Chuck Norris can compile syntax errors.',
   'Every SQL statement that Chuck Norris codes has an implicit \"COMMIT\" in its end.',
   'Chuck Norris does not need to type-cast. The Chuck-Norris Compiler (CNC) sees through things. All way down. Always.',
-  'Chuck Norris does not code in cycles, he codes in strikes.',
-  'Chuck Norris doesn\'t use a computer because a computer does everything slower than Chuck Norris.',
-  'Chuck Norris compresses his files by doing a flying round house kick to the hard drive.',
+  {text: 'Chuck Norris does not code in cycles, he codes in strikes.', tags: ['science']},
+  {text: 'Chuck Norris doesn\'t use a computer because a computer does everything slower than Chuck Norris.', tags: ['science']},
+  {text: 'Chuck Norris compresses his files by doing a flying round house kick to the hard drive.', tags: ['violence']},
   'Chuck Norris solved the halting problem.',
-  'Chuck Norris doesn\'t cheat death. He wins fair and square.',
+  {text: 'Chuck Norris doesn\'t cheat death. He wins fair and square.', tags: ['violence']},
   'Chuck Norris once won a game of connect four in 3 moves.',
   'With Chuck Norris P = NP. There\'s no nondeterminism with Chuck Norris decisions.',
   'Chuck Norris can do a wheelie on a unicycle.',
-  'Chuck Norris can win in a game of Russian roulette with a fully loaded gun.',
-  'Chuck Norris eats lightning and shits out thunder.',
+  {text: 'Chuck Norris can win in a game of Russian roulette with a fully loaded gun.', tags: ['violence']},
+  {text: 'Chuck Norris eats lightning and shits out thunder.', tags: ['nsfw']},
   'Chuck Norris can retrieve anything from /dev/null.',
-  'No one has ever pair-programmed with Chuck Norris and lived to tell about it.',
-  'No one has ever spoken during review of Chuck Norris\' code and lived to tell about it.',
+  {text: 'No one has ever pair-programmed with Chuck Norris and lived to tell about it.', tags: ['science']},
+  {text: 'No one has ever spoken during review of Chuck Norris\' code and lived to tell about it.', tags: ['science']},
   'Chuck Norris doesn\'t use GUI, he prefers COMMAND line.',
   'Chuck Norris doesn\'t use Oracle, he is the Oracle.',
   'Chuck Norris can dereference NULL.',
-  'Jesus can walk on water, but Chuck Norris can swim through land.',
-  'A diff between your code and Chuck Norris\'s is infinite.',
+  {text: 'Jesus can walk on water, but Chuck Norris can swim through land.', tags: ['religion']},
+  {text: 'A diff between your code and Chuck Norris\'s is infinite.', tags: ['science']},
   'The Chuck Norris Eclipse plugin made alien contact.',
   'Chuck Norris is the ultimate mutex, all threads fear him.',
   'Chuck Norris uses canvas in IE.',
-  'Don\'t worry about tests, Chuck Norris\'s test cases cover your code too.',
+  {text: 'Don\'t worry about tests, Chuck Norris\'s test cases cover your code too.', tags: ['science']},
   'Each hair in Chuck Norris\'s beard contributes to make the world\'s largest DDOS.',
   'Chuck Norris\'s log statements are always at the FATAL level.',
-  'Chuck Norris\'s database has only one table, \'Kick\', which he DROPs frequently.',
-  'When Chuck Norris break the build, you can\'t fix it, because there is not a single line of code left.',
+  {text: 'Chuck Norris\'s database has only one table, \'Kick\', which he DROPs frequently.', tags: ['violence']},
+  {text: 'When Chuck Norris break the build, you can\'t fix it, because there is not a single line of code left.', tags: ['science']},
   'Chuck Norris types with one finger. He points it at the keyboard and the keyboard does the rest.',
   'Chuck Norris\'s programs can pass the Turing Test by staring at the interrogator.',
-  'If you try to kill -9 Chuck Norris\'s programs, it backfires.',
+  {text: 'If you try to kill -9 Chuck Norris\'s programs, it backfires.', tags: ['violence']},
   'Chuck Norris\'s brain waves are suspected to be harmful to cell phones.',
   'Chuck Norris does infinit loops in 4 seconds.',
   'Product Owners never ask Chuck Norris for more features. They ask for mercy.',
   'Product Owners never argue with Chuck Norris after he demonstrates the DropKick feature.',
-  'Chuck Norris killed two stones with one bird.',
+  {text: 'Chuck Norris killed two stones with one bird.', tags: ['violence']},
   'Chuck Norris can speak Braille.',
   'Chuck Norris can over-write a locked variable.',
   'Chuck Norris knows the value of NULL, and he can sort by it too.',
-  'China lets Chuck Norris search for porn on Google.',
+  {text: 'China lets Chuck Norris search for porn on Google.', tags: ['science', 'nsfw']},
   'Chuck Norris can install a 64 bit OS on 32 bit machines.',
-  'Chuck Norris doesn\'t have pubic hairs because hair doesn\'t grow on balls of steal.',
+  {text: 'Chuck Norris doesn\'t have pubic hairs because hair doesn\'t grow on balls of steal.', tags: ['nsfw']},
   'Chuck Norris can write to an output stream.',
   'Chuck Norris can read from an input stream.',
-  'Chuck Norris never has to build his program to machine code. Machines have learnt to interpret Chuck Norris code.',
+  {text: 'Chuck Norris never has to build his program to machine code. Machines have learnt to interpret Chuck Norris code.', tags: ['science']},
   'Chuck Norris\' unit tests don\'t run. They die.',
   'Chuck Norris sits at the stand-up.',
   'Chuck Norris doesn\'t need an account. He just logs in.',
   'How many Chuck Norris require to screw a light bulb? None, he will screw it all.',
-  'Chuck Norris causes the Windows Blue Screen of Death.',
+  {text: 'Chuck Norris causes the Windows Blue Screen of Death.', tags: ['violence']},
   'Chuck Norris can download emails with his pick-up.',
   'Chuck Norris can make a class that is both abstract and final.',
-  'Chuck Norris could use anything in java.util.* to kill you, including the javadocs.',
-  'Code runs faster when Chuck Norris watches it.',
-  'Only Chuck Norris shuts down websites without due process, not SOPA or PIPA.'
+  {text: 'Chuck Norris could use anything in java.util.* to kill you, including the javadocs.', tags: ['violence']},
+  {text: 'Code runs faster when Chuck Norris watches it.', tags: ['science']},
+  {text: 'Only Chuck Norris shuts down websites without due process, not SOPA or PIPA.', tags: ['science']}
 ];
@@ -0,0 +1,160 @@
+import fs from 'fs';
+import configSchema from './configSchema';
+import validateConfig from './validateConfig';
+
+/**
+ * Gets the default value of a setting, building objects from the defaults
+ * of their properties.
+ *
+ * @param {Object} setting - See configSchema.js.
+ * @returns {*}
+ */
+function getDefaults(setting) {
+  if (setting.type !== 'object') {
+    return Array.isArray(setting.default) ? setting.default.slice() : setting.default;
+  }
+
+  return Object.keys(setting.properties).reduce((defaults, key) => {
+    defaults[key] = getDefaults(setting.properties[key]);
+
+    return defaults;
+  }, {});
+}
+
+/**
+ * Layers settings over others, merging objects setting by setting and
+ * replacing everything else, lists included.
+ *
+ * @param {*} base
+ * @param {*} overrides
+ * @returns {*}
+ */
+function merge(base, overrides) {
+  const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  if (overrides === undefined) {
+    return base;
+  }
+
+  if (!isObject(base) || !isObject(overrides)) {
+    return overrides;
+  }
+
+  return Object.keys(overrides).reduce((merged, key) => {
+    merged[key] = merge(base[key], overrides[key]);
+
+    return merged;
+  }, Object.assign({}, base));
+}
+
+/**
+ * Reads the settings from a JSON config file.
+ *
+ * @param {String} path
+ * @param {Boolean} required - Whether it's an error for the file not to exist.
+ * @returns {Object}
+ */
+function readConfigFile(path, required) {
+  let text;
+
+  try {
+    text = fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) {
+      return {};
+    }
+
+    throw new Error(`Config: Couldn't read ${path}. ${err.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Config: ${path} isn't valid JSON. ${err.message}`);
+  }
+}
+
+/**
+ * Converts an environment variable into the type of the setting it
+ * overrides. Values that can't be converted are left as they are, so
+ * validation can say what's wrong with them.
+ *
+ * @param {String} text
+ * @param {Object} setting - See configSchema.js.
+ * @returns {*}
+ */
+function parseEnvValue(text, setting) {
+  switch (setting.type) {
+    case 'boolean':
+      return {'true': true, 'false': false}.hasOwnProperty(text) ? text === 'true' : text;
+    case 'integer':
+    case 'number':
+      return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+    case 'array':
+      return text.split(',').map((item) => item.trim()).filter(Boolean);
+    default:
+      return text;
+  }
+}
+
+/**
+ * Overrides settings with the environment variables named for them,
+ * ignoring empty ones. Invalid values are reported by the variable's name
+ * and leave the setting as it was.
+ *
+ * @param {Object} config
+ * @param {Object} setting - See configSchema.js.
+ * @param {Object} env
+ * @param {Array} problems - Where problems are added.
+ * @returns {Object}
+ */
+function applyEnv(config, setting, env, problems) {
+  return Object.keys(setting.properties).reduce((applied, key) => {
+    const property = setting.properties[key];
+    const text = property.env ? String(env[property.env] || '').trim() : '';
+
+    if (property.type === 'object' && applied[key] && typeof applied[key] === 'object') {
+      applied[key] = applyEnv(applied[key], property, env, problems);
+    } else if (text.length > 0) {
+      const value = parseEnvValue(text, property);
+      const envProblems = validateConfig(value, property, property.env);
+
+      if (envProblems.length > 0) {
+        problems.push(...envProblems);
+      } else {
+        applied[key] = value;
+      }
+    }
+
+    return applied;
+  }, Object.assign({}, config));
+}
+
+/**
+ * Loads the bot's config in layers: the defaults in configSchema.js, then a
+ * JSON config file, then environment variables. Throws an error listing
+ * every problem when the result isn't valid.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.path] - Path of the config file. CONFIG_PATH by default, or "./config.json" if it
+ *   exists.
+ * @param {Object} [options.env] - Environment variables, `process.env` by default.
+ * @returns {Object}
+ */
+export default function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const path = options.path || String(env.CONFIG_PATH || '').trim();
+  const configPath = path || './config.json';
+  const fileConfig = readConfigFile(configPath, Boolean(path));
+  const problems = [];
+  const config = applyEnv(merge(getDefaults(configSchema), fileConfig), configSchema, env, problems);
+
+  problems.unshift(...validateConfig(config, configSchema));
+
+  if (problems.length > 0) {
+    throw new Error(`Config: Invalid config in ${configPath} or the environment:\n` +
+      problems.map((problem) => `- ${problem}.`).join('\n'));
+  }
+
+  return config;
+}
@@ -0,0 +1,37 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Reads the joke packs in a directory, one JSON file per pack, in
+ * alphabetical order. Each pack's id is its file name without ".json", e.g.
+ * "dad" for dad.json. A missing directory has no packs.
+ *
+ * @param {String} directory
+ * @returns {Array} Packs as written, see NorrisBot#createPacks.
+ */
+export default function loadPacks(directory) {
+  let fileNames;
+
+  try {
+    fileNames = fs.readdirSync(directory);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+
+    throw new Error(`Packs: Couldn't read ${directory}. ${err.message}`);
+  }
+
+  return fileNames.filter((fileName) => path.extname(fileName) === '.json').sort().map((fileName) => {
+    const filePath = path.join(directory, fileName);
+    let pack;
+
+    try {
+      pack = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Packs: Couldn't read ${filePath}. ${err.message}`);
+    }
+
+    return Object.assign({}, pack, {id: path.basename(fileName, '.json')});
+  });
+}
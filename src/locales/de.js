@@ -0,0 +1,1558 @@
+/**
+ * German.
+ */
+export default {
+  name: 'Deutsch',
+  aliases: ['deutsch', 'german', 'alemán', 'aleman'],
+  replies: {
+    channelJoin: 'Servus zusammen.',
+    salutation: 'Servus {user}.',
+    gratitude: 'Gern geschehen {user}.',
+    acknowledgement: 'Aber klar {user}.',
+    unrecognised: 'Das habe ich nicht verstanden, versuch es mit `hilfe`.',
+    failure: 'Oh oh... Da ist etwas schiefgelaufen... Tut mir leid!',
+    settingFailure: 'Oh oh... Ich konnte die Einstellung nicht speichern... Tut mir leid!',
+    jokeOfTheDayIntro: 'Hier ist der Witz des Tages:',
+    help: 'Frag mich nach einem Witz, z. B.\n' +
+      '>"{bot}, erzähl mir einen Witz"\n\n' +
+      'Frag mich nach dem Witz des Tages, z. B.\n' +
+      '>"{bot}, erzähl mir den Witz des Tages"\n\n' +
+      'Frag mich nach einem Witz aus einer Kategorie, oder welche Kategorien es gibt, z. B.\n' +
+      '>"{bot}, erzähl mir einen Witz aus sports" oder "{bot}, Witzkategorien"\n\n' +
+      'Frag mich nach einem Witz aus einem meiner Pakete mit seinem englischen Namen, welche Pakete es gibt, ' +
+      'oder dass ich hier standardmäßig eins benutze, z. B.\n' +
+      '>"{bot}, dad joke", "{bot}, Witzpakete" oder "{bot}, Witzpaket programming"\n\n' +
+      'Frag mich nach einem Witz über etwas, mit Wörtern aus dem englischen Original, z. B.\n' +
+      '>"{bot}, erzähl mir einen Witz über roundhouse"\n\n' +
+      'Frag mich nach einem Witz über jemanden, oder sag mir, dass ich deinen Namen nicht benutzen soll, z. B.\n' +
+      '>"{bot}, erzähl mir einen Witz über @alice" oder "{bot}, benutze meinen Namen nicht"\n\n' +
+      'Frag mich nach einem GIF, wenn du willst auch von etwas Bestimmtem, z. B.\n' +
+      '>"{bot}, zeig mir chuck" oder "{bot}, zeig mir chuck kicking"\n\n' +
+      'Admins können die höchste Altersfreigabe der GIFs festlegen, die ich hier zeige, z. B.\n' +
+      '>"{bot}, gif-freigabe pg"\n\n' +
+      'Bitte mich, den Witz des Tages jeden Tag in einem Kanal zu posten, z. B.\n' +
+      '>"{bot}, witz des tages abonnieren"\n\n' +
+      'Bitte mich, damit aufzuhören, z. B.\n' +
+      '>"{bot}, witz des tages abbestellen"\n\n' +
+      'Frag mich, welche Kanäle ihn bekommen, z. B.\n' +
+      '>"{bot}, abonnements anzeigen"\n\n' +
+      'Bitte mich, den Witz des Tages zu einer anderen Zeit zu posten, z. B.\n' +
+      '>"{bot}, poste den witz des tages um 09:30 Europe/Berlin"\n\n' +
+      'Schick mir einen eigenen Witz als Direktnachricht, z. B.\n' +
+      '>"witz einreichen: Chuck Norris kann durch null teilen."\n\n' +
+      'Bewerte meinen letzten Witz mit einer :+1:- oder :-1:-Reaktion, oder von 1 bis 5, z. B.\n' +
+      '>"{bot}, bewerte 5"\n\n' +
+      'Frag mich nach den am besten oder schlechtesten bewerteten Witzen, z. B.\n' +
+      '>"{bot}, beste witze" oder "{bot}, schlechteste witze"\n\n' +
+      'Admins können mich fragen, wie ich in diesem Team zuletzt genutzt wurde, z. B.\n' +
+      '>"{bot}, statistik" oder "{bot}, statistik der letzten 7 tage"\n\n' +
+      'Bitte mich, mit dir eine andere Sprache zu sprechen, oder Admins können das für einen Kanal oder das ganze ' +
+      'Team tun, z. B.\n' +
+      '>"{bot}, sprache en" oder "{bot}, team sprache es", oder "{bot}, sprache automatisch" zum Zurücksetzen',
+    safeModeOnHelp: 'Hier ist der sichere Modus an, also bleiben meine Witze jugendfrei. ' +
+      'Admins können ihn ausschalten, z. B.\n' +
+      '>"{bot}, sicherer modus aus"',
+    safeModeOffHelp: 'Admins können den sicheren Modus einschalten, damit meine Witze hier oder im ganzen Team ' +
+      'jugendfrei bleiben, z. B.\n' +
+      '>"{bot}, sicherer modus an" oder "{bot}, team sicherer modus an"',
+    localeList: 'Ich spreche {language} mit dir. Ich kann {languages}.',
+    localeUnknown: 'Ich spreche kein "{language}". Versuch es mit einer dieser Sprachen: {languages}.',
+    localeRefusal: 'Tut mir leid, nur Admins können die Sprache eines Kanals oder Teams ändern.',
+    userLocaleChange: 'Erledigt. Ich spreche {language} mit dir.',
+    channelLocaleChange: 'Erledigt. Ich spreche hier {language}.',
+    teamLocaleChange: 'Erledigt. Ich spreche {language} in den Kanälen dieses Teams.',
+    localeReset: 'Erledigt. Die Spracheinstellung ist gelöscht.',
+    teamChannelRefusal: 'Tut mir leid, <#{channel}> ist keiner der Kanäle dieses Teams.',
+    submissionThanks: 'Danke! Dein Witz ist Nr. {id} in der Warteschlange, die Admins prüfen.',
+    submissionFailure: 'Oh oh... Ich konnte deinen Witz nicht speichern... Tut mir leid!',
+    moderationRefusal: 'Tut mir leid, nur Admins können eingereichte Witze moderieren.',
+    submissionListEmpty: 'Es warten keine Witze auf Prüfung.',
+    submissionList: 'Diese Witze warten auf Prüfung:\n{submissions}\n\n' +
+      'Antworte mit "genehmige 1", "verwirf 1" oder "bearbeite 1 <neuer Wortlaut>".',
+    submissionListItem: '*Nr. {id}* von {user}\n>{text}',
+    submissionNotFound: 'Es wartet kein Witz Nr. {id} auf Prüfung.',
+    submissionApproval: 'Witz Nr. {id} ist genehmigt und wird ab jetzt erzählt.',
+    submissionRejection: 'Witz Nr. {id} ist verworfen.',
+    submissionEdit: 'Witz Nr. {id} lautet jetzt:\n>{text}',
+    jokeReloadRefusal: 'Tut mir leid, nur die Admins des Bots können die Witze neu laden.',
+    jokeReload: 'Erledigt. Ich kenne {jokes} Witze, dazu {approved} genehmigte Einsendungen{packs}.',
+    jokeReloadPacks: ', und {jokes} weitere in {packs}',
+    otherPacks: '{count} anderen Paketen',
+    otherPacksOne: '{count} anderen Paket',
+    jokeReloadFailure: 'Oh oh... Ich konnte die Witze nicht neu laden, also behalte ich die alten. {error}',
+    jokeOfTheDayChangeRefusal: 'Tut mir leid, nur die Admins des Bots können den Witz des Tages ändern.',
+    jokeOfTheDayChange: 'Erledigt. Der Witz des Tages ist jetzt:\n>{joke}',
+    muteRefusal: 'Tut mir leid, nur Admins können mich stummschalten.',
+    muteLimit: 'Ich kann zwischen 1 Stunde und einer Woche (168 Stunden) stummgeschaltet werden.',
+    channelMute: 'Erledigt. Ich bin in <#{channel}> für {duration} still.',
+    hours: '{count} Stunden',
+    hoursOne: '{count} Stunde',
+    unmuteRefusal: 'Tut mir leid, nur Admins können die Stummschaltung aufheben.',
+    channelUnmute: 'Erledigt. Ich bin zurück in <#{channel}>.',
+    configRefusal: 'Tut mir leid, nur die Admins des Bots können meine Konfiguration sehen.',
+    config: '*Admins:* {admins}\n' +
+      '*Witze:* {jokes} eingebaut, {approved} genehmigte Einsendungen\n' +
+      '*Witzpakete:* {packs}\n' +
+      '*Witz des Tages:* standardmäßig um {schedule}\n' +
+      '*Gut bewertete Witze bevorzugen:* {favorRatedJokes}\n' +
+      '*Nicht jugendfreie Tags:* {unsafeTags}\n' +
+      '*GIF-Anbieter:* {gifProviders}\n' +
+      '*Slash-Befehle und Buttons:* {slashCommands}\n' +
+      '*Anfragelimits:* {userLimit} pro Person, {channelLimit} pro Kanal, {teamLimit} pro Team\n' +
+      '*Kanäle ohne Anfragelimits:* {exemptChannels}\n' +
+      '*Stummgeschaltete Kanäle:* {mutedChannels}\n' +
+      '*Schwellenwert für Absichten:* {threshold}\n' +
+      '*Sprachen:* {languages}',
+    configWorkspaceAdmins: '{admins}, dazu die Admins und Inhaber des Workspaces',
+    configSlashCommandsPublic: 'an, Port {port}, Antworten standardmäßig öffentlich',
+    configSlashCommandsPrivate: 'an, Port {port}, Antworten standardmäßig privat',
+    configRateLimit: '{limit}/Min.',
+    on: 'an',
+    off: 'aus',
+    none: 'keine',
+    statsRefusal: 'Tut mir leid, nur Admins können die Statistik sehen.',
+    statsFailure: 'Oh oh... Ich konnte die Statistik nicht berechnen... Tut mir leid!',
+    statsExportRefusal: 'Tut mir leid, nur Admins können die Statistik exportieren.',
+    statsExportFailure: 'Oh oh... Ich konnte die Statistik nicht exportieren... Tut mir leid!',
+    statsUploadFailure: 'Oh oh... Ich konnte die Statistik nicht hochladen... Tut mir leid!',
+    usageStatsEmpty: 'In den letzten {days} Tagen hat mich niemand etwas gefragt.',
+    usageStats: '*Nutzung in den letzten {days} Tagen:* {total} Anfragen\n{types}\n\n' +
+      '*Die meisten Anfragen:*\n{users}\n\n' +
+      '*Am häufigsten erzählte Witze:*\n{jokes}\n\n' +
+      '*Gefundene GIFs:* {gifs}',
+    usageStatsNoJokes: 'Noch keine.',
+    usageStatsGifs: '{percent} % von {requested}',
+    usageStatsNoGifs: 'keine angefragt',
+    namedJokeOptedOut: 'Tut mir leid, diese Person möchte nicht, dass ich ihren Namen in Witzen benutze.',
+    nameOptOut: 'Kein Problem, ich benutze deinen Namen nicht in Witzen.',
+    nameOptIn: 'Super, man kann mich wieder nach Witzen über dich fragen.',
+    searchNotFound: 'Ich kenne keine Witze über "{term}". Versuch es mit etwas wie "roundhouse" oder "beard".',
+    searchResults: 'Hier sind die {count} besten Witze über "{term}":\n{jokes}',
+    categoryUnknown: 'Ich habe keine Witze aus {category}. Versuch es mit einer dieser Kategorien: {categories}.',
+    categoryList: 'Ich habe Witze aus: {categories}.',
+    packList: 'Ich habe diese Witzpakete: {packs}.\n' +
+      'Hier erzähle ich Witze aus dem Paket {pack}, außer du willst ein anderes.',
+    packUnknown: 'Ich habe kein Witzpaket "{name}". Versuch es mit einem dieser Pakete: {packs}.',
+    packChange: 'Erledigt. Ich erzähle hier Witze aus dem Paket {pack}.',
+    packChangeJokeOfTheDay: 'Der Witz des Tages bleibt einer aus dem Paket {pack}, in jedem Kanal derselbe.',
+    subscribe: 'Erledigt. Ich poste den Witz des Tages hier jeden Tag.',
+    unsubscribe: 'Erledigt. Ich poste den Witz des Tages hier nicht mehr.',
+    subscriptionFailure: 'Oh oh... Ich konnte das Abonnement nicht speichern... Tut mir leid!',
+    subscriptionListEmpty: 'Kein Kanal hat den Witz des Tages abonniert.',
+    subscriptionList: 'Diese Kanäle bekommen den Witz des Tages:\n{channels}',
+    subscriptionListItem: '• <#{channel}> um {schedule}',
+    subscriptionListFailure: 'Oh oh... Ich konnte die Abonnements nicht laden... Tut mir leid!',
+    scheduleChange: 'Erledigt. Ich poste den Witz des Tages hier um {schedule}.',
+    scheduleFailure: 'Oh oh... Ich konnte die Uhrzeit nicht speichern... Tut mir leid!',
+    scheduleSubscribed: 'Ich poste den Witz des Tages hier um {schedule}.',
+    scheduleUnsubscribed: 'Dieser Kanal hat nichts abonniert, würde den Witz des Tages aber um {schedule} bekommen.',
+    scheduleInvalidTime: 'Das ist keine gültige Uhrzeit. Nimm das 24-Stunden-Format, z. B. 09:30 oder 17:00.',
+    scheduleUnknownTimeZone: 'Die Zeitzone "{timeZone}" kenne ich nicht. Nimm einen IANA-Namen, z. B. Europe/Berlin.',
+    serverTime: '(Serverzeit)',
+    ratingNotFound: 'Ich habe hier noch keinen Witz erzählt, den man bewerten könnte.',
+    ratingThanks: 'Danke {user}! Der Witz steht jetzt bei {rating}.',
+    ratingFailure: 'Oh oh... Ich konnte deine Bewertung nicht speichern... Tut mir leid!',
+    rating: '{average}/5 aus {count} Bewertungen',
+    ratingOne: '{average}/5 aus {count} Bewertung',
+    leaderboardEmpty: 'Noch hat niemand einen Witz bewertet. Reagiere auf einen mit :+1: oder :-1:, ' +
+      'oder sag "bewerte 1-5".',
+    topJokes: 'Die am besten bewerteten Witze:\n{jokes}',
+    worstJokes: 'Die am schlechtesten bewerteten Witze:\n{jokes}',
+    gifFailure: 'Oh oh... Ich konnte gerade kein GIF finden... Tut mir leid!',
+    gifRatingRefusal: 'Tut mir leid, nur Admins können die Altersfreigabe der GIFs ändern.',
+    gifRatingChange: 'Erledigt. Ich zeige hier nur GIFs mit Freigabe {rating} oder niedriger.',
+    gifRating: 'Ich zeige hier nur GIFs mit Freigabe {rating} oder niedriger.',
+    rateLimitRefusal: 'Tut mir leid, nur Admins können die Anfragelimits ändern.',
+    rateLimitExemption: 'Erledigt. Frag ruhig, hier gibt es keine Anfragelimits.',
+    rateLimitRestored: 'Erledigt. Hier gelten wieder Anfragelimits.',
+    rateLimited: 'Immer mit der Ruhe {user}! Gib mir {duration}, um durchzuatmen.',
+    seconds: '{count} Sekunden',
+    secondsOne: '{count} Sekunde',
+    safeModeRefusal: 'Tut mir leid, nur Admins können den sicheren Modus ändern.',
+    channelSafeModeOn: 'Erledigt. Der sichere Modus ist hier an.',
+    channelSafeModeOff: 'Erledigt. Der sichere Modus ist hier aus.',
+    teamSafeModeOn: 'Erledigt. Der sichere Modus ist in den Kanälen dieses Teams an.',
+    teamSafeModeOff: 'Erledigt. Der sichere Modus ist in den Kanälen dieses Teams aus.',
+    anotherJokeButton: 'Noch einer',
+    gifButton: 'GIF zeigen',
+    slashSearchMissing: 'Wonach soll ich suchen? z. B. `/norris search roundhouse`',
+    slashHelp: '`/norris joke [Kategorie]` erzählt dir einen Witz, z. B. `/norris joke sports`.\n' +
+      '`/norris today` erzählt dir den Witz des Tages.\n' +
+      '`/norris gif [Thema]` zeigt dir ein GIF, z. B. `/norris gif kicking`.\n' +
+      '`/norris search <Begriff>` findet einen Witz über etwas, z. B. `/norris search roundhouse`.\n\n' +
+      'Mit `--public` oder `--private` wählst du, ob der Kanal meine Antwort sieht. {visibility}',
+    slashHelpPublic: 'Standardmäßig sieht er sie.',
+    slashHelpPrivate: 'Standardmäßig siehst nur du sie.'
+  },
+  phrases: {
+    salutation: ['hallo', 'servus', 'moin', 'guten morgen', 'guten tag', 'grüß gott'],
+    gratitude: ['danke', 'vielen dank', 'dankeschön'],
+    randomJoke: ['erzähl mir einen witz', 'erzähl einen witz', 'erzaehl mir einen witz', 'noch ein witz'],
+    categoryList: ['witzkategorien', 'welche kategorien'],
+    nameOptOut: ['benutze meinen namen nicht', 'nutze meinen namen nicht'],
+    nameOptIn: ['du kannst meinen namen benutzen', 'benutze meinen namen'],
+    jokeOfTheDaySubscribe: ['witz des tages abonnieren'],
+    jokeOfTheDayUnsubscribe: ['witz des tages abbestellen', 'abbestellen'],
+    subscriptionList: ['abonnements anzeigen', 'welche abonnements'],
+    jokeOfTheDay: ['witz des tages'],
+    randomGif: ['zeig mir ein gif', 'zeig ein gif'],
+    help: ['hilfe']
+  },
+  // Translations of the built in jokes, keyed by joke id.
+  jokes: {
+    // MacGyver can build an airplane out of gum and paper clips. Chuck Norris can kill him and take it.
+    '9e975c58b7d9': 'MacGyver kann aus Kaugummi und Büroklammern ein Flugzeug bauen. Chuck Norris kann ihn töten und ' +
+      'es behalten.',
+    // Chuck Norris doesn't read books. He stares them down until he gets the information he wants.
+    '49a0908c8e6e': 'Chuck Norris liest keine Bücher. Er starrt sie an, bis sie ihm verraten, was er wissen will.',
+    // If you ask Chuck Norris what time it is, he always answers "Two seconds till". After you ask "Two seconds to what?", he roundhouse kicks you in the face.
+    '0775d6c1bc62': 'Wenn du Chuck Norris nach der Uhrzeit fragst, antwortet er immer "Noch zwei Sekunden". Wenn du ' +
+      'dann fragst "Zwei Sekunden bis was?", verpasst er dir einen Roundhouse-Kick ins Gesicht.',
+    // Chuck Norris lost his virginity before his dad did.
+    '378f3d5e75b6': 'Chuck Norris hat seine Jungfräulichkeit vor seinem Vater verloren.',
+    // Since 1940, the year Chuck Norris was born, roundhouse kick related deaths have increased 13,000 percent.
+    '958d7280b6ae': 'Seit 1940, dem Geburtsjahr von Chuck Norris, sind die Todesfälle durch Roundhouse-Kicks um ' +
+      '13.000 Prozent gestiegen.',
+    // Chuck Norris sheds his skin twice a year.
+    '6fa92fd0f033': 'Chuck Norris häutet sich zweimal im Jahr.',
+    // Chuck Norris once challenged Lance Armstrong in a "Who has more testicles?" contest. Chuck Norris won by 5.
+    'f72bc359642e': 'Chuck Norris forderte Lance Armstrong einmal zu einem "Wer hat mehr Hoden?"-Wettbewerb heraus. ' +
+      'Chuck Norris gewann mit 5 Vorsprung.',
+    // There are no steroids in baseball. Just players Chuck Norris has breathed on.
+    'af7070803ab2': 'Im Baseball gibt es keine Steroide. Nur Spieler, die Chuck Norris angehaucht hat.',
+    // When Chuck Norris goes to donate blood, he declines the syringe, and instead requests a hand gun and a bucket.
+    '50ee5610c81b': 'Wenn Chuck Norris Blut spenden geht, lehnt er die Spritze ab und verlangt stattdessen eine ' +
+      'Pistole und einen Eimer.',
+    // According to the Encyclopedia Brittanica, the Native American "Trail of Tears" has been redefined as anywhere that Chuck Norris walks.
+    '5321606ea814': 'Laut der Encyclopaedia Britannica wurde der "Pfad der Tränen" der amerikanischen Ureinwohner ' +
+      'neu definiert als jeder Ort, an dem Chuck Norris entlanggeht.',
+    // In an average living room there are 1,242 objects Chuck Norris could use to kill you, including the room itself.
+    '5342ba776202': 'In einem durchschnittlichen Wohnzimmer gibt es 1.242 Gegenstände, mit denen Chuck Norris dich ' +
+      'töten könnte, das Zimmer selbst eingeschlossen.',
+    // Chuck Norris doesn't shower, he only takes blood baths.
+    '723f6f41af3a': 'Chuck Norris duscht nicht, er nimmt nur Blutbäder.',
+    // Time waits for no man. Unless that man is Chuck Norris.
+    '60b5ef9e460a': 'Die Zeit wartet auf niemanden. Außer dieser Jemand ist Chuck Norris.',
+    // Chuck Norris can hit you so hard that he can actually alter your DNA. Decades from now your descendants will occasionally clutch their heads and yell "What The Hell was That?".
+    'e586670ba3ea': 'Chuck Norris kann dich so hart schlagen, dass er deine DNA verändert. In Jahrzehnten werden ' +
+      'sich deine Nachkommen ab und zu an den Kopf fassen und rufen "Was zum Teufel war das?".',
+    // In the Bible, Jesus turned water into wine. But then Chuck Norris turned that wine into beer.
+    'd55eadf787e7': 'In der Bibel verwandelte Jesus Wasser in Wein. Aber dann verwandelte Chuck Norris diesen Wein ' +
+      'in Bier.',
+    // Chuck Norris is the only human being to display the Heisenberg uncertainty principle - you can never know both exactly where and how quickly he will roundhouse-kick you in the face.
+    'd0190e946606': 'Chuck Norris ist der einzige Mensch, der die Heisenbergsche Unschärferelation zeigt: Man kann ' +
+      'nie gleichzeitig genau wissen, wo und wie schnell er einem einen Roundhouse-Kick ins Gesicht verpasst.',
+    // Faster than a speeding bullet... More powerful than a locomotive... Able to leap tall buildings in a single bound... These are some of Chuck Norris's warm-up exercises.
+    '6341f99de2b4': 'Schneller als eine Gewehrkugel... Stärker als eine Lokomotive... Springt mit einem Satz über ' +
+      'hohe Gebäude... Das sind einige der Aufwärmübungen von Chuck Norris.',
+    // Chuck Norris is not hung like a horse. Horses are hung like Chuck Norris.
+    'c9ad161dfd93': 'Chuck Norris ist nicht gebaut wie ein Pferd. Pferde sind gebaut wie Chuck Norris.',
+    // Teenage Mutant Ninja Turtles is based on a true story: Chuck Norris once swallowed a turtle whole, and when he crapped it out, the turtle was six feet tall and had learned karate.
+    'ae458a003b40': 'Die Teenage Mutant Ninja Turtles beruhen auf einer wahren Geschichte: Chuck Norris hat einmal ' +
+      'eine Schildkröte im Ganzen verschluckt, und als er sie wieder ausschiss, war sie fast zwei Meter groß und ' +
+      'konnte Karate.',
+    // Someone once tried to tell Chuck Norris that roundhouse kicks aren't the best way to kick someone. This has been recorded by historians as the worst mistake anyone has ever made.
+    'd8f56937f0a5': 'Jemand wollte Chuck Norris einmal erklären, dass Roundhouse-Kicks nicht die beste Art sind, ' +
+      'jemanden zu treten. Historiker halten das für den schlimmsten Fehler, den je jemand gemacht hat.',
+    // Chuck Norris has two speeds: Walk and Kill.
+    '004de7c9358d': 'Chuck Norris hat zwei Gänge: Gehen und Töten.',
+    // Chuck Norris once shot down a German fighter plane with his finger. By yelling "Bang!"
+    '1e996e0ee96a': 'Chuck Norris hat einmal ein deutsches Jagdflugzeug mit dem Finger abgeschossen. Indem er ' +
+      '"Peng!" rief.',
+    // The opening scene of the movie "Saving Private Ryan" is loosely based on games of dodgeball Chuck Norris played in second grade.
+    '9f5a432dec28': 'Die Anfangsszene des Films "Der Soldat James Ryan" beruht lose auf den Völkerballspielen, die ' +
+      'Chuck Norris in der zweiten Klasse gespielt hat.',
+    // Fool me once, shame on you. Fool Chuck Norris once and he will roundhouse kick you in the face.
+    '932d807f9b07': 'Wer mich einmal täuscht, soll sich schämen. Wer Chuck Norris einmal täuscht, kriegt einen ' +
+      'Roundhouse-Kick ins Gesicht.',
+    // Chuck Norris originally appeared in the "Street Fighter II" video game, but was removed by Beta Testers because every button caused him to do a roundhouse kick. When asked about this glitch, Norris replied "That's no glitch."
+    '771dcf2d36f6': 'Chuck Norris war ursprünglich im Videospiel "Street Fighter II" dabei, wurde aber von den ' +
+      'Betatestern entfernt, weil jeder Knopf einen Roundhouse-Kick auslöste. Auf diesen Fehler angesprochen, ' +
+      'antwortete Norris: "Das ist kein Fehler."',
+    // If you spell Chuck Norris in Scrabble, you win. Forever.
+    'cb5155dbd5f0': 'Wer beim Scrabble Chuck Norris legt, gewinnt. Für immer.',
+    // Someone once videotaped Chuck Norris getting pissed off. It was called Walker: Texas Chain Saw Masacre.
+    '22199af3e7cf': 'Jemand hat Chuck Norris einmal gefilmt, als er sauer wurde. Der Film hieß Walker: Blutgericht ' +
+      'in Texas.',
+    // Chuck Norris will attain statehood in 2009. His state flower will be the Magnolia.
+    '7607ecc0e22e': 'Chuck Norris wird 2009 ein eigener Bundesstaat. Seine Staatsblume wird die Magnolie.',
+    // A handicapped parking sign does not signify that this spot is for handicapped people. It is actually in fact a warning, that the spot belongs to Chuck Norris and that you will be handicapped if you park there.
+    '0a8d0be3d051': 'Ein Behindertenparkplatz-Schild bedeutet nicht, dass der Platz für Menschen mit Behinderung ' +
+      'ist. Es ist in Wahrheit eine Warnung, dass der Platz Chuck Norris gehört und dass du behindert sein wirst, ' +
+      'wenn du dort parkst.',
+    // Chuck Norris doesn't wash his clothes. He disembowels them.
+    'dbc6cd44efe0': 'Chuck Norris wäscht seine Kleidung nicht. Er weidet sie aus.',
+    // Chuck Norris doesn't churn butter. He roundhouse kicks the cows and the butter comes straight out.
+    '8c90ea379967': 'Chuck Norris buttert nicht. Er verpasst den Kühen einen Roundhouse-Kick, und die Butter kommt ' +
+      'direkt heraus.',
+    // Police label anyone attacking Chuck Norris as a Code 45-11.... A suicide.
+    'b999cc3bab8a': 'Die Polizei führt jeden, der Chuck Norris angreift, als Code 45-11.... Selbstmord.',
+    // Chuck Norris is the only man to ever defeat a brick wall in a game of tennis.
+    '4055d9419e33': 'Chuck Norris ist der einzige Mensch, der je eine Ziegelmauer im Tennis besiegt hat.',
+    // What was going through the minds of all of Chuck Norris' victims before they died? His shoe.
+    '86825035924a': 'Was ging allen Opfern von Chuck Norris kurz vor ihrem Tod durch den Kopf? Sein Schuh.',
+    // Chuck Norris once ate three 72 oz. steaks in one hour. He spent the first 45 minutes having sex with his waitress.
+    '7f843f8d8c09': 'Chuck Norris hat einmal drei Zwei-Kilo-Steaks in einer Stunde gegessen. Die ersten 45 Minuten ' +
+      'verbrachte er mit der Kellnerin im Bett.',
+    // There is no theory of evolution, just a list of creatures Chuck Norris allows to live.
+    '4519ca8f634b': 'Es gibt keine Evolutionstheorie, nur eine Liste der Lebewesen, die Chuck Norris am Leben lässt.',
+    // Chuck Norris can win a game of Connect Four in only three moves.
+    '4595d94b6304': 'Chuck Norris gewinnt Vier gewinnt in nur drei Zügen.',
+    // CNN was originally created as the "Chuck Norris Network" to update Americans with on-the-spot ass kicking in real-time.
+    'f3fa431dca3b': 'CNN wurde ursprünglich als "Chuck Norris Network" gegründet, um Amerika live und in Echtzeit ' +
+      'über Tritte in den Hintern zu informieren.',
+    // Chuck Norris invented Kentucky Fried Chicken's famous secret recipe with eleven herbs and spices. Nobody ever mentions the twelfth ingredient: Fear.
+    '7e69e56d4f02': 'Chuck Norris hat das berühmte Geheimrezept von Kentucky Fried Chicken mit elf Kräutern und ' +
+      'Gewürzen erfunden. Niemand erwähnt je die zwölfte Zutat: Angst.',
+    // The quickest way to a man's heart is with Chuck Norris' fist.
+    '1ed44b6d8055': 'Der schnellste Weg zum Herzen eines Mannes führt durch die Faust von Chuck Norris.',
+    // When Chuck Norris sends in his taxes, he sends blank forms and includes only a picture of himself, crouched and ready to attack. Chuck Norris has not had to pay taxes, ever.
+    '537232311199': 'Wenn Chuck Norris seine Steuererklärung abgibt, schickt er leere Formulare mit nur einem Foto ' +
+      'von sich, geduckt und zum Angriff bereit. Chuck Norris musste noch nie Steuern zahlen.',
+    // Chuck Norris drives an ice cream truck covered in human skulls.
+    'f9e84b5e0ed0': 'Chuck Norris fährt einen Eiswagen, der mit Menschenschädeln bedeckt ist.',
+    // Most people have 23 pairs of chromosomes. Chuck Norris has 72... and they're all poisonous.
+    '4a450f95bed3': 'Die meisten Menschen haben 23 Chromosomenpaare. Chuck Norris hat 72... und alle sind giftig.',
+    // The Great Wall of China was originally created to keep Chuck Norris out. It failed miserably.
+    '3c315fb2013f': 'Die Chinesische Mauer wurde gebaut, um Chuck Norris draußen zu halten. Sie ist kläglich ' +
+      'gescheitert.',
+    // Chuck Norris is ten feet tall, weighs two-tons, breathes fire, and could eat a hammer and take a shotgun blast standing.
+    'a9b7d3b050e9': 'Chuck Norris ist drei Meter groß, wiegt zwei Tonnen, speit Feuer und könnte einen Hammer essen ' +
+      'und im Stehen einen Schrotflintenschuss einstecken.',
+    // Crop circles are Chuck Norris' way of telling the world that sometimes corn needs to lie down.
+    'a1f4b6723627': 'Kornkreise sind die Art, wie Chuck Norris der Welt sagt, dass sich Mais manchmal hinlegen muss.',
+    // Chuck Norris once roundhouse kicked someone so hard that his foot broke the speed of light, went back in time, and killed Amelia Earhart while she was flying over the Pacific Ocean.
+    'c75abfe57b1a': 'Chuck Norris hat jemandem einmal einen so harten Roundhouse-Kick verpasst, dass sein Fuß ' +
+      'schneller als das Licht war, in der Zeit zurückreiste und Amelia Earhart tötete, als sie über den Pazifik flog.',
+    // When Chuck Norris calls 1-900 numbers, he doesn't get charged. He holds up the phone and money falls out.
+    'b5e147b2fae2': 'Wenn Chuck Norris eine 0900-Nummer anruft, zahlt er nichts. Er hält das Telefon hoch, und das ' +
+      'Geld fällt heraus.',
+    // Chuck Norris once ate a whole cake before his friends could tell him there was a stripper in it.
+    '97840e60c8e5': 'Chuck Norris hat einmal eine ganze Torte gegessen, bevor seine Freunde ihm sagen konnten, dass ' +
+      'eine Stripperin darin war.',
+    // Some people like to eat frogs' legs. Chuck Norris likes to eat lizard legs. Hence, snakes.
+    'ac2f24cd6bff': 'Manche Leute essen gern Froschschenkel. Chuck Norris isst gern Eidechsenbeine. Deshalb gibt es ' +
+      'Schlangen.',
+    // There are no races, only countries of people Chuck Norris has beaten to different shades of black and blue.
+    '001a71b00809': 'Es gibt keine Rassen, nur Länder voller Leute, die Chuck Norris grün und blau geschlagen hat, ' +
+      'in verschiedenen Schattierungen.',
+    // When Chuck Norris was denied an Egg McMuffin at McDonald's because it was 10:35, he roundhouse kicked the store so hard it became a Wendy's.
+    'b82c02e93ac5': 'Als man Chuck Norris bei McDonald\'s einen Egg McMuffin verweigerte, weil es 10:35 Uhr war, ' +
+      'verpasste er dem Laden einen so harten Roundhouse-Kick, dass er zu einem Wendy\'s wurde.',
+    // Chuck Norris can't finish a "color by numbers" because his markers are filled with the blood of his victims. Unfortunately, all blood is dark red.
+    '7321b6db350c': 'Chuck Norris kann kein "Malen nach Zahlen" fertigmachen, weil seine Stifte mit dem Blut seiner ' +
+      'Opfer gefüllt sind. Leider ist alles Blut dunkelrot.',
+    // A Chuck Norris-delivered Roundhouse Kick is the preferred method of execution in 16 states.
+    'e08fb3ac8dca': 'Ein Roundhouse-Kick von Chuck Norris ist in 16 Bundesstaaten die bevorzugte Hinrichtungsmethode.',
+    // When Chuck Norris falls in water, Chuck Norris doesn't get wet. Water gets Chuck Norris.
+    '0a410e5ce6cc': 'Wenn Chuck Norris ins Wasser fällt, wird Chuck Norris nicht nass. Das Wasser wird Chuck Norris.',
+    // Scientists have estimated that the energy given off during the Big Bang is roughly equal to 1CNRhK (Chuck Norris Roundhouse Kick).
+    '552689a86cb4': 'Wissenschaftler schätzen, dass die beim Urknall freigesetzte Energie ungefähr 1 CNRK ' +
+      '(Chuck-Norris-Roundhouse-Kick) entspricht.',
+    // Chuck Norris' house has no doors, only walls that he walks through.
+    '17ed962afd5f': 'Das Haus von Chuck Norris hat keine Türen, nur Wände, durch die er hindurchgeht.',
+    // When Chuck Norris has sex with a man, it won't be because he is gay. It will be because he has run out of women.
+    '1d7789cc5efa': 'Wenn Chuck Norris mit einem Mann schläft, dann nicht, weil er schwul ist. Sondern weil ihm die ' +
+      'Frauen ausgegangen sind.',
+    // How much wood would a woodchuck chuck if a woodchuck could Chuck Norris? All of it.
+    '16be9eb7729e': 'Wie viel Holz würde ein Waldmurmeltier werfen, wenn ein Waldmurmeltier Chuck Norris werfen ' +
+      'könnte? Alles.',
+    // Chuck Norris doesn't actually write books, the words assemble themselves out of fear.
+    'f42459aa9533': 'Chuck Norris schreibt eigentlich keine Bücher, die Wörter stellen sich aus Angst von selbst auf.',
+    // In honor of Chuck Norris, all McDonald's in Texas have an even larger size than the super-size. When ordering, just ask to be Chucksized.
+    '98eb3302002c': 'Zu Ehren von Chuck Norris haben alle McDonald\'s in Texas eine Größe noch über Super-Size. Beim ' +
+      'Bestellen einfach nach Chuck-Size fragen.',
+    // Chuck Norris can believe it's not butter.
+    '68d9391cc5c6': 'Chuck Norris kann glauben, dass es keine Butter ist.',
+    // If tapped, a Chuck Norris roundhouse kick could power the country of Australia for 44 minutes.
+    '0e2517e4aacd': 'Könnte man ihn anzapfen, würde ein Roundhouse-Kick von Chuck Norris ganz Australien 44 Minuten ' +
+      'lang mit Strom versorgen.',
+    // Chuck Norris can divide by zero.
+    'dbf0df2da85f': 'Chuck Norris kann durch null teilen.',
+    // The grass is always greener on the other side, unless Chuck Norris has been there. In that case the grass is most likely soaked in blood and tears.
+    'f75741feb300': 'Das Gras ist auf der anderen Seite immer grüner, außer Chuck Norris war dort. Dann ist das Gras ' +
+      'höchstwahrscheinlich mit Blut und Tränen getränkt.',
+    // Newton's Third Law is wrong: Although it states that for each action, there is an equal and opposite reaction, there is no force equal in reaction to a Chuck Norris roundhouse kick.
+    '41c55be630af': 'Newtons drittes Gesetz ist falsch: Zwar besagt es, dass es zu jeder Aktion eine gleich große ' +
+      'Gegenreaktion gibt, aber keine Kraft kann einem Roundhouse-Kick von Chuck Norris gleichkommen.',
+    // Chuck Norris invented his own type of karate. It's called Chuck-Will-Kill.
+    '06d25d2f1a2f': 'Chuck Norris hat seine eigene Karate-Art erfunden. Sie heißt Chuck-Wird-Töten.',
+    // When an episode of Walker Texas Ranger was aired in France, the French surrendered to Chuck Norris just to be on the safe side.
+    '0c3bbaa3101a': 'Als eine Folge von Walker, Texas Ranger in Frankreich lief, ergaben sich die Franzosen Chuck ' +
+      'Norris, nur um auf Nummer sicher zu gehen.',
+    // While urinating, Chuck Norris is easily capable of welding titanium.
+    '1d749ef65a28': 'Beim Pinkeln kann Chuck Norris mühelos Titan schweißen.',
+    // When Chuck Norris talks, everybody listens. And dies.
+    '2c0d358d4e30': 'Wenn Chuck Norris spricht, hören alle zu. Und sterben.',
+    // When Steven Seagal kills a ninja, he only takes its hide. When Chuck Norris kills a ninja, he uses every part.
+    '1a0b6a612d31': 'Wenn Steven Seagal einen Ninja tötet, nimmt er nur das Fell. Wenn Chuck Norris einen Ninja ' +
+      'tötet, verwertet er alles.',
+    // Wilt Chamberlain claims to have slept with more than 20,000 women in his lifetime. Chuck Norris calls this "a slow Tuesday."
+    '24c9d42a3a35': 'Wilt Chamberlain behauptet, in seinem Leben mit mehr als 20.000 Frauen geschlafen zu haben. ' +
+      'Chuck Norris nennt das "einen ruhigen Dienstag".',
+    // Contrary to popular belief, there is indeed enough Chuck Norris to go around.
+    '3b446a34a4d8': 'Entgegen der landläufigen Meinung gibt es tatsächlich genug Chuck Norris für alle.',
+    // Chuck Norris doesnt shave; he kicks himself in the face. The only thing that can cut Chuck Norris is Chuck Norris.
+    '95d02b250af7': 'Chuck Norris rasiert sich nicht; er tritt sich selbst ins Gesicht. Das Einzige, was Chuck ' +
+      'Norris schneiden kann, ist Chuck Norris.',
+    // For some, the left testicle is larger than the right one. For Chuck Norris, each testicle is larger than the other one.
+    'b1879c713aca': 'Bei manchen ist der linke Hoden größer als der rechte. Bei Chuck Norris ist jeder Hoden größer ' +
+      'als der andere.',
+    // Chuck Norris always knows the EXACT location of Carmen SanDiego.
+    'd88ca2e3407a': 'Chuck Norris weiß immer GENAU, wo Carmen Sandiego ist.',
+    // When taking the SAT, write "Chuck Norris" for every answer. You will score over 8000.
+    'c3417f71c89f': 'Schreib beim Abitur bei jeder Antwort "Chuck Norris" hin. Du bekommst über 8000 Punkte.',
+    // Chuck Norris invented black. In fact, he invented the entire spectrum of visible light. Except pink. Tom Cruise invented pink.
+    'a8042b097538': 'Chuck Norris hat Schwarz erfunden. Genau genommen hat er das ganze Spektrum des sichtbaren ' +
+      'Lichts erfunden. Außer Rosa. Rosa hat Tom Cruise erfunden.',
+    // When you're Chuck Norris, anything + anything is equal to 1. One roundhouse kick to the face.
+    'f7f595166298': 'Wenn du Chuck Norris bist, ist alles + alles gleich 1. Ein Roundhouse-Kick ins Gesicht.',
+    // Chuck Norris has the greatest Poker-Face of all time. He won the 1983 World Series of Poker, despite holding only a Joker, a Get out of Jail Free Monopoloy card, a 2 of clubs, 7 of spades and a green #4 card from the game UNO.
+    '5b10aae3df48': 'Chuck Norris hat das beste Pokerface aller Zeiten. Er gewann 1983 die World Series of Poker, ' +
+      'obwohl er nur einen Joker, eine "Du kommst aus dem Gefängnis frei"-Karte aus Monopoly, eine Kreuz 2, eine Pik ' +
+      '7 und eine grüne 4 aus UNO auf der Hand hatte.',
+    // On his birthday, Chuck Norris randomly selects one lucky child to be thrown into the sun.
+    '2d6f9edc2724': 'An seinem Geburtstag lost Chuck Norris ein glückliches Kind aus, das er in die Sonne wirft.',
+    // Nobody doesn't like Sara Lee. Except Chuck Norris.
+    'dd0f3712e66b': 'Jeder mag Sara Lee. Außer Chuck Norris.',
+    // Chuck Norris doesn't throw up if he drinks too much. Chuck Norris throws down!
+    '3ced74631a27': 'Chuck Norris kotzt nicht, wenn er zu viel trinkt. Chuck Norris haut alle um!',
+    // In the beginning there was nothing...then Chuck Norris Roundhouse kicked that nothing in the face and said "Get a job". That is the story of the universe.
+    'fa70bca6d101': 'Am Anfang war nichts... Dann verpasste Chuck Norris diesem Nichts einen Roundhouse-Kick ins ' +
+      'Gesicht und sagte "Such dir einen Job". Das ist die Geschichte des Universums.',
+    // Chuck Norris has 12 moons. One of those moons is the Earth.
+    '5e39246a36ac': 'Chuck Norris hat 12 Monde. Einer davon ist die Erde.',
+    // Chuck Norris grinds his coffee with his teeth and boils the water with his own rage.
+    '240ed7b23d38': 'Chuck Norris mahlt seinen Kaffee mit den Zähnen und kocht das Wasser mit seiner eigenen Wut.',
+    // Archeologists unearthed an old english dictionary dating back to the year 1236. It defined "victim" as "one who has encountered Chuck Norris"
+    '1641a367c990': 'Archäologen haben ein altes englisches Wörterbuch aus dem Jahr 1236 ausgegraben. Darin wurde ' +
+      '"Opfer" definiert als "jemand, der Chuck Norris begegnet ist".',
+    // Chuck Norris ordered a Big Mac at Burger King, and got one.
+    '49f643ca734a': 'Chuck Norris hat bei Burger King einen Big Mac bestellt und einen bekommen.',
+    // Chuck Norris and Mr. T walked into a bar. The bar was instantly destroyed, as that level of awesome cannot be contained in one building.
+    'a5350ed8a476': 'Chuck Norris und Mr. T gingen in eine Bar. Die Bar wurde sofort zerstört, weil so viel ' +
+      'Großartigkeit nicht in ein einziges Gebäude passt.',
+    // If you Google search "Chuck Norris getting his ass kicked" you will generate zero results. It just doesn't happen.
+    'be088bc83c02': 'Wenn du bei Google "Chuck Norris kriegt eins auf die Mütze" suchst, bekommst du null Treffer. ' +
+      'Das passiert einfach nicht.',
+    // Chuck Norris can drink an entire gallon of milk in thirty-seven seconds.
+    '1a4de7b523d0': 'Chuck Norris kann fast vier Liter Milch in siebenunddreißig Sekunden trinken.',
+    // Little known medical fact: Chuck Norris invented the Caesarean section when he roundhouse-kicked his way out of his monther's womb.
+    '6ef10aa30d49': 'Wenig bekannte medizinische Tatsache: Chuck Norris hat den Kaiserschnitt erfunden, als er sich ' +
+      'per Roundhouse-Kick aus dem Bauch seiner Mutter befreite.',
+    // Chuck Norris doesn't bowl strikes, he just knocks down one pin and the other nine faint.
+    'd9d9e088d72e': 'Chuck Norris wirft beim Bowling keine Strikes, er wirft einen Pin um und die anderen neun ' +
+      'fallen in Ohnmacht.',
+    // The show Survivor had the original premise of putting people on an island with Chuck Norris. There were no survivors, and nobody is brave enough to go to the island to retrieve the footage.
+    'bb2b2127ee3a': 'Die ursprüngliche Idee von Survivor war, Leute mit Chuck Norris auf einer Insel auszusetzen. Es ' +
+      'gab keine Überlebenden, und niemand traut sich auf die Insel, um das Filmmaterial zu holen.',
+    // It takes Chuck Norris 20 minutes to watch 60 Minutes.
+    '64284fa75bf9': 'Chuck Norris braucht 20 Minuten, um 60 Minutes zu schauen.',
+    // You know how they say if you die in your dream then you will die in real life? In actuality, if you dream of death then Chuck Norris will find you and kill you.
+    '20f44c131a17': 'Kennst du das Sprichwort, dass man im echten Leben stirbt, wenn man im Traum stirbt? In ' +
+      'Wahrheit findet und tötet dich Chuck Norris, wenn du vom Tod träumst.',
+    // Chuck Norris has a deep and abiding respect for human life... unless it gets in his way.
+    '81e69aefeedd': 'Chuck Norris hat tiefen und beständigen Respekt vor menschlichem Leben... außer es steht ihm im ' +
+      'Weg.',
+    // The Bermuda Triangle used to be the Bermuda Square, until Chuck Norris Roundhouse kicked one of the corners off.
+    '88029bfefc41': 'Das Bermudadreieck war früher das Bermudaviereck, bis Chuck Norris eine Ecke per ' +
+      'Roundhouse-Kick abtrat.',
+    // Chuck Norris doesn't believe in Germany.
+    '5ee7814f77ae': 'Chuck Norris glaubt nicht an Deutschland.',
+    // When Chuck Norris is in a crowded area, he doesn't walk around people. He walks through them.
+    'e0ac772bfd0f': 'Wenn Chuck Norris in einer Menschenmenge ist, geht er nicht um die Leute herum. Er geht durch ' +
+      'sie hindurch.',
+    // Chuck Norris once ate an entire bottle of sleeping pills. They made him blink.
+    '51b7320e4c84': 'Chuck Norris hat einmal eine ganze Packung Schlaftabletten geschluckt. Davon musste er blinzeln.',
+    // James Cameron wanted Chuck Norris to play the Terminator. However, upon reflection, he realized that would have turned his movie into a documentary, so he went with Arnold Schwarzenegger.
+    '8318f9f302c9': 'James Cameron wollte Chuck Norris als Terminator. Nach reiflicher Überlegung wurde ihm aber ' +
+      'klar, dass sein Film dadurch zur Dokumentation würde, also nahm er Arnold Schwarzenegger.',
+    // Chuck Norris can touch MC Hammer.
+    'bb26974b37cf': 'Chuck Norris kann MC Hammer anfassen.',
+    // Thousands of years ago Chuck Norris came across a bear. It was so terrified that it fled north into the arctic. It was also so terrified that all of its decendents now have white hair.
+    '83b0160bd5b8': 'Vor Tausenden von Jahren begegnete Chuck Norris einem Bären. Der war so verängstigt, dass er ' +
+      'nach Norden in die Arktis floh. Und so verängstigt, dass alle seine Nachkommen heute weißes Fell haben.',
+    // Chuck Norris played Russian Roulette with a fully loaded gun and won.
+    '1e64e8c765a6': 'Chuck Norris hat Russisch Roulette mit voll geladenem Revolver gespielt und gewonnen.',
+    // It takes 14 puppeteers to make Chuck Norris smile, but only 2 to make him destroy an orphanage.
+    '8d0f2b450d73': 'Man braucht 14 Puppenspieler, um Chuck Norris zum Lächeln zu bringen, aber nur 2, damit er ein ' +
+      'Waisenhaus zerstört.',
+    // Chuck Norris is responsible for China's over-population. He hosted a Karate tournament in Beijing and all women within 1,000 miles became pregnant instantly.
+    '66f08157fce9': 'Chuck Norris ist schuld an Chinas Überbevölkerung. Er veranstaltete ein Karateturnier in ' +
+      'Peking, und alle Frauen im Umkreis von 1.600 Kilometern wurden sofort schwanger.',
+    // Some people wear Superman pajamas. Superman wears Chuck Norris pajamas.
+    '680040843267': 'Manche Leute tragen Superman-Schlafanzüge. Superman trägt Chuck-Norris-Schlafanzüge.',
+    // Chuck Norris once worked as a weatherman for the San Diego evening news. Every night he would make the same forecast: Partly cloudy with a 75% chance of Pain.
+    'ceaa22a42ae4': 'Chuck Norris hat einmal als Wettermann bei den Abendnachrichten in San Diego gearbeitet. Jeden ' +
+      'Abend sagte er dasselbe voraus: teils bewölkt, mit 75 % Wahrscheinlichkeit für Schmerzen.',
+    // Simply by pulling on both ends, Chuck Norris can stretch diamonds back into coal.
+    '68ea591ea6ae': 'Indem er einfach an beiden Enden zieht, kann Chuck Norris Diamanten wieder zu Kohle strecken.',
+    // When Chuck Norris does a pushup, he isn't lifting himself up, he's pushing the Earth down.
+    '0cf1af3c9140': 'Wenn Chuck Norris Liegestütze macht, drückt er nicht sich hoch, sondern die Erde nach unten.',
+    // Chuck Norris invented the bolt-action rifle, liquor, sexual intercourse, and football-- in that order.
+    '226aaaf0700b': 'Chuck Norris hat das Repetiergewehr, den Schnaps, den Geschlechtsverkehr und American Football ' +
+      'erfunden, in dieser Reihenfolge.',
+    // A high tide means Chuck Norris is flying over your coast. The tide is caused by God pissing his pants.
+    '00cae70fd5c0': 'Flut bedeutet, dass Chuck Norris über deine Küste fliegt. Die Flut entsteht, weil Gott sich in ' +
+      'die Hose macht.',
+    // Chuck Norris keeps his friends close and his enemies closer. Close enough to drop them with one round house kick to the face.
+    '7d98f7af4369': 'Chuck Norris hält seine Freunde nah und seine Feinde noch näher. Nah genug, um sie mit einem ' +
+      'Roundhouse-Kick ins Gesicht umzuhauen.',
+    // There is in fact an 'I' in Norris, but there is no 'team'. Not even close.
+    '7cb109a5a050': 'Im Englischen steckt in "Norris" zwar ein "I" für ich, aber kein "team". Nicht mal annähernd.',
+    // Scotty in Star Trek often says "Ye cannae change the laws of physics." This is untrue. Chuck Norris can change the laws of physics. With his fists.
+    '882c06ab2a39': 'Scotty sagt in Star Trek oft "Man kann die Gesetze der Physik nicht ändern." Das stimmt nicht. ' +
+      'Chuck Norris kann die Gesetze der Physik ändern. Mit seinen Fäusten.',
+    // An anagram for Walker Texas Ranger is KARATE WRANGLER SEX. I don't know what that is, but it sounds AWESOME.
+    '92b679e1fa1d': 'Ein Anagramm von Walker Texas Ranger ist KARATE WRANGLER SEX. Ich weiß nicht, was das ist, aber ' +
+      'es klingt GROSSARTIG.',
+    // Chuck Norris doesn't stub his toes. He accidentally destroys chairs, bedframes, and sidewalks.
+    '77655d03607f': 'Chuck Norris stößt sich nie den Zeh. Er zerstört aus Versehen Stühle, Bettgestelle und ' +
+      'Bürgersteige.',
+    // Using his trademark roundhouse kick, Chuck Norris once made a fieldgoal in RJ Stadium in Tampa Bay from the 50 yard line of Qualcomm stadium in San Diego.
+    '0b5ec1819c28': 'Mit seinem berühmten Roundhouse-Kick erzielte Chuck Norris einmal ein Field Goal im RJ Stadium ' +
+      'in Tampa Bay, von der 50-Yard-Linie des Qualcomm Stadium in San Diego aus.',
+    // Chuck Norris roundhouse kicks don't really kill people. They wipe out their entire existence from the space-time continuum.
+    'aaf329f256d7': 'Die Roundhouse-Kicks von Chuck Norris töten eigentlich niemanden. Sie löschen die ganze ' +
+      'Existenz aus dem Raum-Zeit-Kontinuum.',
+    // Chuck Norris does not own a stove, oven, or microwave , because revenge is a dish best served cold.
+    '13678f12dc46': 'Chuck Norris besitzt weder Herd noch Ofen noch Mikrowelle, denn Rache ist ein Gericht, das man ' +
+      'am besten kalt serviert.',
+    // Tom Clancy has to pay royalties to Chuck Norris because "The Sum of All Fears" is the name of Chuck Norris' autobiography.
+    'bb1bce457d2b': 'Tom Clancy muss Chuck Norris Tantiemen zahlen, weil "Das Echo aller Furcht" der Titel der ' +
+      'Autobiografie von Chuck Norris ist.',
+    // Chuck Norris can slam a revolving door.
+    '10dfffb3d742': 'Chuck Norris kann eine Drehtür zuknallen.',
+    // Chuck Norris built a better mousetrap, but the world was too frightened to beat a path to his door.
+    '6abeb9553961': 'Chuck Norris hat eine bessere Mausefalle gebaut, aber die Welt hatte zu viel Angst, um ihm die ' +
+      'Tür einzurennen.',
+    // The original draft of The Lord of the Rings featured Chuck Norris instead of Frodo Baggins. It was only 5 pages long, as Chuck roundhouse-kicked Sauron's ass halfway through the first chapter.
+    'ac06d5e1a510': 'Im ersten Entwurf von Der Herr der Ringe spielte Chuck Norris statt Frodo Beutlin die ' +
+      'Hauptrolle. Er war nur 5 Seiten lang, weil Chuck Sauron schon mitten im ersten Kapitel per Roundhouse-Kick in ' +
+      'den Hintern trat.',
+    // Hellen Keller's favorite color is Chuck Norris.
+    'e0ec52638274': 'Helen Kellers Lieblingsfarbe ist Chuck Norris.',
+    // Chuck Norris eats beef jerky and craps gunpowder. Then, he uses that gunpowder to make a bullet, which he uses to kill a cow and make more beef jerky. Some people refer to this as the "Circle of Life."
+    '4189c850f16d': 'Chuck Norris isst Beef Jerky und scheißt Schießpulver. Mit dem Schießpulver macht er eine ' +
+      'Kugel, mit der er eine Kuh tötet, um mehr Beef Jerky zu machen. Manche nennen das den "Kreislauf des Lebens".',
+    // If, by some incredible space-time paradox, Chuck Norris would ever fight himself, he'd win. Period.
+    'e2211ca9e2ff': 'Sollte Chuck Norris durch ein unglaubliches Raum-Zeit-Paradoxon je gegen sich selbst kämpfen, ' +
+      'würde er gewinnen. Punkt.',
+    // Chuck Norris is currently suing myspace for taking the name of what he calls everything around you.
+    '0ec01e8b7791': 'Chuck Norris verklagt gerade Myspace, weil es den Namen geklaut hat, mit dem er alles um dich ' +
+      'herum bezeichnet: "mein Bereich".',
+    // The crossing lights in Chuck Norris's home town say "Die slowly" and "die quickly". They each have a picture of Chuck Norris punching or kicking a pedestrian.
+    '2263471181fd': 'Die Fußgängerampeln in Chuck Norris\' Heimatstadt zeigen "Stirb langsam" und "Stirb schnell". ' +
+      'Auf beiden ist Chuck Norris zu sehen, wie er einen Fußgänger schlägt oder tritt.',
+    // Science Fact: Roundhouse kicks are comprised primarily of an element called Chucktanium.
+    'aba7f8179774': 'Wissenschaftliche Tatsache: Roundhouse-Kicks bestehen hauptsächlich aus einem Element namens ' +
+      'Chucktanium.',
+    // Chuck Norris proved that we are alone in the universe. We weren't before his first space expedition.
+    '144c3723b04f': 'Chuck Norris hat bewiesen, dass wir allein im Universum sind. Vor seiner ersten ' +
+      'Weltraumexpedition waren wir es nicht.',
+    // Superman once watched an episode of Walker, Texas Ranger. He then cried himself to sleep.
+    'f3d4bfaa8af9': 'Superman hat einmal eine Folge von Walker, Texas Ranger gesehen. Danach hat er sich in den ' +
+      'Schlaf geweint.',
+    // Chuck Norris doesn't step on toes. Chuck Norris steps on necks.
+    'c7c4c12c56b0': 'Chuck Norris tritt niemandem auf die Füße. Chuck Norris tritt auf Hälse.',
+    // The movie "Delta Force" was extremely hard to make because Chuck had to downplay his abilities. The first few cuts were completely unbelievable.
+    '398902072163': 'Der Film "Delta Force" war extrem schwer zu drehen, weil Chuck seine Fähigkeiten ' +
+      'herunterspielen musste. Die ersten Schnittfassungen waren völlig unglaubwürdig.',
+    // Movie trivia: The movie "Invasion U.S.A." is, in fact, a documentary.
+    '45cc34f943e3': 'Filmwissen: Der Film "Invasion U.S.A." ist in Wahrheit eine Dokumentation.',
+    // Chuck Norris does not "style" his hair. It lays perfectly in place out of sheer terror.
+    '3379bf0ccad9': 'Chuck Norris "stylt" seine Haare nicht. Sie liegen aus purer Angst perfekt.',
+    // There is no such thing as global warming. Chuck Norris was cold, so he turned the sun up.
+    '1cc61ff7f132': 'Es gibt keine Erderwärmung. Chuck Norris war kalt, also hat er die Sonne höher gedreht.',
+    // A study showed the leading causes of death in the United States are: 1. Heart disease, 2. Chuck Norris, 3. Cancer
+    '18b8b2fa4a40': 'Eine Studie zeigt die häufigsten Todesursachen in den USA: 1. Herzkrankheiten, 2. Chuck Norris, ' +
+      '3. Krebs',
+    // It's widely believed that Jesus was Chuck Norris' stunt double for crucifixion due to the fact that it is impossible for nails to pierce Chuck Norris' skin.
+    'daf69aa9e5c8': 'Viele glauben, dass Jesus bei der Kreuzigung das Double von Chuck Norris war, weil kein Nagel ' +
+      'die Haut von Chuck Norris durchbohren kann.',
+    // Chuck Norris did in fact, build Rome in a day.
+    'ea9f7c209399': 'Chuck Norris hat Rom tatsächlich an einem Tag erbaut.',
+    // Along with his black belt, Chuck Norris often chooses to wear brown shoes. No one has DARED call him on it. Ever.
+    '1a5f14281acf': 'Zu seinem schwarzen Gürtel trägt Chuck Norris oft braune Schuhe. Niemand hat es je GEWAGT, ihn ' +
+      'darauf anzusprechen. Niemals.',
+    // Once you go Norris, you are physically unable to go back.
+    '6a8f3f76fef8': 'Wer einmal Norris hatte, kann körperlich nicht mehr zurück.',
+    // Ninjas want to grow up to be just like Chuck Norris. But usually they grow up just to be killed by Chuck Norris.
+    '06ca20df8172': 'Ninjas wollen später mal wie Chuck Norris werden. Meistens werden sie aber nur groß, um von ' +
+      'Chuck Norris getötet zu werden.',
+    // Chuck Norris once sued Burger King after they refused to put razor wire in his Whopper Jr, insisting that that actually is "his" way.
+    '6979034c0f15': 'Chuck Norris hat Burger King einmal verklagt, weil sie ihm keinen Stacheldraht in seinen ' +
+      'Whopper Jr. tun wollten, und bestand darauf, dass das "sein" Weg ist.',
+    // The last thing you hear before Chuck Norris gives you a roundhouse kick? No one knows because dead men tell no tales.
+    '47bff3328896': 'Was hört man als Letztes, bevor Chuck Norris einem einen Roundhouse-Kick verpasst? Niemand weiß ' +
+      'es, denn Tote erzählen keine Geschichten.',
+    // Chuck Norris doesn't play god. Playing is for children.
+    '167f7385e588': 'Chuck Norris spielt nicht Gott. Spielen ist was für Kinder.',
+    // As a teen, Chuck Norris had sex with every nun in a convent tucked away in the hills of Tuscany. Nine months later the nuns gave birth to the 1972 Miami Dolphins, the only undefeated and untied team in professional football history.
+    '2e3b4a4f17fc': 'Als Teenager schlief Chuck Norris mit jeder Nonne eines Klosters in den Hügeln der Toskana. ' +
+      'Neun Monate später brachten die Nonnen die Miami Dolphins von 1972 zur Welt, das einzige ungeschlagene Team ' +
+      'ohne Unentschieden in der Geschichte des Profi-Footballs.',
+    // Chuck Norris is the only person in the world that can actually email a roundhouse kick.
+    '4c41cc53319f': 'Chuck Norris ist der einzige Mensch der Welt, der einen Roundhouse-Kick per E-Mail verschicken ' +
+      'kann.',
+    // Chuck Norris won super bowls VII and VIII singlehandedly before unexpectedly retiring to pursue a career in ass-kicking.
+    '719c58cce291': 'Chuck Norris gewann die Super Bowls VII und VIII im Alleingang, bevor er sich überraschend ' +
+      'zurückzog, um Karriere im Arschtreten zu machen.',
+    // Wo hu cang long. The translation from Mandarin Chinese reads: "Crouching Chuck, Hidden Norris"
+    'd86c8c5b9380': 'Wo hu cang long. Aus dem Mandarin übersetzt heißt das: "Kauernder Chuck, verborgener Norris"',
+    // Chuck Norris can set ants on fire with a magnifying glass. At night.
+    '50cf4a741759': 'Chuck Norris kann Ameisen mit einer Lupe anzünden. Nachts.',
+    // Some kids play Kick the can. Chuck Norris played Kick the keg.
+    '644e10b40a01': 'Manche Kinder spielen Dosenkicken. Chuck Norris hat Bierfasskicken gespielt.',
+    // 'Icy-Hot' is too weak for Chuck Norris. After a workout, Chuck Norris rubs his muscles down with liquid-hot MAGMA.
+    '66d37213c361': 'Wärmesalbe ist Chuck Norris zu schwach. Nach dem Training reibt sich Chuck Norris die Muskeln ' +
+      'mit flüssigem MAGMA ein.',
+    // Chuck Norris cannot love, he can only not kill.
+    '5d17d84243a2': 'Chuck Norris kann nicht lieben, er kann nur nicht töten.',
+    // When Chuck Norris was a baby, he didn't suck his mother's breast. His mother served him whiskey, straight out of the bottle.
+    '207ca1073433': 'Als Baby trank Chuck Norris nicht an der Brust seiner Mutter. Seine Mutter gab ihm Whiskey, ' +
+      'direkt aus der Flasche.',
+    // According to Einstein's theory of relativity, Chuck Norris can actually roundhouse kick you yesterday.
+    'd403d17e0ff8': 'Laut Einsteins Relativitätstheorie kann Chuck Norris dir gestern einen Roundhouse-Kick verpassen.',
+    // Chuck Norris once pulled out a single hair from his beard and skewered three men through the heart with it.
+    '1278244a1cf7': 'Chuck Norris hat sich einmal ein einzelnes Haar aus dem Bart gezogen und damit drei Männer ' +
+      'durchs Herz aufgespießt.',
+    // In an act of great philanthropy, Chuck made a generous donation to the American Cancer Society. He donated 6,000 dead bodies for scientific research.
+    '23f04fc7b603': 'In einem Akt großer Menschenliebe spendete Chuck großzügig an die American Cancer Society. Er ' +
+      'spendete 6.000 Leichen für die Forschung.',
+    // Chuck Norris? favourite cut of meat is the roundhouse.
+    'f1cf2e5e0e4a': 'Das Lieblingsstück Fleisch von Chuck Norris ist der Roundhouse.',
+    // When J. Robert Oppenheimer said "I am become death, the destroyer Of worlds", He was not referring to the atomic bomb. He was referring to the Chuck Norris halloween costume he was wearing.
+    '49af313f42f9': 'Als J. Robert Oppenheimer sagte "Ich bin der Tod geworden, der Zerstörer der Welten", meinte er ' +
+      'nicht die Atombombe. Er meinte sein Chuck-Norris-Kostüm für Halloween.',
+    // Chuck Norris recently had the idea to sell his urine as a canned beverage. We know this beverage as Red Bull.
+    '86a3ba74be71': 'Chuck Norris kam neulich auf die Idee, seinen Urin als Dosengetränk zu verkaufen. Wir kennen ' +
+      'das Getränk als Red Bull.',
+    // In a recent survey it was discovered the 94% of American women lost their virginity to Chuck Norris. The other 6% were incredibly fat or ugly.
+    '06bd3614e3aa': 'Eine aktuelle Umfrage ergab, dass 94 % der Amerikanerinnen ihre Jungfräulichkeit an Chuck ' +
+      'Norris verloren haben. Die anderen 6 % waren unglaublich dick oder hässlich.',
+    // Chuck Norris invented a language that incorporates karate and roundhouse kicks. So next time Chuck Norris is kicking your ass, don?t be offended or hurt, he may be just trying to tell you he likes your hat.
+    '63a019ce3217': 'Chuck Norris hat eine Sprache aus Karate und Roundhouse-Kicks erfunden. Wenn Chuck Norris dir ' +
+      'also das nächste Mal in den Hintern tritt, sei nicht gekränkt, vielleicht will er dir nur sagen, dass ihm ' +
+      'dein Hut gefällt.',
+    // If at first you don't succeed, you're not Chuck Norris.
+    '6ed88c0b51ba': 'Wenn es beim ersten Mal nicht klappt, bist du nicht Chuck Norris.',
+    // If Chuck Norris were a calendar, every month would be named Chucktober, and every day he'd kick your ass.
+    '4208a8c1aaf1': 'Wäre Chuck Norris ein Kalender, hieße jeder Monat Chucktober, und jeden Tag würde er dir in den ' +
+      'Hintern treten.',
+    // Fear is not the only emotion Chuck Norris can smell. He can also detect hope, as in "I hope I don't get a roundhouse kick from Chuck Norris."
+    '0b4514e94118': 'Angst ist nicht das einzige Gefühl, das Chuck Norris riechen kann. Er spürt auch Hoffnung, wie ' +
+      'in "Ich hoffe, Chuck Norris verpasst mir keinen Roundhouse-Kick."',
+    // # Chuck Norris's show is called Walker: Texas Ranger, because Chuck Norris doesn't run.
+    '1f1a15c401a5': '# Die Serie von Chuck Norris heißt Walker: Texas Ranger, weil Chuck Norris nicht rennt.',
+    // MacGyver can build an airplane out of gum and paper clips, but Chuck Norris can roundhouse-kick his head through a wall and take it.
+    '35eb6efbb416': 'MacGyver kann aus Kaugummi und Büroklammern ein Flugzeug bauen, aber Chuck Norris kann ihm per ' +
+      'Roundhouse-Kick den Kopf durch die Wand treten und es behalten.',
+    // Behind every successful man, there is a woman. Behind every dead man, there is Chuck Norris.
+    'ab37d3688b93': 'Hinter jedem erfolgreichen Mann steht eine Frau. Hinter jedem toten Mann steht Chuck Norris.',
+    // Chuck Norris brushes his teeth with a mixture of iron shavings, industrial paint remover, and wood-grain alcohol.
+    '7cbf1ab7a4a2': 'Chuck Norris putzt sich die Zähne mit einer Mischung aus Eisenspänen, Industrie-Abbeizer und ' +
+      'Holzgeist.',
+    // The easiest way to determine Chuck Norris' age is to cut him in half and count the rings.
+    '4bc463e0c181': 'Am einfachsten bestimmt man das Alter von Chuck Norris, indem man ihn halbiert und die Ringe ' +
+      'zählt.',
+    // There is endless debate about the existence of the human soul. Well it does exist and Chuck Norris finds it delicious.
+    '5968ced9180d': 'Über die Existenz der menschlichen Seele wird endlos gestritten. Nun, es gibt sie, und Chuck ' +
+      'Norris findet sie köstlich.',
+    // Most boots are made for walkin'. Chuck Norris' boots ain't that merciful.
+    '2679db74137d': 'Die meisten Stiefel sind zum Laufen gemacht. Die Stiefel von Chuck Norris sind nicht so gnädig.',
+    // The US did not boycott the 1980 Summer Olympics in Moscow due to political reasons: Chuck Norris killed the entire US team with a single round-house kick during TaeKwonDo practice.
+    '8a3c0cad74ff': 'Die USA haben die Olympischen Sommerspiele 1980 in Moskau nicht aus politischen Gründen ' +
+      'boykottiert: Chuck Norris hat beim Taekwondo-Training das ganze US-Team mit einem einzigen Roundhouse-Kick ' +
+      'getötet.',
+    // Chuck Norris wears a live rattlesnake as a condom.
+    '9a4d9117277d': 'Chuck Norris benutzt eine lebende Klapperschlange als Kondom.',
+    // The Bible was originally titled "Chuck Norris and Friends"
+    'fe345fb8f023': 'Der ursprüngliche Titel der Bibel war "Chuck Norris und seine Freunde"',
+    // Chuck Norris began selling the Total Gym as an ill-fated attempt to make his day-to-day opponents less laughably pathetic.
+    'e2cb13ced9a5': 'Chuck Norris fing an, das Total Gym zu verkaufen, in dem vergeblichen Versuch, seine täglichen ' +
+      'Gegner etwas weniger lächerlich erbärmlich zu machen.',
+    // Do you know why Baskin Robbins only has 31 flavors? Because Chuck Norris doesn't like Fudge Ripple.
+    '35b0390eeb6a': 'Weißt du, warum Baskin Robbins nur 31 Sorten hat? Weil Chuck Norris Fudge Ripple nicht mag.',
+    // When Chuck Norris says "More cowbell", he MEANS it.
+    '6ddbf6756a79': 'Wenn Chuck Norris "Mehr Kuhglocke" sagt, MEINT er das auch.',
+    // On the set of Walker Texas Ranger Chuck Norris brought a dying lamb back to life by nuzzling it with his beard. As the onlookers gathered, the lamb sprang to life. Chuck Norris then roundhouse kicked it, killing it instantly. This was just to prove that the good Chuck givet
+    'a765ce3e1031': 'Am Set von Walker, Texas Ranger erweckte Chuck Norris ein sterbendes Lamm wieder zum Leben, ' +
+      'indem er es mit seinem Bart stupste. Als sich die Schaulustigen versammelten, sprang das Lamm auf. Dann ' +
+      'verpasste Chuck Norris ihm einen Roundhouse-Kick und tötete es sofort. Nur um zu beweisen, dass der gute ' +
+      'Chuck gibt',
+    // Chuck Norris was what Willis was talkin' about.
+    '9ae0c6062cec': 'Chuck Norris war das, wovon Willis geredet hat.',
+    // Google won't search for Chuck Norris because it knows you don't find Chuck Norris, he finds you.
+    'fb51b7eb17eb': 'Google sucht nicht nach Chuck Norris, weil es weiß, dass man Chuck Norris nicht findet. Er ' +
+      'findet dich.',
+    // Chuck Norris can lead a horse to water AND make it drink.
+    '3bb18959e8ee': 'Chuck Norris kann ein Pferd zum Wasser führen UND es zum Trinken bringen.',
+    // Nagasaki never had a bomb dropped on it. Chuck Norris jumped out of a plane and punched the ground
+    'c459aae6ea4c': 'Auf Nagasaki ist nie eine Bombe gefallen. Chuck Norris ist aus einem Flugzeug gesprungen und ' +
+      'hat auf den Boden geschlagen',
+    // It is scientifically impossible for Chuck Norris to have had a mortal father. The most popular theory is that he went back in time and fathered himself.
+    '843bf72ebe65': 'Es ist wissenschaftlich unmöglich, dass Chuck Norris einen sterblichen Vater hatte. Die ' +
+      'beliebteste Theorie ist, dass er in der Zeit zurückreiste und sich selbst zeugte.',
+    // Chuck Norris destroyed the periodic table, because Chuck Norris only recognizes the element of surprise.
+    'ceb6ee265ddb': 'Chuck Norris hat das Periodensystem zerstört, weil Chuck Norris nur das Überraschungselement ' +
+      'anerkennt.',
+    // It is believed dinosaurs are extinct due to a giant meteor. That's true if you want to call Chuck Norris a giant meteor.
+    'd3fb7a8f67f0': 'Man glaubt, die Dinosaurier seien wegen eines riesigen Meteoriten ausgestorben. Das stimmt, ' +
+      'wenn man Chuck Norris einen riesigen Meteoriten nennen will.',
+    // Chuck Norris shot the sheriff, but he round house kicked the deputy.
+    '46c70d787bd4': 'Chuck Norris hat den Sheriff erschossen, aber dem Hilfssheriff einen Roundhouse-Kick verpasst.',
+    // That's not Chuck Norris doing push-ups -- that's Chuck Norris moving the Earth away from the path of a deadly asteroid.
+    '495fef08a74f': 'Das ist nicht Chuck Norris beim Liegestützen, das ist Chuck Norris, der die Erde aus der Bahn ' +
+      'eines tödlichen Asteroiden schiebt.',
+    // Chuck Norris can judge a book by its cover.
+    'a7d074345e87': 'Chuck Norris kann ein Buch nach seinem Umschlag beurteilen.',
+    // Nothing can escape the gravity of a black hole, except for Chuck Norris. Chuck Norris eats black holes. They taste like chicken.
+    '7e662bda5d5f': 'Nichts entkommt der Schwerkraft eines Schwarzen Lochs, außer Chuck Norris. Chuck Norris isst ' +
+      'Schwarze Löcher. Sie schmecken nach Hühnchen.',
+    // Chuck Norris does not play the lottery. It doesn't have nearly enough balls.
+    '8af5e0e61eb8': 'Chuck Norris spielt kein Lotto. Da sind bei Weitem nicht genug Kugeln drin.',
+    // How many Chuck Norris' does it take to change a light bulb? None, Chuck Norris prefers to kill in the dark.
+    '362896cc7593': 'Wie viele Chuck Norris braucht man, um eine Glühbirne zu wechseln? Keinen, Chuck Norris tötet ' +
+      'lieber im Dunkeln.',
+    // As President Roosevelt said: "We have nothing to fear but fear itself. And Chuck Norris."
+    '7a175a0a47d1': 'Wie Präsident Roosevelt sagte: "Wir haben nichts zu fürchten außer der Furcht selbst. Und Chuck ' +
+      'Norris."',
+    // Chuck Norris just says "no" to drugs. If he said "yes", it would collapse Colombia's infrastructure.
+    '8d5338b4a49a': 'Chuck Norris sagt einfach "Nein" zu Drogen. Würde er "Ja" sagen, bräche die Infrastruktur ' +
+      'Kolumbiens zusammen.',
+    // Crime does not pay - unless you are an undertaker following Walker, Texas Ranger, on a routine patrol.
+    '54fa976a2d53': 'Verbrechen lohnt sich nicht, außer man ist Bestatter und folgt Walker, Texas Ranger, auf einer ' +
+      'Routinestreife.',
+    // Chuck Norris invented the internet? just so he had a place to store his porn.
+    'dba6a65fe9ff': 'Chuck Norris hat das Internet erfunden, nur damit er einen Ort für seine Pornos hat.',
+    // Chuck Norris does not own a house. He walks into random houses and people move.
+    '3ef0c28e8dd3': 'Chuck Norris besitzt kein Haus. Er geht in irgendwelche Häuser, und die Leute ziehen aus.',
+    // It is better to give than to receive. This is especially true of a Chuck Norris roundhouse kick.
+    '7e187dd46476': 'Geben ist seliger denn Nehmen. Das gilt besonders für einen Roundhouse-Kick von Chuck Norris.',
+    // Chuck Norris is the only person to ever win a staring contest against Ray Charles and Stevie Wonder.
+    'e655c3078bd2': 'Chuck Norris ist der einzige Mensch, der je einen Anstarrwettbewerb gegen Ray Charles und ' +
+      'Stevie Wonder gewonnen hat.',
+    // Industrial logging isn't the cause of deforestation. Chuck Norris needs toothpicks.
+    'c1c91da002d3': 'Nicht die Holzindustrie ist schuld an der Abholzung. Chuck Norris braucht Zahnstocher.',
+    // Chuck Norris smells what the Rock is cooking... because the Rock is Chuck Norris' personal chef.
+    '31900790b40e': 'Chuck Norris riecht, was The Rock kocht... weil The Rock der Privatkoch von Chuck Norris ist.',
+    // When Chuck Norris plays Oregon Trail, his family does not die from cholera or dysentery, but rather, roundhouse kicks to the face. He also requires no wagon, since he carries the oxen, axels, and buffalo meat on his back. He always makes it to Oregon before you.
+    'e51831af2590': 'Wenn Chuck Norris Oregon Trail spielt, stirbt seine Familie nicht an Cholera oder Ruhr, sondern ' +
+      'an Roundhouse-Kicks ins Gesicht. Einen Wagen braucht er auch nicht, denn er trägt die Ochsen, die Achsen und ' +
+      'das Büffelfleisch auf dem Rücken. Er kommt immer vor dir in Oregon an.',
+    // Chuck Norris is the reason why Waldo is hiding.
+    '10c73fbf4312': 'Chuck Norris ist der Grund, warum Walter sich versteckt.',
+    // "Brokeback Mountain" is not just a movie. It's also what Chuck Norris calls the pile of dead ninjas in his front yard.
+    'cd6461258f83': '"Brokeback Mountain" ist nicht nur ein Film. So nennt Chuck Norris auch den Haufen toter Ninjas ' +
+      'in seinem Vorgarten.',
+    // When God said, "let there be light", Chuck Norris said, "say 'please'."
+    '80ada94714d3': 'Als Gott sprach "Es werde Licht", sagte Chuck Norris "Sag \'bitte\'".',
+    // Chuck Norris does not eat. Food understands that the only safe haven from Chuck Norris' fists is inside his own body.
+    '2ca21a575f1d': 'Chuck Norris isst nicht. Das Essen weiß, dass der einzige sichere Ort vor den Fäusten von Chuck ' +
+      'Norris in seinem eigenen Körper ist.',
+    // One day Chuck Norris walked down the street with a massive erection. There were no survivors.
+    '54fb3ad4dd3f': 'Eines Tages ging Chuck Norris mit einer gewaltigen Erektion die Straße entlang. Es gab keine ' +
+      'Überlebenden.',
+    // Chuck Norris built a time machine and went back in time to stop the JFK assassination. As Oswald shot, Chuck met all three bullets with his beard, deflecting them. JFK's head exploded out of sheer amazement.
+    '68d79d93225e': 'Chuck Norris baute eine Zeitmaschine und reiste zurück, um das Attentat auf JFK zu verhindern. ' +
+      'Als Oswald schoss, fing Chuck alle drei Kugeln mit seinem Bart ab und lenkte sie ab. JFKs Kopf explodierte ' +
+      'vor lauter Staunen.',
+    // Chuck Norris uses a night light. Not because Chuck Norris is afraid of the dark, but the dark is afraid of Chuck Norris.
+    'e3142b2c914b': 'Chuck Norris schläft mit Nachtlicht. Nicht weil Chuck Norris Angst vor der Dunkelheit hat, ' +
+      'sondern weil die Dunkelheit Angst vor Chuck Norris hat.',
+    // When Bruce Banner gets mad, he turns into the Hulk. When the Hulk gets mad, he turns into Chuck Norris.
+    '339ff5ac5b25': 'Wenn Bruce Banner wütend wird, verwandelt er sich in Hulk. Wenn Hulk wütend wird, verwandelt er ' +
+      'sich in Chuck Norris.',
+    // Chuck Norris kills anyone that asks: "Do you want fries with that?". Because by now everyone should know that Chuck doesn't want fries with anything. Ever.
+    '85b1f24d3420': 'Chuck Norris tötet jeden, der fragt: "Möchten Sie Pommes dazu?". Denn inzwischen sollte jeder ' +
+      'wissen, dass Chuck nie Pommes zu irgendwas will. Niemals.',
+    // Chuck Norris once kicked a horse in the chin. Its decendants are known today as Giraffes.
+    'dc5fd3061672': 'Chuck Norris hat einmal einem Pferd gegen das Kinn getreten. Seine Nachkommen kennt man heute ' +
+      'als Giraffen.',
+    // Sticks and stones may break your bones, but a Chuck Norris glare will liquefy your kidneys.
+    '764f135d9031': 'Stock und Stein brechen dir vielleicht die Knochen, aber ein Blick von Chuck Norris verflüssigt ' +
+      'deine Nieren.',
+    // Human cloning is outlawed because of Chuck Norris, because then it would be possible for a Chuck Norris roundhouse kick to meet another Chuck Norris roundhouse kick. Physicists theorize that this contact would end the universe.
+    '8768fff5fe57': 'Das Klonen von Menschen ist wegen Chuck Norris verboten, denn dann könnte ein Roundhouse-Kick ' +
+      'von Chuck Norris auf einen anderen Roundhouse-Kick von Chuck Norris treffen. Physiker vermuten, dass diese ' +
+      'Berührung das Universum beenden würde.',
+    // Chuck Norris once went skydiving, but promised never to do it again. One Grand Canyon is enough.
+    '529558ff2e3b': 'Chuck Norris ist einmal Fallschirm gesprungen, hat aber versprochen, es nie wieder zu tun. Ein ' +
+      'Grand Canyon reicht.',
+    // Chuck Norris's version of a "chocolate milkshake" is a raw porterhouse wrapped around ten Hershey bars, and doused in diesel fuel.
+    '5198bcd948cb': 'Chuck Norris\' Version eines "Schokomilchshakes" ist ein rohes Porterhouse-Steak, gewickelt um ' +
+      'zehn Hershey-Riegel und mit Diesel übergossen.',
+    // In a fight between Batman and Darth Vader, the winner would be Chuck Norris.
+    'e94e83a19f60': 'In einem Kampf zwischen Batman und Darth Vader würde Chuck Norris gewinnen.',
+    // Chuck Norris puts his pants on one leg at a time, just like the rest of us. The only difference is, then he kills people.
+    '21846dc68710': 'Chuck Norris zieht seine Hose ein Bein nach dem anderen an, wie wir alle. Der einzige ' +
+      'Unterschied ist, dass er danach Leute tötet.',
+    // Everybody loves Raymond. Except Chuck Norris.
+    '1ca328a38a55': 'Alle lieben Raymond. Außer Chuck Norris.',
+    // Contrary to popular belief, the Titanic didn't hit an iceberg. The ship was off course and ran into Chuck Norris while he was doing the backstroke across the Atlantic.
+    'cd76c413f186': 'Entgegen der landläufigen Meinung ist die Titanic nicht mit einem Eisberg kollidiert. Das ' +
+      'Schiff kam vom Kurs ab und rammte Chuck Norris, als er im Rückenschwimmen den Atlantik überquerte.',
+    // Chuck Norris got his drivers license at the age of 16. Seconds.
+    'e5ab7d28cbdc': 'Chuck Norris hat seinen Führerschein mit 16 gemacht. Sekunden.',
+    // The original title for Alien vs. Predator was Alien and Predator vs Chuck Norris. The film was cancelled shortly after going into preproduction. No one would pay nine dollars to see a movie fourteen seconds long.
+    '912a3e0a0b89': 'Der ursprüngliche Titel von Alien vs. Predator war Alien und Predator vs. Chuck Norris. Der ' +
+      'Film wurde kurz nach Beginn der Vorproduktion abgesagt. Niemand würde neun Dollar für einen vierzehn Sekunden ' +
+      'langen Film zahlen.',
+    // Chuck Norris? sperm is so badass, he had sex with Nicole Kidman, and 7 months later she prematurely gave birth to a Ford Excursion.
+    '3b3374d0b28d': 'Das Sperma von Chuck Norris ist so krass, dass Nicole Kidman nach einer Nacht mit ihm 7 Monate ' +
+      'später zu früh einen Ford Excursion zur Welt brachte.',
+    // Chuck Norris can win at solitaire with only 18 cards.
+    '4c08acf47bba': 'Chuck Norris kann Solitär mit nur 18 Karten gewinnen.',
+    // Chuck Norris once shat blood - the blood of 11,940 natives he had killed and eaten.
+    '28c6530f070d': 'Chuck Norris hat einmal Blut geschissen, das Blut von 11.940 Einheimischen, die er getötet und ' +
+      'gegessen hatte.',
+    // Maslow's theory of higher needs does not apply to Chuck Norris. He only has two needs: killing people and finding people to kill.
+    '5c4bfe375d7f': 'Maslows Bedürfnispyramide gilt nicht für Chuck Norris. Er hat nur zwei Bedürfnisse: Leute töten ' +
+      'und Leute zum Töten finden.',
+    // The truth will set you free. Unless Chuck Norris has you, in which case, forget it buddy!
+    '362729911a2b': 'Die Wahrheit wird dich befreien. Außer Chuck Norris hat dich in der Mangel, dann vergiss es, ' +
+      'Kumpel!',
+    // Kryptonite has been found to contain trace elements of Chuck Norris roundhouse kicks to the face. This is why it is so deadly to Superman.
+    'c32af54aeb17': 'Man hat herausgefunden, dass Kryptonit Spuren von Chuck-Norris-Roundhouse-Kicks ins Gesicht ' +
+      'enthält. Deshalb ist es für Superman so tödlich.',
+    // Saddam Hussein was not found hiding in a "hole." Saddam was roundhouse-kicked in the head by Chuck Norris in Kansas, which sent him through the earth, stopping just short of the surface of Iraq.
+    '4a422ee43766': 'Saddam Hussein wurde nicht versteckt in einem "Erdloch" gefunden. Chuck Norris hat ihm in ' +
+      'Kansas einen Roundhouse-Kick gegen den Kopf verpasst, der ihn quer durch die Erde schickte, bis er knapp ' +
+      'unter der Oberfläche des Irak stecken blieb.',
+    // Coroners refer to dead people as "ABC's". Already Been Chucked.
+    '5c2a8c4d7000': 'Gerichtsmediziner nennen Tote "BCN": Bereits Chuck-Norrisiert.',
+    // Chuck Norris doesn't look both ways before he crosses the street... he just roundhouses any cars that get too close.
+    '5e4602375ce5': 'Chuck Norris schaut nicht nach links und rechts, bevor er über die Straße geht... er verpasst ' +
+      'einfach jedem Auto, das zu nahe kommt, einen Roundhouse-Kick.',
+    // Chuck Norris does not have to answer the phone. His beard picks up the incoming electrical impulses and translates them into audible sound.
+    '790fd6004d0b': 'Chuck Norris muss nicht ans Telefon gehen. Sein Bart fängt die eingehenden elektrischen Impulse ' +
+      'auf und wandelt sie in hörbaren Klang um.',
+    // How many roundhouse kicks does it take to get to the center of a tootsie pop? Just one. From Chuck Norris.
+    '7c0a01b34a65': 'Wie viele Roundhouse-Kicks braucht man, um zur Mitte eines Lutschers zu kommen? Nur einen. Von ' +
+      'Chuck Norris.',
+    // Chuck Norris doesnt wear a watch, HE decides what time it is.
+    '51ba5b98418f': 'Chuck Norris trägt keine Uhr, ER entscheidet, wie spät es ist.',
+    // The phrase 'break a leg' was originally coined by Chuck Norris's co-stars in Walker, Texas Ranger as a good luck charm, indicating that a broken leg might be the worst extent of their injuries. This never proved to be the case.
+    '2b2e99c80454': 'Die Redewendung "Hals- und Beinbruch" haben die Kollegen von Chuck Norris bei Walker, Texas ' +
+      'Ranger als Glücksbringer erfunden, in der Hoffnung, dass ein gebrochenes Bein ihre schlimmste Verletzung ' +
+      'bleibt. Das war nie der Fall.',
+    // When Chuck Norris does division, there are no remainders.
+    'ca7868f60249': 'Wenn Chuck Norris dividiert, bleibt kein Rest.',
+    // If you rearrange the letters in "Chuck Norris", they also spell "Crush Rock In". The words "with his fists" are understood.
+    '4c18ac8333d5': 'Wenn man die Buchstaben von "Chuck Norris" umstellt, ergibt das auf Englisch auch "Crush Rock ' +
+      'In", zerschmettere Felsen. Das "mit seinen Fäusten" versteht sich von selbst.',
+    // Never look a gift Chuck Norris in the mouth, because he will bite your damn eyes off.
+    '8c1ad91873ff': 'Einem geschenkten Chuck Norris schaut man nicht ins Maul, sonst beißt er dir die verdammten ' +
+      'Augen aus.',
+    // Chuck Norris used to play baseball. When Babe Ruth was hailed as the better player, Chuck Norris killed him with a baseball bat to the throat. Lou Gehrig got off easy.
+    'ac5e37de0e68': 'Chuck Norris hat früher Baseball gespielt. Als Babe Ruth als besserer Spieler gefeiert wurde, ' +
+      'tötete Chuck Norris ihn mit einem Baseballschläger gegen die Kehle. Lou Gehrig kam glimpflich davon.',
+    // The original title for Star Wars was "Skywalker: Texas Ranger". Starring Chuck Norris.
+    '8608c998f1fa': 'Der ursprüngliche Titel von Krieg der Sterne war "Skywalker: Texas Ranger". Mit Chuck Norris in ' +
+      'der Hauptrolle.',
+    // Guantuanamo Bay, Cuba, is the military code-word for "Chuck Norris' basement".
+    '4815b4643675': 'Guantanamo Bay auf Kuba ist das militärische Codewort für "der Keller von Chuck Norris".',
+    // The phrase 'balls to the wall' was originally conceived to describe Chuck Norris entering any building smaller than an aircraft hangar.
+    '816d651f0881': 'Die Redewendung "mit voller Wucht" wurde erfunden, um zu beschreiben, wie Chuck Norris ein ' +
+      'Gebäude betritt, das kleiner als ein Flugzeughangar ist.',
+    // Chuck Norris? roundhouse kick is so powerful, it can be seen from outer space by the naked eye.
+    '8be9d49dce77': 'Der Roundhouse-Kick von Chuck Norris ist so gewaltig, dass man ihn aus dem Weltall mit bloßem ' +
+      'Auge sehen kann.',
+    // Ozzy Osbourne bites the heads off of bats. Chuck Norris bites the heads off of Siberian Tigers.
+    '656a518499a3': 'Ozzy Osbourne beißt Fledermäusen den Kopf ab. Chuck Norris beißt Sibirischen Tigern den Kopf ab.',
+    // He who lives by the sword, dies by the sword. He who lives by Chuck Norris, dies by the roundhouse kick.
+    '3936979a04f3': 'Wer durch das Schwert lebt, stirbt durch das Schwert. Wer durch Chuck Norris lebt, stirbt durch ' +
+      'den Roundhouse-Kick.',
+    // The best-laid plans of mice and men often go awry. Even the worst-laid plans of Chuck Norris come off without a hitch.
+    '46da02310aba': 'Die besten Pläne von Mäusen und Menschen gehen oft schief. Selbst die schlechtesten Pläne von ' +
+      'Chuck Norris klappen reibungslos.',
+    // The phrase 'dead ringer' refers to someone who sits behind Chuck Norris in a movie theater and forgets to turn their cell phone off.
+    '27960a1a1aaf': 'Der Ausdruck "Totenglocke" bezeichnet jemanden, der im Kino hinter Chuck Norris sitzt und ' +
+      'vergisst, sein Handy auszuschalten.',
+    // Staring at Chuck Norris for extended periods of time without proper eye protection will cause blindess, and possibly foot sized brusies on the face.
+    '391f6366cf4c': 'Wer Chuck Norris lange ohne geeigneten Augenschutz anstarrt, erblindet und bekommt ' +
+      'möglicherweise fußgroße blaue Flecken im Gesicht.',
+    // Chuck Norris can taste lies.
+    '17b45a89bd8a': 'Chuck Norris kann Lügen schmecken.',
+    // Chuck Norris does not kick ass and take names. In fact, Chuck Norris kicks ass and assigns the corpse a number. It is currently recorded to be in the billions.
+    '231e1e7e970f': 'Chuck Norris tritt nicht in Hintern und schreibt sich Namen auf. Chuck Norris tritt in Hintern ' +
+      'und gibt der Leiche eine Nummer. Derzeit ist er bei mehreren Milliarden.',
+    // One time, Chuck Norris accidentally stubbed his toe. It destroyed the entire state of Ohio.
+    '57a622bbd041': 'Einmal hat sich Chuck Norris aus Versehen den Zeh gestoßen. Dabei wurde der ganze Bundesstaat ' +
+      'Ohio zerstört.',
+    // Little Miss Muffet sat on her tuffet, until Chuck Norris roundhouse kicked her into a glacier.
+    'b9699896e813': 'Die kleine Miss Muffet saß auf ihrem Schemel, bis Chuck Norris sie per Roundhouse-Kick in einen ' +
+      'Gletscher beförderte.',
+    // Chuck Norris can blow bubbles with beef jerky.
+    '5e708826f2c9': 'Chuck Norris kann mit Beef Jerky Blasen machen.',
+    // They had to edit the first ending of 'Lone Wolf McQuade' after Chuck Norris kicked David Carradine's ass, then proceeded to barbecue and eat him.
+    'ffbd42892904': 'Das erste Ende von "McQuade, der Wolf" musste umgeschnitten werden, nachdem Chuck Norris David ' +
+      'Carradine in den Hintern getreten, ihn dann gegrillt und gegessen hatte.',
+    // Chuck Norris does, in fact, live in a round house.
+    '27c597eb7d66': 'Chuck Norris wohnt tatsächlich in einem runden Haus. Einem Roundhouse eben.',
+    // 4 out of 5 doctors fail to recommend Chuck Norris as a solution to most problems. Also, 80% of doctors die unexplained, needlessly brutal deaths.
+    'abcd3c6a9519': '4 von 5 Ärzten empfehlen Chuck Norris nicht als Lösung für die meisten Probleme. Außerdem ' +
+      'sterben 80 % der Ärzte einen unerklärlichen, unnötig brutalen Tod.',
+    // Chuck Norris can skeletize a cow in two minutes.
+    '757ab10d285a': 'Chuck Norris kann eine Kuh in zwei Minuten skelettieren.',
+    // The only sure things are Death and Taxes?and when Chuck Norris goes to work for the IRS, they'll be the same thing.
+    '744a4c4f8b37': 'Sicher sind nur der Tod und die Steuern, und wenn Chuck Norris beim Finanzamt anfängt, sind sie ' +
+      'dasselbe.',
+    // Chuck Norris' first job was as a paperboy. There were no survivors.
+    'b6e16af87d43': 'Der erste Job von Chuck Norris war Zeitungsjunge. Es gab keine Überlebenden.',
+    // With the rising cost of gasoline, Chuck Norris is beginning to worry about his drinking habit.
+    '36149186dbd5': 'Bei den steigenden Benzinpreisen macht sich Chuck Norris langsam Sorgen um sein Trinkverhalten.',
+    // The square root of Chuck Norris is pain. Do not try to square Chuck Norris, the result is death.
+    '246fb11747a6': 'Die Quadratwurzel von Chuck Norris ist Schmerz. Versuch nicht, Chuck Norris zu quadrieren, das ' +
+      'Ergebnis ist der Tod.',
+    // Chuck Norris' testicles do not produce sperm. They produce tiny white ninjas that recognize only one mission: seek and destroy.
+    '8c947b8ab395': 'Die Hoden von Chuck Norris produzieren keine Spermien. Sie produzieren winzige weiße Ninjas, ' +
+      'die nur eine Mission kennen: suchen und zerstören.',
+    // To be or not to be? That is the question. The answer? Chuck Norris.
+    'f6e0527c8918': 'Sein oder Nichtsein? Das ist hier die Frage. Die Antwort? Chuck Norris.',
+    // Chuck Norris has never been in a fight, ever. Do you call one roundhouse kick to the face a fight?
+    'f49341e0ce0c': 'Chuck Norris war noch nie in einer Schlägerei. Nennst du einen Roundhouse-Kick ins Gesicht etwa ' +
+      'eine Schlägerei?',
+    // There are two types of people in the world... people that suck, and Chuck Norris.
+    '448fef294786': 'Es gibt zwei Arten von Menschen auf der Welt... Loser und Chuck Norris.',
+    // Chuck Norris never wet his bed as a child. The bed wet itself out of fear.
+    '3df28c6a1e30': 'Chuck Norris hat als Kind nie ins Bett gemacht. Das Bett hat sich vor Angst selbst nass gemacht.',
+    // If you were somehow able to land a punch on Chuck Norris your entire arm would shatter upon impact. This is only in theory, since, come on, who in their right mind would try this?
+    '25e3aeebf4d8': 'Solltest du es irgendwie schaffen, Chuck Norris zu schlagen, würde dein ganzer Arm beim ' +
+      'Aufprall zersplittern. Das ist nur Theorie, denn mal ehrlich, wer bei Verstand würde das versuchen?',
+    // 70% of a human's weight is water. 70% of Chuck Norris' weight is his dick.
+    'ba8fdc7e8934': '70 % des Gewichts eines Menschen sind Wasser. 70 % des Gewichts von Chuck Norris sind sein ' +
+      'Schwanz.',
+    // Jean-Claude Van Damme once kicked Chuck Norris' ass. He was then awakened from his dream by a roundhouse kick to the face.
+    '3f3e7750e291': 'Jean-Claude Van Damme hat Chuck Norris einmal in den Hintern getreten. Dann wurde er von einem ' +
+      'Roundhouse-Kick ins Gesicht aus seinem Traum geweckt.',
+    // The pie scene in "American Pie" is based on a dare Chuck Norris took when he was younger. However, in Chuck Norris' case, the "pie" was the molten crater of an active volcano.
+    'a8be9a42ef2e': 'Die Kuchenszene in "American Pie" beruht auf einer Mutprobe, die Chuck Norris als junger Mann ' +
+      'angenommen hat. Nur war der "Kuchen" bei Chuck Norris der glühende Krater eines aktiven Vulkans.',
+    // Chuck Norris uses 8'x10' sheets of plywood as toilet paper.
+    '16c5c8c79a3e': 'Chuck Norris benutzt Sperrholzplatten von 2,5 mal 3 Metern als Klopapier.',
+    // Noah was the only man notified before Chuck Norris relieved himself in the Atlantic Ocean.
+    '801a655c4ee3': 'Noah war der Einzige, der gewarnt wurde, bevor Chuck Norris sich im Atlantik erleichterte.',
+    // MacGyver immediately tried to make a bomb out of some Q-Tips and Gatorade, but Chuck Norris roundhouse-kicked him in the solar plexus. MacGyver promptly threw up his own heart.
+    '429275b1e903': 'MacGyver versuchte sofort, aus Wattestäbchen und Gatorade eine Bombe zu bauen, aber Chuck ' +
+      'Norris verpasste ihm einen Roundhouse-Kick in den Solarplexus. MacGyver kotzte prompt sein eigenes Herz aus.',
+    // Jack Bauer tried to use his detailed knowledge of torture techniques, but to no avail: Chuck Norris thrives on pain. Chuck Norris then ripped off Jack Bauer's arm and beat him to death with it. Game, set, match.
+    '5e520103fb18': 'Jack Bauer versuchte es mit seinem umfassenden Wissen über Foltertechniken, aber vergeblich: ' +
+      'Chuck Norris blüht bei Schmerzen erst auf. Dann riss Chuck Norris Jack Bauer den Arm ab und prügelte ihn ' +
+      'damit zu Tode. Spiel, Satz und Sieg.',
+    // Chuck Norris eats steak for every single meal. Most times he forgets to kill the cow.
+    '07b5d02ca9c3': 'Chuck Norris isst zu jeder Mahlzeit Steak. Meistens vergisst er, die Kuh zu töten.',
+    // The First Law of Thermodynamics states that energy can neither be created nor destroyed... unless it meets Chuck Norris.
+    '4df2c6a4079a': 'Der erste Hauptsatz der Thermodynamik besagt, dass Energie weder erzeugt noch vernichtet werden ' +
+      'kann... außer sie trifft auf Chuck Norris.',
+    // Chuck Norris doesn't go on the internet, he has every internet site stored in his memory. He refreshes webpages by blinking.
+    '263815784aca': 'Chuck Norris geht nicht ins Internet, er hat jede Website im Gedächtnis. Er lädt Seiten neu, ' +
+      'indem er blinzelt.',
+    // It is said that looking into Chuck Norris' eyes will reveal your future. Unfortunately, everybody's future is always the same: death by a roundhouse-kick to the face.
+    'aad83ad0584c': 'Man sagt, ein Blick in die Augen von Chuck Norris zeige dir deine Zukunft. Leider ist die ' +
+      'Zukunft von allen immer dieselbe: Tod durch Roundhouse-Kick ins Gesicht.',
+    // Chuck Norris knows everything there is to know - Except for the definition of mercy.
+    '453e3828a655': 'Chuck Norris weiß alles, was es zu wissen gibt, außer der Definition von Gnade.',
+    // Scientifically speaking, it is impossible to charge Chuck Norris with "obstruction of justice." This is because even Chuck Norris cannot be in two places at the same time.
+    '39031bfe2d40': 'Wissenschaftlich gesehen ist es unmöglich, Chuck Norris wegen "Behinderung der Justiz" ' +
+      'anzuklagen. Denn selbst Chuck Norris kann nicht an zwei Orten gleichzeitig sein.',
+    // Chuck Norris never has to wax his skis because they're always slick with blood.
+    'b3d5c483b9f3': 'Chuck Norris muss seine Skier nie wachsen, weil sie immer glitschig vor Blut sind.',
+    // When you say "no one's perfect", Chuck Norris takes this as a personal insult.
+    'd01f51cb877a': 'Wenn du sagst "Niemand ist perfekt", nimmt Chuck Norris das als persönliche Beleidigung.',
+    // Chuck Norris can win a game of Trivial Pursuit with one roll of the dice, and without answering a single question... just a nod of the head, and a stroke of the beard.
+    '3cd74a6cfa9e': 'Chuck Norris kann Trivial Pursuit mit einem einzigen Wurf gewinnen, ohne eine einzige Frage zu ' +
+      'beantworten... nur mit einem Nicken und einem Streichen über den Bart.',
+    // 182,000 Americans die from Chuck Norris-related accidents every year.
+    '178821aaacba': 'Jedes Jahr sterben 182.000 Amerikaner bei Unfällen im Zusammenhang mit Chuck Norris.',
+    // Paper beats rock, rock beats scissors, and scissors beats paper, but Chuck Norris beats all 3 at the same time.
+    'a9833d12b805': 'Papier schlägt Stein, Stein schlägt Schere und Schere schlägt Papier, aber Chuck Norris schlägt ' +
+      'alle 3 gleichzeitig.',
+    // Jesus can walk on water, but Chuck Norris can walk on Jesus.
+    'a347361f8d42': 'Jesus kann über Wasser gehen, aber Chuck Norris kann über Jesus gehen.',
+    // All roads lead to Chuck Norris. And by the transitive property, a roundhouse kick to the face.
+    'a3ba3c70302c': 'Alle Wege führen zu Chuck Norris. Und damit, per Transitivität, zu einem Roundhouse-Kick ins ' +
+      'Gesicht.',
+    // July 4th is Independence day. And the day Chuck Norris was born. Coincidence? I think not.
+    '8ffa7c0bf931': 'Der 4. Juli ist der Unabhängigkeitstag. Und der Tag, an dem Chuck Norris geboren wurde. Zufall? ' +
+      'Ich glaube nicht.',
+    // Chuck Norris never goes to the dentist because his teeth are unbreakable. His enemies never go to the dentist because they have no teeth.
+    'deaca835560d': 'Chuck Norris geht nie zum Zahnarzt, weil seine Zähne unzerbrechlich sind. Seine Feinde gehen ' +
+      'nie zum Zahnarzt, weil sie keine Zähne haben.',
+    // In the medical community, death is referred to as "Chuck Norris Disease"
+    '87f24a4fe34c': 'In der Medizin nennt man den Tod "Chuck-Norris-Krankheit"',
+    // Chuck Norris was once in a knife fight, and the knife lost.
+    '480b40422e81': 'Chuck Norris war einmal in einer Messerstecherei, und das Messer hat verloren.',
+    // If you work in an office with Chuck Norris, don't ask him for his three-hole-punch.
+    'fa9762f2ede4': 'Wenn du mit Chuck Norris im Büro arbeitest, frag ihn nicht nach seinem Locher.',
+    // In the Words of Julius Caesar, "Veni, Vidi, Vici, Chuck Norris". Translation: I came, I saw, and I was roundhouse-kicked inthe face by Chuck Norris.
+    '3dfaac792702': 'In den Worten von Julius Caesar: "Veni, vidi, vici, Chuck Norris". Übersetzung: Ich kam, ich ' +
+      'sah, und Chuck Norris verpasste mir einen Roundhouse-Kick ins Gesicht.',
+    // The First rule of Chuck Norris is: you do not talk about Chuck Norris.
+    '2682a3adc74d': 'Die erste Regel von Chuck Norris lautet: Man spricht nicht über Chuck Norris.',
+    // Chuck Norris is widely predicted to be first black president. If you're thinking to yourself, "But Chuck Norris isn't black", then you are dead wrong. And stop being a racist.
+    '870bc26eecf2': 'Allgemein wird vorhergesagt, dass Chuck Norris der erste schwarze Präsident wird. Wenn du jetzt ' +
+      'denkst "Aber Chuck Norris ist doch nicht schwarz", liegst du völlig falsch. Und hör auf, rassistisch zu sein.',
+    // When Chuck Norris plays Monopoly, it affects the actual world economy.
+    '5184f3e27f9e': 'Wenn Chuck Norris Monopoly spielt, wirkt sich das auf die echte Weltwirtschaft aus.',
+    // Chuck Norris can be unlocked on the hardest level of Tekken. But only Chuck Norris is skilled enough to unlock himself. Then he roundhouse kicks the Playstation back to Japan.
+    'de49105d1035': 'Chuck Norris lässt sich im schwersten Level von Tekken freischalten. Aber nur Chuck Norris ist ' +
+      'gut genug, um sich selbst freizuschalten. Dann kickt er die Playstation per Roundhouse-Kick zurück nach Japan.',
+    // Chuck Norris drinks napalm to quell his heartburn.
+    '236b4b0d3a8c': 'Chuck Norris trinkt Napalm gegen sein Sodbrennen.',
+    // Every time someone uses the word "intense", Chuck Norris always replies "you know what else is intense?" followed by a roundhouse kick to the face.
+    'fe093b23b48f': 'Jedes Mal, wenn jemand das Wort "intensiv" benutzt, antwortet Chuck Norris "Weißt du, was noch ' +
+      'intensiv ist?" und verpasst ihm einen Roundhouse-Kick ins Gesicht.',
+    // As an infant, Chuck Norris' parents gave him a toy hammer. He gave the world Stonehenge.
+    'c7ff0c2b8f8f': 'Als Chuck Norris ein Baby war, schenkten ihm seine Eltern einen Spielzeughammer. Er schenkte ' +
+      'der Welt Stonehenge.',
+    // Chuck Norris once ordered a steak in a restaurant. The steak did what it was told.
+    '4273d5411eee': 'Chuck Norris hat einmal im Restaurant ein Steak bestellt. Das Steak tat, was man ihm sagte.',
+    // Most people fear the Reaper. Chuck Norris considers him "a promising Rookie".
+    '9c58175df2be': 'Die meisten fürchten den Sensenmann. Chuck Norris hält ihn für "einen vielversprechenden ' +
+      'Anfänger".',
+    // There are only two things that can cut diamonds: other diamonds, and Chuck Norris.
+    'b9fd35bc2f71': 'Es gibt nur zwei Dinge, die Diamanten schneiden können: andere Diamanten und Chuck Norris.',
+    // President Roosevelt once rode his horse 100 miles. Chuck Norris carried his the same distance in half the time.
+    '226ab8065c10': 'Präsident Roosevelt ist einmal 160 Kilometer geritten. Chuck Norris hat sein Pferd dieselbe ' +
+      'Strecke in der halben Zeit getragen.',
+    // Chuck Norris once ate four 30lb bowling balls without chewing.
+    '1eda7657a71f': 'Chuck Norris hat einmal vier 14 Kilo schwere Bowlingkugeln gegessen, ohne zu kauen.',
+    // What many people dont know is Chuck Norris is the founder of planned parenthood. Not even unborn children can escape his wrath.
+    '5917b9319333': 'Was viele nicht wissen: Chuck Norris hat die Familienplanung gegründet. Nicht einmal Ungeborene ' +
+      'entkommen seinem Zorn.',
+    // Chuck Norris was banned from competitive bullriding after a 1992 exhibition in San Antonio, when he rode the bull 1,346 miles from Texas to Milwaukee Wisconsin to pick up his dry cleaning.
+    'b75099234be0': 'Chuck Norris wurde nach einer Vorführung 1992 in San Antonio vom Bullenreiten ausgeschlossen, ' +
+      'als er den Bullen 2.166 Kilometer von Texas bis nach Milwaukee, Wisconsin, ritt, um seine Sachen aus der ' +
+      'Reinigung zu holen.',
+    // Chuck Norris qualified with a top speed of 324 mph at the Daytona 500, without a car.
+    '1a5549a9ba9e': 'Chuck Norris qualifizierte sich beim Daytona 500 mit einer Spitzengeschwindigkeit von 521 km/h, ' +
+      'ohne Auto.',
+    // Chuck Norris likes his coffee half and half: half coffee grounds, half wood-grain alcohol.
+    'f87bdd08b986': 'Chuck Norris mag seinen Kaffee halb und halb: halb Kaffeesatz, halb Holzgeist.',
+    // Chuck Norris uses tabasco sauce instead of visine.
+    '4428b9c8351d': 'Chuck Norris nimmt Tabasco statt Augentropfen.',
+    // The chemical formula for the highly toxic cyanide ion is CN-. These are also Chuck Norris' initials. This is not a coincidence.
+    'eaccfaeda595': 'Die chemische Formel des hochgiftigen Cyanid-Ions ist CN-. Das sind auch die Initialen von ' +
+      'Chuck Norris. Das ist kein Zufall.',
+    // Chuck Norris' credit cards have no limit. Last weekend, he maxed them out.
+    '175afa070402': 'Die Kreditkarten von Chuck Norris haben kein Limit. Letztes Wochenende hat er sie ausgereizt.',
+    // Think of a hot woman. Chuck Norris did her.
+    'fb57e8595510': 'Denk an eine heiße Frau. Chuck Norris hatte sie schon.',
+    // A man once claimed Chuck Norris kicked his ass twice, but it was promptly dismissed as false - no one could survive it the first time.
+    'fe6b8f353010': 'Ein Mann behauptete einmal, Chuck Norris habe ihm zweimal in den Hintern getreten, aber das ' +
+      'wurde sofort als falsch abgetan: Niemand überlebt schon das erste Mal.',
+    // Chuck Norris sleeps with a pillow under his gun.
+    'b8995543ceea': 'Chuck Norris schläft mit einem Kissen unter seiner Waffe.',
+    // Chuck Norris owns a chain of fast-food restaurants throughout the southwest. They serve nothing but barbecue-flavored ice cream and Hot Pockets.
+    'c256055b47a6': 'Chuck Norris besitzt eine Fast-Food-Kette im ganzen Südwesten. Dort gibt es nur Eis mit ' +
+      'Barbecue-Geschmack und Hot Pockets.',
+    // Chuck Norris doesn't chew gum. Chuck Norris chews tin foil.
+    'b3bdc1ebc15d': 'Chuck Norris kaut keinen Kaugummi. Chuck Norris kaut Alufolie.',
+    // Aliens DO indeed exist. They just know better than to visit a planet that Chuck Norris is on.
+    'ac758e807893': 'Außerirdische gibt es WIRKLICH. Sie wissen nur, dass man besser keinen Planeten besucht, auf ' +
+      'dem Chuck Norris ist.',
+    // When in a bar, you can order a drink called a "Chuck Norris". It is also known as a "Bloody Mary", if your name happens to be Mary.
+    'f1c3d70a4838': 'In einer Bar kann man einen Drink namens "Chuck Norris" bestellen. Er heißt auch "Bloody Mary", ' +
+      'falls du zufällig Mary heißt.',
+    // Every time Chuck Norris smiles, someone dies. Unless he smiles while he?s roundhouse kicking someone in the face. Then two people die.
+    '96c70aeb5ce4': 'Jedes Mal, wenn Chuck Norris lächelt, stirbt jemand. Außer er lächelt, während er jemandem ' +
+      'einen Roundhouse-Kick ins Gesicht verpasst. Dann sterben zwei.',
+    // Some people ask for a Kleenex when they sneeze, Chuck Norris asks for a body bag.
+    '8113dcf20816': 'Manche verlangen nach einem Taschentuch, wenn sie niesen. Chuck Norris verlangt nach einem ' +
+      'Leichensack.',
+    // There?s an order to the universe: space, time, Chuck Norris.... Just kidding, Chuck Norris is first.
+    'b66bc4a9daf9': 'Das Universum hat eine Ordnung: Raum, Zeit, Chuck Norris.... Kleiner Scherz, Chuck Norris kommt ' +
+      'zuerst.',
+    // A man once asked Chuck Norris if his real name is "Charles". Chuck Norris did not respond, he simply stared at him until he exploded.
+    'b162ca90b5e1': 'Ein Mann fragte Chuck Norris einmal, ob er eigentlich "Charles" heiße. Chuck Norris antwortete ' +
+      'nicht, er starrte ihn einfach an, bis er explodierte.',
+    // Chuck Norris starts everyday with a protein shake made from Carnation Instant Breakfast, one dozen eggs, pure Colombian cocaine, and rattlesnake venom. He injects it directly into his neck with a syringe.
+    '37d4d5f0b2d3': 'Chuck Norris beginnt jeden Tag mit einem Proteinshake aus Carnation Instant Breakfast, einem ' +
+      'Dutzend Eiern, reinem kolumbianischem Kokain und Klapperschlangengift. Er spritzt ihn sich direkt in den Hals.',
+    // In a tagteam match, Chuck Norris was teamed with Hulk Hogan against King Kong Bundy and Andre The Giant. He pinned all 3 at the same time.
+    '447e5bc276cd': 'In einem Tag-Team-Match trat Chuck Norris mit Hulk Hogan gegen King Kong Bundy und André the ' +
+      'Giant an. Er hat alle 3 gleichzeitig geschultert.',
+    // Chuck Norris doesn't see dead people. He makes people dead.
+    'aa3ec4a26cdb': 'Chuck Norris sieht keine toten Menschen. Er macht Menschen tot.',
+    // Chuck Norris is the only person who can simultaneously hold and fire FIVE Uzis: One in each hand, one in each foot -- and the 5th one he roundhouse-kicks into the air, so that it sprays bullets.
+    'a449cc9cb244': 'Chuck Norris ist der einzige Mensch, der FÜNF Uzis gleichzeitig halten und abfeuern kann: eine ' +
+      'in jeder Hand, eine an jedem Fuß, und die fünfte kickt er per Roundhouse-Kick in die Luft, damit sie Kugeln ' +
+      'versprüht.',
+    // For undercover police work, Chuck Norris pins his badge underneath his shirt, directly into his chest.
+    'b55d05cb95e4': 'Bei verdeckten Polizeieinsätzen steckt Chuck Norris seine Marke unter das Hemd, direkt in seine ' +
+      'Brust.',
+    // In the X-Men movies, none of the X-Men super-powers are done with special effects. Chuck Norris is the stuntman for every character.
+    '9928f3ff3059': 'In den X-Men-Filmen wird keine der Superkräfte mit Spezialeffekten gemacht. Chuck Norris ist ' +
+      'das Stuntdouble für jede Figur.',
+    // We live in an expanding universe. All of it is trying to get away from Chuck Norris.
+    '51d6a8a35b51': 'Wir leben in einem expandierenden Universum. Alles darin versucht, von Chuck Norris wegzukommen.',
+    // The word 'Kill' was invented by Chuck Norris. Other words were 'Die', 'Beer', and 'What'.
+    '86ab2510248d': 'Das Wort "töten" hat Chuck Norris erfunden. Weitere Wörter von ihm sind "sterben", "Bier" und ' +
+      '"Was".',
+    // The 11th commandment is ?Thou shalt not piss off Chuck Norris? This commandment is rarely enforced, as it is impossible to accomplish.
+    '90e83d4895bc': 'Das elfte Gebot lautet "Du sollst Chuck Norris nicht verärgern". Es wird selten durchgesetzt, ' +
+      'da es unmöglich zu erfüllen ist.',
+    // Chuck Norris is his own line at the DMV.
+    '9bc5e0a5b83f': 'Chuck Norris hat bei der Zulassungsstelle seine eigene Schlange.',
+    // Two wrongs don't make a right. Unless you're Chuck Norris. Then two wrongs make a roundhouse kick to the face.
+    'b1786d2ee655': 'Zweimal falsch ergibt nicht richtig. Außer du bist Chuck Norris. Dann ergibt zweimal falsch ' +
+      'einen Roundhouse-Kick ins Gesicht.',
+    // Who let the dogs out? Chuck Norris let the dogs out... and then roundhouse kicked them through an Oldsmobile.
+    '5798ae883a22': 'Wer hat die Hunde rausgelassen? Chuck Norris hat die Hunde rausgelassen... und sie dann per ' +
+      'Roundhouse-Kick durch einen Oldsmobile befördert.',
+    // Chuck Norris can do a roundhouse kick faster than the speed of light. This means that if you turn on a light switch, you will be dead before the lightbulb turns on.
+    '010ad491a1f1': 'Chuck Norris kann einen Roundhouse-Kick schneller als mit Lichtgeschwindigkeit ausführen. Das ' +
+      'heißt, wenn du den Lichtschalter betätigst, bist du tot, bevor die Glühbirne angeht.',
+    // When Chuck Norris goes to out to eat, he orders a whole chicken, but he only eats its soul.
+    '23452c8dbef2': 'Wenn Chuck Norris essen geht, bestellt er ein ganzes Hähnchen, isst aber nur seine Seele.',
+    // Chuck Norris has never won an Academy Award for acting... because he's not acting.
+    'bc8a94be21d4': 'Chuck Norris hat nie einen Oscar für seine Schauspielkunst gewonnen... weil er nicht ' +
+      'schauspielert.',
+    // If Chuck Norris wants your opinion, he'll beat it into you.
+    'a2860d8fcd93': 'Wenn Chuck Norris deine Meinung will, prügelt er sie dir ein.',
+    // Not everyone that Chuck Norris is mad at gets killed. Some get away. They are called astronauts.
+    '663ea960b5cb': 'Nicht jeder, auf den Chuck Norris wütend ist, wird getötet. Manche entkommen. Man nennt sie ' +
+      'Astronauten.',
+    // Chuck Norris has to register every part of his body as a separate lethal weapon. His spleen is considered a concealed weapon in over 50 states.
+    'da310f957e8b': 'Chuck Norris muss jeden Teil seines Körpers als eigene tödliche Waffe registrieren. Seine Milz ' +
+      'gilt in über 50 Bundesstaaten als verdeckt getragene Waffe.',
+    // A movie scene depicting Chuck Norris losing a fight with Bruce Lee was the product of history's most expensive visual effect. When adjusted for inflation, the effect cost more than the Gross National Product of Paraguay.
+    'b59ca0e6130e': 'Eine Filmszene, in der Chuck Norris einen Kampf gegen Bruce Lee verliert, war der teuerste ' +
+      'visuelle Effekt der Geschichte. Inflationsbereinigt kostete er mehr als das Bruttosozialprodukt von Paraguay.',
+    // Godzilla is a Japanese rendition of Chuck Norris' first visit to Tokyo.
+    '7cff16d90804': 'Godzilla ist die japanische Nacherzählung des ersten Besuchs von Chuck Norris in Tokio.',
+    // They once made a Chuck Norris toilet paper, but there was a problem-- It wouldn't take shit from anybody.
+    'cd04c1c331a1': 'Es gab einmal Chuck-Norris-Klopapier, aber das hatte ein Problem: Es ließ sich von niemandem ' +
+      'Scheiße gefallen.',
+    // Chuck Norris once rode a nine foot grizzly bear through an automatic car wash, instead of taking a shower.
+    'a143775a58a7': 'Chuck Norris ist einmal auf einem fast drei Meter großen Grizzlybären durch eine ' +
+      'Autowaschanlage geritten, statt zu duschen.',
+    // "Sweating bullets" is literally what happens when Chuck Norris gets too hot.
+    'db881eef1137': '"Kugeln schwitzen" ist wörtlich das, was passiert, wenn Chuck Norris zu heiß wird.',
+    // Chuck Norris' sperm can be seen with the naked eye. Each one is the size of a quarter.
+    '9f09b7a1a011': 'Die Spermien von Chuck Norris sind mit bloßem Auge zu sehen. Jedes ist so groß wie eine ' +
+      'Euromünze.',
+    // After taking a steroids test doctors informed Chuck Norris that he had tested positive. He laughed upon receiving this information, and said "of course my urine tested positive, what do you think they make steroids from?"
+    '45765dc61a6e': 'Nach einem Dopingtest teilten die Ärzte Chuck Norris mit, dass er positiv getestet wurde. Er ' +
+      'lachte nur und sagte: "Natürlich ist mein Urin positiv, woraus glaubt ihr denn, dass Steroide gemacht werden?"',
+    // Chuck Norris doesn't daydream. He's too busy giving other people nightmares.
+    '09c3cdb8452b': 'Chuck Norris tagträumt nicht. Er ist zu beschäftigt damit, anderen Albträume zu bereiten.',
+    // When Arnold says "I'll be back" in Terminator movie it is implied that he's going to ask Chuck Norris for help.
+    '186a05a69831': 'Wenn Arnold im Terminator "Ich komme wieder" sagt, ist klar, dass er Chuck Norris um Hilfe ' +
+      'bitten will.',
+    // There are no such things as tornados. Chuck Norris just hates trailer parks.
+    '7a8244245b1c': 'Tornados gibt es nicht. Chuck Norris hasst einfach Wohnwagensiedlungen.',
+    // Chuck Norris' Penis is a third degree blackbelt, and an honorable 32nd-degree mason.
+    '210ba6fa6ae2': 'Der Penis von Chuck Norris trägt den schwarzen Gürtel im dritten Dan und ist ein ehrenwerter ' +
+      'Freimaurer des 32. Grades.',
+    // Chuck Norris does not follow fashion trends, they follow him. But then he turns around and kicks their ass. Nobody follows Chuck Norris.
+    'b2d1131117ba': 'Chuck Norris folgt keinen Modetrends, sie folgen ihm. Aber dann dreht er sich um und verprügelt ' +
+      'sie. Niemand folgt Chuck Norris.',
+    // Diamonds are not, despite popular belief, carbon. They are, in fact, Chuck Norris fecal matter. This was proven a recently, when scientific analysis revealed what appeared to be Jean-Claude Van Damme bone fragments inside the Hope Diamond.
+    'ef747746b296': 'Entgegen der landläufigen Meinung bestehen Diamanten nicht aus Kohlenstoff. Sie sind in ' +
+      'Wahrheit Fäkalien von Chuck Norris. Das wurde kürzlich bewiesen, als eine wissenschaftliche Analyse im ' +
+      'Hope-Diamanten scheinbar Knochensplitter von Jean-Claude Van Damme fand.',
+    // Chuck Norris once participated in the running of the bulls. He walked.
+    '3f05175e6358': 'Chuck Norris hat einmal beim Stierlauf mitgemacht. Er ist gegangen.',
+    // The Drummer for Def Leppard's only got one arm. Chuck Norris needed a back scratcher.
+    '01125720b52f': 'Der Schlagzeuger von Def Leppard hat nur einen Arm. Chuck Norris brauchte einen Rückenkratzer.',
+    // Chuck Norris was the orginal sculptor of Mount Rushmore. He completed the entire project using only a bottle opener and a drywall trowel.
+    '2fa5a9946f5a': 'Chuck Norris war der ursprüngliche Bildhauer des Mount Rushmore. Er erledigte das ganze Projekt ' +
+      'nur mit einem Flaschenöffner und einer Glättkelle.',
+    // Chuck Norris once rode a bull, and nine months later it had a calf.
+    'af5e704824e3': 'Chuck Norris ist einmal auf einem Bullen geritten, und neun Monate später bekam der ein Kalb.',
+    // Chuck Norris once lost the remote, but maintained control of the TV by yelling at it in between bites of his "Filet of Child" sandwich.
+    '45154f6ee32b': 'Chuck Norris hat einmal die Fernbedienung verloren, behielt aber die Kontrolle über den ' +
+      'Fernseher, indem er ihn zwischen zwei Bissen seines "Kinderfilet"-Sandwiches anschrie.',
+    // For Spring Break '05, Chuck Norris drove to Madagascar, riding a chariot pulled by two electric eels.
+    '134d310bbbf2': 'In den Frühlingsferien 2005 fuhr Chuck Norris nach Madagaskar, in einem Streitwagen, der von ' +
+      'zwei Zitteraalen gezogen wurde.',
+    // The Manhattan Project was not intended to create nuclear weapons, it was meant to recreate the destructive power in a Chuck Norris Roundhouse Kick. They didn't even come close.
+    '4ea781205802': 'Das Manhattan-Projekt sollte keine Atomwaffen bauen, sondern die Zerstörungskraft eines ' +
+      'Roundhouse-Kicks von Chuck Norris nachbilden. Sie kamen nicht einmal annähernd heran.',
+    // Chuck Norris has banned rainbows from the state of North Dakota.
+    '020fac4387d2': 'Chuck Norris hat Regenbögen im Bundesstaat North Dakota verboten.',
+    // Divide Chuck Norris by zero and you will in fact get one........one bad-ass that is.
+    'd6f089cbf8c2': 'Teile Chuck Norris durch null, und du bekommst tatsächlich eins........ einen echt harten Kerl ' +
+      'nämlich.',
+    // TNT was originally developed by Chuck Norris to cure indigestion.
+    'f4bbf893aade': 'TNT wurde ursprünglich von Chuck Norris gegen Verdauungsstörungen entwickelt.',
+    // After returning from World War 2 unscrathed, Bob Dole was congratulated by Chuck Norris with a handshake. The rest is history.
+    'cc0538abea10': 'Als Bob Dole unversehrt aus dem Zweiten Weltkrieg zurückkehrte, gratulierte Chuck Norris ihm ' +
+      'mit einem Händedruck. Der Rest ist Geschichte.',
+    // Chuck Norris runs on batteries. Specifically, Die Hards.
+    'b08f26e5af3b': 'Chuck Norris läuft mit Batterien. Genauer gesagt mit Die Hards.',
+    // "Let the Bodies Hit the Floor" was originally written as Chuck Norris' theme song.
+    '7ad854b348c4': '"Let the Bodies Hit the Floor" wurde ursprünglich als Titelsong für Chuck Norris geschrieben.',
+    // Chuck Norris will never have a heart attack. His heart isn't nearly foolish enough to attack him.
+    '8571adbdb34c': 'Chuck Norris wird nie einen Herzinfarkt bekommen. Sein Herz ist bei Weitem nicht dumm genug, ' +
+      'ihn anzugreifen.',
+    // Only Chuck Norris can prevent forest fires.
+    '03add9268665': 'Nur Chuck Norris kann Waldbrände verhindern.',
+    // When Chuck Norris makes a burrito, its main ingredient is real toes.
+    '0aeb9c2b1853': 'Wenn Chuck Norris einen Burrito macht, sind echte Zehen die Hauptzutat.',
+    // Chuck Norris is not Irish. His hair is soaked in the blood of his victims.
+    '620f3e093b98': 'Chuck Norris ist kein Ire. Sein Haar ist mit dem Blut seiner Opfer getränkt.',
+    // In the movie "The Matrix", Chuck Norris is the Matrix. If you pay close attention in the green "falling code" scenes, you can make out the faint texture of his beard.
+    '2e11e0d4a580': 'Im Film "Matrix" ist Chuck Norris die Matrix. Wenn man in den Szenen mit dem grünen "fallenden ' +
+      'Code" genau hinsieht, erkennt man die feine Struktur seines Barts.',
+    // Chuck Norris' dick is so big, it has it's own dick, and that dick is still bigger than yours.
+    'b647ea20563a': 'Der Schwanz von Chuck Norris ist so groß, dass er seinen eigenen Schwanz hat, und der ist immer ' +
+      'noch größer als deiner.',
+    // They say curiosity killed the cat. This is false. Chuck Norris killed the cat. Every single one of them.
+    '6a4c71bdd434': 'Man sagt, Neugier sei der Katze Tod. Das stimmt nicht. Chuck Norris war der Katze Tod. Jeder ' +
+      'einzelnen.',
+    // Chuck Norris crossed the road. No one has ever dared question his motives.
+    '48d3352eba3e': 'Chuck Norris hat die Straße überquert. Niemand hat je gewagt, seine Beweggründe zu hinterfragen.',
+    // One time, at band camp, Chuck Norris ate a percussionist.
+    '1e51ee55a82f': 'Einmal, im Musikcamp, hat Chuck Norris einen Schlagzeuger gegessen.',
+    // Chuck Norris doesn't say "who's your daddy", because he knows the answer.
+    '7a20569fc8c3': 'Chuck Norris sagt nicht "Wer ist dein Daddy?", weil er die Antwort kennt.',
+    // Chuck Norris originally wrote the first dictionary. The definition for each word is as follows - A swift roundhouse kick to the face.
+    '3865a06f1a8a': 'Chuck Norris hat das erste Wörterbuch geschrieben. Die Definition jedes Wortes lautet: ein ' +
+      'schneller Roundhouse-Kick ins Gesicht.',
+    // Love does not hurt. Chuck Norris does.
+    'd80748e76dbd': 'Liebe tut nicht weh. Chuck Norris schon.',
+    // The term "Cleveland Steamer" got its name from Chuck Norris, when he took a dump while visiting the Rock and Roll Hall of fame and buried northern Ohio under a glacier of fecal matter.
+    'b32a091f2281': 'Der Begriff "Cleveland Steamer" geht auf Chuck Norris zurück, der bei einem Besuch der Rock and ' +
+      'Roll Hall of Fame sein Geschäft verrichtete und den Norden Ohios unter einem Gletscher aus Fäkalien begrub.',
+    // Chuck Norris once round-house kicked a salesman. Over the phone.
+    '61a008ece9f6': 'Chuck Norris hat einmal einem Vertreter einen Roundhouse-Kick verpasst. Am Telefon.',
+    // The pen is mighter than the sword, but only if the pen is held by Chuck Norris.
+    '319ad4a348c2': 'Die Feder ist mächtiger als das Schwert, aber nur, wenn Chuck Norris die Feder hält.',
+    // Chuck Norris knows the last digit of pi.
+    '5a8e6a350e74': 'Chuck Norris kennt die letzte Ziffer von Pi.',
+    // Those aren't credits that roll after Walker Texas Ranger. It is actually a list of fatalities that occurred during the making of the episode.
+    '096125cc6ada': 'Was nach Walker, Texas Ranger läuft, ist kein Abspann. Es ist die Liste der Todesopfer bei den ' +
+      'Dreharbeiten der Folge.',
+    // The air around Chuck Norris is always a balmy 78 degrees.
+    '18a84fb53c26': 'Die Luft um Chuck Norris hat immer angenehme 26 Grad.',
+    // When Chuck Norris wants an egg, he cracks open a chicken.
+    'dd8f828de87b': 'Wenn Chuck Norris ein Ei will, schlägt er ein Huhn auf.',
+    // Chuck Norris plays racquetball with a waffle iron and a bowling ball.
+    'a16ea16dbbfd': 'Chuck Norris spielt Racquetball mit einem Waffeleisen und einer Bowlingkugel.',
+    // According to the Bible, God created the universe in six days. Before that, Chuck Norris created God by snapping his fingers.
+    '08efb7d44ff7': 'Laut der Bibel hat Gott das Universum in sechs Tagen erschaffen. Davor hat Chuck Norris Gott ' +
+      'mit einem Fingerschnippen erschaffen.',
+    // Chuck Norris doesn't believe in ravioli. He stuffs a live turtle with beef and smothers it in pig's blood.
+    '02e0b99a7ba2': 'Chuck Norris glaubt nicht an Ravioli. Er füllt eine lebende Schildkröte mit Rindfleisch und ' +
+      'übergießt sie mit Schweineblut.',
+    // Count from one to ten. That's how long it would take Chuck Norris to kill you...Fourty seven times.
+    'a2b59669e8c1': 'Zähl von eins bis zehn. So lange bräuchte Chuck Norris, um dich zu töten... siebenundvierzig Mal.',
+    // The 1972 Miami Dolphins lost one game, it was a game vs. Chuck Norris and three seven year old girls. Chuck Norris won with a roundhouse-kick to the face in overtime.
+    '65656c2f0e92': 'Die Miami Dolphins von 1972 haben ein Spiel verloren, und zwar gegen Chuck Norris und drei ' +
+      'siebenjährige Mädchen. Chuck Norris gewann in der Verlängerung mit einem Roundhouse-Kick ins Gesicht.',
+    // Chuck Norris is not Politically Correct. He is just Correct. Always.
+    'bf7631fa2a03': 'Chuck Norris ist nicht politisch korrekt. Er ist einfach korrekt. Immer.',
+    // Mr. T pities the fool. Chuck Norris rips the fool's head off.
+    '32bc3e7a8aae': 'Mr. T bemitleidet den Trottel. Chuck Norris reißt dem Trottel den Kopf ab.',
+    // Chuck Norris had to stop washing his clothes in the ocean. The tsunamis were killing people.
+    'a2986498476a': 'Chuck Norris musste aufhören, seine Wäsche im Ozean zu waschen. Die Tsunamis haben Menschen ' +
+      'getötet.',
+    // Chuck Norris has volunteered to remain on earth after the Rapture; he will spend his time fighting the Anti-Christ.
+    '0d99b5bc4908': 'Chuck Norris hat sich freiwillig gemeldet, nach der Entrückung auf der Erde zu bleiben. Er wird ' +
+      'seine Zeit damit verbringen, gegen den Antichristen zu kämpfen.',
+    // Chuck Norris is the only known mammal in history to have an opposable thumb. On his penis.
+    '0ffeff0c88e0': 'Chuck Norris ist das einzige bekannte Säugetier der Geschichte mit einem opponierbaren Daumen. ' +
+      'An seinem Penis.',
+    // A man once taunted Chuck Norris with a bag of Lay's potato chips, saying "Betcha can't eat just one!" Chuck Norris proceeded to eat the chips, the bag, and the man in one deft move.
+    '965a266bc7c7': 'Ein Mann verspottete Chuck Norris einmal mit einer Tüte Lay\'s-Chips und sagte "Wetten, du ' +
+      'kannst nicht nur einen essen!" Chuck Norris aß daraufhin die Chips, die Tüte und den Mann in einer einzigen ' +
+      'geschickten Bewegung.',
+    // Chuck Norris' favorite cereal is Kellogg's Nails 'N' Gravel.
+    'b2d2efae43c4': 'Die Lieblingsflocken von Chuck Norris sind Kellogg\'s Nägel und Schotter.',
+    // In the first Jurassic Park movie, the Tyrannosaurus Rex wasn't chasing the jeep. Chuck Norris was chasing the Tyrannosaurus AND the jeep.
+    '5b94120b27b0': 'Im ersten Jurassic-Park-Film hat der Tyrannosaurus Rex nicht den Jeep gejagt. Chuck Norris hat ' +
+      'den Tyrannosaurus UND den Jeep gejagt.',
+    // Chuck Norris has never been accused of murder because his roundhouse kicks are recognized as "acts of God."
+    '327c434c34c1': 'Chuck Norris wurde nie wegen Mordes angeklagt, weil seine Roundhouse-Kicks als "höhere Gewalt" ' +
+      'gelten.',
+    // Chuck Norris does not wear a condom. Because there is no such thing as protection from Chuck Norris.
+    '528e413e697b': 'Chuck Norris benutzt kein Kondom. Denn es gibt keinen Schutz vor Chuck Norris.',
+    // Rules of fighting: 1) Don't bring a knife to a gun fight. 2) Don't bring a gun to a Chuck Norris fight.
+    '5aff56d4d6c2': 'Regeln für Kämpfe: 1) Bring kein Messer zu einer Schießerei. 2) Bring keine Waffe zu einem ' +
+      'Kampf mit Chuck Norris.',
+    // Chuck Norris is the only man who has, literally, beaten the odds. With his fists.
+    '29baff1216ff': 'Chuck Norris ist der einzige Mann, der die Wahrscheinlichkeit buchstäblich geschlagen hat. Mit ' +
+      'seinen Fäusten.',
+    // In ancient China there is a legend that one day a child will be born from a dragon, grow to be a man, and vanquish evil from the land. That man is not Chuck Norris, because Chuck Norris killed that man.
+    'f449a7d089b9': 'Im alten China gibt es eine Legende, nach der eines Tages ein Kind aus einem Drachen geboren ' +
+      'wird, zum Mann heranwächst und das Böse aus dem Land vertreibt. Dieser Mann ist nicht Chuck Norris, denn ' +
+      'Chuck Norris hat diesen Mann getötet.',
+    // Chuck Norris wipes his ass with chain mail and sandpaper.
+    'e4e7130c1b92': 'Chuck Norris wischt sich den Hintern mit einem Kettenhemd und Schleifpapier ab.',
+    // When you play Monopoly with Chuck Norris, you do not pass go, and you do not collect two hundred dollars. You will be lucky if you make it out alive.
+    '5f59ba23a8b7': 'Wenn du mit Chuck Norris Monopoly spielst, gehst du nicht über Los und ziehst keine zweihundert ' +
+      'Euro ein. Du kannst froh sein, wenn du lebend rauskommst.',
+    // Chuck Norris describes human beings as "a sociable holder for blood and guts".
+    '378367faabf1': 'Chuck Norris beschreibt Menschen als "einen geselligen Behälter für Blut und Gedärme".',
+    // Chuck Norris likes his ice like he likes his skulls: crushed.
+    'b6711868a0f6': 'Chuck Norris mag sein Eis so wie seine Schädel: zerstoßen.',
+    // Chuck Norris can kick through all 6 degrees of separation, hitting anyone, anywhere, in the face, at any time.
+    '31dfe97b031f': 'Chuck Norris kann durch alle 6 Grade der Trennung treten und jeden, überall, jederzeit ins ' +
+      'Gesicht treffen.',
+    // Most tough men eat nails for breakfast. Chuck Norris does all of his grocery shopping at Home Depot.
+    '1318fd06e633': 'Die meisten harten Kerle essen Nägel zum Frühstück. Chuck Norris kauft alle seine Lebensmittel ' +
+      'im Baumarkt.',
+    // Chuck Norris did not "lose" his virginity, he stalked it and then destroyed it with extreme prejudice.
+    '623d59b286a0': 'Chuck Norris hat seine Jungfräulichkeit nicht "verloren". Er hat sie aufgespürt und dann ' +
+      'gnadenlos vernichtet.',
+    // Everything King Midas touches turnes to gold. Everything Chuck Norris touches turns up dead.
+    '3105e8665577': 'Alles, was König Midas berührt, wird zu Gold. Alles, was Chuck Norris berührt, ist hinterher tot.',
+    // When Chuck Norris throws exceptions, it's across the room.
+    'e0c1c83e2c9b': 'Wenn Chuck Norris Exceptions wirft, dann quer durch den Raum.',
+    // All arrays Chuck Norris declares are of infinite size, because Chuck Norris knows no bounds.
+    '1842507a8da8': 'Alle Arrays, die Chuck Norris deklariert, sind unendlich groß, denn Chuck Norris kennt keine ' +
+      'Grenzen.',
+    // Chuck Norris doesn't have disk latency because the hard drive knows to hurry the hell up.
+    'd9547d26560b': 'Chuck Norris hat keine Festplattenlatenz, weil die Festplatte weiß, dass sie sich verdammt noch ' +
+      'mal beeilen sollte.',
+    // Chuck Norris writes code that optimizes itself.
+    '8d2033491f38': 'Chuck Norris schreibt Code, der sich selbst optimiert.',
+    // Chuck Norris can't test for equality because he has no equal.
+    '8ad02a4cc022': 'Chuck Norris kann nicht auf Gleichheit prüfen, weil ihm niemand gleichkommt.',
+    // Chuck Norris doesn't need garbage collection because he doesn't call .Dispose(), he calls .DropKick().
+    '281989640a7b': 'Chuck Norris braucht keine Garbage Collection, weil er nicht .Dispose() aufruft, sondern ' +
+      '.DropKick().',
+    // Chuck Norris's first program was kill -9.
+    'f91372623586': 'Das erste Programm von Chuck Norris war kill -9.',
+    // Chuck Norris burst the dot com bubble.
+    '64bfa7965703': 'Chuck Norris hat die Dotcom-Blase platzen lassen.',
+    // All browsers support the hex definitions #chuck and #norris for the colors black and blue.
+    '606f4d3cf5da': 'Alle Browser unterstützen die Hex-Definitionen #chuck und #norris für die Farben Schwarz und ' +
+      'Blau.',
+    // MySpace actually isn't your space, it's Chuck's (he just lets you use it).
+    '2ac498a74351': 'MySpace ist eigentlich nicht dein Space, sondern der von Chuck (er lässt dich ihn nur benutzen).',
+    // Chuck Norris can write infinite recursion functions and have them return.
+    'fb2f69e3dc34': 'Chuck Norris kann unendlich rekursive Funktionen schreiben, die trotzdem zurückkehren.',
+    // Chuck Norris can solve the Towers of Hanoi in one move.
+    '5c0e3a8619d8': 'Chuck Norris kann die Türme von Hanoi in einem Zug lösen.',
+    // The only pattern Chuck Norris knows is God Object.
+    '2860fdfbcdd5': 'Das einzige Entwurfsmuster, das Chuck Norris kennt, ist das God Object.',
+    // Chuck Norris finished World of Warcraft.
+    '8fc6e7369a12': 'Chuck Norris hat World of Warcraft durchgespielt.',
+    // Project managers never ask Chuck Norris for estimations... ever.
+    'ad58d6a01f34': 'Projektmanager fragen Chuck Norris nie nach Schätzungen... niemals.',
+    // Chuck Norris doesn't use web standards as the web will conform to him.
+    '944993cadd43': 'Chuck Norris benutzt keine Webstandards, denn das Web wird sich nach ihm richten.',
+    // "It works on my machine" always holds true for Chuck Norris.
+    'a30f93f61038': '"Auf meinem Rechner funktioniert es" stimmt bei Chuck Norris immer.',
+    // Whiteboards are white because Chuck Norris scared them that way.
+    '3fa2a2e9388f': 'Whiteboards sind weiß, weil Chuck Norris ihnen so einen Schrecken eingejagt hat.',
+    // Chuck Norris doesn't do Burn Down charts, he does Smack Down charts.
+    '60f2eefd8e74': 'Chuck Norris macht keine Burn-Down-Charts, er macht Smack-Down-Charts.',
+    // Chuck Norris can delete the Recycling Bin.
+    '9d7db0628374': 'Chuck Norris kann den Papierkorb löschen.',
+    // Chuck Norris's beard can type 140 wpm.
+    '9a9982a2d470': 'Der Bart von Chuck Norris tippt 140 Wörter pro Minute.',
+    // Chuck Norris can unit test entire applications with a single assert.
+    'b62dca90d4b2': 'Chuck Norris kann ganze Anwendungen mit einem einzigen Assert unit-testen.',
+    // Chuck Norris doesn't bug hunt as that signifies a probability of failure, he goes bug killing.
+    '547ae8b252e6': 'Chuck Norris geht nicht auf Fehlersuche, denn das deutet auf eine Chance des Scheiterns hin. Er ' +
+      'geht auf Fehlerjagd, um sie zu töten.',
+    // Chuck Norris's keyboard doesn't have a Ctrl key because nothing controls Chuck Norris.
+    '06c27cb17b3a': 'Die Tastatur von Chuck Norris hat keine Strg-Taste, weil nichts Chuck Norris steuert.',
+    // When Chuck Norris is web surfing websites get the message "Warning: Internet Explorer has deemed this user to be malicious or dangerous. Proceed?".
+    '235797b84e03': 'Wenn Chuck Norris im Internet surft, bekommen die Websites die Meldung "Warnung: Internet ' +
+      'Explorer hält diesen Benutzer für bösartig oder gefährlich. Fortfahren?".',
+    // Chuck Norris can overflow your stack just by looking at it.
+    '85ed4b3d339b': 'Chuck Norris kann deinen Stack allein durch Anschauen zum Überlaufen bringen.',
+    // To Chuck Norris, everything contains a vulnerability.
+    'f8229cc965d1': 'Für Chuck Norris hat alles eine Sicherheitslücke.',
+    // Chuck Norris doesn't need sudo, he just types "Chuck Norris" before his commands.
+    'aca9087477ef': 'Chuck Norris braucht kein sudo, er tippt einfach "Chuck Norris" vor seine Befehle.',
+    // Chuck Norris doesn't need a debugger, he just stares down the bug until the code confesses.
+    '2cf2956f6488': 'Chuck Norris braucht keinen Debugger, er starrt den Fehler einfach an, bis der Code gesteht.',
+    // Chuck Norris can access private methods.
+    'bc539c2c2267': 'Chuck Norris kann auf private Methoden zugreifen.',
+    // Chuck Norris can instantiate an abstract class.
+    '52845c4be9ac': 'Chuck Norris kann eine abstrakte Klasse instanziieren.',
+    // Chuck Norris does not need to know about class factory pattern. He can instantiate interfaces.
+    'f2ecab5499f3': 'Chuck Norris muss das Factory-Muster nicht kennen. Er kann Interfaces instanziieren.',
+    // The class object inherits from Chuck Norris
+    'eedd4dbb7a28': 'Die Klasse Object erbt von Chuck Norris',
+    // For Chuck Norris, NP-Hard = O(1).
+    '29803c1274ae': 'Für Chuck Norris gilt: NP-schwer = O(1).',
+    // Bill Gates thinks he's Chuck Norris. Chuck Norris actually laughed. Once.
+    'bef3ae64a441': 'Bill Gates hält sich für Chuck Norris. Chuck Norris hat tatsächlich gelacht. Einmal.',
+    // Chuck Norris is actually the front man for Apple. He let's Steve Jobs run the show when he's on a mission. Chuck Norris is always on a mission.
+    '863bd4b51098': 'Eigentlich steht Chuck Norris an der Spitze von Apple. Er lässt Steve Jobs die Firma führen, ' +
+      'wenn er auf Mission ist. Chuck Norris ist immer auf Mission.',
+    // Chuck Norris' Internet connection is faster upstream than downstream because even data has more incentive to run from him than to him.
+    'e52d84e0481c': 'Die Internetverbindung von Chuck Norris ist im Upload schneller als im Download, weil selbst ' +
+      'Daten lieber vor ihm weglaufen als zu ihm hin.',
+    // Chuck Norris solved the Travelling Salesman problem in O(1) time. Here's the pseudo-code: Break salesman into N pieces. Kick each piece to a different city.
+    'a3eadb6d3907': 'Chuck Norris hat das Problem des Handlungsreisenden in O(1) gelöst. Hier der Pseudocode: ' +
+      'Zerlege den Handlungsreisenden in N Teile. Kicke jedes Teil in eine andere Stadt.',
+    // No statement can catch the ChuckNorrisException.
+    '02ab116cf927': 'Keine Anweisung kann die ChuckNorrisException fangen.',
+    // Chuck Norris doesn't pair program.
+    '9af2f19daeea': 'Chuck Norris macht kein Pair Programming.',
+    // Chuck Norris can write multi-threaded applications with a single thread.
+    'eb16483f0cf7': 'Chuck Norris kann Multithreading-Anwendungen mit einem einzigen Thread schreiben.',
+    // Chuck Norris doesn't need to use AJAX because pages are too afraid to postback anyways.
+    '325559f2a696': 'Chuck Norris braucht kein AJAX, weil Seiten ohnehin zu viel Angst vor einem Postback haben.',
+    // Chuck Norris doesn't use reflection, reflection asks politely for his help.
+    'd0c416dcaa06': 'Chuck Norris benutzt keine Reflection, die Reflection bittet ihn höflich um Hilfe.',
+    // There is no Esc key on Chuck Norris' keyboard, because no one escapes Chuck Norris.
+    'c71692f8c25a': 'Auf der Tastatur von Chuck Norris gibt es keine Esc-Taste, weil niemand Chuck Norris entkommt.',
+    // Chuck Norris can binary search unsorted data.
+    '8786777c775b': 'Chuck Norris kann in unsortierten Daten binär suchen.',
+    // Chuck Norris breaks RSA 128-bit encrypted codes in milliseconds.
+    '941cb4362626': 'Chuck Norris knackt 128-Bit-RSA-Verschlüsselungen in Millisekunden.',
+    // Chuck Norris doesn't needs try-catch, exceptions are too afraid to raise.
+    'bab344d2dc0d': 'Chuck Norris braucht kein try-catch, Exceptions haben zu viel Angst, geworfen zu werden.',
+    // Chuck Norris went out of an infinite loop.
+    'f47e7e74daea': 'Chuck Norris ist aus einer Endlosschleife herausgekommen.',
+    // If Chuck Norris writes code with bugs, the bugs fix themselves.
+    '7b47ef186a52': 'Wenn Chuck Norris Code mit Fehlern schreibt, beheben sich die Fehler selbst.',
+    // Chuck Norris hosting is 101% uptime guaranteed.
+    '1f8cf77206f5': 'Chuck-Norris-Hosting garantiert 101% Verfügbarkeit.',
+    // Chuck Norris's keyboard has the Any key.
+    'da7e272a8cef': 'Die Tastatur von Chuck Norris hat die Beliebige Taste.',
+    // Chuck Norris can access the DB from the UI.
+    '5f5cff67d96b': 'Chuck Norris kann aus der Oberfläche direkt auf die Datenbank zugreifen.',
+    // Chuck Norris' programs never exit, they terminate.
+    '5764f1d94ca6': 'Die Programme von Chuck Norris beenden sich nie, sie werden terminiert.',
+    // Chuck Norris insists on strongly-typed programming languages.
+    '23662dd8ff2b': 'Chuck Norris besteht auf stark typisierten Programmiersprachen.',
+    // Chuck Norris protocol design method has no status, requests or responses, only commands.
+    '1b746ff2cc2c': 'Die Protokolle von Chuck Norris kennen keinen Status, keine Anfragen und keine Antworten, nur ' +
+      'Befehle.',
+    // Chuck Norris programs occupy 150% of CPU, even when they are not executing.
+    '4c5bd830f7a1': 'Die Programme von Chuck Norris belegen 150% der CPU, selbst wenn sie nicht laufen.',
+    // Chuck Norris can spawn threads that complete before they are started.
+    '9ec89d8007b7': 'Chuck Norris kann Threads starten, die fertig sind, bevor sie beginnen.',
+    // Chuck Norris programs do not accept input.
+    'cb5741c2a1b6': 'Die Programme von Chuck Norris nehmen keine Eingaben an.',
+    // Chuck Norris can install iTunes without installing Quicktime.
+    'b863e34e5fca': 'Chuck Norris kann iTunes installieren, ohne Quicktime zu installieren.',
+    // Chuck Norris doesn't need an OS.
+    'c18948315851': 'Chuck Norris braucht kein Betriebssystem.',
+    // Chuck Norris's OSI network model has only one layer - Physical.
+    'e03715514920': 'Das OSI-Netzwerkmodell von Chuck Norris hat nur eine Schicht: die physikalische.',
+    // Chuck Norris can compile syntax errors.
+    '445394868325': 'Chuck Norris kann Syntaxfehler kompilieren.',
+    // Every SQL statement that Chuck Norris codes has an implicit "COMMIT" in its end.
+    '0fe80e2359d4': 'Jede SQL-Anweisung, die Chuck Norris schreibt, hat am Ende ein implizites "COMMIT".',
+    // Chuck Norris does not need to type-cast. The Chuck-Norris Compiler (CNC) sees through things. All way down. Always.
+    'c6f954bda5c0': 'Chuck Norris braucht keine Typumwandlungen. Der Chuck-Norris-Compiler (CNC) durchschaut alles. ' +
+      'Bis ganz unten. Immer.',
+    // Chuck Norris does not code in cycles, he codes in strikes.
+    '6805369e236d': 'Chuck Norris programmiert nicht in Zyklen, sondern in Schlägen.',
+    // Chuck Norris doesn't use a computer because a computer does everything slower than Chuck Norris.
+    'b2c10d34a512': 'Chuck Norris benutzt keinen Computer, weil ein Computer alles langsamer macht als Chuck Norris.',
+    // Chuck Norris compresses his files by doing a flying round house kick to the hard drive.
+    'b19ad3952bcd': 'Chuck Norris komprimiert seine Dateien mit einem fliegenden Roundhouse-Kick gegen die Festplatte.',
+    // Chuck Norris solved the halting problem.
+    '59cb37a9a74c': 'Chuck Norris hat das Halteproblem gelöst.',
+    // Chuck Norris doesn't cheat death. He wins fair and square.
+    'b5bf206f2d4e': 'Chuck Norris betrügt den Tod nicht. Er gewinnt fair und ehrlich.',
+    // Chuck Norris once won a game of connect four in 3 moves.
+    'c1a43d58e7f9': 'Chuck Norris hat einmal eine Partie Vier gewinnt in 3 Zügen gewonnen.',
+    // With Chuck Norris P = NP. There's no nondeterminism with Chuck Norris decisions.
+    '99228042f066': 'Bei Chuck Norris gilt P = NP. Seine Entscheidungen sind niemals nichtdeterministisch.',
+    // Chuck Norris can do a wheelie on a unicycle.
+    '66bdf2f1ec06': 'Chuck Norris kann mit einem Einrad auf dem Hinterrad fahren.',
+    // Chuck Norris can win in a game of Russian roulette with a fully loaded gun.
+    'df37d90c5331': 'Chuck Norris kann beim Russisch Roulette mit voll geladener Waffe gewinnen.',
+    // Chuck Norris eats lightning and shits out thunder.
+    '26dbfcf8e73c': 'Chuck Norris frisst Blitze und scheißt Donner.',
+    // Chuck Norris can retrieve anything from /dev/null.
+    '024b83f6e027': 'Chuck Norris kann alles aus /dev/null zurückholen.',
+    // No one has ever pair-programmed with Chuck Norris and lived to tell about it.
+    '48dba9bdf342': 'Niemand hat je mit Chuck Norris im Pair Programming gearbeitet und überlebt, um davon zu ' +
+      'erzählen.',
+    // No one has ever spoken during review of Chuck Norris' code and lived to tell about it.
+    '5dc4a961e742': 'Niemand hat je während eines Reviews von Chuck Norris\' Code das Wort ergriffen und überlebt, ' +
+      'um davon zu erzählen.',
+    // Chuck Norris doesn't use GUI, he prefers COMMAND line.
+    'bf5dde78d20d': 'Chuck Norris benutzt keine grafische Oberfläche, er bevorzugt die BEFEHLSzeile.',
+    // Chuck Norris doesn't use Oracle, he is the Oracle.
+    'bf8309bbc79d': 'Chuck Norris benutzt kein Oracle, er ist das Orakel.',
+    // Chuck Norris can dereference NULL.
+    '08df7cd0c5cf': 'Chuck Norris kann NULL dereferenzieren.',
+    // Jesus can walk on water, but Chuck Norris can swim through land.
+    '04b1bba2e1cd': 'Jesus kann über Wasser gehen, aber Chuck Norris kann durch Land schwimmen.',
+    // A diff between your code and Chuck Norris's is infinite.
+    'ed6cf4193d94': 'Ein Diff zwischen deinem Code und dem von Chuck Norris ist unendlich.',
+    // The Chuck Norris Eclipse plugin made alien contact.
+    '8f8cf5b49a8b': 'Das Chuck-Norris-Plugin für Eclipse hat Kontakt zu Außerirdischen aufgenommen.',
+    // Chuck Norris is the ultimate mutex, all threads fear him.
+    '1b5f56a4e632': 'Chuck Norris ist der ultimative Mutex, alle Threads fürchten ihn.',
+    // Chuck Norris uses canvas in IE.
+    '5d84c4b76ce7': 'Chuck Norris benutzt Canvas im IE.',
+    // Don't worry about tests, Chuck Norris's test cases cover your code too.
+    'c9b11a62381d': 'Mach dir keine Sorgen um Tests, die Testfälle von Chuck Norris decken deinen Code gleich mit ab.',
+    // Each hair in Chuck Norris's beard contributes to make the world's largest DDOS.
+    'b3c993cd7173': 'Jedes Haar im Bart von Chuck Norris trägt zum größten DDOS der Welt bei.',
+    // Chuck Norris's log statements are always at the FATAL level.
+    'cc77e68eafc2': 'Die Logmeldungen von Chuck Norris sind immer auf Stufe FATAL.',
+    // Chuck Norris's database has only one table, 'Kick', which he DROPs frequently.
+    'f322b6d88abe': 'Die Datenbank von Chuck Norris hat nur eine Tabelle, \'Kick\', die er häufig DROPt.',
+    // When Chuck Norris break the build, you can't fix it, because there is not a single line of code left.
+    'a8fccb730bf5': 'Wenn Chuck Norris den Build kaputt macht, kannst du ihn nicht reparieren, weil keine einzige ' +
+      'Zeile Code mehr übrig ist.',
+    // Chuck Norris types with one finger. He points it at the keyboard and the keyboard does the rest.
+    'dd6b3d184b97': 'Chuck Norris tippt mit einem Finger. Er zeigt damit auf die Tastatur, und die Tastatur erledigt ' +
+      'den Rest.',
+    // Chuck Norris's programs can pass the Turing Test by staring at the interrogator.
+    '5d854ef8e493': 'Die Programme von Chuck Norris bestehen den Turing-Test, indem sie den Prüfer anstarren.',
+    // If you try to kill -9 Chuck Norris's programs, it backfires.
+    '282943607000': 'Wenn du versuchst, die Programme von Chuck Norris mit kill -9 zu beenden, geht das nach hinten ' +
+      'los.',
+    // Chuck Norris's brain waves are suspected to be harmful to cell phones.
+    '3f5c8153c829': 'Man vermutet, dass die Gehirnwellen von Chuck Norris Handys schaden.',
+    // Chuck Norris does infinit loops in 4 seconds.
+    '12a949831005': 'Chuck Norris schafft Endlosschleifen in 4 Sekunden.',
+    // Product Owners never ask Chuck Norris for more features. They ask for mercy.
+    'a37ce74c8d53': 'Product Owner bitten Chuck Norris nie um mehr Features. Sie bitten um Gnade.',
+    // Product Owners never argue with Chuck Norris after he demonstrates the DropKick feature.
+    'bffb6d900692': 'Product Owner widersprechen Chuck Norris nie, nachdem er ihnen das DropKick-Feature vorgeführt ' +
+      'hat.',
+    // Chuck Norris killed two stones with one bird.
+    '4eea1a728a8b': 'Chuck Norris hat zwei Steine mit einer Fliege geschlagen.',
+    // Chuck Norris can speak Braille.
+    'ddd403843ea5': 'Chuck Norris kann Blindenschrift sprechen.',
+    // Chuck Norris can over-write a locked variable.
+    'f84fa7846e59': 'Chuck Norris kann eine gesperrte Variable überschreiben.',
+    // Chuck Norris knows the value of NULL, and he can sort by it too.
+    'fd1ff01325f1': 'Chuck Norris kennt den Wert von NULL, und er kann auch danach sortieren.',
+    // China lets Chuck Norris search for porn on Google.
+    'bb56a5d68134': 'China lässt Chuck Norris auf Google nach Pornos suchen.',
+    // Chuck Norris can install a 64 bit OS on 32 bit machines.
+    '43670e7bc731': 'Chuck Norris kann ein 64-Bit-Betriebssystem auf 32-Bit-Rechnern installieren.',
+    // Chuck Norris doesn't have pubic hairs because hair doesn't grow on balls of steal.
+    '24e335edd365': 'Chuck Norris hat keine Schamhaare, weil auf Eiern aus Stahl keine Haare wachsen.',
+    // Chuck Norris can write to an output stream.
+    'f33d28797522': 'Chuck Norris kann in einen Ausgabestrom schreiben.',
+    // Chuck Norris can read from an input stream.
+    '15c8a6c27edb': 'Chuck Norris kann aus einem Eingabestrom lesen.',
+    // Chuck Norris never has to build his program to machine code. Machines have learnt to interpret Chuck Norris code.
+    '2dcc6359e22b': 'Chuck Norris muss sein Programm nie in Maschinencode übersetzen. Die Maschinen haben gelernt, ' +
+      'Chuck-Norris-Code zu interpretieren.',
+    // Chuck Norris' unit tests don't run. They die.
+    'ce771718b00e': 'Die Unit-Tests von Chuck Norris laufen nicht. Sie sterben.',
+    // Chuck Norris sits at the stand-up.
+    '8a5b9189ab25': 'Chuck Norris sitzt beim Stand-up.',
+    // Chuck Norris doesn't need an account. He just logs in.
+    '262fb2dbd2d3': 'Chuck Norris braucht kein Konto. Er meldet sich einfach an.',
+    // How many Chuck Norris require to screw a light bulb? None, he will screw it all.
+    '5171051a8a89': 'Wie viele Chuck Norris braucht man, um eine Glühbirne einzuschrauben? Keinen, er schraubt alles ' +
+      'kaputt.',
+    // Chuck Norris causes the Windows Blue Screen of Death.
+    '5d200ebc32ae': 'Chuck Norris verursacht den Bluescreen von Windows.',
+    // Chuck Norris can download emails with his pick-up.
+    '568a9ec7d0d4': 'Chuck Norris kann E-Mails mit seinem Pick-up herunterladen.',
+    // Chuck Norris can make a class that is both abstract and final.
+    '33c45a0511f8': 'Chuck Norris kann eine Klasse schreiben, die zugleich abstract und final ist.',
+    // Chuck Norris could use anything in java.util.* to kill you, including the javadocs.
+    'b52fe256b1dc': 'Chuck Norris könnte dich mit allem aus java.util.* töten, einschließlich der Javadocs.',
+    // Code runs faster when Chuck Norris watches it.
+    '900d2aa389ce': 'Code läuft schneller, wenn Chuck Norris zusieht.',
+    // Only Chuck Norris shuts down websites without due process, not SOPA or PIPA.
+    '7a1e79473d8e': 'Nur Chuck Norris schließt Websites ohne ordentliches Verfahren, nicht SOPA oder PIPA.'
+  }
+};
@@ -0,0 +1,185 @@
+/**
+ * English, which the bot falls back to for anything another locale doesn't
+ * translate. Its replies are the ones teams can reword in their config.
+ */
+export default {
+  name: 'English',
+  aliases: ['english', 'inglés', 'ingles', 'englisch'],
+  replies: {
+    channelJoin: 'Howdy folks.',
+    salutation: 'Howdy {user}.',
+    gratitude: 'You\'re welcome {user}.',
+    acknowledgement: 'Sure thing {user}.',
+    unrecognised: 'I didn\'t get that, try `help`.',
+    failure: 'Uhoh... Something went wrong... Sorry!',
+    settingFailure: 'Uhoh... I couldn\'t save that setting... Sorry!',
+    jokeOfTheDayIntro: 'Here\'s the joke of the day:',
+    help: 'Ask me to tell you a joke, e.g.\n' +
+      '>"{bot}, tell me a joke please!"\n\n' +
+      'Ask me to tell you the joke of the day, e.g.\n' +
+      '>"{bot}, tell me the joke of the day please!"\n\n' +
+      'Ask me for a joke from a category, or which categories there are, e.g.\n' +
+      '>"{bot}, tell me a sports joke" or "{bot}, joke categories"\n\n' +
+      'Ask me for a joke from one of my joke packs, which packs there are, or to use a pack here by default, e.g.\n' +
+      '>"{bot}, tell me a dad joke", "{bot}, joke packs" or "{bot}, joke pack programming"\n\n' +
+      'Ask me for a joke about something, e.g.\n' +
+      '>"{bot}, tell me a joke about roundhouse kicks"\n\n' +
+      'Ask me for a joke about someone, or tell me not to use your name, e.g.\n' +
+      '>"{bot}, tell me a joke about @alice" or "{bot}, don\'t use my name"\n\n' +
+      'Ask me to tell show you a gif, optionally of something in particular, e.g.\n' +
+      '>"{bot}, show me chuck please!" or "{bot}, show me chuck kicking"\n\n' +
+      'Admins can set the highest rating of GIFs I show here, e.g.\n' +
+      '>"{bot}, gif rating pg"\n\n' +
+      'Ask me to post the joke of the day in a channel every day, e.g.\n' +
+      '>"{bot}, subscribe to joke of the day"\n\n' +
+      'Ask me to stop posting it, e.g.\n' +
+      '>"{bot}, unsubscribe from joke of the day"\n\n' +
+      'Ask me which channels get it, e.g.\n' +
+      '>"{bot}, list subscriptions"\n\n' +
+      'Ask me to post the joke of the day at a different time, e.g.\n' +
+      '>"{bot}, post joke of the day at 09:30 Australia/Sydney"\n\n' +
+      'Send me a joke of your own in a direct message, e.g.\n' +
+      '>"submit joke: Chuck Norris can divide by zero."\n\n' +
+      'Rate the last joke I told with a :+1: or :-1: reaction, or out of 5, e.g.\n' +
+      '>"{bot}, rate 5"\n\n' +
+      'Ask me for the best or worst rated jokes, e.g.\n' +
+      '>"{bot}, top jokes" or "{bot}, worst jokes"\n\n' +
+      'Admins can ask me how I\'ve been used in this team lately, e.g.\n' +
+      '>"{bot}, stats" or "{bot}, stats for 7 days"\n\n' +
+      'Ask me to speak another language to you, or admins can for a channel or the whole team, e.g.\n' +
+      '>"{bot}, language es" or "{bot}, team language de", or "{bot}, language auto" to clear it',
+    safeModeOnHelp: 'Safe mode is on here, so I\'m keeping it clean. Admins can turn it off, e.g.\n' +
+      '>"{bot}, safe mode off"',
+    safeModeOffHelp: 'Admins can turn on safe mode to keep things clean here, or for the whole team, e.g.\n' +
+      '>"{bot}, safe mode on" or "{bot}, team safe mode on"',
+    localeList: 'I\'m speaking {language} to you. I can speak {languages}.',
+    localeUnknown: 'I don\'t speak "{language}". Try one of {languages}.',
+    localeRefusal: 'Sorry, only admins can change the language of a channel or team.',
+    userLocaleChange: 'Done. I\'ll speak {language} to you.',
+    channelLocaleChange: 'Done. I\'ll speak {language} here.',
+    teamLocaleChange: 'Done. I\'ll speak {language} in this team\'s channels.',
+    localeReset: 'Done. That language setting is cleared.',
+    teamChannelRefusal: 'Sorry, <#{channel}> isn\'t one of this team\'s channels.',
+    submissionThanks: 'Thanks! Your joke is #{id} in the queue for an admin to review.',
+    submissionFailure: 'Uhoh... I couldn\'t save your joke... Sorry!',
+    moderationRefusal: 'Sorry, only admins can moderate submitted jokes.',
+    submissionListEmpty: 'There are no jokes waiting for review.',
+    submissionList: 'These jokes are waiting for review:\n{submissions}\n\n' +
+      'Reply with "approve 1", "reject 1" or "edit 1 <new wording>".',
+    submissionListItem: '*#{id}* from {user}\n>{text}',
+    submissionNotFound: 'There\'s no joke #{id} waiting for review.',
+    submissionApproval: 'Joke #{id} is approved and will start coming up.',
+    submissionRejection: 'Joke #{id} is rejected.',
+    submissionEdit: 'Joke #{id} now reads:\n>{text}',
+    jokeReloadRefusal: 'Sorry, only the bot\'s admins can reload jokes.',
+    jokeReload: 'Done. I know {jokes} jokes, plus {approved} approved submissions{packs}.',
+    jokeReloadPacks: ', and {jokes} more in {packs}',
+    otherPacks: '{count} other packs',
+    otherPacksOne: '{count} other pack',
+    jokeReloadFailure: 'Uhoh... I couldn\'t reload the jokes, so I\'m keeping the old ones. {error}',
+    jokeOfTheDayChangeRefusal: 'Sorry, only the bot\'s admins can change the joke of the day.',
+    jokeOfTheDayChange: 'Done. The joke of the day is now:\n>{joke}',
+    muteRefusal: 'Sorry, only admins can mute me.',
+    muteLimit: 'I can be muted for between 1 hour and a week (168 hours).',
+    channelMute: 'Done. I\'ll keep quiet in <#{channel}> for {duration}.',
+    hours: '{count} hours',
+    hoursOne: '{count} hour',
+    unmuteRefusal: 'Sorry, only admins can unmute me.',
+    channelUnmute: 'Done. I\'m back in <#{channel}>.',
+    configRefusal: 'Sorry, only the bot\'s admins can view my config.',
+    config: '*Admins:* {admins}\n' +
+      '*Jokes:* {jokes} built in, {approved} approved submissions\n' +
+      '*Joke packs:* {packs}\n' +
+      '*Joke of the day:* {schedule} by default\n' +
+      '*Favour rated jokes:* {favorRatedJokes}\n' +
+      '*Unsafe tags:* {unsafeTags}\n' +
+      '*GIF providers:* {gifProviders}\n' +
+      '*Slash commands and buttons:* {slashCommands}\n' +
+      '*Rate limits:* {userLimit} per user, {channelLimit} per channel, {teamLimit} per team\n' +
+      '*Rate limit exempt channels:* {exemptChannels}\n' +
+      '*Muted channels:* {mutedChannels}\n' +
+      '*Intent confidence threshold:* {threshold}\n' +
+      '*Languages:* {languages}',
+    configWorkspaceAdmins: '{admins}, plus workspace admins and owners',
+    configSlashCommandsPublic: 'on, port {port}, replies public by default',
+    configSlashCommandsPrivate: 'on, port {port}, replies private by default',
+    configRateLimit: '{limit}/min',
+    on: 'on',
+    off: 'off',
+    none: 'none',
+    statsRefusal: 'Sorry, only admins can see the stats.',
+    statsFailure: 'Uhoh... I couldn\'t work out the stats... Sorry!',
+    statsExportRefusal: 'Sorry, only admins can export the stats.',
+    statsExportFailure: 'Uhoh... I couldn\'t export the stats... Sorry!',
+    statsUploadFailure: 'Uhoh... I couldn\'t upload the stats... Sorry!',
+    usageStatsEmpty: 'Nobody has asked me for anything in the last {days} days.',
+    usageStats: '*Usage in the last {days} days:* {total} requests\n{types}\n\n' +
+      '*Top requesters:*\n{users}\n\n' +
+      '*Most told jokes:*\n{jokes}\n\n' +
+      '*GIFs found:* {gifs}',
+    usageStatsNoJokes: 'None yet.',
+    usageStatsGifs: '{percent}% of {requested}',
+    usageStatsNoGifs: 'none requested',
+    namedJokeOptedOut: 'Sorry, they\'ve asked me not to use their name in jokes.',
+    nameOptOut: 'No problem, I won\'t use your name in jokes.',
+    nameOptIn: 'Great, people can ask me for jokes about you again.',
+    searchNotFound: 'I don\'t know any jokes about "{term}". Try something like "roundhouse" or "beard".',
+    searchResults: 'Here are the {count} best jokes about "{term}":\n{jokes}',
+    categoryUnknown: 'I don\'t have any {category} jokes. Try one of these: {categories}.',
+    categoryList: 'I\'ve got jokes about: {categories}.',
+    packList: 'I\'ve got these joke packs: {packs}.\n' +
+      'I tell jokes from the {pack} pack here unless you ask for another.',
+    packUnknown: 'I don\'t have a "{name}" joke pack. Try one of these: {packs}.',
+    packChange: 'Done. I\'ll tell jokes from the {pack} pack here.',
+    packChangeJokeOfTheDay: 'The joke of the day stays a {pack} joke, the same in every channel.',
+    subscribe: 'Done. I\'ll post the joke of the day here every day.',
+    unsubscribe: 'Done. I won\'t post the joke of the day here anymore.',
+    subscriptionFailure: 'Uhoh... I couldn\'t save that subscription... Sorry!',
+    subscriptionListEmpty: 'No channels are subscribed to the joke of the day.',
+    subscriptionList: 'These channels get the joke of the day:\n{channels}',
+    subscriptionListItem: '• <#{channel}> at {schedule}',
+    subscriptionListFailure: 'Uhoh... I couldn\'t load the subscriptions... Sorry!',
+    scheduleChange: 'Done. I\'ll post the joke of the day here at {schedule}.',
+    scheduleFailure: 'Uhoh... I couldn\'t save that schedule... Sorry!',
+    scheduleSubscribed: 'I post the joke of the day here at {schedule}.',
+    scheduleUnsubscribed: 'This channel isn\'t subscribed, but it would get the joke of the day at {schedule}.',
+    scheduleInvalidTime: 'That isn\'t a valid time. Use 24 hour time, e.g. 09:30 or 17:00.',
+    scheduleUnknownTimeZone: 'I don\'t know the timezone "{timeZone}". Use an IANA name, e.g. Europe/London.',
+    serverTime: '(server time)',
+    ratingNotFound: 'I haven\'t told a joke here to rate yet.',
+    ratingThanks: 'Thanks {user}! That joke now scores {rating}.',
+    ratingFailure: 'Uhoh... I couldn\'t save your rating... Sorry!',
+    rating: '{average}/5 from {count} ratings',
+    ratingOne: '{average}/5 from {count} rating',
+    leaderboardEmpty: 'Nobody has rated any jokes yet. React to one with :+1: or :-1:, or say "rate 1-5".',
+    topJokes: 'The top rated jokes:\n{jokes}',
+    worstJokes: 'The worst rated jokes:\n{jokes}',
+    gifFailure: 'Uhoh... I couldn\'t find a GIF right now... Sorry!',
+    gifRatingRefusal: 'Sorry, only admins can change the GIF rating.',
+    gifRatingChange: 'Done. I\'ll only show GIFs rated {rating} or lower here.',
+    gifRating: 'I only show GIFs rated {rating} or lower here.',
+    rateLimitRefusal: 'Sorry, only admins can change rate limits.',
+    rateLimitExemption: 'Done. Ask away, there are no rate limits here.',
+    rateLimitRestored: 'Done. Rate limits apply here again.',
+    rateLimited: 'Easy there {user}! Give me {duration} to catch my breath.',
+    seconds: '{count} seconds',
+    secondsOne: '{count} second',
+    safeModeRefusal: 'Sorry, only admins can change safe mode.',
+    channelSafeModeOn: 'Done. Safe mode is on here.',
+    channelSafeModeOff: 'Done. Safe mode is off here.',
+    teamSafeModeOn: 'Done. Safe mode is on for this team\'s channels.',
+    teamSafeModeOff: 'Done. Safe mode is off for this team\'s channels.',
+    anotherJokeButton: 'Another one',
+    gifButton: 'Show a GIF',
+    slashSearchMissing: 'What should I search for? e.g. `/norris search roundhouse`',
+    slashHelp: '`/norris joke [category]` tells you a joke, e.g. `/norris joke sports`.\n' +
+      '`/norris today` tells you the joke of the day.\n' +
+      '`/norris gif [topic]` shows you a gif, e.g. `/norris gif kicking`.\n' +
+      '`/norris search <term>` finds a joke about something, e.g. `/norris search roundhouse`.\n\n' +
+      'Add `--public` or `--private` to choose whether the channel sees my reply. {visibility}',
+    slashHelpPublic: 'By default it does.',
+    slashHelpPrivate: 'By default only you do.'
+  },
+  phrases: {},
+  jokes: {}
+};
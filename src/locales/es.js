@@ -0,0 +1,1528 @@
+/**
+ * Spanish.
+ */
+export default {
+  name: 'Español',
+  aliases: ['español', 'espanol', 'spanish', 'spanisch', 'castellano'],
+  replies: {
+    channelJoin: 'Hola a todos.',
+    salutation: 'Hola {user}.',
+    gratitude: 'De nada {user}.',
+    acknowledgement: 'Claro que sí {user}.',
+    unrecognised: 'No te he entendido, prueba con `ayuda`.',
+    failure: 'Uy... Algo ha salido mal... ¡Lo siento!',
+    settingFailure: 'Uy... No he podido guardar ese ajuste... ¡Lo siento!',
+    jokeOfTheDayIntro: 'Aquí va el chiste del día:',
+    help: 'Pídeme un chiste, p. ej.\n' +
+      '>"{bot}, cuéntame un chiste"\n\n' +
+      'Pídeme el chiste del día, p. ej.\n' +
+      '>"{bot}, cuéntame el chiste del día"\n\n' +
+      'Pídeme un chiste de una categoría, o qué categorías hay, p. ej.\n' +
+      '>"{bot}, cuéntame un chiste de sports" o "{bot}, categorías de chistes"\n\n' +
+      'Pídeme un chiste de uno de mis paquetes por su nombre en inglés, qué paquetes hay, o que use uno aquí ' +
+      'por defecto, p. ej.\n' +
+      '>"{bot}, dad joke", "{bot}, paquetes de chistes" o "{bot}, paquete de chistes programming"\n\n' +
+      'Pídeme un chiste sobre algo, con palabras del chiste original en inglés, p. ej.\n' +
+      '>"{bot}, cuéntame un chiste sobre roundhouse"\n\n' +
+      'Pídeme un chiste sobre alguien, o dime que no use tu nombre, p. ej.\n' +
+      '>"{bot}, cuéntame un chiste sobre @alice" o "{bot}, no uses mi nombre"\n\n' +
+      'Pídeme un GIF, si quieres de algo en concreto, p. ej.\n' +
+      '>"{bot}, muéstrame a chuck" o "{bot}, muéstrame a chuck kicking"\n\n' +
+      'Los administradores pueden fijar la clasificación máxima de los GIF que muestro aquí, p. ej.\n' +
+      '>"{bot}, clasificación de gifs pg"\n\n' +
+      'Pídeme que publique el chiste del día en un canal cada día, p. ej.\n' +
+      '>"{bot}, suscríbete al chiste del día"\n\n' +
+      'Pídeme que deje de publicarlo, p. ej.\n' +
+      '>"{bot}, cancela la suscripción al chiste del día"\n\n' +
+      'Pregúntame qué canales lo reciben, p. ej.\n' +
+      '>"{bot}, lista de suscripciones"\n\n' +
+      'Pídeme que publique el chiste del día a otra hora, p. ej.\n' +
+      '>"{bot}, publica el chiste del día a las 09:30 Europe/Madrid"\n\n' +
+      'Envíame un chiste tuyo en un mensaje directo, p. ej.\n' +
+      '>"envía chiste: Chuck Norris puede dividir entre cero."\n\n' +
+      'Puntúa el último chiste que conté con una reacción :+1: o :-1:, o del 1 al 5, p. ej.\n' +
+      '>"{bot}, puntúa 5"\n\n' +
+      'Pídeme los chistes mejor o peor valorados, p. ej.\n' +
+      '>"{bot}, mejores chistes" o "{bot}, peores chistes"\n\n' +
+      'Los administradores pueden preguntarme cómo me han usado últimamente en este equipo, p. ej.\n' +
+      '>"{bot}, estadísticas" o "{bot}, estadísticas de 7 días"\n\n' +
+      'Pídeme que te hable en otro idioma, o los administradores pueden hacerlo para un canal o todo el equipo, ' +
+      'p. ej.\n' +
+      '>"{bot}, idioma en" o "{bot}, equipo idioma de", o "{bot}, idioma automático" para borrarlo',
+    safeModeOnHelp: 'El modo seguro está activado aquí, así que mantengo los chistes limpios. ' +
+      'Los administradores pueden desactivarlo, p. ej.\n' +
+      '>"{bot}, desactiva el modo seguro"',
+    safeModeOffHelp: 'Los administradores pueden activar el modo seguro para mantener los chistes limpios aquí, ' +
+      'o en todo el equipo, p. ej.\n' +
+      '>"{bot}, activa el modo seguro" o "{bot}, activa el modo seguro del equipo"',
+    localeList: 'Te hablo en {language}. Puedo hablar {languages}.',
+    localeUnknown: 'No hablo "{language}". Prueba con uno de estos: {languages}.',
+    localeRefusal: 'Lo siento, solo los administradores pueden cambiar el idioma de un canal o del equipo.',
+    userLocaleChange: 'Hecho. Te hablaré en {language}.',
+    channelLocaleChange: 'Hecho. Hablaré en {language} aquí.',
+    teamLocaleChange: 'Hecho. Hablaré en {language} en los canales de este equipo.',
+    localeReset: 'Hecho. He borrado ese ajuste de idioma.',
+    teamChannelRefusal: 'Lo siento, <#{channel}> no es uno de los canales de este equipo.',
+    submissionThanks: '¡Gracias! Tu chiste es el n.º {id} de la cola que revisan los administradores.',
+    submissionFailure: 'Uy... No he podido guardar tu chiste... ¡Lo siento!',
+    moderationRefusal: 'Lo siento, solo los administradores pueden moderar los chistes enviados.',
+    submissionListEmpty: 'No hay chistes pendientes de revisión.',
+    submissionList: 'Estos chistes están pendientes de revisión:\n{submissions}\n\n' +
+      'Responde "aprueba 1", "rechaza 1" o "edita 1 <nuevo texto>".',
+    submissionListItem: '*n.º {id}* de {user}\n>{text}',
+    submissionNotFound: 'No hay ningún chiste n.º {id} pendiente de revisión.',
+    submissionApproval: 'El chiste n.º {id} está aprobado y empezará a salir.',
+    submissionRejection: 'El chiste n.º {id} está rechazado.',
+    submissionEdit: 'El chiste n.º {id} ahora dice:\n>{text}',
+    jokeReloadRefusal: 'Lo siento, solo los administradores del bot pueden recargar los chistes.',
+    jokeReload: 'Hecho. Me sé {jokes} chistes, más {approved} envíos aprobados{packs}.',
+    jokeReloadPacks: ', y {jokes} más en {packs}',
+    otherPacks: '{count} paquetes más',
+    otherPacksOne: '{count} paquete más',
+    jokeReloadFailure: 'Uy... No he podido recargar los chistes, así que me quedo con los de antes. {error}',
+    jokeOfTheDayChangeRefusal: 'Lo siento, solo los administradores del bot pueden cambiar el chiste del día.',
+    jokeOfTheDayChange: 'Hecho. El chiste del día ahora es:\n>{joke}',
+    muteRefusal: 'Lo siento, solo los administradores pueden silenciarme.',
+    muteLimit: 'Puedo estar silenciado entre 1 hora y una semana (168 horas).',
+    channelMute: 'Hecho. Me quedaré callado en <#{channel}> durante {duration}.',
+    hours: '{count} horas',
+    hoursOne: '{count} hora',
+    unmuteRefusal: 'Lo siento, solo los administradores pueden quitarme el silencio.',
+    channelUnmute: 'Hecho. He vuelto a <#{channel}>.',
+    configRefusal: 'Lo siento, solo los administradores del bot pueden ver mi configuración.',
+    config: '*Administradores:* {admins}\n' +
+      '*Chistes:* {jokes} incluidos, {approved} envíos aprobados\n' +
+      '*Paquetes de chistes:* {packs}\n' +
+      '*Chiste del día:* {schedule} por defecto\n' +
+      '*Preferir chistes bien valorados:* {favorRatedJokes}\n' +
+      '*Etiquetas no aptas:* {unsafeTags}\n' +
+      '*Proveedores de GIF:* {gifProviders}\n' +
+      '*Comandos de barra y botones:* {slashCommands}\n' +
+      '*Límites de uso:* {userLimit} por persona, {channelLimit} por canal, {teamLimit} por equipo\n' +
+      '*Canales sin límites de uso:* {exemptChannels}\n' +
+      '*Canales silenciados:* {mutedChannels}\n' +
+      '*Umbral de confianza de intenciones:* {threshold}\n' +
+      '*Idiomas:* {languages}',
+    configWorkspaceAdmins: '{admins}, más los administradores y propietarios del espacio de trabajo',
+    configSlashCommandsPublic: 'activados, puerto {port}, respuestas públicas por defecto',
+    configSlashCommandsPrivate: 'activados, puerto {port}, respuestas privadas por defecto',
+    configRateLimit: '{limit}/min',
+    on: 'sí',
+    off: 'no',
+    none: 'ninguno',
+    statsRefusal: 'Lo siento, solo los administradores pueden ver las estadísticas.',
+    statsFailure: 'Uy... No he podido calcular las estadísticas... ¡Lo siento!',
+    statsExportRefusal: 'Lo siento, solo los administradores pueden exportar las estadísticas.',
+    statsExportFailure: 'Uy... No he podido exportar las estadísticas... ¡Lo siento!',
+    statsUploadFailure: 'Uy... No he podido subir las estadísticas... ¡Lo siento!',
+    usageStatsEmpty: 'Nadie me ha pedido nada en los últimos {days} días.',
+    usageStats: '*Uso en los últimos {days} días:* {total} peticiones\n{types}\n\n' +
+      '*Quién más me ha pedido:*\n{users}\n\n' +
+      '*Chistes más contados:*\n{jokes}\n\n' +
+      '*GIF encontrados:* {gifs}',
+    usageStatsNoJokes: 'Ninguno todavía.',
+    usageStatsGifs: '{percent}% de {requested}',
+    usageStatsNoGifs: 'no se ha pedido ninguno',
+    namedJokeOptedOut: 'Lo siento, me ha pedido que no use su nombre en los chistes.',
+    nameOptOut: 'Sin problema, no usaré tu nombre en los chistes.',
+    nameOptIn: 'Genial, ya pueden volver a pedirme chistes sobre ti.',
+    searchNotFound: 'No me sé ningún chiste sobre "{term}". Prueba con algo como "roundhouse" o "beard".',
+    searchResults: 'Estos son los {count} mejores chistes sobre "{term}":\n{jokes}',
+    categoryUnknown: 'No tengo chistes de {category}. Prueba con una de estas: {categories}.',
+    categoryList: 'Tengo chistes de: {categories}.',
+    packList: 'Tengo estos paquetes de chistes: {packs}.\n' +
+      'Aquí cuento chistes del paquete {pack} salvo que me pidas otro.',
+    packUnknown: 'No tengo ningún paquete de chistes "{name}". Prueba con uno de estos: {packs}.',
+    packChange: 'Hecho. Aquí contaré chistes del paquete {pack}.',
+    packChangeJokeOfTheDay: 'El chiste del día sigue siendo del paquete {pack}, el mismo en todos los canales.',
+    subscribe: 'Hecho. Publicaré el chiste del día aquí cada día.',
+    unsubscribe: 'Hecho. Ya no publicaré el chiste del día aquí.',
+    subscriptionFailure: 'Uy... No he podido guardar esa suscripción... ¡Lo siento!',
+    subscriptionListEmpty: 'Ningún canal está suscrito al chiste del día.',
+    subscriptionList: 'Estos canales reciben el chiste del día:\n{channels}',
+    subscriptionListItem: '• <#{channel}> a las {schedule}',
+    subscriptionListFailure: 'Uy... No he podido cargar las suscripciones... ¡Lo siento!',
+    scheduleChange: 'Hecho. Publicaré el chiste del día aquí a las {schedule}.',
+    scheduleFailure: 'Uy... No he podido guardar ese horario... ¡Lo siento!',
+    scheduleSubscribed: 'Publico el chiste del día aquí a las {schedule}.',
+    scheduleUnsubscribed: 'Este canal no está suscrito, pero recibiría el chiste del día a las {schedule}.',
+    scheduleInvalidTime: 'Esa hora no es válida. Usa el formato de 24 horas, p. ej. 09:30 o 17:00.',
+    scheduleUnknownTimeZone: 'No conozco la zona horaria "{timeZone}". Usa un nombre de la IANA, p. ej. Europe/Madrid.',
+    serverTime: '(hora del servidor)',
+    ratingNotFound: 'Todavía no he contado aquí ningún chiste que puntuar.',
+    ratingThanks: '¡Gracias {user}! Ese chiste tiene ahora {rating}.',
+    ratingFailure: 'Uy... No he podido guardar tu puntuación... ¡Lo siento!',
+    rating: '{average}/5 de {count} puntuaciones',
+    ratingOne: '{average}/5 de {count} puntuación',
+    leaderboardEmpty: 'Nadie ha puntuado ningún chiste todavía. Reacciona a uno con :+1: o :-1:, o di "puntúa 1-5".',
+    topJokes: 'Los chistes mejor valorados:\n{jokes}',
+    worstJokes: 'Los chistes peor valorados:\n{jokes}',
+    gifFailure: 'Uy... No he encontrado ningún GIF ahora mismo... ¡Lo siento!',
+    gifRatingRefusal: 'Lo siento, solo los administradores pueden cambiar la clasificación de los GIF.',
+    gifRatingChange: 'Hecho. Aquí solo mostraré GIF con clasificación {rating} o inferior.',
+    gifRating: 'Aquí solo muestro GIF con clasificación {rating} o inferior.',
+    rateLimitRefusal: 'Lo siento, solo los administradores pueden cambiar los límites de uso.',
+    rateLimitExemption: 'Hecho. Pregunta lo que quieras, aquí no hay límites de uso.',
+    rateLimitRestored: 'Hecho. Los límites de uso vuelven a aplicarse aquí.',
+    rateLimited: '¡Tranquilo {user}! Dame {duration} para recuperar el aliento.',
+    seconds: '{count} segundos',
+    secondsOne: '{count} segundo',
+    safeModeRefusal: 'Lo siento, solo los administradores pueden cambiar el modo seguro.',
+    channelSafeModeOn: 'Hecho. El modo seguro está activado aquí.',
+    channelSafeModeOff: 'Hecho. El modo seguro está desactivado aquí.',
+    teamSafeModeOn: 'Hecho. El modo seguro está activado en los canales de este equipo.',
+    teamSafeModeOff: 'Hecho. El modo seguro está desactivado en los canales de este equipo.',
+    anotherJokeButton: 'Otro',
+    gifButton: 'Ver un GIF',
+    slashSearchMissing: '¿Qué busco? p. ej. `/norris search roundhouse`',
+    slashHelp: '`/norris joke [categoría]` te cuenta un chiste, p. ej. `/norris joke sports`.\n' +
+      '`/norris today` te cuenta el chiste del día.\n' +
+      '`/norris gif [tema]` te muestra un GIF, p. ej. `/norris gif kicking`.\n' +
+      '`/norris search <término>` busca un chiste sobre algo, p. ej. `/norris search roundhouse`.\n\n' +
+      'Añade `--public` o `--private` para elegir si el canal ve mi respuesta. {visibility}',
+    slashHelpPublic: 'Por defecto la ve.',
+    slashHelpPrivate: 'Por defecto solo la ves tú.'
+  },
+  phrases: {
+    salutation: ['hola', 'buenos días', 'buenos dias', 'buenas tardes', 'buenas'],
+    gratitude: ['gracias', 'muchas gracias'],
+    randomJoke: ['cuéntame un chiste', 'cuentame un chiste', 'dime un chiste', 'otro chiste'],
+    categoryList: ['categorías de chistes', 'categorias de chistes', 'qué categorías hay', 'que categorias hay'],
+    nameOptOut: ['no uses mi nombre'],
+    nameOptIn: ['puedes usar mi nombre', 'usa mi nombre'],
+    jokeOfTheDaySubscribe: ['suscríbete al chiste del día', 'suscribete al chiste del dia'],
+    jokeOfTheDayUnsubscribe: [
+      'cancela la suscripción al chiste del día', 'cancela la suscripcion al chiste del dia',
+      'cancela la suscripción', 'cancela la suscripcion'
+    ],
+    subscriptionList: ['lista de suscripciones'],
+    jokeOfTheDay: ['chiste del día', 'chiste del dia'],
+    randomGif: ['muéstrame un gif', 'muestrame un gif'],
+    help: ['ayuda']
+  },
+  // Translations of the built in jokes, keyed by joke id.
+  jokes: {
+    // MacGyver can build an airplane out of gum and paper clips. Chuck Norris can kill him and take it.
+    '9e975c58b7d9': 'MacGyver puede construir un avión con chicle y clips. Chuck Norris puede matarlo y quedárselo.',
+    // Chuck Norris doesn't read books. He stares them down until he gets the information he wants.
+    '49a0908c8e6e': 'Chuck Norris no lee libros. Los mira fijamente hasta que le dan la información que quiere.',
+    // If you ask Chuck Norris what time it is, he always answers "Two seconds till". After you ask "Two seconds to what?", he roundhouse kicks you in the face.
+    '0775d6c1bc62': 'Si le preguntas a Chuck Norris qué hora es, siempre responde "Faltan dos segundos". Cuando ' +
+      'preguntas "¿Dos segundos para qué?", te da una patada giratoria en la cara.',
+    // Chuck Norris lost his virginity before his dad did.
+    '378f3d5e75b6': 'Chuck Norris perdió la virginidad antes que su padre.',
+    // Since 1940, the year Chuck Norris was born, roundhouse kick related deaths have increased 13,000 percent.
+    '958d7280b6ae': 'Desde 1940, el año en que nació Chuck Norris, las muertes por patadas giratorias han aumentado ' +
+      'un 13.000 por ciento.',
+    // Chuck Norris sheds his skin twice a year.
+    '6fa92fd0f033': 'Chuck Norris muda la piel dos veces al año.',
+    // Chuck Norris once challenged Lance Armstrong in a "Who has more testicles?" contest. Chuck Norris won by 5.
+    'f72bc359642e': 'Chuck Norris retó una vez a Lance Armstrong a un concurso de "¿Quién tiene más testículos?". ' +
+      'Chuck Norris ganó por 5.',
+    // There are no steroids in baseball. Just players Chuck Norris has breathed on.
+    'af7070803ab2': 'No hay esteroides en el béisbol. Solo jugadores a los que Chuck Norris les ha echado el aliento.',
+    // When Chuck Norris goes to donate blood, he declines the syringe, and instead requests a hand gun and a bucket.
+    '50ee5610c81b': 'Cuando Chuck Norris va a donar sangre, rechaza la jeringuilla y en su lugar pide una pistola y ' +
+      'un cubo.',
+    // According to the Encyclopedia Brittanica, the Native American "Trail of Tears" has been redefined as anywhere that Chuck Norris walks.
+    '5321606ea814': 'Según la Enciclopedia Británica, el "Sendero de Lágrimas" de los nativos americanos se ha ' +
+      'redefinido como cualquier lugar por el que camine Chuck Norris.',
+    // In an average living room there are 1,242 objects Chuck Norris could use to kill you, including the room itself.
+    '5342ba776202': 'En un salón normal hay 1.242 objetos que Chuck Norris podría usar para matarte, incluido el ' +
+      'propio salón.',
+    // Chuck Norris doesn't shower, he only takes blood baths.
+    '723f6f41af3a': 'Chuck Norris no se ducha, solo se da baños de sangre.',
+    // Time waits for no man. Unless that man is Chuck Norris.
+    '60b5ef9e460a': 'El tiempo no espera a nadie. A menos que ese alguien sea Chuck Norris.',
+    // Chuck Norris can hit you so hard that he can actually alter your DNA. Decades from now your descendants will occasionally clutch their heads and yell "What The Hell was That?".
+    'e586670ba3ea': 'Chuck Norris puede pegarte tan fuerte que te altera el ADN. Dentro de décadas, tus ' +
+      'descendientes se agarrarán de vez en cuando la cabeza y gritarán "¿Qué demonios ha sido eso?".',
+    // In the Bible, Jesus turned water into wine. But then Chuck Norris turned that wine into beer.
+    'd55eadf787e7': 'En la Biblia, Jesús convirtió el agua en vino. Pero luego Chuck Norris convirtió ese vino en ' +
+      'cerveza.',
+    // Chuck Norris is the only human being to display the Heisenberg uncertainty principle - you can never know both exactly where and how quickly he will roundhouse-kick you in the face.
+    'd0190e946606': 'Chuck Norris es el único ser humano que cumple el principio de incertidumbre de Heisenberg: ' +
+      'nunca puedes saber a la vez exactamente dónde y a qué velocidad te dará una patada giratoria en la cara.',
+    // Faster than a speeding bullet... More powerful than a locomotive... Able to leap tall buildings in a single bound... These are some of Chuck Norris's warm-up exercises.
+    '6341f99de2b4': 'Más rápido que una bala... Más potente que una locomotora... Capaz de saltar edificios altos de ' +
+      'un solo brinco... Estos son algunos de los ejercicios de calentamiento de Chuck Norris.',
+    // Chuck Norris is not hung like a horse. Horses are hung like Chuck Norris.
+    'c9ad161dfd93': 'Chuck Norris no está dotado como un caballo. Los caballos están dotados como Chuck Norris.',
+    // Teenage Mutant Ninja Turtles is based on a true story: Chuck Norris once swallowed a turtle whole, and when he crapped it out, the turtle was six feet tall and had learned karate.
+    'ae458a003b40': 'Las Tortugas Ninja están basadas en una historia real: Chuck Norris se tragó una vez una ' +
+      'tortuga entera y, cuando la cagó, la tortuga medía casi dos metros y había aprendido kárate.',
+    // Someone once tried to tell Chuck Norris that roundhouse kicks aren't the best way to kick someone. This has been recorded by historians as the worst mistake anyone has ever made.
+    'd8f56937f0a5': 'Alguien intentó una vez decirle a Chuck Norris que las patadas giratorias no son la mejor forma ' +
+      'de patear a alguien. Los historiadores lo han registrado como el peor error que nadie ha cometido jamás.',
+    // Chuck Norris has two speeds: Walk and Kill.
+    '004de7c9358d': 'Chuck Norris tiene dos velocidades: caminar y matar.',
+    // Chuck Norris once shot down a German fighter plane with his finger. By yelling "Bang!"
+    '1e996e0ee96a': 'Chuck Norris derribó una vez un caza alemán con el dedo. Gritando "¡Bang!"',
+    // The opening scene of the movie "Saving Private Ryan" is loosely based on games of dodgeball Chuck Norris played in second grade.
+    '9f5a432dec28': 'La escena inicial de la película "Salvar al soldado Ryan" está basada libremente en los ' +
+      'partidos de balón prisionero que Chuck Norris jugaba en segundo de primaria.',
+    // Fool me once, shame on you. Fool Chuck Norris once and he will roundhouse kick you in the face.
+    '932d807f9b07': 'Si me engañas una vez, la culpa es tuya. Si engañas una vez a Chuck Norris, te dará una patada ' +
+      'giratoria en la cara.',
+    // Chuck Norris originally appeared in the "Street Fighter II" video game, but was removed by Beta Testers because every button caused him to do a roundhouse kick. When asked about this glitch, Norris replied "That's no glitch."
+    '771dcf2d36f6': 'Chuck Norris aparecía originalmente en el videojuego "Street Fighter II", pero los probadores ' +
+      'de la beta lo quitaron porque cualquier botón le hacía dar una patada giratoria. Cuando le preguntaron por ' +
+      'ese fallo, Norris respondió: "Eso no es ningún fallo".',
+    // If you spell Chuck Norris in Scrabble, you win. Forever.
+    'cb5155dbd5f0': 'Si escribes Chuck Norris en el Scrabble, ganas. Para siempre.',
+    // Someone once videotaped Chuck Norris getting pissed off. It was called Walker: Texas Chain Saw Masacre.
+    '22199af3e7cf': 'Alguien grabó una vez a Chuck Norris enfadado. Se tituló Walker: La matanza de Texas.',
+    // Chuck Norris will attain statehood in 2009. His state flower will be the Magnolia.
+    '7607ecc0e22e': 'Chuck Norris se convertirá en estado en 2009. Su flor oficial será la magnolia.',
+    // A handicapped parking sign does not signify that this spot is for handicapped people. It is actually in fact a warning, that the spot belongs to Chuck Norris and that you will be handicapped if you park there.
+    '0a8d0be3d051': 'Una señal de aparcamiento para discapacitados no significa que la plaza sea para personas con ' +
+      'discapacidad. En realidad es una advertencia de que la plaza es de Chuck Norris y de que quedarás ' +
+      'discapacitado si aparcas ahí.',
+    // Chuck Norris doesn't wash his clothes. He disembowels them.
+    'dbc6cd44efe0': 'Chuck Norris no lava la ropa. La destripa.',
+    // Chuck Norris doesn't churn butter. He roundhouse kicks the cows and the butter comes straight out.
+    '8c90ea379967': 'Chuck Norris no bate la mantequilla. Les da una patada giratoria a las vacas y la mantequilla ' +
+      'sale directamente.',
+    // Police label anyone attacking Chuck Norris as a Code 45-11.... A suicide.
+    'b999cc3bab8a': 'La policía clasifica a cualquiera que ataque a Chuck Norris como un Código 45-11.... Un suicidio.',
+    // Chuck Norris is the only man to ever defeat a brick wall in a game of tennis.
+    '4055d9419e33': 'Chuck Norris es el único hombre que ha vencido a un frontón en un partido de tenis.',
+    // What was going through the minds of all of Chuck Norris' victims before they died? His shoe.
+    '86825035924a': '¿Qué se les pasó por la cabeza a todas las víctimas de Chuck Norris antes de morir? Su zapato.',
+    // Chuck Norris once ate three 72 oz. steaks in one hour. He spent the first 45 minutes having sex with his waitress.
+    '7f843f8d8c09': 'Chuck Norris se comió una vez tres filetes de dos kilos en una hora. Pasó los primeros 45 ' +
+      'minutos acostándose con la camarera.',
+    // There is no theory of evolution, just a list of creatures Chuck Norris allows to live.
+    '4519ca8f634b': 'No existe la teoría de la evolución, solo una lista de criaturas a las que Chuck Norris permite ' +
+      'vivir.',
+    // Chuck Norris can win a game of Connect Four in only three moves.
+    '4595d94b6304': 'Chuck Norris puede ganar una partida de Conecta 4 en solo tres movimientos.',
+    // CNN was originally created as the "Chuck Norris Network" to update Americans with on-the-spot ass kicking in real-time.
+    'f3fa431dca3b': 'La CNN se creó originalmente como la "Chuck Norris Network" para informar a los estadounidenses ' +
+      'de las palizas en directo y en tiempo real.',
+    // Chuck Norris invented Kentucky Fried Chicken's famous secret recipe with eleven herbs and spices. Nobody ever mentions the twelfth ingredient: Fear.
+    '7e69e56d4f02': 'Chuck Norris inventó la famosa receta secreta de Kentucky Fried Chicken con once hierbas y ' +
+      'especias. Nadie menciona nunca el duodécimo ingrediente: el miedo.',
+    // The quickest way to a man's heart is with Chuck Norris' fist.
+    '1ed44b6d8055': 'El camino más rápido al corazón de un hombre es el puño de Chuck Norris.',
+    // When Chuck Norris sends in his taxes, he sends blank forms and includes only a picture of himself, crouched and ready to attack. Chuck Norris has not had to pay taxes, ever.
+    '537232311199': 'Cuando Chuck Norris presenta la declaración de la renta, envía los formularios en blanco con ' +
+      'solo una foto suya, agachado y listo para atacar. Chuck Norris no ha tenido que pagar impuestos nunca.',
+    // Chuck Norris drives an ice cream truck covered in human skulls.
+    'f9e84b5e0ed0': 'Chuck Norris conduce un camión de helados cubierto de calaveras humanas.',
+    // Most people have 23 pairs of chromosomes. Chuck Norris has 72... and they're all poisonous.
+    '4a450f95bed3': 'La mayoría de la gente tiene 23 pares de cromosomas. Chuck Norris tiene 72... y todos son ' +
+      'venenosos.',
+    // The Great Wall of China was originally created to keep Chuck Norris out. It failed miserably.
+    '3c315fb2013f': 'La Gran Muralla China se construyó para mantener a Chuck Norris fuera. Fracasó estrepitosamente.',
+    // Chuck Norris is ten feet tall, weighs two-tons, breathes fire, and could eat a hammer and take a shotgun blast standing.
+    'a9b7d3b050e9': 'Chuck Norris mide tres metros, pesa dos toneladas, escupe fuego y podría comerse un martillo y ' +
+      'aguantar un disparo de escopeta de pie.',
+    // Crop circles are Chuck Norris' way of telling the world that sometimes corn needs to lie down.
+    'a1f4b6723627': 'Los círculos en los cultivos son la forma que tiene Chuck Norris de decirle al mundo que a ' +
+      'veces el maíz necesita tumbarse.',
+    // Chuck Norris once roundhouse kicked someone so hard that his foot broke the speed of light, went back in time, and killed Amelia Earhart while she was flying over the Pacific Ocean.
+    'c75abfe57b1a': 'Chuck Norris le dio una vez a alguien una patada giratoria tan fuerte que su pie superó la ' +
+      'velocidad de la luz, viajó atrás en el tiempo y mató a Amelia Earhart mientras sobrevolaba el océano Pacífico.',
+    // When Chuck Norris calls 1-900 numbers, he doesn't get charged. He holds up the phone and money falls out.
+    'b5e147b2fae2': 'Cuando Chuck Norris llama a números de tarificación especial, no le cobran. Sacude el teléfono ' +
+      'y se cae el dinero.',
+    // Chuck Norris once ate a whole cake before his friends could tell him there was a stripper in it.
+    '97840e60c8e5': 'Chuck Norris se comió una vez una tarta entera antes de que sus amigos pudieran decirle que ' +
+      'había una stripper dentro.',
+    // Some people like to eat frogs' legs. Chuck Norris likes to eat lizard legs. Hence, snakes.
+    'ac2f24cd6bff': 'A algunas personas les gusta comer ancas de rana. A Chuck Norris le gusta comer patas de ' +
+      'lagarto. Por eso existen las serpientes.',
+    // There are no races, only countries of people Chuck Norris has beaten to different shades of black and blue.
+    '001a71b00809': 'No existen las razas, solo países de gente a la que Chuck Norris ha molido a palos hasta ' +
+      'dejarla en distintos tonos de morado.',
+    // When Chuck Norris was denied an Egg McMuffin at McDonald's because it was 10:35, he roundhouse kicked the store so hard it became a Wendy's.
+    'b82c02e93ac5': 'Cuando a Chuck Norris le negaron un Egg McMuffin en McDonald\'s porque eran las 10:35, le dio ' +
+      'al local una patada giratoria tan fuerte que se convirtió en un Wendy\'s.',
+    // Chuck Norris can't finish a "color by numbers" because his markers are filled with the blood of his victims. Unfortunately, all blood is dark red.
+    '7321b6db350c': 'Chuck Norris no puede terminar un "colorea por números" porque sus rotuladores están llenos de ' +
+      'la sangre de sus víctimas. Por desgracia, toda la sangre es rojo oscuro.',
+    // A Chuck Norris-delivered Roundhouse Kick is the preferred method of execution in 16 states.
+    'e08fb3ac8dca': 'Una patada giratoria de Chuck Norris es el método de ejecución preferido en 16 estados.',
+    // When Chuck Norris falls in water, Chuck Norris doesn't get wet. Water gets Chuck Norris.
+    '0a410e5ce6cc': 'Cuando Chuck Norris cae al agua, Chuck Norris no se moja. El agua se Chuck-Norrisa.',
+    // Scientists have estimated that the energy given off during the Big Bang is roughly equal to 1CNRhK (Chuck Norris Roundhouse Kick).
+    '552689a86cb4': 'Los científicos calculan que la energía liberada durante el Big Bang equivale más o menos a 1 ' +
+      'PGCN (Patada Giratoria de Chuck Norris).',
+    // Chuck Norris' house has no doors, only walls that he walks through.
+    '17ed962afd5f': 'La casa de Chuck Norris no tiene puertas, solo paredes que atraviesa.',
+    // When Chuck Norris has sex with a man, it won't be because he is gay. It will be because he has run out of women.
+    '1d7789cc5efa': 'Cuando Chuck Norris se acueste con un hombre, no será porque sea gay. Será porque se le han ' +
+      'acabado las mujeres.',
+    // How much wood would a woodchuck chuck if a woodchuck could Chuck Norris? All of it.
+    '16be9eb7729e': '¿Cuánta madera roería una marmota si una marmota pudiera con Chuck Norris? Toda.',
+    // Chuck Norris doesn't actually write books, the words assemble themselves out of fear.
+    'f42459aa9533': 'En realidad Chuck Norris no escribe libros, las palabras se ordenan solas por miedo.',
+    // In honor of Chuck Norris, all McDonald's in Texas have an even larger size than the super-size. When ordering, just ask to be Chucksized.
+    '98eb3302002c': 'En honor a Chuck Norris, todos los McDonald\'s de Texas tienen un tamaño aún mayor que el ' +
+      'súper. Al pedir, basta con decir que lo quieres tamaño Chuck.',
+    // Chuck Norris can believe it's not butter.
+    '68d9391cc5c6': 'Chuck Norris sí puede creerse que no es mantequilla.',
+    // If tapped, a Chuck Norris roundhouse kick could power the country of Australia for 44 minutes.
+    '0e2517e4aacd': 'Si se aprovechara, una patada giratoria de Chuck Norris podría abastecer de energía a Australia ' +
+      'durante 44 minutos.',
+    // Chuck Norris can divide by zero.
+    'dbf0df2da85f': 'Chuck Norris puede dividir entre cero.',
+    // The grass is always greener on the other side, unless Chuck Norris has been there. In that case the grass is most likely soaked in blood and tears.
+    'f75741feb300': 'La hierba siempre es más verde al otro lado, a menos que Chuck Norris haya pasado por allí. En ' +
+      'ese caso, lo más probable es que la hierba esté empapada de sangre y lágrimas.',
+    // Newton's Third Law is wrong: Although it states that for each action, there is an equal and opposite reaction, there is no force equal in reaction to a Chuck Norris roundhouse kick.
+    '41c55be630af': 'La tercera ley de Newton está mal: aunque dice que a cada acción le corresponde una reacción ' +
+      'igual y opuesta, no hay fuerza capaz de reaccionar por igual a una patada giratoria de Chuck Norris.',
+    // Chuck Norris invented his own type of karate. It's called Chuck-Will-Kill.
+    '06d25d2f1a2f': 'Chuck Norris inventó su propio tipo de kárate. Se llama Chuck-Te-Mata.',
+    // When an episode of Walker Texas Ranger was aired in France, the French surrendered to Chuck Norris just to be on the safe side.
+    '0c3bbaa3101a': 'Cuando emitieron un episodio de Walker, Texas Ranger en Francia, los franceses se rindieron ' +
+      'ante Chuck Norris por si acaso.',
+    // While urinating, Chuck Norris is easily capable of welding titanium.
+    '1d749ef65a28': 'Mientras orina, Chuck Norris es perfectamente capaz de soldar titanio.',
+    // When Chuck Norris talks, everybody listens. And dies.
+    '2c0d358d4e30': 'Cuando Chuck Norris habla, todo el mundo escucha. Y muere.',
+    // When Steven Seagal kills a ninja, he only takes its hide. When Chuck Norris kills a ninja, he uses every part.
+    '1a0b6a612d31': 'Cuando Steven Seagal mata a un ninja, solo se queda con la piel. Cuando Chuck Norris mata a un ' +
+      'ninja, aprovecha todas las partes.',
+    // Wilt Chamberlain claims to have slept with more than 20,000 women in his lifetime. Chuck Norris calls this "a slow Tuesday."
+    '24c9d42a3a35': 'Wilt Chamberlain asegura haberse acostado con más de 20.000 mujeres a lo largo de su vida. ' +
+      'Chuck Norris lo llama "un martes flojo".',
+    // Contrary to popular belief, there is indeed enough Chuck Norris to go around.
+    '3b446a34a4d8': 'Contrariamente a lo que se cree, sí que hay Chuck Norris para todos.',
+    // Chuck Norris doesnt shave; he kicks himself in the face. The only thing that can cut Chuck Norris is Chuck Norris.
+    '95d02b250af7': 'Chuck Norris no se afeita; se da patadas en la cara. Lo único que puede cortar a Chuck Norris ' +
+      'es Chuck Norris.',
+    // For some, the left testicle is larger than the right one. For Chuck Norris, each testicle is larger than the other one.
+    'b1879c713aca': 'En algunos hombres, el testículo izquierdo es más grande que el derecho. En Chuck Norris, cada ' +
+      'testículo es más grande que el otro.',
+    // Chuck Norris always knows the EXACT location of Carmen SanDiego.
+    'd88ca2e3407a': 'Chuck Norris siempre sabe EXACTAMENTE dónde está Carmen Sandiego.',
+    // When taking the SAT, write "Chuck Norris" for every answer. You will score over 8000.
+    'c3417f71c89f': 'En el examen de acceso a la universidad, escribe "Chuck Norris" en todas las respuestas. ' +
+      'Sacarás más de 8000.',
+    // Chuck Norris invented black. In fact, he invented the entire spectrum of visible light. Except pink. Tom Cruise invented pink.
+    'a8042b097538': 'Chuck Norris inventó el negro. De hecho, inventó todo el espectro de la luz visible. Menos el ' +
+      'rosa. El rosa lo inventó Tom Cruise.',
+    // When you're Chuck Norris, anything + anything is equal to 1. One roundhouse kick to the face.
+    'f7f595166298': 'Cuando eres Chuck Norris, cualquier cosa + cualquier cosa es igual a 1. Una patada giratoria en ' +
+      'la cara.',
+    // Chuck Norris has the greatest Poker-Face of all time. He won the 1983 World Series of Poker, despite holding only a Joker, a Get out of Jail Free Monopoloy card, a 2 of clubs, 7 of spades and a green #4 card from the game UNO.
+    '5b10aae3df48': 'Chuck Norris tiene la mejor cara de póquer de todos los tiempos. Ganó las Series Mundiales de ' +
+      'Póquer de 1983 con solo un comodín, una tarjeta de "Queda libre de la cárcel" del Monopoly, un 2 de tréboles, ' +
+      'un 7 de picas y un 4 verde del UNO.',
+    // On his birthday, Chuck Norris randomly selects one lucky child to be thrown into the sun.
+    '2d6f9edc2724': 'En su cumpleaños, Chuck Norris elige al azar a un niño afortunado para lanzarlo al sol.',
+    // Nobody doesn't like Sara Lee. Except Chuck Norris.
+    'dd0f3712e66b': 'A todo el mundo le gusta Sara Lee. Menos a Chuck Norris.',
+    // Chuck Norris doesn't throw up if he drinks too much. Chuck Norris throws down!
+    '3ced74631a27': 'Chuck Norris no vomita si bebe demasiado. ¡Chuck Norris vomita hacia abajo y tumba a todos!',
+    // In the beginning there was nothing...then Chuck Norris Roundhouse kicked that nothing in the face and said "Get a job". That is the story of the universe.
+    'fa70bca6d101': 'Al principio no había nada... Entonces Chuck Norris le dio a esa nada una patada giratoria en ' +
+      'la cara y le dijo "Búscate un trabajo". Esa es la historia del universo.',
+    // Chuck Norris has 12 moons. One of those moons is the Earth.
+    '5e39246a36ac': 'Chuck Norris tiene 12 lunas. Una de ellas es la Tierra.',
+    // Chuck Norris grinds his coffee with his teeth and boils the water with his own rage.
+    '240ed7b23d38': 'Chuck Norris muele el café con los dientes y hierve el agua con su propia rabia.',
+    // Archeologists unearthed an old english dictionary dating back to the year 1236. It defined "victim" as "one who has encountered Chuck Norris"
+    '1641a367c990': 'Unos arqueólogos desenterraron un antiguo diccionario inglés del año 1236. Definía "víctima" ' +
+      'como "el que se ha topado con Chuck Norris".',
+    // Chuck Norris ordered a Big Mac at Burger King, and got one.
+    '49f643ca734a': 'Chuck Norris pidió un Big Mac en Burger King, y se lo dieron.',
+    // Chuck Norris and Mr. T walked into a bar. The bar was instantly destroyed, as that level of awesome cannot be contained in one building.
+    'a5350ed8a476': 'Chuck Norris y Mr. T entraron en un bar. El bar quedó destruido al instante, porque tanto nivel ' +
+      'de genialidad no cabe en un solo edificio.',
+    // If you Google search "Chuck Norris getting his ass kicked" you will generate zero results. It just doesn't happen.
+    'be088bc83c02': 'Si buscas en Google "Chuck Norris recibiendo una paliza" obtendrás cero resultados. Simplemente ' +
+      'no pasa.',
+    // Chuck Norris can drink an entire gallon of milk in thirty-seven seconds.
+    '1a4de7b523d0': 'Chuck Norris puede beberse casi cuatro litros de leche en treinta y siete segundos.',
+    // Little known medical fact: Chuck Norris invented the Caesarean section when he roundhouse-kicked his way out of his monther's womb.
+    '6ef10aa30d49': 'Dato médico poco conocido: Chuck Norris inventó la cesárea cuando salió a patadas giratorias ' +
+      'del vientre de su madre.',
+    // Chuck Norris doesn't bowl strikes, he just knocks down one pin and the other nine faint.
+    'd9d9e088d72e': 'Chuck Norris no hace plenos en los bolos, solo tira un bolo y los otros nueve se desmayan.',
+    // The show Survivor had the original premise of putting people on an island with Chuck Norris. There were no survivors, and nobody is brave enough to go to the island to retrieve the footage.
+    'bb2b2127ee3a': 'La idea original de Supervivientes era dejar a gente en una isla con Chuck Norris. No hubo ' +
+      'supervivientes, y nadie es lo bastante valiente para ir a la isla a recuperar las grabaciones.',
+    // It takes Chuck Norris 20 minutes to watch 60 Minutes.
+    '64284fa75bf9': 'Chuck Norris tarda 20 minutos en ver 60 Minutes.',
+    // You know how they say if you die in your dream then you will die in real life? In actuality, if you dream of death then Chuck Norris will find you and kill you.
+    '20f44c131a17': '¿Sabes eso de que si mueres en un sueño mueres en la vida real? En realidad, si sueñas con la ' +
+      'muerte, Chuck Norris te encontrará y te matará.',
+    // Chuck Norris has a deep and abiding respect for human life... unless it gets in his way.
+    '81e69aefeedd': 'Chuck Norris siente un profundo y duradero respeto por la vida humana... a menos que se le ' +
+      'cruce en el camino.',
+    // The Bermuda Triangle used to be the Bermuda Square, until Chuck Norris Roundhouse kicked one of the corners off.
+    '88029bfefc41': 'El Triángulo de las Bermudas antes era el Cuadrado de las Bermudas, hasta que Chuck Norris le ' +
+      'arrancó una esquina de una patada giratoria.',
+    // Chuck Norris doesn't believe in Germany.
+    '5ee7814f77ae': 'Chuck Norris no cree en Alemania.',
+    // When Chuck Norris is in a crowded area, he doesn't walk around people. He walks through them.
+    'e0ac772bfd0f': 'Cuando Chuck Norris está en un sitio abarrotado, no rodea a la gente. La atraviesa.',
+    // Chuck Norris once ate an entire bottle of sleeping pills. They made him blink.
+    '51b7320e4c84': 'Chuck Norris se tomó una vez un bote entero de somníferos. Le hicieron parpadear.',
+    // James Cameron wanted Chuck Norris to play the Terminator. However, upon reflection, he realized that would have turned his movie into a documentary, so he went with Arnold Schwarzenegger.
+    '8318f9f302c9': 'James Cameron quería que Chuck Norris fuera Terminator. Pero, pensándolo mejor, se dio cuenta ' +
+      'de que eso convertiría su película en un documental, así que eligió a Arnold Schwarzenegger.',
+    // Chuck Norris can touch MC Hammer.
+    'bb26974b37cf': 'Chuck Norris puede tocar a MC Hammer.',
+    // Thousands of years ago Chuck Norris came across a bear. It was so terrified that it fled north into the arctic. It was also so terrified that all of its decendents now have white hair.
+    '83b0160bd5b8': 'Hace miles de años, Chuck Norris se encontró con un oso. Se aterrorizó tanto que huyó al norte, ' +
+      'al Ártico. Y se aterrorizó tanto que todos sus descendientes tienen ahora el pelo blanco.',
+    // Chuck Norris played Russian Roulette with a fully loaded gun and won.
+    '1e64e8c765a6': 'Chuck Norris jugó a la ruleta rusa con el tambor lleno y ganó.',
+    // It takes 14 puppeteers to make Chuck Norris smile, but only 2 to make him destroy an orphanage.
+    '8d0f2b450d73': 'Hacen falta 14 titiriteros para que Chuck Norris sonría, pero solo 2 para que destruya un ' +
+      'orfanato.',
+    // Chuck Norris is responsible for China's over-population. He hosted a Karate tournament in Beijing and all women within 1,000 miles became pregnant instantly.
+    '66f08157fce9': 'Chuck Norris es el responsable de la superpoblación de China. Organizó un torneo de kárate en ' +
+      'Pekín y todas las mujeres en 1.600 kilómetros a la redonda se quedaron embarazadas al instante.',
+    // Some people wear Superman pajamas. Superman wears Chuck Norris pajamas.
+    '680040843267': 'Hay gente que lleva pijamas de Superman. Superman lleva pijamas de Chuck Norris.',
+    // Chuck Norris once worked as a weatherman for the San Diego evening news. Every night he would make the same forecast: Partly cloudy with a 75% chance of Pain.
+    'ceaa22a42ae4': 'Chuck Norris trabajó una vez como hombre del tiempo en las noticias de la tarde de San Diego. ' +
+      'Cada noche daba la misma previsión: parcialmente nuboso con un 75% de probabilidad de dolor.',
+    // Simply by pulling on both ends, Chuck Norris can stretch diamonds back into coal.
+    '68ea591ea6ae': 'Con solo tirar de los dos extremos, Chuck Norris puede estirar los diamantes hasta convertirlos ' +
+      'otra vez en carbón.',
+    // When Chuck Norris does a pushup, he isn't lifting himself up, he's pushing the Earth down.
+    '0cf1af3c9140': 'Cuando Chuck Norris hace una flexión, no se levanta a sí mismo, empuja la Tierra hacia abajo.',
+    // Chuck Norris invented the bolt-action rifle, liquor, sexual intercourse, and football-- in that order.
+    '226aaaf0700b': 'Chuck Norris inventó el rifle de cerrojo, el licor, el sexo y el fútbol americano, en ese orden.',
+    // A high tide means Chuck Norris is flying over your coast. The tide is caused by God pissing his pants.
+    '00cae70fd5c0': 'Una marea alta significa que Chuck Norris está sobrevolando tu costa. La marea la provoca Dios ' +
+      'al mearse encima.',
+    // Chuck Norris keeps his friends close and his enemies closer. Close enough to drop them with one round house kick to the face.
+    '7d98f7af4369': 'Chuck Norris tiene cerca a sus amigos y más cerca a sus enemigos. Lo bastante cerca para ' +
+      'tumbarlos con una patada giratoria en la cara.',
+    // There is in fact an 'I' in Norris, but there is no 'team'. Not even close.
+    '7cb109a5a050': 'En inglés, en "Norris" hay una "I" de yo, pero no hay "team" de equipo. Ni de lejos.',
+    // Scotty in Star Trek often says "Ye cannae change the laws of physics." This is untrue. Chuck Norris can change the laws of physics. With his fists.
+    '882c06ab2a39': 'En Star Trek, Scotty suele decir "No se pueden cambiar las leyes de la física". No es cierto. ' +
+      'Chuck Norris puede cambiar las leyes de la física. Con los puños.',
+    // An anagram for Walker Texas Ranger is KARATE WRANGLER SEX. I don't know what that is, but it sounds AWESOME.
+    '92b679e1fa1d': 'Un anagrama de Walker Texas Ranger es KARATE WRANGLER SEX. No sé qué es eso, pero suena GENIAL.',
+    // Chuck Norris doesn't stub his toes. He accidentally destroys chairs, bedframes, and sidewalks.
+    '77655d03607f': 'Chuck Norris no se golpea los dedos del pie. Destroza sin querer sillas, somieres y aceras.',
+    // Using his trademark roundhouse kick, Chuck Norris once made a fieldgoal in RJ Stadium in Tampa Bay from the 50 yard line of Qualcomm stadium in San Diego.
+    '0b5ec1819c28': 'Con su famosa patada giratoria, Chuck Norris metió una vez un gol de campo en el estadio RJ de ' +
+      'Tampa Bay desde la yarda 50 del estadio Qualcomm de San Diego.',
+    // Chuck Norris roundhouse kicks don't really kill people. They wipe out their entire existence from the space-time continuum.
+    'aaf329f256d7': 'Las patadas giratorias de Chuck Norris en realidad no matan a la gente. Borran toda su ' +
+      'existencia del continuo espacio-tiempo.',
+    // Chuck Norris does not own a stove, oven, or microwave , because revenge is a dish best served cold.
+    '13678f12dc46': 'Chuck Norris no tiene cocina, horno ni microondas, porque la venganza es un plato que se sirve ' +
+      'frío.',
+    // Tom Clancy has to pay royalties to Chuck Norris because "The Sum of All Fears" is the name of Chuck Norris' autobiography.
+    'bb1bce457d2b': 'Tom Clancy tiene que pagarle derechos a Chuck Norris porque "La suma de todos los miedos" es el ' +
+      'título de la autobiografía de Chuck Norris.',
+    // Chuck Norris can slam a revolving door.
+    '10dfffb3d742': 'Chuck Norris puede dar un portazo con una puerta giratoria.',
+    // Chuck Norris built a better mousetrap, but the world was too frightened to beat a path to his door.
+    '6abeb9553961': 'Chuck Norris construyó una ratonera mejor, pero el mundo tenía demasiado miedo para hacer cola ' +
+      'en su puerta.',
+    // The original draft of The Lord of the Rings featured Chuck Norris instead of Frodo Baggins. It was only 5 pages long, as Chuck roundhouse-kicked Sauron's ass halfway through the first chapter.
+    'ac06d5e1a510': 'El primer borrador de El Señor de los Anillos tenía a Chuck Norris en lugar de Frodo Bolsón. ' +
+      'Solo tenía 5 páginas, porque Chuck le dio a Sauron una patada giratoria en el culo a mitad del primer capítulo.',
+    // Hellen Keller's favorite color is Chuck Norris.
+    'e0ec52638274': 'El color favorito de Helen Keller es Chuck Norris.',
+    // Chuck Norris eats beef jerky and craps gunpowder. Then, he uses that gunpowder to make a bullet, which he uses to kill a cow and make more beef jerky. Some people refer to this as the "Circle of Life."
+    '4189c850f16d': 'Chuck Norris come cecina y caga pólvora. Luego usa esa pólvora para hacer una bala, con la que ' +
+      'mata a una vaca para hacer más cecina. Hay quien lo llama "el ciclo de la vida".',
+    // If, by some incredible space-time paradox, Chuck Norris would ever fight himself, he'd win. Period.
+    'e2211ca9e2ff': 'Si, por alguna increíble paradoja espacio-temporal, Chuck Norris se enfrentara a sí mismo, ' +
+      'ganaría. Punto.',
+    // Chuck Norris is currently suing myspace for taking the name of what he calls everything around you.
+    '0ec01e8b7791': 'Chuck Norris está demandando a Myspace por quedarse con el nombre con el que él llama a todo lo ' +
+      'que te rodea: "mi espacio".',
+    // The crossing lights in Chuck Norris's home town say "Die slowly" and "die quickly". They each have a picture of Chuck Norris punching or kicking a pedestrian.
+    '2263471181fd': 'Los semáforos de peatones del pueblo de Chuck Norris dicen "Muere despacio" y "Muere deprisa". ' +
+      'Cada uno tiene un dibujo de Chuck Norris pegando un puñetazo o una patada a un peatón.',
+    // Science Fact: Roundhouse kicks are comprised primarily of an element called Chucktanium.
+    'aba7f8179774': 'Dato científico: las patadas giratorias se componen principalmente de un elemento llamado ' +
+      'chucktanio.',
+    // Chuck Norris proved that we are alone in the universe. We weren't before his first space expedition.
+    '144c3723b04f': 'Chuck Norris demostró que estamos solos en el universo. Antes de su primera expedición espacial ' +
+      'no lo estábamos.',
+    // Superman once watched an episode of Walker, Texas Ranger. He then cried himself to sleep.
+    'f3d4bfaa8af9': 'Superman vio una vez un episodio de Walker, Texas Ranger. Después lloró hasta quedarse dormido.',
+    // Chuck Norris doesn't step on toes. Chuck Norris steps on necks.
+    'c7c4c12c56b0': 'Chuck Norris no pisa a nadie los pies. Chuck Norris pisa cuellos.',
+    // The movie "Delta Force" was extremely hard to make because Chuck had to downplay his abilities. The first few cuts were completely unbelievable.
+    '398902072163': 'La película "Delta Force" fue dificilísima de rodar porque Chuck tuvo que disimular sus ' +
+      'habilidades. Los primeros montajes eran completamente increíbles.',
+    // Movie trivia: The movie "Invasion U.S.A." is, in fact, a documentary.
+    '45cc34f943e3': 'Curiosidad de cine: la película "Invasión U.S.A." es, en realidad, un documental.',
+    // Chuck Norris does not "style" his hair. It lays perfectly in place out of sheer terror.
+    '3379bf0ccad9': 'Chuck Norris no se "peina". El pelo se queda perfectamente en su sitio de puro terror.',
+    // There is no such thing as global warming. Chuck Norris was cold, so he turned the sun up.
+    '1cc61ff7f132': 'El calentamiento global no existe. Chuck Norris tenía frío, así que subió el sol.',
+    // A study showed the leading causes of death in the United States are: 1. Heart disease, 2. Chuck Norris, 3. Cancer
+    '18b8b2fa4a40': 'Un estudio mostró que las principales causas de muerte en Estados Unidos son: 1. Enfermedades ' +
+      'cardíacas, 2. Chuck Norris, 3. Cáncer',
+    // It's widely believed that Jesus was Chuck Norris' stunt double for crucifixion due to the fact that it is impossible for nails to pierce Chuck Norris' skin.
+    'daf69aa9e5c8': 'Se cree que Jesús fue el doble de Chuck Norris en la crucifixión, porque es imposible que un ' +
+      'clavo atraviese la piel de Chuck Norris.',
+    // Chuck Norris did in fact, build Rome in a day.
+    'ea9f7c209399': 'Chuck Norris sí que construyó Roma en un día.',
+    // Along with his black belt, Chuck Norris often chooses to wear brown shoes. No one has DARED call him on it. Ever.
+    '1a5f14281acf': 'Con su cinturón negro, Chuck Norris suele ponerse zapatos marrones. Nadie se ha ATREVIDO a ' +
+      'decírselo. Nunca.',
+    // Once you go Norris, you are physically unable to go back.
+    '6a8f3f76fef8': 'Quien prueba a Norris, físicamente ya no puede volver atrás.',
+    // Ninjas want to grow up to be just like Chuck Norris. But usually they grow up just to be killed by Chuck Norris.
+    '06ca20df8172': 'Los ninjas quieren ser de mayores como Chuck Norris. Pero normalmente de mayores solo llegan a ' +
+      'que Chuck Norris los mate.',
+    // Chuck Norris once sued Burger King after they refused to put razor wire in his Whopper Jr, insisting that that actually is "his" way.
+    '6979034c0f15': 'Chuck Norris demandó una vez a Burger King porque se negaron a ponerle alambre de espino en su ' +
+      'Whopper Jr, e insistió en que esa es "su" manera.',
+    // The last thing you hear before Chuck Norris gives you a roundhouse kick? No one knows because dead men tell no tales.
+    '47bff3328896': '¿Qué es lo último que oyes antes de que Chuck Norris te dé una patada giratoria? Nadie lo sabe, ' +
+      'porque los muertos no cuentan cuentos.',
+    // Chuck Norris doesn't play god. Playing is for children.
+    '167f7385e588': 'Chuck Norris no juega a ser Dios. Jugar es cosa de niños.',
+    // As a teen, Chuck Norris had sex with every nun in a convent tucked away in the hills of Tuscany. Nine months later the nuns gave birth to the 1972 Miami Dolphins, the only undefeated and untied team in professional football history.
+    '2e3b4a4f17fc': 'De adolescente, Chuck Norris se acostó con todas las monjas de un convento escondido en las ' +
+      'colinas de la Toscana. Nueve meses después, las monjas dieron a luz a los Miami Dolphins de 1972, el único ' +
+      'equipo invicto y sin empates de la historia del fútbol americano profesional.',
+    // Chuck Norris is the only person in the world that can actually email a roundhouse kick.
+    '4c41cc53319f': 'Chuck Norris es la única persona del mundo que puede mandar una patada giratoria por correo ' +
+      'electrónico.',
+    // Chuck Norris won super bowls VII and VIII singlehandedly before unexpectedly retiring to pursue a career in ass-kicking.
+    '719c58cce291': 'Chuck Norris ganó él solo las Super Bowls VII y VIII antes de retirarse inesperadamente para ' +
+      'dedicarse a repartir patadas en el culo.',
+    // Wo hu cang long. The translation from Mandarin Chinese reads: "Crouching Chuck, Hidden Norris"
+    'd86c8c5b9380': 'Wo hu cang long. La traducción del chino mandarín dice: "Chuck agazapado, Norris oculto"',
+    // Chuck Norris can set ants on fire with a magnifying glass. At night.
+    '50cf4a741759': 'Chuck Norris puede quemar hormigas con una lupa. De noche.',
+    // Some kids play Kick the can. Chuck Norris played Kick the keg.
+    '644e10b40a01': 'Algunos niños juegan a dar patadas a una lata. Chuck Norris jugaba a dar patadas a un barril de ' +
+      'cerveza.',
+    // 'Icy-Hot' is too weak for Chuck Norris. After a workout, Chuck Norris rubs his muscles down with liquid-hot MAGMA.
+    '66d37213c361': 'El "Reflex" se le queda corto a Chuck Norris. Después de entrenar, Chuck Norris se frota los ' +
+      'músculos con MAGMA líquido.',
+    // Chuck Norris cannot love, he can only not kill.
+    '5d17d84243a2': 'Chuck Norris no puede amar, solo puede no matar.',
+    // When Chuck Norris was a baby, he didn't suck his mother's breast. His mother served him whiskey, straight out of the bottle.
+    '207ca1073433': 'De bebé, Chuck Norris no mamaba del pecho de su madre. Su madre le servía whisky, directamente ' +
+      'de la botella.',
+    // According to Einstein's theory of relativity, Chuck Norris can actually roundhouse kick you yesterday.
+    'd403d17e0ff8': 'Según la teoría de la relatividad de Einstein, Chuck Norris puede darte una patada giratoria ' +
+      'ayer.',
+    // Chuck Norris once pulled out a single hair from his beard and skewered three men through the heart with it.
+    '1278244a1cf7': 'Chuck Norris se arrancó una vez un pelo de la barba y con él atravesó el corazón de tres hombres.',
+    // In an act of great philanthropy, Chuck made a generous donation to the American Cancer Society. He donated 6,000 dead bodies for scientific research.
+    '23f04fc7b603': 'En un acto de gran filantropía, Chuck hizo una generosa donación a la Sociedad Americana contra ' +
+      'el Cáncer. Donó 6.000 cadáveres para la investigación científica.',
+    // Chuck Norris? favourite cut of meat is the roundhouse.
+    'f1cf2e5e0e4a': 'El corte de carne favorito de Chuck Norris es la patada giratoria.',
+    // When J. Robert Oppenheimer said "I am become death, the destroyer Of worlds", He was not referring to the atomic bomb. He was referring to the Chuck Norris halloween costume he was wearing.
+    '49af313f42f9': 'Cuando J. Robert Oppenheimer dijo "Me he convertido en la muerte, el destructor de mundos", no ' +
+      'se refería a la bomba atómica. Se refería al disfraz de Chuck Norris que llevaba en Halloween.',
+    // Chuck Norris recently had the idea to sell his urine as a canned beverage. We know this beverage as Red Bull.
+    '86a3ba74be71': 'A Chuck Norris se le ocurrió hace poco vender su orina en lata. Conocemos esa bebida como Red ' +
+      'Bull.',
+    // In a recent survey it was discovered the 94% of American women lost their virginity to Chuck Norris. The other 6% were incredibly fat or ugly.
+    '06bd3614e3aa': 'Una encuesta reciente descubrió que el 94% de las estadounidenses perdieron la virginidad con ' +
+      'Chuck Norris. El otro 6% eran increíblemente gordas o feas.',
+    // Chuck Norris invented a language that incorporates karate and roundhouse kicks. So next time Chuck Norris is kicking your ass, don?t be offended or hurt, he may be just trying to tell you he likes your hat.
+    '63a019ce3217': 'Chuck Norris inventó un idioma que incorpora kárate y patadas giratorias. Así que la próxima ' +
+      'vez que Chuck Norris te esté pateando el culo, no te ofendas: puede que solo intente decirte que le gusta tu ' +
+      'sombrero.',
+    // If at first you don't succeed, you're not Chuck Norris.
+    '6ed88c0b51ba': 'Si a la primera no lo consigues, no eres Chuck Norris.',
+    // If Chuck Norris were a calendar, every month would be named Chucktober, and every day he'd kick your ass.
+    '4208a8c1aaf1': 'Si Chuck Norris fuera un calendario, todos los meses se llamarían Chucktubre, y cada día te ' +
+      'patearía el culo.',
+    // Fear is not the only emotion Chuck Norris can smell. He can also detect hope, as in "I hope I don't get a roundhouse kick from Chuck Norris."
+    '0b4514e94118': 'El miedo no es la única emoción que Chuck Norris puede oler. También detecta la esperanza, como ' +
+      'en "Espero que Chuck Norris no me dé una patada giratoria".',
+    // # Chuck Norris's show is called Walker: Texas Ranger, because Chuck Norris doesn't run.
+    '1f1a15c401a5': '# La serie de Chuck Norris se llama Walker: Texas Ranger porque Chuck Norris no corre.',
+    // MacGyver can build an airplane out of gum and paper clips, but Chuck Norris can roundhouse-kick his head through a wall and take it.
+    '35eb6efbb416': 'MacGyver puede construir un avión con chicle y clips, pero Chuck Norris puede meterle la cabeza ' +
+      'en una pared de una patada giratoria y quedárselo.',
+    // Behind every successful man, there is a woman. Behind every dead man, there is Chuck Norris.
+    'ab37d3688b93': 'Detrás de cada gran hombre hay una mujer. Detrás de cada hombre muerto está Chuck Norris.',
+    // Chuck Norris brushes his teeth with a mixture of iron shavings, industrial paint remover, and wood-grain alcohol.
+    '7cbf1ab7a4a2': 'Chuck Norris se cepilla los dientes con una mezcla de virutas de hierro, decapante industrial y ' +
+      'alcohol de quemar.',
+    // The easiest way to determine Chuck Norris' age is to cut him in half and count the rings.
+    '4bc463e0c181': 'La forma más fácil de saber la edad de Chuck Norris es cortarlo por la mitad y contar los ' +
+      'anillos.',
+    // There is endless debate about the existence of the human soul. Well it does exist and Chuck Norris finds it delicious.
+    '5968ced9180d': 'Hay un debate interminable sobre la existencia del alma humana. Pues existe, y a Chuck Norris ' +
+      'le parece deliciosa.',
+    // Most boots are made for walkin'. Chuck Norris' boots ain't that merciful.
+    '2679db74137d': 'La mayoría de las botas están hechas para caminar. Las botas de Chuck Norris no son tan ' +
+      'compasivas.',
+    // The US did not boycott the 1980 Summer Olympics in Moscow due to political reasons: Chuck Norris killed the entire US team with a single round-house kick during TaeKwonDo practice.
+    '8a3c0cad74ff': 'EE. UU. no boicoteó los Juegos Olímpicos de Moscú de 1980 por razones políticas: Chuck Norris ' +
+      'mató a todo el equipo estadounidense con una sola patada giratoria en un entrenamiento de taekwondo.',
+    // Chuck Norris wears a live rattlesnake as a condom.
+    '9a4d9117277d': 'Chuck Norris usa una serpiente de cascabel viva como condón.',
+    // The Bible was originally titled "Chuck Norris and Friends"
+    'fe345fb8f023': 'El título original de la Biblia era "Chuck Norris y sus amigos"',
+    // Chuck Norris began selling the Total Gym as an ill-fated attempt to make his day-to-day opponents less laughably pathetic.
+    'e2cb13ced9a5': 'Chuck Norris empezó a vender el Total Gym en un intento fallido de que sus rivales de cada día ' +
+      'fueran algo menos ridículamente patéticos.',
+    // Do you know why Baskin Robbins only has 31 flavors? Because Chuck Norris doesn't like Fudge Ripple.
+    '35b0390eeb6a': '¿Sabes por qué Baskin Robbins solo tiene 31 sabores? Porque a Chuck Norris no le gusta el de ' +
+      'chocolate con vetas.',
+    // When Chuck Norris says "More cowbell", he MEANS it.
+    '6ddbf6756a79': 'Cuando Chuck Norris dice "Más cencerro", lo dice EN SERIO.',
+    // On the set of Walker Texas Ranger Chuck Norris brought a dying lamb back to life by nuzzling it with his beard. As the onlookers gathered, the lamb sprang to life. Chuck Norris then roundhouse kicked it, killing it instantly. This was just to prove that the good Chuck givet
+    'a765ce3e1031': 'En el rodaje de Walker, Texas Ranger, Chuck Norris devolvió la vida a un cordero moribundo ' +
+      'acariciándolo con la barba. Cuando se reunieron los curiosos, el cordero volvió a la vida de un salto. ' +
+      'Entonces Chuck Norris le dio una patada giratoria y lo mató al instante. Solo para demostrar que lo que el ' +
+      'buen Chuck da',
+    // Chuck Norris was what Willis was talkin' about.
+    '9ae0c6062cec': 'Chuck Norris era de lo que hablaba Willis.',
+    // Google won't search for Chuck Norris because it knows you don't find Chuck Norris, he finds you.
+    'fb51b7eb17eb': 'Google no busca a Chuck Norris porque sabe que a Chuck Norris no se le encuentra: él te ' +
+      'encuentra a ti.',
+    // Chuck Norris can lead a horse to water AND make it drink.
+    '3bb18959e8ee': 'Chuck Norris puede llevar un caballo al agua Y hacer que beba.',
+    // Nagasaki never had a bomb dropped on it. Chuck Norris jumped out of a plane and punched the ground
+    'c459aae6ea4c': 'Sobre Nagasaki nunca cayó una bomba. Chuck Norris saltó de un avión y le dio un puñetazo al suelo',
+    // It is scientifically impossible for Chuck Norris to have had a mortal father. The most popular theory is that he went back in time and fathered himself.
+    '843bf72ebe65': 'Es científicamente imposible que Chuck Norris tuviera un padre mortal. La teoría más popular es ' +
+      'que viajó atrás en el tiempo y se engendró a sí mismo.',
+    // Chuck Norris destroyed the periodic table, because Chuck Norris only recognizes the element of surprise.
+    'ceb6ee265ddb': 'Chuck Norris destruyó la tabla periódica, porque Chuck Norris solo reconoce el factor sorpresa.',
+    // It is believed dinosaurs are extinct due to a giant meteor. That's true if you want to call Chuck Norris a giant meteor.
+    'd3fb7a8f67f0': 'Se cree que los dinosaurios se extinguieron por un meteorito gigante. Es verdad, si quieres ' +
+      'llamar a Chuck Norris meteorito gigante.',
+    // Chuck Norris shot the sheriff, but he round house kicked the deputy.
+    '46c70d787bd4': 'Chuck Norris disparó al sheriff, pero al ayudante le dio una patada giratoria.',
+    // That's not Chuck Norris doing push-ups -- that's Chuck Norris moving the Earth away from the path of a deadly asteroid.
+    '495fef08a74f': 'Eso no es Chuck Norris haciendo flexiones: es Chuck Norris apartando la Tierra de la ' +
+      'trayectoria de un asteroide mortal.',
+    // Chuck Norris can judge a book by its cover.
+    'a7d074345e87': 'Chuck Norris puede juzgar un libro por su portada.',
+    // Nothing can escape the gravity of a black hole, except for Chuck Norris. Chuck Norris eats black holes. They taste like chicken.
+    '7e662bda5d5f': 'Nada escapa a la gravedad de un agujero negro, excepto Chuck Norris. Chuck Norris se come los ' +
+      'agujeros negros. Saben a pollo.',
+    // Chuck Norris does not play the lottery. It doesn't have nearly enough balls.
+    '8af5e0e61eb8': 'Chuck Norris no juega a la lotería. No tiene ni de lejos suficientes bolas.',
+    // How many Chuck Norris' does it take to change a light bulb? None, Chuck Norris prefers to kill in the dark.
+    '362896cc7593': '¿Cuántos Chuck Norris hacen falta para cambiar una bombilla? Ninguno, Chuck Norris prefiere ' +
+      'matar a oscuras.',
+    // As President Roosevelt said: "We have nothing to fear but fear itself. And Chuck Norris."
+    '7a175a0a47d1': 'Como dijo el presidente Roosevelt: "Lo único que debemos temer es al miedo mismo. Y a Chuck ' +
+      'Norris."',
+    // Chuck Norris just says "no" to drugs. If he said "yes", it would collapse Colombia's infrastructure.
+    '8d5338b4a49a': 'Chuck Norris simplemente dice "no" a las drogas. Si dijera "sí", se hundiría la infraestructura ' +
+      'de Colombia.',
+    // Crime does not pay - unless you are an undertaker following Walker, Texas Ranger, on a routine patrol.
+    '54fa976a2d53': 'El crimen no compensa, a menos que seas un enterrador que sigue a Walker, Texas Ranger, en una ' +
+      'patrulla rutinaria.',
+    // Chuck Norris invented the internet? just so he had a place to store his porn.
+    'dba6a65fe9ff': 'Chuck Norris inventó internet solo para tener un sitio donde guardar su porno.',
+    // Chuck Norris does not own a house. He walks into random houses and people move.
+    '3ef0c28e8dd3': 'Chuck Norris no tiene casa. Entra en casas al azar y la gente se muda.',
+    // It is better to give than to receive. This is especially true of a Chuck Norris roundhouse kick.
+    '7e187dd46476': 'Más vale dar que recibir. Sobre todo si se trata de una patada giratoria de Chuck Norris.',
+    // Chuck Norris is the only person to ever win a staring contest against Ray Charles and Stevie Wonder.
+    'e655c3078bd2': 'Chuck Norris es la única persona que ha ganado un concurso de miradas a Ray Charles y Stevie ' +
+      'Wonder.',
+    // Industrial logging isn't the cause of deforestation. Chuck Norris needs toothpicks.
+    'c1c91da002d3': 'La tala industrial no es la causa de la deforestación. Chuck Norris necesita palillos de dientes.',
+    // Chuck Norris smells what the Rock is cooking... because the Rock is Chuck Norris' personal chef.
+    '31900790b40e': 'Chuck Norris huele lo que está cocinando The Rock... porque The Rock es el chef personal de ' +
+      'Chuck Norris.',
+    // When Chuck Norris plays Oregon Trail, his family does not die from cholera or dysentery, but rather, roundhouse kicks to the face. He also requires no wagon, since he carries the oxen, axels, and buffalo meat on his back. He always makes it to Oregon before you.
+    'e51831af2590': 'Cuando Chuck Norris juega a Oregon Trail, su familia no muere de cólera ni de disentería, sino ' +
+      'de patadas giratorias en la cara. Tampoco necesita carreta, porque lleva los bueyes, los ejes y la carne de ' +
+      'búfalo a la espalda. Siempre llega a Oregón antes que tú.',
+    // Chuck Norris is the reason why Waldo is hiding.
+    '10c73fbf4312': 'Chuck Norris es la razón por la que Wally se esconde.',
+    // "Brokeback Mountain" is not just a movie. It's also what Chuck Norris calls the pile of dead ninjas in his front yard.
+    'cd6461258f83': '"Brokeback Mountain" no es solo una película. También es como llama Chuck Norris a la montaña ' +
+      'de ninjas muertos de su jardín.',
+    // When God said, "let there be light", Chuck Norris said, "say 'please'."
+    '80ada94714d3': 'Cuando Dios dijo "Hágase la luz", Chuck Norris dijo "Se dice \'por favor\'".',
+    // Chuck Norris does not eat. Food understands that the only safe haven from Chuck Norris' fists is inside his own body.
+    '2ca21a575f1d': 'Chuck Norris no come. La comida entiende que el único refugio seguro frente a los puños de ' +
+      'Chuck Norris es dentro de su propio cuerpo.',
+    // One day Chuck Norris walked down the street with a massive erection. There were no survivors.
+    '54fb3ad4dd3f': 'Un día Chuck Norris iba por la calle con una erección enorme. No hubo supervivientes.',
+    // Chuck Norris built a time machine and went back in time to stop the JFK assassination. As Oswald shot, Chuck met all three bullets with his beard, deflecting them. JFK's head exploded out of sheer amazement.
+    '68d79d93225e': 'Chuck Norris construyó una máquina del tiempo y viajó al pasado para impedir el asesinato de ' +
+      'JFK. Cuando Oswald disparó, Chuck paró las tres balas con la barba y las desvió. A JFK le explotó la cabeza ' +
+      'de puro asombro.',
+    // Chuck Norris uses a night light. Not because Chuck Norris is afraid of the dark, but the dark is afraid of Chuck Norris.
+    'e3142b2c914b': 'Chuck Norris duerme con una lucecita encendida. No porque Chuck Norris tenga miedo a la ' +
+      'oscuridad, sino porque la oscuridad le tiene miedo a Chuck Norris.',
+    // When Bruce Banner gets mad, he turns into the Hulk. When the Hulk gets mad, he turns into Chuck Norris.
+    '339ff5ac5b25': 'Cuando Bruce Banner se enfada, se convierte en Hulk. Cuando Hulk se enfada, se convierte en ' +
+      'Chuck Norris.',
+    // Chuck Norris kills anyone that asks: "Do you want fries with that?". Because by now everyone should know that Chuck doesn't want fries with anything. Ever.
+    '85b1f24d3420': 'Chuck Norris mata a cualquiera que le pregunte "¿Lo quiere con patatas?". Porque a estas ' +
+      'alturas todo el mundo debería saber que Chuck no quiere patatas con nada. Nunca.',
+    // Chuck Norris once kicked a horse in the chin. Its decendants are known today as Giraffes.
+    'dc5fd3061672': 'Chuck Norris le dio una vez una patada a un caballo en la barbilla. Hoy a sus descendientes se ' +
+      'les conoce como jirafas.',
+    // Sticks and stones may break your bones, but a Chuck Norris glare will liquefy your kidneys.
+    '764f135d9031': 'Los palos y las piedras pueden romperte los huesos, pero una mirada de Chuck Norris te licúa ' +
+      'los riñones.',
+    // Human cloning is outlawed because of Chuck Norris, because then it would be possible for a Chuck Norris roundhouse kick to meet another Chuck Norris roundhouse kick. Physicists theorize that this contact would end the universe.
+    '8768fff5fe57': 'La clonación humana está prohibida por culpa de Chuck Norris, porque entonces una patada ' +
+      'giratoria de Chuck Norris podría encontrarse con otra patada giratoria de Chuck Norris. Los físicos creen que ' +
+      'ese contacto acabaría con el universo.',
+    // Chuck Norris once went skydiving, but promised never to do it again. One Grand Canyon is enough.
+    '529558ff2e3b': 'Chuck Norris hizo paracaidismo una vez, pero prometió no volver a hacerlo. Con un Gran Cañón ' +
+      'basta.',
+    // Chuck Norris's version of a "chocolate milkshake" is a raw porterhouse wrapped around ten Hershey bars, and doused in diesel fuel.
+    '5198bcd948cb': 'La versión de Chuck Norris de un "batido de chocolate" es un chuletón crudo envuelto alrededor ' +
+      'de diez tabletas de Hershey y rociado con gasóleo.',
+    // In a fight between Batman and Darth Vader, the winner would be Chuck Norris.
+    'e94e83a19f60': 'En una pelea entre Batman y Darth Vader, el ganador sería Chuck Norris.',
+    // Chuck Norris puts his pants on one leg at a time, just like the rest of us. The only difference is, then he kills people.
+    '21846dc68710': 'Chuck Norris se pone los pantalones pierna a pierna, como todos. La única diferencia es que ' +
+      'después mata gente.',
+    // Everybody loves Raymond. Except Chuck Norris.
+    '1ca328a38a55': 'Todo el mundo quiere a Raymond. Menos Chuck Norris.',
+    // Contrary to popular belief, the Titanic didn't hit an iceberg. The ship was off course and ran into Chuck Norris while he was doing the backstroke across the Atlantic.
+    'cd76c413f186': 'Contrariamente a lo que se cree, el Titanic no chocó con un iceberg. El barco se desvió y se ' +
+      'estrelló contra Chuck Norris mientras cruzaba el Atlántico a espalda.',
+    // Chuck Norris got his drivers license at the age of 16. Seconds.
+    'e5ab7d28cbdc': 'Chuck Norris se sacó el carné de conducir a los 16. Segundos.',
+    // The original title for Alien vs. Predator was Alien and Predator vs Chuck Norris. The film was cancelled shortly after going into preproduction. No one would pay nine dollars to see a movie fourteen seconds long.
+    '912a3e0a0b89': 'El título original de Alien vs. Predator era Alien y Predator vs. Chuck Norris. La película se ' +
+      'canceló poco después de empezar la preproducción. Nadie pagaría nueve dólares por ver una película de catorce ' +
+      'segundos.',
+    // Chuck Norris? sperm is so badass, he had sex with Nicole Kidman, and 7 months later she prematurely gave birth to a Ford Excursion.
+    '3b3374d0b28d': 'El esperma de Chuck Norris es tan bestia que se acostó con Nicole Kidman y 7 meses después ella ' +
+      'dio a luz prematuramente a un Ford Excursion.',
+    // Chuck Norris can win at solitaire with only 18 cards.
+    '4c08acf47bba': 'Chuck Norris puede ganar al solitario con solo 18 cartas.',
+    // Chuck Norris once shat blood - the blood of 11,940 natives he had killed and eaten.
+    '28c6530f070d': 'Chuck Norris cagó sangre una vez: la sangre de 11.940 nativos a los que había matado y devorado.',
+    // Maslow's theory of higher needs does not apply to Chuck Norris. He only has two needs: killing people and finding people to kill.
+    '5c4bfe375d7f': 'La pirámide de necesidades de Maslow no se aplica a Chuck Norris. Él solo tiene dos ' +
+      'necesidades: matar gente y encontrar gente a la que matar.',
+    // The truth will set you free. Unless Chuck Norris has you, in which case, forget it buddy!
+    '362729911a2b': 'La verdad os hará libres. A menos que Chuck Norris te tenga atrapado, en cuyo caso, ¡olvídalo, ' +
+      'colega!',
+    // Kryptonite has been found to contain trace elements of Chuck Norris roundhouse kicks to the face. This is why it is so deadly to Superman.
+    'c32af54aeb17': 'Se ha descubierto que la kryptonita contiene trazas de patadas giratorias de Chuck Norris en la ' +
+      'cara. Por eso es tan mortal para Superman.',
+    // Saddam Hussein was not found hiding in a "hole." Saddam was roundhouse-kicked in the head by Chuck Norris in Kansas, which sent him through the earth, stopping just short of the surface of Iraq.
+    '4a422ee43766': 'A Sadam Husein no lo encontraron escondido en un "agujero". Chuck Norris le dio una patada ' +
+      'giratoria en la cabeza en Kansas que lo mandó a través de la Tierra hasta quedarse justo debajo de la ' +
+      'superficie de Irak.',
+    // Coroners refer to dead people as "ABC's". Already Been Chucked.
+    '5c2a8c4d7000': 'Los forenses llaman a los muertos "YCN": Ya Chuck-Norriseados.',
+    // Chuck Norris doesn't look both ways before he crosses the street... he just roundhouses any cars that get too close.
+    '5e4602375ce5': 'Chuck Norris no mira a los dos lados antes de cruzar la calle... simplemente da una patada ' +
+      'giratoria a cualquier coche que se acerque demasiado.',
+    // Chuck Norris does not have to answer the phone. His beard picks up the incoming electrical impulses and translates them into audible sound.
+    '790fd6004d0b': 'Chuck Norris no tiene que coger el teléfono. Su barba capta los impulsos eléctricos entrantes y ' +
+      'los convierte en sonido audible.',
+    // How many roundhouse kicks does it take to get to the center of a tootsie pop? Just one. From Chuck Norris.
+    '7c0a01b34a65': '¿Cuántas patadas giratorias hacen falta para llegar al centro de un chupa chups? Solo una. De ' +
+      'Chuck Norris.',
+    // Chuck Norris doesnt wear a watch, HE decides what time it is.
+    '51ba5b98418f': 'Chuck Norris no lleva reloj, ÉL decide qué hora es.',
+    // The phrase 'break a leg' was originally coined by Chuck Norris's co-stars in Walker, Texas Ranger as a good luck charm, indicating that a broken leg might be the worst extent of their injuries. This never proved to be the case.
+    '2b2e99c80454': 'La expresión "rómpete una pierna" la acuñaron los compañeros de reparto de Chuck Norris en ' +
+      'Walker, Texas Ranger como amuleto de buena suerte, con la esperanza de que una pierna rota fuera lo peor que ' +
+      'les pasara. Nunca fue así.',
+    // When Chuck Norris does division, there are no remainders.
+    'ca7868f60249': 'Cuando Chuck Norris divide, no queda resto.',
+    // If you rearrange the letters in "Chuck Norris", they also spell "Crush Rock In". The words "with his fists" are understood.
+    '4c18ac8333d5': 'Si reordenas las letras de "Chuck Norris", en inglés también se lee "Crush Rock In", aplasta la ' +
+      'roca. Lo de "con los puños" se sobreentiende.',
+    // Never look a gift Chuck Norris in the mouth, because he will bite your damn eyes off.
+    '8c1ad91873ff': 'A Chuck Norris regalado no le mires el diente, porque te arrancará los ojos de un mordisco.',
+    // Chuck Norris used to play baseball. When Babe Ruth was hailed as the better player, Chuck Norris killed him with a baseball bat to the throat. Lou Gehrig got off easy.
+    'ac5e37de0e68': 'Chuck Norris jugaba al béisbol. Cuando aclamaron a Babe Ruth como mejor jugador, Chuck Norris ' +
+      'lo mató con un batazo en la garganta. Lou Gehrig salió bien parado.',
+    // The original title for Star Wars was "Skywalker: Texas Ranger". Starring Chuck Norris.
+    '8608c998f1fa': 'El título original de La guerra de las galaxias era "Skywalker: Texas Ranger". Protagonizada ' +
+      'por Chuck Norris.',
+    // Guantuanamo Bay, Cuba, is the military code-word for "Chuck Norris' basement".
+    '4815b4643675': 'Bahía de Guantánamo, Cuba, es el nombre en clave militar de "el sótano de Chuck Norris".',
+    // The phrase 'balls to the wall' was originally conceived to describe Chuck Norris entering any building smaller than an aircraft hangar.
+    '816d651f0881': 'La expresión "a todo gas" se inventó para describir a Chuck Norris entrando en cualquier ' +
+      'edificio más pequeño que un hangar.',
+    // Chuck Norris? roundhouse kick is so powerful, it can be seen from outer space by the naked eye.
+    '8be9d49dce77': 'La patada giratoria de Chuck Norris es tan potente que se puede ver a simple vista desde el ' +
+      'espacio.',
+    // Ozzy Osbourne bites the heads off of bats. Chuck Norris bites the heads off of Siberian Tigers.
+    '656a518499a3': 'Ozzy Osbourne les arranca la cabeza a los murciélagos de un mordisco. Chuck Norris se la ' +
+      'arranca a los tigres siberianos.',
+    // He who lives by the sword, dies by the sword. He who lives by Chuck Norris, dies by the roundhouse kick.
+    '3936979a04f3': 'Quien a hierro mata, a hierro muere. Quien vive de Chuck Norris, muere de una patada giratoria.',
+    // The best-laid plans of mice and men often go awry. Even the worst-laid plans of Chuck Norris come off without a hitch.
+    '46da02310aba': 'Los planes mejor trazados de ratones y hombres a menudo salen mal. Hasta los peores planes de ' +
+      'Chuck Norris salen sin un solo fallo.',
+    // The phrase 'dead ringer' refers to someone who sits behind Chuck Norris in a movie theater and forgets to turn their cell phone off.
+    '27960a1a1aaf': 'La expresión "un timbre de muerto" se refiere a quien se sienta detrás de Chuck Norris en el ' +
+      'cine y se olvida de apagar el móvil.',
+    // Staring at Chuck Norris for extended periods of time without proper eye protection will cause blindess, and possibly foot sized brusies on the face.
+    '391f6366cf4c': 'Mirar a Chuck Norris durante mucho rato sin protección ocular adecuada provoca ceguera y, ' +
+      'posiblemente, moratones del tamaño de un pie en la cara.',
+    // Chuck Norris can taste lies.
+    '17b45a89bd8a': 'Chuck Norris puede saborear las mentiras.',
+    // Chuck Norris does not kick ass and take names. In fact, Chuck Norris kicks ass and assigns the corpse a number. It is currently recorded to be in the billions.
+    '231e1e7e970f': 'Chuck Norris no patea culos y apunta nombres. De hecho, Chuck Norris patea culos y le asigna un ' +
+      'número al cadáver. Ahora mismo va por los miles de millones.',
+    // One time, Chuck Norris accidentally stubbed his toe. It destroyed the entire state of Ohio.
+    '57a622bbd041': 'Una vez, Chuck Norris se golpeó sin querer el dedo del pie. Destruyó todo el estado de Ohio.',
+    // Little Miss Muffet sat on her tuffet, until Chuck Norris roundhouse kicked her into a glacier.
+    'b9699896e813': 'La pequeña señorita Muffet se sentó en su cojín, hasta que Chuck Norris le dio una patada ' +
+      'giratoria que la mandó a un glaciar.',
+    // Chuck Norris can blow bubbles with beef jerky.
+    '5e708826f2c9': 'Chuck Norris puede hacer pompas con cecina.',
+    // They had to edit the first ending of 'Lone Wolf McQuade' after Chuck Norris kicked David Carradine's ass, then proceeded to barbecue and eat him.
+    'ffbd42892904': 'Tuvieron que cambiar el primer final de "McQuade, lobo solitario" después de que Chuck Norris ' +
+      'le pateara el culo a David Carradine y luego lo asara a la barbacoa y se lo comiera.',
+    // Chuck Norris does, in fact, live in a round house.
+    '27c597eb7d66': 'Chuck Norris, de hecho, vive en una casa redonda. Giratoria, claro.',
+    // 4 out of 5 doctors fail to recommend Chuck Norris as a solution to most problems. Also, 80% of doctors die unexplained, needlessly brutal deaths.
+    'abcd3c6a9519': '4 de cada 5 médicos no recomiendan a Chuck Norris como solución a la mayoría de los problemas. ' +
+      'Además, el 80% de los médicos mueren de forma inexplicable y brutal sin necesidad.',
+    // Chuck Norris can skeletize a cow in two minutes.
+    '757ab10d285a': 'Chuck Norris puede dejar una vaca en los huesos en dos minutos.',
+    // The only sure things are Death and Taxes?and when Chuck Norris goes to work for the IRS, they'll be the same thing.
+    '744a4c4f8b37': 'Las únicas cosas seguras son la muerte y los impuestos, y cuando Chuck Norris entre a trabajar ' +
+      'en Hacienda, serán la misma cosa.',
+    // Chuck Norris' first job was as a paperboy. There were no survivors.
+    'b6e16af87d43': 'El primer trabajo de Chuck Norris fue de repartidor de periódicos. No hubo supervivientes.',
+    // With the rising cost of gasoline, Chuck Norris is beginning to worry about his drinking habit.
+    '36149186dbd5': 'Con la subida del precio de la gasolina, Chuck Norris empieza a preocuparse por lo que bebe.',
+    // The square root of Chuck Norris is pain. Do not try to square Chuck Norris, the result is death.
+    '246fb11747a6': 'La raíz cuadrada de Chuck Norris es el dolor. No intentes elevar a Chuck Norris al cuadrado, el ' +
+      'resultado es la muerte.',
+    // Chuck Norris' testicles do not produce sperm. They produce tiny white ninjas that recognize only one mission: seek and destroy.
+    '8c947b8ab395': 'Los testículos de Chuck Norris no producen espermatozoides. Producen diminutos ninjas blancos ' +
+      'que solo conocen una misión: buscar y destruir.',
+    // To be or not to be? That is the question. The answer? Chuck Norris.
+    'f6e0527c8918': '¿Ser o no ser? Esa es la cuestión. ¿La respuesta? Chuck Norris.',
+    // Chuck Norris has never been in a fight, ever. Do you call one roundhouse kick to the face a fight?
+    'f49341e0ce0c': 'Chuck Norris no se ha peleado nunca. ¿Llamas pelea a una patada giratoria en la cara?',
+    // There are two types of people in the world... people that suck, and Chuck Norris.
+    '448fef294786': 'Hay dos tipos de personas en el mundo... las que dan pena y Chuck Norris.',
+    // Chuck Norris never wet his bed as a child. The bed wet itself out of fear.
+    '3df28c6a1e30': 'De niño, Chuck Norris nunca mojó la cama. La cama se mojaba sola de miedo.',
+    // If you were somehow able to land a punch on Chuck Norris your entire arm would shatter upon impact. This is only in theory, since, come on, who in their right mind would try this?
+    '25e3aeebf4d8': 'Si de algún modo lograras darle un puñetazo a Chuck Norris, se te haría añicos el brazo entero ' +
+      'con el impacto. Esto es solo en teoría, porque, vamos, ¿quién en su sano juicio lo intentaría?',
+    // 70% of a human's weight is water. 70% of Chuck Norris' weight is his dick.
+    'ba8fdc7e8934': 'El 70% del peso de un ser humano es agua. El 70% del peso de Chuck Norris es su polla.',
+    // Jean-Claude Van Damme once kicked Chuck Norris' ass. He was then awakened from his dream by a roundhouse kick to the face.
+    '3f3e7750e291': 'Jean-Claude Van Damme le pateó una vez el culo a Chuck Norris. Luego lo despertó de su sueño ' +
+      'una patada giratoria en la cara.',
+    // The pie scene in "American Pie" is based on a dare Chuck Norris took when he was younger. However, in Chuck Norris' case, the "pie" was the molten crater of an active volcano.
+    'a8be9a42ef2e': 'La escena de la tarta de "American Pie" está basada en un reto que aceptó Chuck Norris de ' +
+      'joven. Solo que, en su caso, la "tarta" era el cráter fundido de un volcán activo.',
+    // Chuck Norris uses 8'x10' sheets of plywood as toilet paper.
+    '16c5c8c79a3e': 'Chuck Norris usa tableros de contrachapado de 2,5 x 3 metros como papel higiénico.',
+    // Noah was the only man notified before Chuck Norris relieved himself in the Atlantic Ocean.
+    '801a655c4ee3': 'Noé fue el único hombre al que avisaron antes de que Chuck Norris hiciera sus necesidades en el ' +
+      'océano Atlántico.',
+    // MacGyver immediately tried to make a bomb out of some Q-Tips and Gatorade, but Chuck Norris roundhouse-kicked him in the solar plexus. MacGyver promptly threw up his own heart.
+    '429275b1e903': 'MacGyver intentó enseguida fabricar una bomba con unos bastoncillos y Gatorade, pero Chuck ' +
+      'Norris le dio una patada giratoria en el plexo solar. MacGyver vomitó su propio corazón en el acto.',
+    // Jack Bauer tried to use his detailed knowledge of torture techniques, but to no avail: Chuck Norris thrives on pain. Chuck Norris then ripped off Jack Bauer's arm and beat him to death with it. Game, set, match.
+    '5e520103fb18': 'Jack Bauer intentó usar su amplio conocimiento de técnicas de tortura, pero fue inútil: Chuck ' +
+      'Norris se crece con el dolor. Luego Chuck Norris le arrancó el brazo a Jack Bauer y lo mató a golpes con él. ' +
+      'Juego, set y partido.',
+    // Chuck Norris eats steak for every single meal. Most times he forgets to kill the cow.
+    '07b5d02ca9c3': 'Chuck Norris come filete en todas las comidas. La mayoría de las veces se le olvida matar a la ' +
+      'vaca.',
+    // The First Law of Thermodynamics states that energy can neither be created nor destroyed... unless it meets Chuck Norris.
+    '4df2c6a4079a': 'La primera ley de la termodinámica dice que la energía no se crea ni se destruye... a menos que ' +
+      'se tope con Chuck Norris.',
+    // Chuck Norris doesn't go on the internet, he has every internet site stored in his memory. He refreshes webpages by blinking.
+    '263815784aca': 'Chuck Norris no se conecta a internet, tiene todas las webs guardadas en la memoria. Recarga ' +
+      'las páginas parpadeando.',
+    // It is said that looking into Chuck Norris' eyes will reveal your future. Unfortunately, everybody's future is always the same: death by a roundhouse-kick to the face.
+    'aad83ad0584c': 'Dicen que mirar a Chuck Norris a los ojos te revela el futuro. Por desgracia, el futuro de todo ' +
+      'el mundo es siempre el mismo: morir de una patada giratoria en la cara.',
+    // Chuck Norris knows everything there is to know - Except for the definition of mercy.
+    '453e3828a655': 'Chuck Norris lo sabe todo, menos la definición de piedad.',
+    // Scientifically speaking, it is impossible to charge Chuck Norris with "obstruction of justice." This is because even Chuck Norris cannot be in two places at the same time.
+    '39031bfe2d40': 'Científicamente hablando, es imposible acusar a Chuck Norris de "obstrucción a la justicia". ' +
+      'Porque ni siquiera Chuck Norris puede estar en dos sitios a la vez.',
+    // Chuck Norris never has to wax his skis because they're always slick with blood.
+    'b3d5c483b9f3': 'Chuck Norris nunca tiene que encerar los esquís, porque siempre están resbaladizos de sangre.',
+    // When you say "no one's perfect", Chuck Norris takes this as a personal insult.
+    'd01f51cb877a': 'Cuando dices "nadie es perfecto", Chuck Norris se lo toma como un insulto personal.',
+    // Chuck Norris can win a game of Trivial Pursuit with one roll of the dice, and without answering a single question... just a nod of the head, and a stroke of the beard.
+    '3cd74a6cfa9e': 'Chuck Norris puede ganar una partida de Trivial con una sola tirada de dados y sin responder ni ' +
+      'una pregunta... con solo asentir y acariciarse la barba.',
+    // 182,000 Americans die from Chuck Norris-related accidents every year.
+    '178821aaacba': 'Cada año mueren 182.000 estadounidenses en accidentes relacionados con Chuck Norris.',
+    // Paper beats rock, rock beats scissors, and scissors beats paper, but Chuck Norris beats all 3 at the same time.
+    'a9833d12b805': 'El papel gana a la piedra, la piedra gana a las tijeras y las tijeras ganan al papel, pero ' +
+      'Chuck Norris gana a los 3 a la vez.',
+    // Jesus can walk on water, but Chuck Norris can walk on Jesus.
+    'a347361f8d42': 'Jesús puede caminar sobre el agua, pero Chuck Norris puede caminar sobre Jesús.',
+    // All roads lead to Chuck Norris. And by the transitive property, a roundhouse kick to the face.
+    'a3ba3c70302c': 'Todos los caminos llevan a Chuck Norris. Y, por la propiedad transitiva, a una patada giratoria ' +
+      'en la cara.',
+    // July 4th is Independence day. And the day Chuck Norris was born. Coincidence? I think not.
+    '8ffa7c0bf931': 'El 4 de julio es el Día de la Independencia. Y el día en que nació Chuck Norris. ¿Coincidencia? ' +
+      'No lo creo.',
+    // Chuck Norris never goes to the dentist because his teeth are unbreakable. His enemies never go to the dentist because they have no teeth.
+    'deaca835560d': 'Chuck Norris nunca va al dentista porque sus dientes son irrompibles. Sus enemigos nunca van al ' +
+      'dentista porque no tienen dientes.',
+    // In the medical community, death is referred to as "Chuck Norris Disease"
+    '87f24a4fe34c': 'En la comunidad médica, a la muerte se la llama "enfermedad de Chuck Norris"',
+    // Chuck Norris was once in a knife fight, and the knife lost.
+    '480b40422e81': 'Chuck Norris se metió una vez en una pelea a navaja, y la navaja perdió.',
+    // If you work in an office with Chuck Norris, don't ask him for his three-hole-punch.
+    'fa9762f2ede4': 'Si trabajas en una oficina con Chuck Norris, no le pidas la perforadora de tres agujeros.',
+    // In the Words of Julius Caesar, "Veni, Vidi, Vici, Chuck Norris". Translation: I came, I saw, and I was roundhouse-kicked inthe face by Chuck Norris.
+    '3dfaac792702': 'En palabras de Julio César: "Veni, vidi, vici, Chuck Norris". Traducción: llegué, vi y Chuck ' +
+      'Norris me dio una patada giratoria en la cara.',
+    // The First rule of Chuck Norris is: you do not talk about Chuck Norris.
+    '2682a3adc74d': 'La primera regla de Chuck Norris es: no se habla de Chuck Norris.',
+    // Chuck Norris is widely predicted to be first black president. If you're thinking to yourself, "But Chuck Norris isn't black", then you are dead wrong. And stop being a racist.
+    '870bc26eecf2': 'Todo el mundo predice que Chuck Norris será el primer presidente negro. Si estás pensando "Pero ' +
+      'Chuck Norris no es negro", estás muy equivocado. Y deja de ser racista.',
+    // When Chuck Norris plays Monopoly, it affects the actual world economy.
+    '5184f3e27f9e': 'Cuando Chuck Norris juega al Monopoly, afecta a la economía mundial real.',
+    // Chuck Norris can be unlocked on the hardest level of Tekken. But only Chuck Norris is skilled enough to unlock himself. Then he roundhouse kicks the Playstation back to Japan.
+    'de49105d1035': 'Chuck Norris se puede desbloquear en el nivel más difícil del Tekken. Pero solo Chuck Norris es ' +
+      'lo bastante hábil para desbloquearse a sí mismo. Luego manda la Playstation de vuelta a Japón de una patada ' +
+      'giratoria.',
+    // Chuck Norris drinks napalm to quell his heartburn.
+    '236b4b0d3a8c': 'Chuck Norris bebe napalm para calmar el ardor de estómago.',
+    // Every time someone uses the word "intense", Chuck Norris always replies "you know what else is intense?" followed by a roundhouse kick to the face.
+    'fe093b23b48f': 'Cada vez que alguien usa la palabra "intenso", Chuck Norris responde "¿Sabes qué más es ' +
+      'intenso?" y le da una patada giratoria en la cara.',
+    // As an infant, Chuck Norris' parents gave him a toy hammer. He gave the world Stonehenge.
+    'c7ff0c2b8f8f': 'Cuando Chuck Norris era bebé, sus padres le regalaron un martillo de juguete. Él le regaló al ' +
+      'mundo Stonehenge.',
+    // Chuck Norris once ordered a steak in a restaurant. The steak did what it was told.
+    '4273d5411eee': 'Chuck Norris pidió una vez un filete en un restaurante. El filete obedeció.',
+    // Most people fear the Reaper. Chuck Norris considers him "a promising Rookie".
+    '9c58175df2be': 'Casi todo el mundo teme a la Parca. Chuck Norris la considera "una novata prometedora".',
+    // There are only two things that can cut diamonds: other diamonds, and Chuck Norris.
+    'b9fd35bc2f71': 'Solo hay dos cosas que pueden cortar diamantes: otros diamantes y Chuck Norris.',
+    // President Roosevelt once rode his horse 100 miles. Chuck Norris carried his the same distance in half the time.
+    '226ab8065c10': 'El presidente Roosevelt cabalgó una vez 160 kilómetros. Chuck Norris llevó a su caballo a ' +
+      'cuestas la misma distancia en la mitad de tiempo.',
+    // Chuck Norris once ate four 30lb bowling balls without chewing.
+    '1eda7657a71f': 'Chuck Norris se comió una vez cuatro bolas de bolos de 14 kilos sin masticar.',
+    // What many people dont know is Chuck Norris is the founder of planned parenthood. Not even unborn children can escape his wrath.
+    '5917b9319333': 'Lo que mucha gente no sabe es que Chuck Norris fundó la planificación familiar. Ni los no ' +
+      'nacidos escapan de su ira.',
+    // Chuck Norris was banned from competitive bullriding after a 1992 exhibition in San Antonio, when he rode the bull 1,346 miles from Texas to Milwaukee Wisconsin to pick up his dry cleaning.
+    'b75099234be0': 'A Chuck Norris lo expulsaron de los rodeos tras una exhibición en San Antonio en 1992, cuando ' +
+      'montó al toro 2.166 kilómetros desde Texas hasta Milwaukee, Wisconsin, para recoger la ropa de la tintorería.',
+    // Chuck Norris qualified with a top speed of 324 mph at the Daytona 500, without a car.
+    '1a5549a9ba9e': 'Chuck Norris se clasificó en las 500 Millas de Daytona con una velocidad punta de 521 km/h, sin ' +
+      'coche.',
+    // Chuck Norris likes his coffee half and half: half coffee grounds, half wood-grain alcohol.
+    'f87bdd08b986': 'A Chuck Norris le gusta el café mitad y mitad: mitad posos de café, mitad alcohol de quemar.',
+    // Chuck Norris uses tabasco sauce instead of visine.
+    '4428b9c8351d': 'Chuck Norris usa salsa tabasco en lugar de colirio.',
+    // The chemical formula for the highly toxic cyanide ion is CN-. These are also Chuck Norris' initials. This is not a coincidence.
+    'eaccfaeda595': 'La fórmula química del ion cianuro, altamente tóxico, es CN-. También son las iniciales de ' +
+      'Chuck Norris. No es casualidad.',
+    // Chuck Norris' credit cards have no limit. Last weekend, he maxed them out.
+    '175afa070402': 'Las tarjetas de crédito de Chuck Norris no tienen límite. El fin de semana pasado las dejó a ' +
+      'cero.',
+    // Think of a hot woman. Chuck Norris did her.
+    'fb57e8595510': 'Piensa en una mujer guapísima. Chuck Norris ya se la ha tirado.',
+    // A man once claimed Chuck Norris kicked his ass twice, but it was promptly dismissed as false - no one could survive it the first time.
+    'fe6b8f353010': 'Un hombre aseguró una vez que Chuck Norris le había pateado el culo dos veces, pero se descartó ' +
+      'enseguida por falso: nadie sobrevive a la primera.',
+    // Chuck Norris sleeps with a pillow under his gun.
+    'b8995543ceea': 'Chuck Norris duerme con una almohada debajo de la pistola.',
+    // Chuck Norris owns a chain of fast-food restaurants throughout the southwest. They serve nothing but barbecue-flavored ice cream and Hot Pockets.
+    'c256055b47a6': 'Chuck Norris tiene una cadena de comida rápida por todo el suroeste. Solo sirven helado con ' +
+      'sabor a barbacoa y Hot Pockets.',
+    // Chuck Norris doesn't chew gum. Chuck Norris chews tin foil.
+    'b3bdc1ebc15d': 'Chuck Norris no masca chicle. Chuck Norris masca papel de aluminio.',
+    // Aliens DO indeed exist. They just know better than to visit a planet that Chuck Norris is on.
+    'ac758e807893': 'Los extraterrestres SÍ existen. Solo que saben que es mejor no visitar un planeta en el que ' +
+      'esté Chuck Norris.',
+    // When in a bar, you can order a drink called a "Chuck Norris". It is also known as a "Bloody Mary", if your name happens to be Mary.
+    'f1c3d70a4838': 'En un bar puedes pedir una bebida llamada "Chuck Norris". También se conoce como "Bloody Mary", ' +
+      'si da la casualidad de que te llamas Mary.',
+    // Every time Chuck Norris smiles, someone dies. Unless he smiles while he?s roundhouse kicking someone in the face. Then two people die.
+    '96c70aeb5ce4': 'Cada vez que Chuck Norris sonríe, alguien muere. A menos que sonría mientras le da a alguien ' +
+      'una patada giratoria en la cara. Entonces mueren dos.',
+    // Some people ask for a Kleenex when they sneeze, Chuck Norris asks for a body bag.
+    '8113dcf20816': 'Hay quien pide un pañuelo cuando estornuda; Chuck Norris pide una bolsa para cadáveres.',
+    // There?s an order to the universe: space, time, Chuck Norris.... Just kidding, Chuck Norris is first.
+    'b66bc4a9daf9': 'El universo tiene un orden: espacio, tiempo, Chuck Norris.... Es broma, Chuck Norris va primero.',
+    // A man once asked Chuck Norris if his real name is "Charles". Chuck Norris did not respond, he simply stared at him until he exploded.
+    'b162ca90b5e1': 'Un hombre le preguntó una vez a Chuck Norris si su verdadero nombre era "Charles". Chuck Norris ' +
+      'no respondió, simplemente lo miró fijamente hasta que explotó.',
+    // Chuck Norris starts everyday with a protein shake made from Carnation Instant Breakfast, one dozen eggs, pure Colombian cocaine, and rattlesnake venom. He injects it directly into his neck with a syringe.
+    '37d4d5f0b2d3': 'Chuck Norris empieza cada día con un batido de proteínas hecho con desayuno instantáneo ' +
+      'Carnation, una docena de huevos, cocaína colombiana pura y veneno de serpiente de cascabel. Se lo inyecta ' +
+      'directamente en el cuello con una jeringuilla.',
+    // In a tagteam match, Chuck Norris was teamed with Hulk Hogan against King Kong Bundy and Andre The Giant. He pinned all 3 at the same time.
+    '447e5bc276cd': 'En un combate por parejas, Chuck Norris iba con Hulk Hogan contra King Kong Bundy y André el ' +
+      'Gigante. Inmovilizó a los 3 a la vez.',
+    // Chuck Norris doesn't see dead people. He makes people dead.
+    'aa3ec4a26cdb': 'Chuck Norris no ve gente muerta. Hace que la gente esté muerta.',
+    // Chuck Norris is the only person who can simultaneously hold and fire FIVE Uzis: One in each hand, one in each foot -- and the 5th one he roundhouse-kicks into the air, so that it sprays bullets.
+    'a449cc9cb244': 'Chuck Norris es la única persona capaz de empuñar y disparar CINCO Uzis a la vez: una en cada ' +
+      'mano, una en cada pie, y la quinta la lanza al aire de una patada giratoria para que rocíe balas.',
+    // For undercover police work, Chuck Norris pins his badge underneath his shirt, directly into his chest.
+    'b55d05cb95e4': 'Cuando trabaja de policía encubierto, Chuck Norris se clava la placa debajo de la camisa, ' +
+      'directamente en el pecho.',
+    // In the X-Men movies, none of the X-Men super-powers are done with special effects. Chuck Norris is the stuntman for every character.
+    '9928f3ff3059': 'En las películas de X-Men, ninguno de los superpoderes se hace con efectos especiales. Chuck ' +
+      'Norris es el doble de todos los personajes.',
+    // We live in an expanding universe. All of it is trying to get away from Chuck Norris.
+    '51d6a8a35b51': 'Vivimos en un universo en expansión. Todo él intenta alejarse de Chuck Norris.',
+    // The word 'Kill' was invented by Chuck Norris. Other words were 'Die', 'Beer', and 'What'.
+    '86ab2510248d': 'La palabra "matar" la inventó Chuck Norris. Otras palabras suyas son "morir", "cerveza" y ' +
+      '"¿qué?".',
+    // The 11th commandment is ?Thou shalt not piss off Chuck Norris? This commandment is rarely enforced, as it is impossible to accomplish.
+    '90e83d4895bc': 'El undécimo mandamiento es "No cabrearás a Chuck Norris". Casi nunca se aplica, porque es ' +
+      'imposible de cumplir.',
+    // Chuck Norris is his own line at the DMV.
+    '9bc5e0a5b83f': 'Chuck Norris tiene su propia cola en Tráfico.',
+    // Two wrongs don't make a right. Unless you're Chuck Norris. Then two wrongs make a roundhouse kick to the face.
+    'b1786d2ee655': 'Dos errores no hacen un acierto. A menos que seas Chuck Norris. Entonces dos errores hacen una ' +
+      'patada giratoria en la cara.',
+    // Who let the dogs out? Chuck Norris let the dogs out... and then roundhouse kicked them through an Oldsmobile.
+    '5798ae883a22': '¿Quién soltó a los perros? Chuck Norris soltó a los perros... y luego los mandó a través de un ' +
+      'Oldsmobile de una patada giratoria.',
+    // Chuck Norris can do a roundhouse kick faster than the speed of light. This means that if you turn on a light switch, you will be dead before the lightbulb turns on.
+    '010ad491a1f1': 'Chuck Norris puede dar una patada giratoria más rápido que la velocidad de la luz. Eso ' +
+      'significa que si enciendes un interruptor, estarás muerto antes de que se encienda la bombilla.',
+    // When Chuck Norris goes to out to eat, he orders a whole chicken, but he only eats its soul.
+    '23452c8dbef2': 'Cuando Chuck Norris sale a comer, pide un pollo entero, pero solo se come su alma.',
+    // Chuck Norris has never won an Academy Award for acting... because he's not acting.
+    'bc8a94be21d4': 'Chuck Norris nunca ha ganado un Óscar por su interpretación... porque no está interpretando.',
+    // If Chuck Norris wants your opinion, he'll beat it into you.
+    'a2860d8fcd93': 'Si Chuck Norris quiere tu opinión, te la meterá a golpes.',
+    // Not everyone that Chuck Norris is mad at gets killed. Some get away. They are called astronauts.
+    '663ea960b5cb': 'No todos con los que se enfada Chuck Norris acaban muertos. Algunos escapan. Se llaman ' +
+      'astronautas.',
+    // Chuck Norris has to register every part of his body as a separate lethal weapon. His spleen is considered a concealed weapon in over 50 states.
+    'da310f957e8b': 'Chuck Norris tiene que registrar cada parte de su cuerpo como un arma letal distinta. Su bazo ' +
+      'se considera un arma oculta en más de 50 estados.',
+    // A movie scene depicting Chuck Norris losing a fight with Bruce Lee was the product of history's most expensive visual effect. When adjusted for inflation, the effect cost more than the Gross National Product of Paraguay.
+    'b59ca0e6130e': 'Una escena en la que Chuck Norris perdía una pelea contra Bruce Lee fue el efecto visual más ' +
+      'caro de la historia. Ajustado a la inflación, el efecto costó más que el producto nacional bruto de Paraguay.',
+    // Godzilla is a Japanese rendition of Chuck Norris' first visit to Tokyo.
+    '7cff16d90804': 'Godzilla es la versión japonesa de la primera visita de Chuck Norris a Tokio.',
+    // They once made a Chuck Norris toilet paper, but there was a problem-- It wouldn't take shit from anybody.
+    'cd04c1c331a1': 'Una vez hicieron papel higiénico de Chuck Norris, pero había un problema: no aguantaba la ' +
+      'mierda de nadie.',
+    // Chuck Norris once rode a nine foot grizzly bear through an automatic car wash, instead of taking a shower.
+    'a143775a58a7': 'Chuck Norris cruzó una vez un túnel de lavado automático montado en un oso pardo de casi tres ' +
+      'metros, en lugar de ducharse.',
+    // "Sweating bullets" is literally what happens when Chuck Norris gets too hot.
+    'db881eef1137': '"Sudar balas" es literalmente lo que le pasa a Chuck Norris cuando tiene demasiado calor.',
+    // Chuck Norris' sperm can be seen with the naked eye. Each one is the size of a quarter.
+    '9f09b7a1a011': 'Los espermatozoides de Chuck Norris se ven a simple vista. Cada uno es del tamaño de una moneda ' +
+      'de un euro.',
+    // After taking a steroids test doctors informed Chuck Norris that he had tested positive. He laughed upon receiving this information, and said "of course my urine tested positive, what do you think they make steroids from?"
+    '45765dc61a6e': 'Tras un control antidopaje, los médicos le dijeron a Chuck Norris que había dado positivo. Él ' +
+      'se rió al oírlo y dijo: "Claro que mi orina da positivo, ¿de qué crees que hacen los esteroides?"',
+    // Chuck Norris doesn't daydream. He's too busy giving other people nightmares.
+    '09c3cdb8452b': 'Chuck Norris no sueña despierto. Está demasiado ocupado provocando pesadillas a los demás.',
+    // When Arnold says "I'll be back" in Terminator movie it is implied that he's going to ask Chuck Norris for help.
+    '186a05a69831': 'Cuando Arnold dice "Volveré" en Terminator, se sobreentiende que va a pedirle ayuda a Chuck ' +
+      'Norris.',
+    // There are no such things as tornados. Chuck Norris just hates trailer parks.
+    '7a8244245b1c': 'Los tornados no existen. Es que Chuck Norris odia los parques de caravanas.',
+    // Chuck Norris' Penis is a third degree blackbelt, and an honorable 32nd-degree mason.
+    '210ba6fa6ae2': 'El pene de Chuck Norris es cinturón negro tercer dan y un honorable masón de grado 32.',
+    // Chuck Norris does not follow fashion trends, they follow him. But then he turns around and kicks their ass. Nobody follows Chuck Norris.
+    'b2d1131117ba': 'Chuck Norris no sigue las modas, las modas lo siguen a él. Pero entonces se da la vuelta y les ' +
+      'pega una paliza. Nadie sigue a Chuck Norris.',
+    // Diamonds are not, despite popular belief, carbon. They are, in fact, Chuck Norris fecal matter. This was proven a recently, when scientific analysis revealed what appeared to be Jean-Claude Van Damme bone fragments inside the Hope Diamond.
+    'ef747746b296': 'Contra la creencia popular, los diamantes no son carbono. Son, de hecho, heces de Chuck Norris. ' +
+      'Se demostró hace poco, cuando un análisis científico reveló lo que parecían fragmentos de hueso de ' +
+      'Jean-Claude Van Damme dentro del diamante Hope.',
+    // Chuck Norris once participated in the running of the bulls. He walked.
+    '3f05175e6358': 'Chuck Norris participó una vez en los Sanfermines. Fue andando.',
+    // The Drummer for Def Leppard's only got one arm. Chuck Norris needed a back scratcher.
+    '01125720b52f': 'El batería de Def Leppard solo tiene un brazo. Chuck Norris necesitaba un rascador de espalda.',
+    // Chuck Norris was the orginal sculptor of Mount Rushmore. He completed the entire project using only a bottle opener and a drywall trowel.
+    '2fa5a9946f5a': 'Chuck Norris fue el escultor original del monte Rushmore. Hizo todo el proyecto con solo un ' +
+      'abrebotellas y una llana de yesero.',
+    // Chuck Norris once rode a bull, and nine months later it had a calf.
+    'af5e704824e3': 'Chuck Norris montó una vez un toro, y nueve meses después tuvo un ternero.',
+    // Chuck Norris once lost the remote, but maintained control of the TV by yelling at it in between bites of his "Filet of Child" sandwich.
+    '45154f6ee32b': 'Chuck Norris perdió una vez el mando a distancia, pero siguió controlando la tele gritándole ' +
+      'entre bocado y bocado de su bocadillo de "filete de niño".',
+    // For Spring Break '05, Chuck Norris drove to Madagascar, riding a chariot pulled by two electric eels.
+    '134d310bbbf2': 'En las vacaciones de primavera del 2005, Chuck Norris fue hasta Madagascar en un carro tirado ' +
+      'por dos anguilas eléctricas.',
+    // The Manhattan Project was not intended to create nuclear weapons, it was meant to recreate the destructive power in a Chuck Norris Roundhouse Kick. They didn't even come close.
+    '4ea781205802': 'El Proyecto Manhattan no pretendía crear armas nucleares, sino recrear el poder destructivo de ' +
+      'una patada giratoria de Chuck Norris. Ni se acercaron.',
+    // Chuck Norris has banned rainbows from the state of North Dakota.
+    '020fac4387d2': 'Chuck Norris ha prohibido los arcoíris en el estado de Dakota del Norte.',
+    // Divide Chuck Norris by zero and you will in fact get one........one bad-ass that is.
+    'd6f089cbf8c2': 'Divide a Chuck Norris entre cero y obtendrás, de hecho, uno........ uno muy duro, eso sí.',
+    // TNT was originally developed by Chuck Norris to cure indigestion.
+    'f4bbf893aade': 'Chuck Norris desarrolló el TNT originalmente para curar la indigestión.',
+    // After returning from World War 2 unscrathed, Bob Dole was congratulated by Chuck Norris with a handshake. The rest is history.
+    'cc0538abea10': 'Cuando Bob Dole volvió ileso de la Segunda Guerra Mundial, Chuck Norris lo felicitó con un ' +
+      'apretón de manos. El resto es historia.',
+    // Chuck Norris runs on batteries. Specifically, Die Hards.
+    'b08f26e5af3b': 'Chuck Norris funciona con pilas. En concreto, con Die Hards.',
+    // "Let the Bodies Hit the Floor" was originally written as Chuck Norris' theme song.
+    '7ad854b348c4': '"Let the Bodies Hit the Floor" se escribió originalmente como la sintonía de Chuck Norris.',
+    // Chuck Norris will never have a heart attack. His heart isn't nearly foolish enough to attack him.
+    '8571adbdb34c': 'Chuck Norris nunca tendrá un ataque al corazón. Su corazón no es tan tonto como para atacarle.',
+    // Only Chuck Norris can prevent forest fires.
+    '03add9268665': 'Solo Chuck Norris puede evitar los incendios forestales.',
+    // When Chuck Norris makes a burrito, its main ingredient is real toes.
+    '0aeb9c2b1853': 'Cuando Chuck Norris prepara un burrito, el ingrediente principal son dedos de los pies de verdad.',
+    // Chuck Norris is not Irish. His hair is soaked in the blood of his victims.
+    '620f3e093b98': 'Chuck Norris no es irlandés. Lleva el pelo empapado en la sangre de sus víctimas.',
+    // In the movie "The Matrix", Chuck Norris is the Matrix. If you pay close attention in the green "falling code" scenes, you can make out the faint texture of his beard.
+    '2e11e0d4a580': 'En la película "Matrix", Chuck Norris es Matrix. Si te fijas bien en las escenas del "código ' +
+      'verde que cae", se distingue la tenue textura de su barba.',
+    // Chuck Norris' dick is so big, it has it's own dick, and that dick is still bigger than yours.
+    'b647ea20563a': 'El pito de Chuck Norris es tan grande que tiene su propio pito, y ese pito sigue siendo más ' +
+      'grande que el tuyo.',
+    // They say curiosity killed the cat. This is false. Chuck Norris killed the cat. Every single one of them.
+    '6a4c71bdd434': 'Dicen que la curiosidad mató al gato. Es falso. Chuck Norris mató al gato. A todos y cada uno.',
+    // Chuck Norris crossed the road. No one has ever dared question his motives.
+    '48d3352eba3e': 'Chuck Norris cruzó la calle. Nadie se ha atrevido nunca a cuestionar sus motivos.',
+    // One time, at band camp, Chuck Norris ate a percussionist.
+    '1e51ee55a82f': 'Una vez, en el campamento de música, Chuck Norris se comió a un percusionista.',
+    // Chuck Norris doesn't say "who's your daddy", because he knows the answer.
+    '7a20569fc8c3': 'Chuck Norris no dice "¿quién es tu papi?", porque sabe la respuesta.',
+    // Chuck Norris originally wrote the first dictionary. The definition for each word is as follows - A swift roundhouse kick to the face.
+    '3865a06f1a8a': 'Chuck Norris escribió el primer diccionario. La definición de cada palabra es la siguiente: una ' +
+      'rápida patada giratoria en la cara.',
+    // Love does not hurt. Chuck Norris does.
+    'd80748e76dbd': 'El amor no duele. Chuck Norris sí.',
+    // The term "Cleveland Steamer" got its name from Chuck Norris, when he took a dump while visiting the Rock and Roll Hall of fame and buried northern Ohio under a glacier of fecal matter.
+    'b32a091f2281': 'El término "Cleveland Steamer" viene de Chuck Norris, cuando hizo de vientre durante una visita ' +
+      'al Salón de la Fama del Rock and Roll y sepultó el norte de Ohio bajo un glaciar de heces.',
+    // Chuck Norris once round-house kicked a salesman. Over the phone.
+    '61a008ece9f6': 'Chuck Norris le dio una vez una patada giratoria a un vendedor. Por teléfono.',
+    // The pen is mighter than the sword, but only if the pen is held by Chuck Norris.
+    '319ad4a348c2': 'La pluma es más poderosa que la espada, pero solo si la pluma la sostiene Chuck Norris.',
+    // Chuck Norris knows the last digit of pi.
+    '5a8e6a350e74': 'Chuck Norris conoce el último decimal de pi.',
+    // Those aren't credits that roll after Walker Texas Ranger. It is actually a list of fatalities that occurred during the making of the episode.
+    '096125cc6ada': 'Lo que sale al final de Walker, Texas Ranger no son los créditos. Es la lista de víctimas ' +
+      'mortales durante el rodaje del episodio.',
+    // The air around Chuck Norris is always a balmy 78 degrees.
+    '18a84fb53c26': 'El aire alrededor de Chuck Norris está siempre a unos agradables 26 grados.',
+    // When Chuck Norris wants an egg, he cracks open a chicken.
+    'dd8f828de87b': 'Cuando Chuck Norris quiere un huevo, casca una gallina.',
+    // Chuck Norris plays racquetball with a waffle iron and a bowling ball.
+    'a16ea16dbbfd': 'Chuck Norris juega al ráquetbol con una gofrera y una bola de bolos.',
+    // According to the Bible, God created the universe in six days. Before that, Chuck Norris created God by snapping his fingers.
+    '08efb7d44ff7': 'Según la Biblia, Dios creó el universo en seis días. Antes de eso, Chuck Norris creó a Dios ' +
+      'chasqueando los dedos.',
+    // Chuck Norris doesn't believe in ravioli. He stuffs a live turtle with beef and smothers it in pig's blood.
+    '02e0b99a7ba2': 'Chuck Norris no cree en los raviolis. Rellena una tortuga viva de carne de ternera y la baña en ' +
+      'sangre de cerdo.',
+    // Count from one to ten. That's how long it would take Chuck Norris to kill you...Fourty seven times.
+    'a2b59669e8c1': 'Cuenta del uno al diez. Eso es lo que tardaría Chuck Norris en matarte... cuarenta y siete veces.',
+    // The 1972 Miami Dolphins lost one game, it was a game vs. Chuck Norris and three seven year old girls. Chuck Norris won with a roundhouse-kick to the face in overtime.
+    '65656c2f0e92': 'Los Miami Dolphins de 1972 perdieron un partido, contra Chuck Norris y tres niñas de siete ' +
+      'años. Chuck Norris ganó en la prórroga con una patada giratoria en la cara.',
+    // Chuck Norris is not Politically Correct. He is just Correct. Always.
+    'bf7631fa2a03': 'Chuck Norris no es políticamente correcto. Es simplemente correcto. Siempre.',
+    // Mr. T pities the fool. Chuck Norris rips the fool's head off.
+    '32bc3e7a8aae': 'Mr. T se compadece del tonto. Chuck Norris le arranca la cabeza al tonto.',
+    // Chuck Norris had to stop washing his clothes in the ocean. The tsunamis were killing people.
+    'a2986498476a': 'Chuck Norris tuvo que dejar de lavar la ropa en el océano. Los tsunamis estaban matando a gente.',
+    // Chuck Norris has volunteered to remain on earth after the Rapture; he will spend his time fighting the Anti-Christ.
+    '0d99b5bc4908': 'Chuck Norris se ha ofrecido voluntario para quedarse en la Tierra después del Arrebatamiento; ' +
+      'pasará el tiempo luchando contra el Anticristo.',
+    // Chuck Norris is the only known mammal in history to have an opposable thumb. On his penis.
+    '0ffeff0c88e0': 'Chuck Norris es el único mamífero conocido de la historia con un pulgar oponible. En el pene.',
+    // A man once taunted Chuck Norris with a bag of Lay's potato chips, saying "Betcha can't eat just one!" Chuck Norris proceeded to eat the chips, the bag, and the man in one deft move.
+    '965a266bc7c7': 'Un hombre se burló una vez de Chuck Norris con una bolsa de patatas Lay\'s, diciéndole "¡A que ' +
+      'no puedes comer solo una!". Chuck Norris se comió las patatas, la bolsa y al hombre de un solo y hábil ' +
+      'movimiento.',
+    // Chuck Norris' favorite cereal is Kellogg's Nails 'N' Gravel.
+    'b2d2efae43c4': 'Los cereales favoritos de Chuck Norris son los Kellogg\'s Clavos y Grava.',
+    // In the first Jurassic Park movie, the Tyrannosaurus Rex wasn't chasing the jeep. Chuck Norris was chasing the Tyrannosaurus AND the jeep.
+    '5b94120b27b0': 'En la primera película de Jurassic Park, el tiranosaurio no perseguía al jeep. Chuck Norris ' +
+      'perseguía al tiranosaurio Y al jeep.',
+    // Chuck Norris has never been accused of murder because his roundhouse kicks are recognized as "acts of God."
+    '327c434c34c1': 'A Chuck Norris nunca lo han acusado de asesinato porque sus patadas giratorias se consideran ' +
+      '"actos de Dios".',
+    // Chuck Norris does not wear a condom. Because there is no such thing as protection from Chuck Norris.
+    '528e413e697b': 'Chuck Norris no usa condón. Porque no existe protección contra Chuck Norris.',
+    // Rules of fighting: 1) Don't bring a knife to a gun fight. 2) Don't bring a gun to a Chuck Norris fight.
+    '5aff56d4d6c2': 'Reglas de la pelea: 1) No lleves un cuchillo a un tiroteo. 2) No lleves una pistola a una pelea ' +
+      'con Chuck Norris.',
+    // Chuck Norris is the only man who has, literally, beaten the odds. With his fists.
+    '29baff1216ff': 'Chuck Norris es el único hombre que, literalmente, le ha ganado a las probabilidades. A ' +
+      'puñetazos.',
+    // In ancient China there is a legend that one day a child will be born from a dragon, grow to be a man, and vanquish evil from the land. That man is not Chuck Norris, because Chuck Norris killed that man.
+    'f449a7d089b9': 'En la antigua China hay una leyenda según la cual un día un niño nacerá de un dragón, se hará ' +
+      'hombre y desterrará el mal de la tierra. Ese hombre no es Chuck Norris, porque Chuck Norris mató a ese hombre.',
+    // Chuck Norris wipes his ass with chain mail and sandpaper.
+    'e4e7130c1b92': 'Chuck Norris se limpia el culo con una cota de malla y papel de lija.',
+    // When you play Monopoly with Chuck Norris, you do not pass go, and you do not collect two hundred dollars. You will be lucky if you make it out alive.
+    '5f59ba23a8b7': 'Cuando juegas al Monopoly con Chuck Norris, no pasas por la casilla de salida ni cobras ' +
+      'doscientos euros. Tendrás suerte si sales con vida.',
+    // Chuck Norris describes human beings as "a sociable holder for blood and guts".
+    '378367faabf1': 'Chuck Norris describe a los seres humanos como "un recipiente sociable para sangre y tripas".',
+    // Chuck Norris likes his ice like he likes his skulls: crushed.
+    'b6711868a0f6': 'A Chuck Norris le gusta el hielo como le gustan los cráneos: picado.',
+    // Chuck Norris can kick through all 6 degrees of separation, hitting anyone, anywhere, in the face, at any time.
+    '31dfe97b031f': 'Chuck Norris puede dar una patada a través de los 6 grados de separación y alcanzar a ' +
+      'cualquiera, en cualquier lugar, en la cara, en cualquier momento.',
+    // Most tough men eat nails for breakfast. Chuck Norris does all of his grocery shopping at Home Depot.
+    '1318fd06e633': 'Casi todos los tipos duros desayunan clavos. Chuck Norris hace toda la compra en Leroy Merlin.',
+    // Chuck Norris did not "lose" his virginity, he stalked it and then destroyed it with extreme prejudice.
+    '623d59b286a0': 'Chuck Norris no "perdió" la virginidad: la acechó y luego la destruyó sin piedad.',
+    // Everything King Midas touches turnes to gold. Everything Chuck Norris touches turns up dead.
+    '3105e8665577': 'Todo lo que toca el rey Midas se convierte en oro. Todo lo que toca Chuck Norris acaba muerto.',
+    // When Chuck Norris throws exceptions, it's across the room.
+    'e0c1c83e2c9b': 'Cuando Chuck Norris lanza excepciones, las lanza de una punta a otra de la sala.',
+    // All arrays Chuck Norris declares are of infinite size, because Chuck Norris knows no bounds.
+    '1842507a8da8': 'Todos los arrays que declara Chuck Norris son de tamaño infinito, porque Chuck Norris no conoce ' +
+      'límites.',
+    // Chuck Norris doesn't have disk latency because the hard drive knows to hurry the hell up.
+    'd9547d26560b': 'Chuck Norris no sufre latencia de disco porque el disco duro sabe que más le vale darse prisa.',
+    // Chuck Norris writes code that optimizes itself.
+    '8d2033491f38': 'Chuck Norris escribe código que se optimiza solo.',
+    // Chuck Norris can't test for equality because he has no equal.
+    '8ad02a4cc022': 'Chuck Norris no puede comprobar la igualdad porque no tiene igual.',
+    // Chuck Norris doesn't need garbage collection because he doesn't call .Dispose(), he calls .DropKick().
+    '281989640a7b': 'Chuck Norris no necesita recolector de basura porque no llama a .Dispose(), llama a .DropKick().',
+    // Chuck Norris's first program was kill -9.
+    'f91372623586': 'El primer programa de Chuck Norris fue kill -9.',
+    // Chuck Norris burst the dot com bubble.
+    '64bfa7965703': 'Chuck Norris reventó la burbuja de las puntocom.',
+    // All browsers support the hex definitions #chuck and #norris for the colors black and blue.
+    '606f4d3cf5da': 'Todos los navegadores admiten las definiciones hexadecimales #chuck y #norris para los colores ' +
+      'negro y azul.',
+    // MySpace actually isn't your space, it's Chuck's (he just lets you use it).
+    '2ac498a74351': 'En realidad MySpace no es tu espacio, es el de Chuck (solo te deja usarlo).',
+    // Chuck Norris can write infinite recursion functions and have them return.
+    'fb2f69e3dc34': 'Chuck Norris puede escribir funciones con recursión infinita y hacer que retornen.',
+    // Chuck Norris can solve the Towers of Hanoi in one move.
+    '5c0e3a8619d8': 'Chuck Norris puede resolver las Torres de Hanói en un movimiento.',
+    // The only pattern Chuck Norris knows is God Object.
+    '2860fdfbcdd5': 'El único patrón que conoce Chuck Norris es el God Object.',
+    // Chuck Norris finished World of Warcraft.
+    '8fc6e7369a12': 'Chuck Norris se ha pasado el World of Warcraft.',
+    // Project managers never ask Chuck Norris for estimations... ever.
+    'ad58d6a01f34': 'Los jefes de proyecto nunca le piden estimaciones a Chuck Norris... nunca.',
+    // Chuck Norris doesn't use web standards as the web will conform to him.
+    '944993cadd43': 'Chuck Norris no usa estándares web, porque la web se adaptará a él.',
+    // "It works on my machine" always holds true for Chuck Norris.
+    'a30f93f61038': '"En mi máquina funciona" siempre es verdad para Chuck Norris.',
+    // Whiteboards are white because Chuck Norris scared them that way.
+    '3fa2a2e9388f': 'Las pizarras son blancas porque Chuck Norris las asustó hasta dejarlas así.',
+    // Chuck Norris doesn't do Burn Down charts, he does Smack Down charts.
+    '60f2eefd8e74': 'Chuck Norris no hace gráficos Burn Down, hace gráficos Smack Down.',
+    // Chuck Norris can delete the Recycling Bin.
+    '9d7db0628374': 'Chuck Norris puede borrar la Papelera de reciclaje.',
+    // Chuck Norris's beard can type 140 wpm.
+    '9a9982a2d470': 'La barba de Chuck Norris escribe a 140 palabras por minuto.',
+    // Chuck Norris can unit test entire applications with a single assert.
+    'b62dca90d4b2': 'Chuck Norris puede hacer pruebas unitarias de aplicaciones enteras con un solo assert.',
+    // Chuck Norris doesn't bug hunt as that signifies a probability of failure, he goes bug killing.
+    '547ae8b252e6': 'Chuck Norris no caza bugs, porque eso implica una probabilidad de fallar: él mata bugs.',
+    // Chuck Norris's keyboard doesn't have a Ctrl key because nothing controls Chuck Norris.
+    '06c27cb17b3a': 'El teclado de Chuck Norris no tiene tecla Ctrl porque nada controla a Chuck Norris.',
+    // When Chuck Norris is web surfing websites get the message "Warning: Internet Explorer has deemed this user to be malicious or dangerous. Proceed?".
+    '235797b84e03': 'Cuando Chuck Norris navega por internet, las webs reciben el mensaje "Advertencia: Internet ' +
+      'Explorer considera que este usuario es malicioso o peligroso. ¿Continuar?".',
+    // Chuck Norris can overflow your stack just by looking at it.
+    '85ed4b3d339b': 'Chuck Norris puede desbordarte la pila con solo mirarla.',
+    // To Chuck Norris, everything contains a vulnerability.
+    'f8229cc965d1': 'Para Chuck Norris, todo tiene una vulnerabilidad.',
+    // Chuck Norris doesn't need sudo, he just types "Chuck Norris" before his commands.
+    'aca9087477ef': 'Chuck Norris no necesita sudo, solo escribe "Chuck Norris" antes de sus comandos.',
+    // Chuck Norris doesn't need a debugger, he just stares down the bug until the code confesses.
+    '2cf2956f6488': 'Chuck Norris no necesita un depurador, mira fijamente al bug hasta que el código confiesa.',
+    // Chuck Norris can access private methods.
+    'bc539c2c2267': 'Chuck Norris puede acceder a métodos privados.',
+    // Chuck Norris can instantiate an abstract class.
+    '52845c4be9ac': 'Chuck Norris puede instanciar una clase abstracta.',
+    // Chuck Norris does not need to know about class factory pattern. He can instantiate interfaces.
+    'f2ecab5499f3': 'Chuck Norris no necesita conocer el patrón factoría. Puede instanciar interfaces.',
+    // The class object inherits from Chuck Norris
+    'eedd4dbb7a28': 'La clase Object hereda de Chuck Norris',
+    // For Chuck Norris, NP-Hard = O(1).
+    '29803c1274ae': 'Para Chuck Norris, NP-difícil = O(1).',
+    // Bill Gates thinks he's Chuck Norris. Chuck Norris actually laughed. Once.
+    'bef3ae64a441': 'Bill Gates se cree Chuck Norris. Chuck Norris llegó a reírse. Una vez.',
+    // Chuck Norris is actually the front man for Apple. He let's Steve Jobs run the show when he's on a mission. Chuck Norris is always on a mission.
+    '863bd4b51098': 'En realidad Chuck Norris es el que manda en Apple. Deja que Steve Jobs lleve el negocio cuando ' +
+      'está de misión. Chuck Norris siempre está de misión.',
+    // Chuck Norris' Internet connection is faster upstream than downstream because even data has more incentive to run from him than to him.
+    'e52d84e0481c': 'La conexión a internet de Chuck Norris sube más rápido de lo que baja, porque hasta los datos ' +
+      'tienen más motivos para huir de él que para ir hacia él.',
+    // Chuck Norris solved the Travelling Salesman problem in O(1) time. Here's the pseudo-code: Break salesman into N pieces. Kick each piece to a different city.
+    'a3eadb6d3907': 'Chuck Norris resolvió el problema del viajante en tiempo O(1). Este es el pseudocódigo: parte ' +
+      'al viajante en N trozos. Manda cada trozo a una ciudad distinta de una patada.',
+    // No statement can catch the ChuckNorrisException.
+    '02ab116cf927': 'Ninguna sentencia puede capturar la ChuckNorrisException.',
+    // Chuck Norris doesn't pair program.
+    '9af2f19daeea': 'Chuck Norris no programa en pareja.',
+    // Chuck Norris can write multi-threaded applications with a single thread.
+    'eb16483f0cf7': 'Chuck Norris puede escribir aplicaciones multihilo con un solo hilo.',
+    // Chuck Norris doesn't need to use AJAX because pages are too afraid to postback anyways.
+    '325559f2a696': 'Chuck Norris no necesita AJAX porque las páginas tienen demasiado miedo de hacer postback.',
+    // Chuck Norris doesn't use reflection, reflection asks politely for his help.
+    'd0c416dcaa06': 'Chuck Norris no usa reflexión, la reflexión le pide ayuda educadamente.',
+    // There is no Esc key on Chuck Norris' keyboard, because no one escapes Chuck Norris.
+    'c71692f8c25a': 'El teclado de Chuck Norris no tiene tecla Esc, porque nadie escapa de Chuck Norris.',
+    // Chuck Norris can binary search unsorted data.
+    '8786777c775b': 'Chuck Norris puede hacer búsqueda binaria en datos sin ordenar.',
+    // Chuck Norris breaks RSA 128-bit encrypted codes in milliseconds.
+    '941cb4362626': 'Chuck Norris rompe cifrados RSA de 128 bits en milisegundos.',
+    // Chuck Norris doesn't needs try-catch, exceptions are too afraid to raise.
+    'bab344d2dc0d': 'Chuck Norris no necesita try-catch, las excepciones tienen demasiado miedo de lanzarse.',
+    // Chuck Norris went out of an infinite loop.
+    'f47e7e74daea': 'Chuck Norris salió de un bucle infinito.',
+    // If Chuck Norris writes code with bugs, the bugs fix themselves.
+    '7b47ef186a52': 'Si Chuck Norris escribe código con bugs, los bugs se arreglan solos.',
+    // Chuck Norris hosting is 101% uptime guaranteed.
+    '1f8cf77206f5': 'El hosting de Chuck Norris garantiza un 101% de disponibilidad.',
+    // Chuck Norris's keyboard has the Any key.
+    'da7e272a8cef': 'El teclado de Chuck Norris tiene la tecla Cualquiera.',
+    // Chuck Norris can access the DB from the UI.
+    '5f5cff67d96b': 'Chuck Norris puede acceder a la base de datos desde la interfaz.',
+    // Chuck Norris' programs never exit, they terminate.
+    '5764f1d94ca6': 'Los programas de Chuck Norris nunca salen, terminan.',
+    // Chuck Norris insists on strongly-typed programming languages.
+    '23662dd8ff2b': 'Chuck Norris insiste en usar lenguajes de tipado fuerte.',
+    // Chuck Norris protocol design method has no status, requests or responses, only commands.
+    '1b746ff2cc2c': 'En los protocolos que diseña Chuck Norris no hay estados, peticiones ni respuestas, solo órdenes.',
+    // Chuck Norris programs occupy 150% of CPU, even when they are not executing.
+    '4c5bd830f7a1': 'Los programas de Chuck Norris ocupan el 150% de la CPU, incluso cuando no se están ejecutando.',
+    // Chuck Norris can spawn threads that complete before they are started.
+    '9ec89d8007b7': 'Chuck Norris puede lanzar hilos que terminan antes de empezar.',
+    // Chuck Norris programs do not accept input.
+    'cb5741c2a1b6': 'Los programas de Chuck Norris no aceptan entradas.',
+    // Chuck Norris can install iTunes without installing Quicktime.
+    'b863e34e5fca': 'Chuck Norris puede instalar iTunes sin instalar Quicktime.',
+    // Chuck Norris doesn't need an OS.
+    'c18948315851': 'Chuck Norris no necesita sistema operativo.',
+    // Chuck Norris's OSI network model has only one layer - Physical.
+    'e03715514920': 'El modelo de red OSI de Chuck Norris solo tiene una capa: la física.',
+    // Chuck Norris can compile syntax errors.
+    '445394868325': 'Chuck Norris puede compilar errores de sintaxis.',
+    // Every SQL statement that Chuck Norris codes has an implicit "COMMIT" in its end.
+    '0fe80e2359d4': 'Cada sentencia SQL que escribe Chuck Norris lleva un "COMMIT" implícito al final.',
+    // Chuck Norris does not need to type-cast. The Chuck-Norris Compiler (CNC) sees through things. All way down. Always.
+    'c6f954bda5c0': 'Chuck Norris no necesita conversiones de tipo. El compilador de Chuck Norris (CNC) lo ve todo. ' +
+      'Hasta el fondo. Siempre.',
+    // Chuck Norris does not code in cycles, he codes in strikes.
+    '6805369e236d': 'Chuck Norris no programa en ciclos, programa en golpes.',
+    // Chuck Norris doesn't use a computer because a computer does everything slower than Chuck Norris.
+    'b2c10d34a512': 'Chuck Norris no usa ordenador porque un ordenador lo hace todo más lento que Chuck Norris.',
+    // Chuck Norris compresses his files by doing a flying round house kick to the hard drive.
+    'b19ad3952bcd': 'Chuck Norris comprime sus archivos dándole al disco duro una patada giratoria voladora.',
+    // Chuck Norris solved the halting problem.
+    '59cb37a9a74c': 'Chuck Norris resolvió el problema de la parada.',
+    // Chuck Norris doesn't cheat death. He wins fair and square.
+    'b5bf206f2d4e': 'Chuck Norris no engaña a la muerte. Le gana limpiamente.',
+    // Chuck Norris once won a game of connect four in 3 moves.
+    'c1a43d58e7f9': 'Chuck Norris ganó una vez una partida de Conecta 4 en 3 movimientos.',
+    // With Chuck Norris P = NP. There's no nondeterminism with Chuck Norris decisions.
+    '99228042f066': 'Con Chuck Norris, P = NP. No hay no determinismo en las decisiones de Chuck Norris.',
+    // Chuck Norris can do a wheelie on a unicycle.
+    '66bdf2f1ec06': 'Chuck Norris puede hacer un caballito en un monociclo.',
+    // Chuck Norris can win in a game of Russian roulette with a fully loaded gun.
+    'df37d90c5331': 'Chuck Norris puede ganar a la ruleta rusa con el tambor completamente cargado.',
+    // Chuck Norris eats lightning and shits out thunder.
+    '26dbfcf8e73c': 'Chuck Norris come rayos y caga truenos.',
+    // Chuck Norris can retrieve anything from /dev/null.
+    '024b83f6e027': 'Chuck Norris puede recuperar cualquier cosa de /dev/null.',
+    // No one has ever pair-programmed with Chuck Norris and lived to tell about it.
+    '48dba9bdf342': 'Nadie ha programado en pareja con Chuck Norris y ha vivido para contarlo.',
+    // No one has ever spoken during review of Chuck Norris' code and lived to tell about it.
+    '5dc4a961e742': 'Nadie ha hablado nunca durante la revisión del código de Chuck Norris y ha vivido para contarlo.',
+    // Chuck Norris doesn't use GUI, he prefers COMMAND line.
+    'bf5dde78d20d': 'Chuck Norris no usa interfaz gráfica, prefiere la línea de ÓRDENES.',
+    // Chuck Norris doesn't use Oracle, he is the Oracle.
+    'bf8309bbc79d': 'Chuck Norris no usa Oracle, él es el Oráculo.',
+    // Chuck Norris can dereference NULL.
+    '08df7cd0c5cf': 'Chuck Norris puede desreferenciar NULL.',
+    // Jesus can walk on water, but Chuck Norris can swim through land.
+    '04b1bba2e1cd': 'Jesús puede caminar sobre el agua, pero Chuck Norris puede nadar a través de la tierra.',
+    // A diff between your code and Chuck Norris's is infinite.
+    'ed6cf4193d94': 'Un diff entre tu código y el de Chuck Norris es infinito.',
+    // The Chuck Norris Eclipse plugin made alien contact.
+    '8f8cf5b49a8b': 'El plugin de Chuck Norris para Eclipse estableció contacto extraterrestre.',
+    // Chuck Norris is the ultimate mutex, all threads fear him.
+    '1b5f56a4e632': 'Chuck Norris es el mutex definitivo: todos los hilos le temen.',
+    // Chuck Norris uses canvas in IE.
+    '5d84c4b76ce7': 'Chuck Norris usa canvas en IE.',
+    // Don't worry about tests, Chuck Norris's test cases cover your code too.
+    'c9b11a62381d': 'No te preocupes por los tests, los casos de prueba de Chuck Norris también cubren tu código.',
+    // Each hair in Chuck Norris's beard contributes to make the world's largest DDOS.
+    'b3c993cd7173': 'Cada pelo de la barba de Chuck Norris contribuye al mayor DDOS del mundo.',
+    // Chuck Norris's log statements are always at the FATAL level.
+    'cc77e68eafc2': 'Los mensajes de log de Chuck Norris son siempre de nivel FATAL.',
+    // Chuck Norris's database has only one table, 'Kick', which he DROPs frequently.
+    'f322b6d88abe': 'La base de datos de Chuck Norris solo tiene una tabla, \'Kick\', a la que hace DROP a menudo.',
+    // When Chuck Norris break the build, you can't fix it, because there is not a single line of code left.
+    'a8fccb730bf5': 'Cuando Chuck Norris rompe la build no la puedes arreglar, porque no queda ni una línea de código.',
+    // Chuck Norris types with one finger. He points it at the keyboard and the keyboard does the rest.
+    'dd6b3d184b97': 'Chuck Norris escribe con un dedo. Señala el teclado y el teclado hace el resto.',
+    // Chuck Norris's programs can pass the Turing Test by staring at the interrogator.
+    '5d854ef8e493': 'Los programas de Chuck Norris superan el test de Turing mirando fijamente al examinador.',
+    // If you try to kill -9 Chuck Norris's programs, it backfires.
+    '282943607000': 'Si intentas hacer kill -9 a los programas de Chuck Norris, te sale el tiro por la culata.',
+    // Chuck Norris's brain waves are suspected to be harmful to cell phones.
+    '3f5c8153c829': 'Se sospecha que las ondas cerebrales de Chuck Norris son perjudiciales para los móviles.',
+    // Chuck Norris does infinit loops in 4 seconds.
+    '12a949831005': 'Chuck Norris hace bucles infinitos en 4 segundos.',
+    // Product Owners never ask Chuck Norris for more features. They ask for mercy.
+    'a37ce74c8d53': 'Los Product Owners nunca le piden más funcionalidades a Chuck Norris. Le piden clemencia.',
+    // Product Owners never argue with Chuck Norris after he demonstrates the DropKick feature.
+    'bffb6d900692': 'Los Product Owners nunca discuten con Chuck Norris después de que les haga una demo de la ' +
+      'funcionalidad DropKick.',
+    // Chuck Norris killed two stones with one bird.
+    '4eea1a728a8b': 'Chuck Norris mató dos piedras de un pájaro.',
+    // Chuck Norris can speak Braille.
+    'ddd403843ea5': 'Chuck Norris sabe hablar en braille.',
+    // Chuck Norris can over-write a locked variable.
+    'f84fa7846e59': 'Chuck Norris puede sobrescribir una variable bloqueada.',
+    // Chuck Norris knows the value of NULL, and he can sort by it too.
+    'fd1ff01325f1': 'Chuck Norris sabe cuánto vale NULL, y también sabe ordenar por él.',
+    // China lets Chuck Norris search for porn on Google.
+    'bb56a5d68134': 'China deja que Chuck Norris busque porno en Google.',
+    // Chuck Norris can install a 64 bit OS on 32 bit machines.
+    '43670e7bc731': 'Chuck Norris puede instalar un sistema operativo de 64 bits en máquinas de 32 bits.',
+    // Chuck Norris doesn't have pubic hairs because hair doesn't grow on balls of steal.
+    '24e335edd365': 'Chuck Norris no tiene vello púbico porque el pelo no crece en pelotas de acero.',
+    // Chuck Norris can write to an output stream.
+    'f33d28797522': 'Chuck Norris puede escribir en un flujo de salida.',
+    // Chuck Norris can read from an input stream.
+    '15c8a6c27edb': 'Chuck Norris puede leer de un flujo de entrada.',
+    // Chuck Norris never has to build his program to machine code. Machines have learnt to interpret Chuck Norris code.
+    '2dcc6359e22b': 'Chuck Norris nunca tiene que compilar su programa a código máquina. Las máquinas han aprendido ' +
+      'a interpretar el código de Chuck Norris.',
+    // Chuck Norris' unit tests don't run. They die.
+    'ce771718b00e': 'Los tests unitarios de Chuck Norris no se ejecutan. Mueren.',
+    // Chuck Norris sits at the stand-up.
+    '8a5b9189ab25': 'Chuck Norris se sienta en la reunión de pie.',
+    // Chuck Norris doesn't need an account. He just logs in.
+    '262fb2dbd2d3': 'Chuck Norris no necesita una cuenta. Simplemente inicia sesión.',
+    // How many Chuck Norris require to screw a light bulb? None, he will screw it all.
+    '5171051a8a89': '¿Cuántos Chuck Norris hacen falta para enroscar una bombilla? Ninguno, él se lo carga todo.',
+    // Chuck Norris causes the Windows Blue Screen of Death.
+    '5d200ebc32ae': 'Chuck Norris es la causa del pantallazo azul de Windows.',
+    // Chuck Norris can download emails with his pick-up.
+    '568a9ec7d0d4': 'Chuck Norris puede descargar correos con su camioneta.',
+    // Chuck Norris can make a class that is both abstract and final.
+    '33c45a0511f8': 'Chuck Norris puede crear una clase que sea abstracta y final a la vez.',
+    // Chuck Norris could use anything in java.util.* to kill you, including the javadocs.
+    'b52fe256b1dc': 'Chuck Norris podría matarte con cualquier cosa de java.util.*, incluidos los javadocs.',
+    // Code runs faster when Chuck Norris watches it.
+    '900d2aa389ce': 'El código se ejecuta más rápido cuando Chuck Norris lo mira.',
+    // Only Chuck Norris shuts down websites without due process, not SOPA or PIPA.
+    '7a1e79473d8e': 'Solo Chuck Norris cierra webs sin el debido proceso, no la SOPA ni la PIPA.'
+  }
+};
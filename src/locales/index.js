@@ -0,0 +1,20 @@
+import en from './en';
+import es from './es';
+import de from './de';
+
+/**
+ * The languages the bot speaks, keyed by language code as Slack gives it in
+ * a user's locale, e.g. "es" for "es-ES". Each locale has:
+ *
+ * - `name`, what the language calls itself, and `aliases` it can be asked
+ *   for by, all in lower case.
+ * - `replies`, templates for what the bot says. `{user}` and `{bot}` are
+ *   replaced with mentions, and other placeholders with the values given,
+ *   or left out along with the space before them when there's no value.
+ *   Replies a locale doesn't translate are said in English.
+ * - `phrases`, lists of extra trigger phrases keyed by intent, as in the
+ *   config. These are recognised whatever language is being spoken.
+ * - `jokes`, translations of jokes keyed by joke id. Jokes that aren't
+ *   translated are told in English.
+ */
+export default {en, es, de};
@@ -0,0 +1,38 @@
+const PRONOUNS = /\b(?:he|him|his|himself|he's|he'd|he'll)\b/i;
+
+/**
+ * Escapes text for use in a regular expression.
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Rewrites a joke to be about someone else by swapping the full name of who
+ * it's about, and possessives such as "Chuck Norris's", for their name. Only
+ * jokes that call him by his full name and never by a pronoun can be
+ * rewritten, so that the result reads naturally for anyone; null is returned
+ * for the rest.
+ *
+ * @param {String} text - The joke.
+ * @param {String} name - Who the joke should be about.
+ * @param {String} [target] - Who the joke is about now, "Chuck Norris" by default.
+ * @returns {String|null}
+ */
+export default function personaliseJoke(text, name, target = 'Chuck Norris') {
+  const fullName = new RegExp(`\\b${escapeRegExp(target)}(?:(['’]s?)(?![a-z]))?`, 'gi');
+  const partialName = new RegExp(`\\b(?:${target.split(/\s+/).map(escapeRegExp).join('|')})\\b`, 'i');
+
+  if (!text.match(fullName) || PRONOUNS.test(text)) {
+    return null;
+  }
+
+  const personalisedText = text.replace(fullName, (match, possessive) => {
+    return possessive ? `${name}'s` : name;
+  });
+
+  return partialName.test(text.replace(fullName, '')) ? null : personalisedText;
+}
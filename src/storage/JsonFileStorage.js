@@ -0,0 +1,201 @@
+import fs from 'fs';
+import path from 'path';
+import Storage from './Storage';
+
+class JsonFileStorage extends Storage {
+  /**
+   * Persists each record as a JSON file at `<directory>/<collection>/<id>.json`,
+   * which is the same layout Botkit's `json_file_store` uses.
+   *
+   * @param {String} directory
+   */
+  constructor(directory) {
+    super();
+
+    if (typeof directory !== 'string' || directory.length <= 0) {
+      throw new Error('JsonFileStorage: Missing directory.');
+    }
+
+    this.directory = directory;
+    this.pendingWrites = [];
+    this.writeCount = 0;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get(collection, id) {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.getRecordPath(collection, id), 'utf8', (err, contents) => {
+        if (err && err.code === 'ENOENT') {
+          resolve(null);
+          return;
+        }
+
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        this.parse(contents).then(resolve, reject);
+      });
+    });
+  }
+
+  /**
+   * @inheritdoc
+   */
+  save(collection, record) {
+    if (!record || !record.id) {
+      return Promise.reject(new Error('JsonFileStorage: Records must have an id.'));
+    }
+
+    const recordPath = this.getRecordPath(collection, record.id);
+    const contents = JSON.stringify(record, null, 2);
+    // Each write has its own temporary file, so one write's rename can't take another's file away.
+    const temporaryPath = `${recordPath}.${process.pid}.${++this.writeCount}.tmp`;
+
+    return this.trackWrite(collection, record.id, () => this.createDirectory(path.dirname(recordPath)).then(() => {
+      return new Promise((resolve, reject) => {
+        fs.writeFile(temporaryPath, contents, (writeErr) => {
+          if (writeErr) {
+            reject(writeErr);
+            return;
+          }
+
+          // Renaming means a crash mid-write can't leave a truncated record behind.
+          fs.rename(temporaryPath, recordPath, (renameErr) => {
+            if (renameErr) {
+              reject(renameErr);
+              return;
+            }
+
+            resolve(record);
+          });
+        });
+      });
+    }));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  delete(collection, id) {
+    return this.trackWrite(collection, id, () => new Promise((resolve, reject) => {
+      fs.unlink(this.getRecordPath(collection, id), (err) => {
+        if (err && err.code !== 'ENOENT') {
+          reject(err);
+          return;
+        }
+
+        resolve();
+      });
+    }));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  all(collection) {
+    return new Promise((resolve, reject) => {
+      fs.readdir(path.join(this.directory, collection), (err, files) => {
+        if (err && err.code === 'ENOENT') {
+          resolve([]);
+          return;
+        }
+
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const ids = files
+          .filter((file) => path.extname(file) === '.json')
+          .map((file) => decodeURIComponent(path.basename(file, '.json')));
+
+        Promise.all(ids.map((id) => this.get(collection, id))).then(
+          (records) => resolve(records.filter((record) => record !== null)),
+          reject
+        );
+      });
+    });
+  }
+
+  /**
+   * @inheritdoc
+   */
+  flush() {
+    return Promise.all(this.pendingWrites.map((write) => write.catch(() => null))).then(() => undefined);
+  }
+
+  /**
+   * Writes to a record once earlier writes to it have finished, so they land
+   * in the order they were made, keeping track of the write until it
+   * finishes so it can be waited for.
+   *
+   * @param {String} collection
+   * @param {String} id
+   * @param {Function} task - Writes the record, returning a promise.
+   * @returns {Promise}
+   */
+  trackWrite(collection, id, task) {
+    const write = this.enqueue(`write:${collection}:${id}`, task);
+    const untrack = () => {
+      this.pendingWrites.splice(this.pendingWrites.indexOf(write), 1);
+    };
+
+    this.pendingWrites.push(write);
+    write.then(untrack, untrack);
+
+    return write;
+  }
+
+  /**
+   * Determines where a record is kept on disk.
+   *
+   * @param {String} collection
+   * @param {String} id
+   * @returns {String}
+   */
+  getRecordPath(collection, id) {
+    return path.join(this.directory, collection, `${encodeURIComponent(id)}.json`);
+  }
+
+  /**
+   * Parses the contents of a record file.
+   *
+   * @param {String} contents
+   * @returns {Promise}
+   */
+  parse(contents) {
+    try {
+      return Promise.resolve(JSON.parse(contents));
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+
+  /**
+   * Creates a directory along with any missing parent directories.
+   *
+   * @param {String} directory
+   * @returns {Promise}
+   */
+  createDirectory(directory) {
+    return new Promise((resolve, reject) => {
+      fs.mkdir(directory, (err) => {
+        if (!err || err.code === 'EEXIST') {
+          resolve();
+        } else if (err.code === 'ENOENT') {
+          this.createDirectory(path.dirname(directory))
+            .then(() => this.createDirectory(directory))
+            .then(resolve, reject);
+        } else {
+          reject(err);
+        }
+      });
+    });
+  }
+}
+
+export default JsonFileStorage;
@@ -0,0 +1,78 @@
+import Storage from './Storage';
+
+class MemoryStorage extends Storage {
+  /**
+   * Keeps records in memory only, which suits tests and local development.
+   */
+  constructor() {
+    super();
+
+    this.collections = {};
+  }
+
+  /**
+   * Gets the records of a collection, creating it if needed.
+   *
+   * @param {String} collection
+   * @returns {Object}
+   */
+  getCollection(collection) {
+    if (!this.collections[collection]) {
+      this.collections[collection] = {};
+    }
+
+    return this.collections[collection];
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get(collection, id) {
+    const record = this.getCollection(collection)[id];
+
+    return Promise.resolve(record ? this.clone(record) : null);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  save(collection, record) {
+    if (!record || !record.id) {
+      return Promise.reject(new Error('MemoryStorage: Records must have an id.'));
+    }
+
+    this.getCollection(collection)[record.id] = this.clone(record);
+
+    return Promise.resolve(record);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  delete(collection, id) {
+    delete this.getCollection(collection)[id];
+
+    return Promise.resolve();
+  }
+
+  /**
+   * @inheritdoc
+   */
+  all(collection) {
+    const records = this.getCollection(collection);
+
+    return Promise.resolve(Object.keys(records).map((id) => this.clone(records[id])));
+  }
+
+  /**
+   * Copies a record so callers can't mutate what is stored.
+   *
+   * @param {Object} record
+   * @returns {Object}
+   */
+  clone(record) {
+    return JSON.parse(JSON.stringify(record));
+  }
+}
+
+export default MemoryStorage;
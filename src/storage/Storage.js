@@ -0,0 +1,132 @@
+class Storage {
+  /**
+   * Base class for storage backends. Records are plain objects with an `id`
+   * and are grouped into named collections, e.g. "channels" or "state".
+   * Backends implement `get`, `save`, `delete` and `all`, each returning a
+   * promise, and get `update` for free.
+   */
+  constructor() {
+    if (this.constructor === Storage) {
+      throw new Error('Storage: Use a storage backend rather than the base class.');
+    }
+
+    this.queues = {};
+  }
+
+  /**
+   * Gets a record from a collection, resolving with null if it doesn't exist.
+   *
+   * @param {String} collection
+   * @param {String} id
+   * @returns {Promise}
+   */
+  get() {
+    return Promise.reject(new Error('Storage: get() is not implemented.'));
+  }
+
+  /**
+   * Creates or replaces a record in a collection.
+   *
+   * @param {String} collection
+   * @param {Object} record
+   * @returns {Promise}
+   */
+  save() {
+    return Promise.reject(new Error('Storage: save() is not implemented.'));
+  }
+
+  /**
+   * Removes a record from a collection.
+   *
+   * @param {String} collection
+   * @param {String} id
+   * @returns {Promise}
+   */
+  delete() {
+    return Promise.reject(new Error('Storage: delete() is not implemented.'));
+  }
+
+  /**
+   * Gets every record in a collection.
+   *
+   * @param {String} collection
+   * @returns {Promise}
+   */
+  all() {
+    return Promise.reject(new Error('Storage: all() is not implemented.'));
+  }
+
+  /**
+   * Changes a record based on what's stored, one change at a time per record,
+   * so two changes made together can't overwrite each other.
+   *
+   * @param {String} collection
+   * @param {String} id
+   * @param {Function} change - Takes the stored record, or null if there
+   *   isn't one, and returns the record to save.
+   * @returns {Promise} Resolves with the saved record.
+   */
+  update(collection, id, change) {
+    return this.enqueue(`update:${collection}:${id}`, () => {
+      return this.get(collection, id).then((record) => this.save(collection, change(record)));
+    });
+  }
+
+  /**
+   * Runs tasks with the same key one after another.
+   *
+   * @param {String} key
+   * @param {Function} task - Returns a promise.
+   * @returns {Promise}
+   */
+  enqueue(key, task) {
+    const current = (this.queues[key] || Promise.resolve()).then(task);
+    const settled = current.then(() => {}, () => {});
+
+    this.queues[key] = settled;
+    settled.then(() => {
+      if (this.queues[key] === settled) {
+        delete this.queues[key];
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * Waits for records still being written to be saved, e.g. before the
+   * process exits. Backends that write in the background override this.
+   *
+   * @returns {Promise}
+   */
+  flush() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Exposes the storage through the callback based interface Botkit expects
+   * for its `storage` option, so Botkit's teams, users and channels live
+   * alongside the rest of the bot's state.
+   *
+   * @returns {Object}
+   */
+  toBotkitStorage() {
+    const callbackify = (promise, cb) => {
+      promise.then((result) => cb(null, result), (err) => cb(err));
+    };
+    const createCollection = (collection) => ({
+      get: (id, cb) => callbackify(this.get(collection, id), cb),
+      save: (record, cb) => callbackify(this.save(collection, record), cb),
+      delete: (id, cb) => callbackify(this.delete(collection, id), cb),
+      all: (cb) => callbackify(this.all(collection), cb)
+    });
+
+    return {
+      teams: createCollection('teams'),
+      users: createCollection('users'),
+      channels: createCollection('channels')
+    };
+  }
+}
+
+export default Storage;
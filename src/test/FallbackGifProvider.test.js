@@ -0,0 +1,79 @@
+import assert from 'assert';
+import FallbackGifProvider from '../gifProviders/FallbackGifProvider';
+import GifProvider from '../gifProviders/GifProvider';
+import GiphyGifProvider from '../gifProviders/GiphyGifProvider';
+import FakeGiphy from './support/FakeGiphy';
+
+class StubGifProvider extends GifProvider {
+  /**
+   * Finds the same GIF every time, or fails when it has none.
+   *
+   * @param {String} [url]
+   */
+  constructor(url) {
+    super();
+
+    this.url = url;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  getGif(topic) {
+    return this.url ? Promise.resolve(this.url) : Promise.reject(new Error(`StubGifProvider: No GIF of "${topic}".`));
+  }
+}
+
+describe('FallbackGifProvider', () => {
+  it('moves on to the next provider when one fails', () => {
+    const provider = new FallbackGifProvider({
+      providers: [new StubGifProvider(), new StubGifProvider('https://gifs.test/kick.gif')]
+    });
+
+    return provider.getGif('chuck norris').then((url) => assert.equal(url, 'https://gifs.test/kick.gif'));
+  });
+
+  it('rejects when no provider finds a GIF', () => {
+    const provider = new FallbackGifProvider({providers: [new StubGifProvider()]});
+
+    return provider.getGif('chuck norris').then(() => assert.fail('Expected a rejection.'), (err) => {
+      assert.equal(err.message, 'FallbackGifProvider: No provider found a GIF for "chuck norris".');
+    });
+  });
+
+  it('abandons the request of a provider that takes too long', () => {
+    const giphy = new FakeGiphy({stalled: true});
+
+    return giphy.start().then((url) => {
+      const provider = new FallbackGifProvider({
+        providers: [new GiphyGifProvider({apiKey: 'giphy-token', url}), new StubGifProvider('https://gifs.test/kick.gif')],
+        timeout: 50
+      });
+
+      return provider.getGif('chuck norris');
+    }).then((url) => {
+      assert.equal(url, 'https://gifs.test/kick.gif');
+
+      return giphy.stop();
+    }).then(() => {
+      assert.equal(giphy.searches.length, 1);
+      assert.equal(giphy.abandonedSearches, 1);
+    });
+  });
+
+  it('times providers by the clock it is given', () => {
+    const times = [1000, 1250];
+    const observed = [];
+    const provider = new FallbackGifProvider({
+      providers: [new StubGifProvider('https://gifs.test/kick.gif')],
+      metrics: {observe: (name, labels, value) => observed.push([name, labels, value])},
+      now: () => times.shift()
+    });
+
+    return provider.getGif('chuck norris').then(() => {
+      assert.deepEqual(observed, [
+        ['norrisbot_gif_request_duration_seconds', {provider: 'StubGifProvider'}, 0.25]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import assert from 'assert';
+import GiphyGifProvider from '../gifProviders/GiphyGifProvider';
+import createRandom from '../createRandom';
+import FakeGiphy from './support/FakeGiphy';
+
+describe('GiphyGifProvider', () => {
+  let giphy;
+  let provider;
+
+  beforeEach(() => {
+    giphy = new FakeGiphy({urls: ['https://media.giphy.test/kick.gif']});
+
+    return giphy.start().then((url) => {
+      provider = new GiphyGifProvider({apiKey: 'giphy-token', url, random: createRandom('giphy')});
+    });
+  });
+
+  afterEach(() => giphy.stop());
+
+  it('refuses to be created without an API key', () => {
+    assert.throws(() => new GiphyGifProvider({}), /GiphyGifProvider: Missing API key\./);
+  });
+
+  it('searches Giphy for the topic within the rating', () => {
+    return provider.getGif('chuck norris kicking', {rating: 'g'}).then((url) => {
+      assert.equal(url, 'https://media.giphy.test/kick.gif');
+      assert.deepEqual(giphy.searches, [
+        {q: 'chuck norris kicking', limit: '25', rating: 'g', 'api_key': 'giphy-token'}
+      ]);
+    });
+  });
+
+  it('rejects when Giphy responds with an error', () => {
+    giphy.status = 500;
+
+    return provider.getGif('chuck norris').then(() => assert.fail('Expected a rejection.'), (err) => {
+      assert.equal(err.message, 'GiphyGifProvider: Giphy responded with status 500.');
+    });
+  });
+
+  it('rejects when Giphy finds nothing', () => {
+    giphy.urls = [];
+
+    return provider.getGif('chuck norris').then(() => assert.fail('Expected a rejection.'), (err) => {
+      assert.equal(err.message, 'GiphyGifProvider: No GIFs found for "chuck norris".');
+    });
+  });
+
+  it('rejects when Giphy can\'t be reached', () => {
+    return giphy.stop().then(() => provider.getGif('chuck norris')).then(
+      () => assert.fail('Expected a rejection.'),
+      (err) => assert.equal(err.code, 'ECONNREFUSED')
+    );
+  });
+});
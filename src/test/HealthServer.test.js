@@ -0,0 +1,98 @@
+import assert from 'assert';
+import http from 'http';
+import HealthServer from '../HealthServer';
+import Metrics from '../Metrics';
+
+/**
+ * Requests a path from a local port.
+ *
+ * @param {Number} port
+ * @param {String} path
+ * @param {String} [method]
+ * @returns {Promise} Resolves with the `status`, `type` and `body` of the response.
+ */
+function request(port, path, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    http.request({host: '127.0.0.1', port, path, method}, (response) => {
+      let body = '';
+
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        body += chunk;
+      });
+      response.on('end', () => resolve({status: response.statusCode, type: response.headers['content-type'], body}));
+    }).on('error', reject).end();
+  });
+}
+
+describe('HealthServer', () => {
+  let checks;
+  let metrics;
+  let healthServer;
+  let port;
+
+  beforeEach(() => {
+    checks = {rtm: false, jokeOfTheDaySchedule: false};
+    metrics = new Metrics();
+    healthServer = new HealthServer({port: 0, metrics, getChecks: () => checks});
+
+    return healthServer.start().then((listening) => {
+      port = listening;
+    });
+  });
+
+  afterEach(() => healthServer.stop());
+
+  it('needs a port', () => {
+    assert.throws(() => new HealthServer({metrics}), /HealthServer: Missing port\./);
+  });
+
+  it('answers /healthz whether or not the bot is ready', () => {
+    return request(port, '/healthz').then((response) => {
+      assert.deepEqual(response, {status: 200, type: 'text/plain', body: 'ok\n'});
+    });
+  });
+
+  it('answers /readyz with 503 until every check passes', () => {
+    return request(port, '/readyz').then((response) => {
+      assert.equal(response.status, 503);
+      assert.deepEqual(JSON.parse(response.body), {ready: false, checks: {rtm: false, jokeOfTheDaySchedule: false}});
+
+      checks.rtm = true;
+
+      return request(port, '/readyz');
+    }).then((response) => {
+      assert.equal(response.status, 503);
+      assert.deepEqual(JSON.parse(response.body), {ready: false, checks: {rtm: true, jokeOfTheDaySchedule: false}});
+
+      checks.jokeOfTheDaySchedule = true;
+
+      return request(port, '/readyz?verbose');
+    }).then((response) => {
+      assert.equal(response.status, 200);
+      assert.equal(response.type, 'application/json');
+      assert.deepEqual(JSON.parse(response.body), {ready: true, checks: {rtm: true, jokeOfTheDaySchedule: true}});
+    });
+  });
+
+  it('answers /metrics in the Prometheus text format', () => {
+    metrics.define('norrisbot_messages_total', 'counter', 'Messages sent to the bot.');
+    metrics.increment('norrisbot_messages_total', {intent: 'randomJoke'});
+
+    return request(port, '/metrics').then((response) => {
+      assert.deepEqual(response, {
+        status: 200,
+        type: 'text/plain; version=0.0.4',
+        body: '# HELP norrisbot_messages_total Messages sent to the bot.\n' +
+          '# TYPE norrisbot_messages_total counter\n' +
+          'norrisbot_messages_total{intent="randomJoke"} 1\n'
+      });
+    });
+  });
+
+  it('answers other paths with 404 and other methods with 405', () => {
+    return Promise.all([request(port, '/'), request(port, '/healthz', 'POST')]).then((responses) => {
+      assert.deepEqual(responses.map((response) => response.status), [404, 405]);
+    });
+  });
+});
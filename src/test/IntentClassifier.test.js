@@ -0,0 +1,90 @@
+import assert from 'assert';
+import IntentClassifier from '../IntentClassifier';
+import intents from '../intents';
+
+describe('IntentClassifier', () => {
+  const classifier = new IntentClassifier({intents});
+  const intentOf = (text) => classifier.classify(text).intent;
+
+  describe('the bot\'s intents', () => {
+    it('recognises loosely worded requests', () => {
+      assert.equal(intentOf('give us a joke'), 'randomJoke');
+      assert.equal(intentOf('got any jokes?'), 'randomJoke');
+      assert.equal(intentOf('gif please'), 'randomGif');
+      assert.equal(intentOf('what\'s the daily jotd'), 'jokeOfTheDay');
+      assert.equal(intentOf('which categories are there'), 'categoryList');
+      assert.equal(intentOf('hiya'), 'salutation');
+      assert.equal(intentOf('cheers'), 'gratitude');
+      assert.equal(intentOf('what commands are there'), 'help');
+    });
+
+    it('captures the details of requests', () => {
+      assert.deepEqual(classifier.classify('3 jokes about roundhouse kicks').match.slice(1), ['3', 'roundhouse kicks']);
+      assert.deepEqual(classifier.classify('approve #12').match.slice(1), ['12']);
+      assert.deepEqual(classifier.classify('team safe mode on').match.slice(1), ['team ', 'on']);
+    });
+
+    it('recognises Spanish and German wordings', () => {
+      assert.equal(intentOf('cuéntame un chiste de sports'), 'categoryJoke');
+      assert.equal(intentOf('erzähl mir einen Witz aus sports'), 'categoryJoke');
+      assert.deepEqual(classifier.classify('2 chistes sobre patadas').match.slice(1), ['2', 'patadas']);
+      assert.deepEqual(classifier.classify('Witze über <@U2>').match.slice(1), ['U2']);
+      assert.deepEqual(classifier.classify('estadísticas de 7 días').match.slice(1), ['7']);
+      assert.deepEqual(classifier.classify('bewerte 4').match.slice(1), ['4']);
+      assert.deepEqual(classifier.classify('peores chistes').match.slice(1), ['peores']);
+      assert.deepEqual(classifier.classify('witz des tages um 09:30 Europe/Berlin').match.slice(1), [
+        '09', '30', 'Europe/Berlin'
+      ]);
+      assert.equal(intentOf('activa el modo seguro del equipo'), 'safeModeChange');
+      assert.equal(intentOf('¿qué paquetes de chistes hay?'), 'packList');
+      assert.deepEqual(classifier.classify('usa el paquete de chistes dad').match.slice(1), ['dad']);
+    });
+
+    it('prefers the intents listed first when several patterns match', () => {
+      assert.equal(intentOf('tell me a joke about roundhouse kicks'), 'jokeSearch');
+      assert.equal(intentOf('tell me a joke about <@U2>'), 'namedJoke');
+      assert.equal(intentOf('post joke of the day at 09:30 Europe/London'), 'scheduleChange');
+      assert.equal(intentOf('tell me the joke of the day'), 'jokeOfTheDay');
+      assert.equal(intentOf('gif rating pg'), 'gifRatingChange');
+      assert.equal(intentOf('gif rating'), 'gifRatingRequest');
+    });
+
+    it('is steered away from intents by negative keywords', () => {
+      assert.equal(intentOf('any funny gifs'), 'randomGif');
+      assert.equal(intentOf('any jokes today'), 'jokeOfTheDay');
+    });
+
+    it('recognises nothing it is not confident about', () => {
+      assert.deepEqual(classifier.classify('what is the airspeed velocity of an unladen swallow'), {
+        intent: null,
+        confidence: 0,
+        match: null
+      });
+    });
+  });
+
+  it('scores keywords against the threshold', () => {
+    const strict = new IntentClassifier({
+      intents: [{name: 'randomJoke', keywords: {joke: 0.6, funny: 0.3}}],
+      threshold: 0.8
+    });
+
+    assert.deepEqual(strict.classify('a joke'), {intent: null, confidence: 0.6, match: null});
+    assert.deepEqual(strict.classify('a funny joke'), {intent: 'randomJoke', confidence: 0.9, match: ['a funny joke']});
+  });
+
+  it('matches patterns regardless of case and with full confidence', () => {
+    const result = new IntentClassifier({intents: [{name: 'help', patterns: ['^help$']}]}).classify('  HELP ');
+
+    assert.equal(result.intent, 'help');
+    assert.equal(result.confidence, 1);
+  });
+
+  it('stems plurals', () => {
+    assert.deepEqual(classifier.tokenize('Chuck\'s jokes about categories'), ['chuck', 'joke', 'about', 'category']);
+  });
+
+  it('refuses intents without a name', () => {
+    assert.throws(() => new IntentClassifier({intents: [{patterns: ['^help$']}]}), /Intents must have a name/);
+  });
+});
@@ -0,0 +1,69 @@
+import assert from 'assert';
+import JokeRotation from '../JokeRotation';
+import MemoryStorage from '../storage/MemoryStorage';
+import createRandom from '../createRandom';
+
+const JOKES = ['a', 'b', 'c', 'd', 'e'].map((id) => ({id, text: `Joke ${id}`}));
+
+describe('JokeRotation', () => {
+  /**
+   * Draws jokes from a rotation one after another.
+   *
+   * @param {JokeRotation} rotation
+   * @param {Number} count
+   * @param {Array} [excludeIds]
+   * @returns {Promise} Resolves with the ids of the jokes drawn, in order.
+   */
+  function draw(rotation, count, excludeIds) {
+    const ids = [];
+    let drawn = Promise.resolve();
+
+    for (let index = 0; index < count; index++) {
+      drawn = drawn.then(() => rotation.next('T1:C1', JOKES, excludeIds)).then((joke) => ids.push(joke.id));
+    }
+
+    return drawn.then(() => ids);
+  }
+
+  const createRotation = (seed, storage = new MemoryStorage()) => {
+    return new JokeRotation({storage, random: createRandom(seed), recentLimit: 2});
+  };
+
+  it('tells jokes in the same order for the same seed', () => {
+    return draw(createRotation('rotation'), 10).then((ids) => {
+      assert.deepEqual(ids, ['e', 'd', 'a', 'b', 'c', 'e', 'b', 'c', 'd', 'a']);
+    });
+  });
+
+  it('tells every joke once before repeating any', () => {
+    return draw(createRotation('another seed'), 15).then((ids) => {
+      [0, 5, 10].forEach((start) => {
+        assert.deepEqual(ids.slice(start, start + 5).sort(), ['a', 'b', 'c', 'd', 'e']);
+      });
+    });
+  });
+
+  it('carries on where it left off after a restart', () => {
+    const storage = new MemoryStorage();
+
+    return draw(createRotation('rotation', storage), 3).then((ids) => {
+      return draw(createRotation('restarted', storage), 2).then((moreIds) => {
+        assert.deepEqual(ids.concat(moreIds).sort(), ['a', 'b', 'c', 'd', 'e']);
+      });
+    });
+  });
+
+  it('avoids excluded jokes until nothing else is left', () => {
+    return draw(createRotation('rotation'), 5, ['a']).then((ids) => {
+      assert.equal(ids[4], 'a');
+    });
+  });
+
+  it('keeps separate rotations for each scope', () => {
+    const rotation = createRotation('rotation');
+
+    return rotation.next('T1:C1', JOKES).then(() => rotation.getState('T1:C2')).then((state) => {
+      assert.deepEqual(state.told, []);
+    });
+  });
+});
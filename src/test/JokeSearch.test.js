@@ -0,0 +1,50 @@
+import assert from 'assert';
+import JokeSearch from '../JokeSearch';
+
+const JOKES = [
+  {id: 'roundhouse', text: 'Chuck Norris can roundhouse kick a tornado.', tags: ['sports']},
+  {id: 'beard', text: 'Chuck Norris kicks doors down with his beard.', tags: ['beard']},
+  {id: 'zero', text: 'Chuck Norris can divide by zero.', tags: ['maths']}
+];
+
+describe('JokeSearch', () => {
+  let jokeSearch;
+
+  const search = (term, jokes = JOKES) => jokeSearch.search(term, jokes).map((result) => result.joke.id);
+
+  beforeEach(() => {
+    jokeSearch = new JokeSearch();
+  });
+
+  it('finds jokes despite a typo or two', () => {
+    assert.deepEqual(search('tornadoe'), ['roundhouse']);
+    assert.deepEqual(search('roundhuose'), ['roundhouse']);
+    assert.deepEqual(search('devide'), ['zero']);
+  });
+
+  it('finds nothing when no joke matches', () => {
+    assert.deepEqual(search('spaceship'), []);
+    assert.deepEqual(search('a joke about chuck norris'), []);
+    assert.deepEqual(search(''), []);
+  });
+
+  it('finds jokes by their tags', () => {
+    assert.deepEqual(search('maths'), ['zero']);
+  });
+
+  it('ranks exact matches above prefixes, and prefixes above typos', () => {
+    assert.deepEqual(search('kick'), ['roundhouse', 'beard']);
+    assert.deepEqual(jokeSearch.search('kick', JOKES).map((result) => result.score), [13, 12]);
+    assert.deepEqual(jokeSearch.search('kiks', JOKES).map((result) => result.score), [11]);
+  });
+
+  it('ranks jokes matching more of the searched words first', () => {
+    assert.deepEqual(search('kick beard'), ['beard', 'roundhouse']);
+    assert.deepEqual(search('zero kicks beard'), ['beard', 'zero', 'roundhouse']);
+  });
+
+  it('searches the jokes it is given, even after searching others', () => {
+    assert.deepEqual(search('kick', JOKES.slice(2)), []);
+    assert.deepEqual(search('kick'), ['roundhouse', 'beard']);
+  });
+});
@@ -0,0 +1,70 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JsonFileStorage from '../storage/JsonFileStorage';
+
+describe('JsonFileStorage', () => {
+  const directory = path.join(os.tmpdir(), `norrisbot-storage-${process.pid}`);
+  let storage;
+
+  const removeDirectory = (target) => {
+    if (!fs.existsSync(target)) {
+      return;
+    }
+
+    fs.readdirSync(target).forEach((name) => {
+      const entry = path.join(target, name);
+
+      if (fs.statSync(entry).isDirectory()) {
+        removeDirectory(entry);
+      } else {
+        fs.unlinkSync(entry);
+      }
+    });
+    fs.rmdirSync(target);
+  };
+
+  beforeEach(() => {
+    storage = new JsonFileStorage(directory);
+  });
+
+  afterEach(() => removeDirectory(directory));
+
+  it('saves and gets records', () => {
+    return storage.save('channels', {id: 'C1', safeMode: true}).then(() => {
+      return storage.get('channels', 'C1');
+    }).then((record) => {
+      assert.deepEqual(record, {id: 'C1', safeMode: true});
+    });
+  });
+
+  it('saves the same record many times at once, keeping the last', () => {
+    const saves = [1, 2, 3, 4, 5].map((version) => storage.save('channels', {id: 'C1', version}));
+
+    return Promise.all(saves).then(() => storage.get('channels', 'C1')).then((record) => {
+      assert.deepEqual(record, {id: 'C1', version: 5});
+      assert.deepEqual(fs.readdirSync(path.join(directory, 'channels')), ['C1.json']);
+    });
+  });
+
+  it('keeps every change made to a record at once', () => {
+    const updates = ['safeMode', 'gifRating', 'locale'].map((setting) => {
+      return storage.update('channels', 'C1', (record) => Object.assign({id: 'C1'}, record, {[setting]: true}));
+    });
+
+    return Promise.all(updates).then(() => storage.get('channels', 'C1')).then((record) => {
+      assert.deepEqual(record, {id: 'C1', safeMode: true, gifRating: true, locale: true});
+    });
+  });
+
+  it('waits for writes to finish when flushed', () => {
+    storage.save('channels', {id: 'C1'});
+    storage.delete('channels', 'C2');
+
+    return storage.flush().then(() => {
+      assert.equal(storage.pendingWrites.length, 0);
+      assert.ok(fs.existsSync(path.join(directory, 'channels', 'C1.json')));
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import assert from 'assert';
+import Logger from '../Logger';
+
+describe('Logger', () => {
+  let lines;
+
+  const createLogger = (options) => new Logger(Object.assign({
+    write: (line) => lines.push(JSON.parse(line)),
+    now: () => Date.UTC(2016, 11, 15, 12)
+  }, options));
+
+  beforeEach(() => {
+    lines = [];
+  });
+
+  it('writes entries as JSON lines with their context', () => {
+    createLogger().info('randomJoke', {team: 'T1', channel: 'C1', user: 'U1', latency: 12});
+
+    assert.deepEqual(lines, [{
+      time: '2016-12-15T12:00:00.000Z',
+      level: 'info',
+      event: 'randomJoke',
+      team: 'T1',
+      channel: 'C1',
+      user: 'U1',
+      latency: 12
+    }]);
+  });
+
+  it('leaves out entries below its level', () => {
+    const logger = createLogger({level: 'warn'});
+
+    logger.debug('debugged');
+    logger.info('informed');
+    logger.warn('warned');
+    logger.error('failed');
+
+    assert.deepEqual(lines.map((line) => line.level), ['warn', 'error']);
+  });
+
+  it('refuses levels it does not know', () => {
+    assert.throws(() => new Logger({level: 'loud'}), /Logger: Unknown log level "loud"\./);
+  });
+
+  it('redacts Slack tokens and secrets, however deep they are', () => {
+    createLogger({secrets: ['giphy-secret']}).info('connecting', {
+      token: 'xoxb-1234-abcd',
+      options: {user: {token: 'xoxp-5678-efgh'}, keys: ['giphy-secret']},
+      url: 'https://api.giphy.com/v1/gifs/search?api_key=giphy-secret'
+    });
+
+    assert.deepEqual(lines[0].token, '[REDACTED]');
+    assert.deepEqual(lines[0].options, {user: {token: '[REDACTED]'}, keys: ['[REDACTED]']});
+    assert.equal(lines[0].url, 'https://api.giphy.com/v1/gifs/search?api_key=[REDACTED]');
+  });
+
+  it('redacts tokens and secrets in errors', () => {
+    createLogger({secrets: ['tenor-secret']}).error('gifProviderFailed', {
+      err: new Error('Request with xoxb-1234-abcd and tenor-secret failed.')
+    });
+
+    assert.equal(lines[0].err.message, 'Request with [REDACTED] and [REDACTED] failed.');
+    assert.equal(lines[0].err.stack.indexOf('xoxb-1234-abcd'), -1);
+    assert.equal(lines[0].err.stack.indexOf('tenor-secret'), -1);
+  });
+
+  it('redacts what Botkit logs', () => {
+    createLogger().toBotkitLogger().log('warning', 'Could not connect with token', 'xoxb-1234-abcd');
+
+    assert.deepEqual(lines.map((line) => [line.level, line.event, line.message]), [
+      ['warn', 'botkit', 'Could not connect with token [REDACTED]']
+    ]);
+  });
+});
@@ -0,0 +1,80 @@
+import assert from 'assert';
+import Metrics from '../Metrics';
+
+describe('Metrics', () => {
+  let metrics;
+
+  beforeEach(() => {
+    metrics = new Metrics();
+  });
+
+  it('adds up counters per set of labels', () => {
+    metrics.define('norrisbot_messages_total', 'counter', 'Messages sent to the bot.');
+    metrics.increment('norrisbot_messages_total', {intent: 'randomJoke'});
+    metrics.increment('norrisbot_messages_total', {intent: 'randomJoke'});
+    metrics.increment('norrisbot_messages_total', {intent: 'randomGif'}, 3);
+
+    assert.equal(metrics.toPrometheus(), [
+      '# HELP norrisbot_messages_total Messages sent to the bot.',
+      '# TYPE norrisbot_messages_total counter',
+      'norrisbot_messages_total{intent="randomGif"} 3',
+      'norrisbot_messages_total{intent="randomJoke"} 2',
+      ''
+    ].join('\n'));
+  });
+
+  it('keeps the last value set of gauges', () => {
+    metrics.define('norrisbot_rtm_connected', 'gauge', 'Whether a team is connected.');
+    metrics.set('norrisbot_rtm_connected', {team: 'T1'}, 1);
+    metrics.set('norrisbot_rtm_connected', {team: 'T1'}, 0);
+    metrics.set('norrisbot_rtm_connected', {team: 'T2'}, 1);
+
+    assert.equal(metrics.toPrometheus(), [
+      '# HELP norrisbot_rtm_connected Whether a team is connected.',
+      '# TYPE norrisbot_rtm_connected gauge',
+      'norrisbot_rtm_connected{team="T1"} 0',
+      'norrisbot_rtm_connected{team="T2"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('counts histogram observations into buckets', () => {
+    metrics.define('norrisbot_gif_request_duration_seconds', 'histogram', 'How long GIF providers took.', [0.1, 1]);
+    metrics.observe('norrisbot_gif_request_duration_seconds', {provider: 'giphy'}, 0.05);
+    metrics.observe('norrisbot_gif_request_duration_seconds', {provider: 'giphy'}, 0.5);
+    metrics.observe('norrisbot_gif_request_duration_seconds', {provider: 'giphy'}, 2);
+
+    assert.equal(metrics.toPrometheus(), [
+      '# HELP norrisbot_gif_request_duration_seconds How long GIF providers took.',
+      '# TYPE norrisbot_gif_request_duration_seconds histogram',
+      'norrisbot_gif_request_duration_seconds_bucket{le="0.1",provider="giphy"} 1',
+      'norrisbot_gif_request_duration_seconds_bucket{le="1",provider="giphy"} 2',
+      'norrisbot_gif_request_duration_seconds_bucket{le="+Inf",provider="giphy"} 3',
+      'norrisbot_gif_request_duration_seconds_sum{provider="giphy"} 2.55',
+      'norrisbot_gif_request_duration_seconds_count{provider="giphy"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('escapes backslashes, quotes and new lines in label values', () => {
+    metrics.define('norrisbot_messages_total', 'counter', 'Messages sent to the bot.');
+    metrics.increment('norrisbot_messages_total', {intent: 'say "hi"\\\nbye'});
+
+    assert.equal(
+      metrics.toPrometheus().split('\n')[2],
+      'norrisbot_messages_total{intent="say \\"hi\\"\\\\\\nbye"} 1'
+    );
+  });
+
+  it('leaves out labels for series without any', () => {
+    metrics.define('norrisbot_messages_total', 'counter', 'Messages sent to the bot.');
+    metrics.increment('norrisbot_messages_total');
+
+    assert.equal(metrics.toPrometheus().split('\n')[2], 'norrisbot_messages_total 1');
+  });
+
+  it('refuses unknown metrics and metric types', () => {
+    assert.throws(() => metrics.define('norrisbot_jokes', 'summary', 'Jokes.'), /Unknown metric type "summary"\./);
+    assert.throws(() => metrics.increment('norrisbot_jokes'), /Metrics: Unknown metric "norrisbot_jokes"\./);
+  });
+});
@@ -0,0 +1,1444 @@
+import assert from 'assert';
+import http from 'http';
+import NorrisBot from '../NorrisBot';
+import locales from '../locales';
+import Logger from '../Logger';
+import createRandom from '../createRandom';
+import FakeSlack from './support/FakeSlack';
+import FakeGiphy from './support/FakeGiphy';
+
+const JOKES = [
+  {id: 'roundhouse', text: 'Chuck Norris can roundhouse kick a tornado.', tags: ['sports']},
+  {id: 'zero', text: 'Chuck Norris can divide by zero.', tags: ['maths']},
+  {
+    id: 'fist',
+    text: 'There is no chin behind Chuck Norris\' beard. There is only another fist.',
+    tags: ['beard', 'nsfw']
+  },
+  {id: 'tears', text: 'Chuck Norris\' tears cure cancer. Too bad he has never cried.', tags: ['sports']}
+];
+
+const PACKS = [
+  {
+    id: 'dad',
+    name: 'Dad jokes',
+    aliases: ['dad'],
+    gifSearchTerm: 'dad joke',
+    phrases: ['dad joke'],
+    jokes: ['I used to hate facial hair, but then it grew on me.', 'I\'m reading a book about anti-gravity.']
+  },
+  {
+    id: 'jack-bauer',
+    name: 'Jack Bauer',
+    nameTarget: 'Jack Bauer',
+    jokes: ['Jack Bauer can get a taxi in the rain.']
+  }
+];
+
+const USERS = {
+  U1: {id: 'U1', name: 'bob', profile: {'display_name': 'Bob'}},
+  U2: {id: 'U2', name: 'alice', profile: {'display_name': 'Alice'}, locale: 'de-DE'},
+  UADMIN: {id: 'UADMIN', name: 'admin', profile: {}},
+  U3: {id: 'U3', name: 'carol', profile: {}, 'is_admin': true}
+};
+
+const GIF_URL = 'https://media.giphy.test/chuck.gif';
+
+/**
+ * Creates a bot wired up to a fake Slack and a fake Giphy server, with a
+ * fixed clock, a seeded RNG and its state loaded.
+ *
+ * @param {Object} [options] - Options for the bot, overriding the defaults.
+ * @returns {Promise} Resolves with the `norrisBot`, `slack` and `giphy`.
+ */
+function createTestBot(options) {
+  const slack = new FakeSlack({users: USERS});
+  const giphy = new FakeGiphy({urls: [GIF_URL]});
+
+  return giphy.start().then((giphyUrl) => {
+    const norrisBot = new NorrisBot(Object.assign({
+      controller: slack.controller,
+      giphyToken: 'giphy-token',
+      giphyUrl,
+      now: () => Date.parse('2016-12-15T12:00:00Z'),
+      random: createRandom('tests'),
+      jokes: JOKES,
+      unsafeTags: ['nsfw'],
+      admins: ['UADMIN'],
+      rateLimits: {user: 0, channel: 0, team: 0},
+      logger: new Logger({write: () => {}})
+    }, options));
+
+    return norrisBot.load().then(() => ({norrisBot, slack, giphy}));
+  }).catch((err) => giphy.stop().then(() => Promise.reject(err)));
+}
+
+/**
+ * Finds a port nothing is listening on.
+ *
+ * @returns {Promise} Resolves with the port.
+ */
+function findFreePort() {
+  return new Promise((resolve) => {
+    const server = http.createServer().listen(0, '127.0.0.1', () => {
+      const port = server.address().port;
+
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Waits for a condition to hold, checking every few milliseconds.
+ *
+ * @param {Function} condition
+ * @returns {Promise}
+ */
+function waitFor(condition) {
+  return new Promise((resolve) => {
+    const check = () => (condition() ? resolve() : setTimeout(check, 5));
+
+    check();
+  });
+}
+
+/**
+ * Gets the text of replies.
+ *
+ * @param {Array} replies
+ * @returns {Array}
+ */
+function texts(replies) {
+  return replies.map((reply) => reply.text);
+}
+
+describe('NorrisBot', () => {
+  let norrisBot;
+  let slack;
+  let giphy;
+
+  const fromAdmin = (text) => slack.send({user: 'UADMIN', text});
+  const inChannel = (text, user = 'U1') => slack.send({type: 'direct_mention', channel: 'C1', user, text});
+  const stop = () => Promise.all([norrisBot.stop(), giphy.stop()]);
+  const reconfigure = (options) => stop().then(() => createTestBot(options)).then((created) => {
+    norrisBot = created.norrisBot;
+    slack = created.slack;
+    giphy = created.giphy;
+  });
+
+  beforeEach(() => {
+    return createTestBot().then((created) => {
+      norrisBot = created.norrisBot;
+      slack = created.slack;
+      giphy = created.giphy;
+    });
+  });
+
+  afterEach(() => stop());
+
+  describe('jokeSubmission', () => {
+    it('queues the joke for review', () => {
+      return slack.send({text: 'submit joke: Chuck Norris counted to infinity. Twice.'}).then((replies) => {
+        assert.deepEqual(texts(replies), ['Thanks! Your joke is #1 in the queue for an admin to review.']);
+      });
+    });
+
+    it('records when the joke was submitted by the bot\'s clock', () => {
+      return slack.send({text: 'submit joke: Chuck Norris counted to infinity. Twice.'}).then(() => {
+        return norrisBot.jokeSubmissions.getPending('T1');
+      }).then((pending) => {
+        assert.equal(pending[0].submittedAt, '2016-12-15T12:00:00.000Z');
+      });
+    });
+
+    it('only hears submissions in direct messages', () => {
+      return inChannel('submit joke: Chuck Norris counted to infinity. Twice.').then((replies) => {
+        assert.deepEqual(replies, []);
+      });
+    });
+  });
+
+  describe('submissionList', () => {
+    it('lists the jokes waiting for review', () => {
+      return slack.send({text: 'submit joke: Chuck Norris counted to infinity. Twice.'}).then(() => {
+        return fromAdmin('pending jokes');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'These jokes are waiting for review:\n' +
+          '*#1* from <@U1>\n>Chuck Norris counted to infinity. Twice.\n\n' +
+          'Reply with "approve 1", "reject 1" or "edit 1 <new wording>".'
+        ]);
+      });
+    });
+
+    it('only lists jokes submitted in the team', () => {
+      return slack.send({team: 'T2', text: 'submit joke: Chuck Norris counted to infinity. Twice.'}).then(() => {
+        return fromAdmin('pending jokes');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['There are no jokes waiting for review.']);
+      });
+    });
+
+    it('says when nothing is waiting', () => {
+      return fromAdmin('pending jokes').then((replies) => {
+        assert.deepEqual(texts(replies), ['There are no jokes waiting for review.']);
+      });
+    });
+
+    it('refuses anyone but admins', () => {
+      return slack.send({text: 'pending jokes'}).then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, only admins can moderate submitted jokes.']);
+      });
+    });
+  });
+
+  describe('submissionApproval', () => {
+    it('adds the joke to the pool', () => {
+      return slack.send({text: 'submit joke: Chuck Norris counted to infinity. Twice.'}).then(() => {
+        return fromAdmin('approve 1');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Joke #1 is approved and will start coming up.']);
+        assert.deepEqual(norrisBot.approvedJokes.map((joke) => joke.text), [
+          'Chuck Norris counted to infinity. Twice.'
+        ]);
+      });
+    });
+
+    it('only tells the joke in the team it was submitted in', () => {
+      return slack.send({text: 'submit joke: Chuck Norris counted to infinity. Twice.'}).then(() => {
+        return fromAdmin('approve 1');
+      }).then(() => {
+        assert.equal(norrisBot.getJokePool(false, undefined, 'T1').length, JOKES.length + 1);
+        assert.equal(norrisBot.getJokePool(false, undefined, 'T2').length, JOKES.length);
+      });
+    });
+
+    it('says when there is no such submission', () => {
+      return fromAdmin('approve 9').then((replies) => {
+        assert.deepEqual(texts(replies), ['There\'s no joke #9 waiting for review.']);
+      });
+    });
+
+    it('leaves jokes submitted in other teams alone', () => {
+      return slack.send({team: 'T2', text: 'submit joke: Chuck Norris counted to infinity. Twice.'}).then(() => {
+        return fromAdmin('approve 1');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['There\'s no joke #1 waiting for review.']);
+        assert.deepEqual(norrisBot.approvedJokes, []);
+      });
+    });
+  });
+
+  describe('submissionRejection', () => {
+    it('rejects the joke', () => {
+      return slack.send({text: 'submit joke: Chuck Norris counted to infinity. Twice.'}).then(() => {
+        return fromAdmin('reject 1');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Joke #1 is rejected.']);
+
+        return fromAdmin('pending jokes');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['There are no jokes waiting for review.']);
+      });
+    });
+  });
+
+  describe('submissionEdit', () => {
+    it('rewords the joke', () => {
+      return slack.send({text: 'submit joke: chuck norris counted to infinity twice'}).then(() => {
+        return fromAdmin('edit 1 Chuck Norris counted to infinity. Twice.');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Joke #1 now reads:\n>Chuck Norris counted to infinity. Twice.']);
+      });
+    });
+  });
+
+  describe('jokeReload', () => {
+    it('reloads the jokes', () => {
+      return createTestBot({loadJokes: () => JOKES.slice(0, 2)}).then((created) => {
+        norrisBot = created.norrisBot;
+
+        return created.slack.send({user: 'UADMIN', text: 'reload jokes'});
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. I know 2 jokes, plus 0 approved submissions.']);
+      });
+    });
+
+    it('reloads the joke packs', () => {
+      return reconfigure({packs: PACKS, loadPacks: () => PACKS.slice(0, 1)}).then(() => {
+        return fromAdmin('reload jokes');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'Done. I know 4 jokes, plus 0 approved submissions, and 2 more in 1 other pack.'
+        ]);
+        assert.deepEqual(norrisBot.packs.map((pack) => pack.id), ['dad']);
+      });
+    });
+
+    it('keeps the old jokes when the new ones are invalid', () => {
+      return createTestBot({loadJokes: () => [{text: ''}]}).then((created) => {
+        norrisBot = created.norrisBot;
+
+        return created.slack.send({user: 'UADMIN', text: 'reload jokes'});
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'Uhoh... I couldn\'t reload the jokes, so I\'m keeping the old ones. ' +
+          'NorrisBot: Invalid joke at index 0. Joke text must be a non-empty string.'
+        ]);
+        assert.equal(norrisBot.jokes.length, JOKES.length);
+      });
+    });
+  });
+
+  describe('jokeOfTheDayChange', () => {
+    it('picks a new joke of the day', () => {
+      return fromAdmin('new joke of the day').then((replies) => {
+        assert.deepEqual(texts(replies), [`Done. The joke of the day is now:\n>${norrisBot.jokeOfTheDay.text}`]);
+      });
+    });
+
+    it('refuses anyone but admins', () => {
+      return slack.send({text: 'new joke of the day'}).then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, only the bot\'s admins can change the joke of the day.']);
+      });
+    });
+  });
+
+  describe('channelMute', () => {
+    it('keeps the bot quiet in the channel', () => {
+      return fromAdmin('mute <#C1> for 2 hours').then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. I\'ll keep quiet in <#C1> for 2 hours.']);
+
+        return inChannel('tell me a joke');
+      }).then((replies) => {
+        assert.deepEqual(replies, []);
+      });
+    });
+
+    it('mutes for at most a week', () => {
+      return fromAdmin('mute <#C1> for 200 hours').then((replies) => {
+        assert.deepEqual(texts(replies), ['I can be muted for between 1 hour and a week (168 hours).']);
+      });
+    });
+  });
+
+  describe('channelUnmute', () => {
+    it('lets the bot speak in the channel again', () => {
+      return fromAdmin('mute <#C1> for 2 hours').then(() => fromAdmin('unmute <#C1>')).then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. I\'m back in <#C1>.']);
+
+        return inChannel('hello');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Howdy <@U1>.']);
+      });
+    });
+  });
+
+  describe('configRequest', () => {
+    it('shows how the bot is configured', () => {
+      return fromAdmin('config').then((replies) => {
+        assert.equal(replies.length, 1);
+        assert.ok(replies[0].text.indexOf('*Admins:* <@UADMIN>') === 0);
+        assert.ok(replies[0].text.indexOf('*GIF providers:* GiphyGifProvider\n') !== -1);
+      });
+    });
+
+    it('refuses anyone but admins', () => {
+      return slack.send({text: 'config'}).then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, only the bot\'s admins can view my config.']);
+      });
+    });
+  });
+
+  describe('workspace admins', () => {
+    const fromWorkspaceAdmin = (text) => slack.send({user: 'U3', text});
+
+    beforeEach(() => reconfigure({workspaceAdmins: true}));
+
+    it('mutes channels in their own team', () => {
+      return fromWorkspaceAdmin('mute <#C1> for 2 hours').then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. I\'ll keep quiet in <#C1> for 2 hours.']);
+      });
+    });
+
+    it('refuses to mute or unmute other teams\' channels', () => {
+      return fromWorkspaceAdmin('mute <#C9> for 2 hours').then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, <#C9> isn\'t one of this team\'s channels.']);
+
+        return fromWorkspaceAdmin('unmute <#C9>');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, <#C9> isn\'t one of this team\'s channels.']);
+      });
+    });
+
+    it('leaves actions affecting every team to the bot\'s admins', () => {
+      return fromWorkspaceAdmin('reload jokes').then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, only the bot\'s admins can reload jokes.']);
+
+        return fromWorkspaceAdmin('config');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, only the bot\'s admins can view my config.']);
+
+        return fromAdmin('mute <#C9> for 2 hours');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. I\'ll keep quiet in <#C9> for 2 hours.']);
+      });
+    });
+  });
+
+  describe('statsRequest', () => {
+    it('summarises recent usage', () => {
+      return slack.send({text: 'hello'}).then(() => norrisBot.usageStats.updates).then(() => {
+        return inChannel('stats for 7 days', 'UADMIN');
+      }).then((replies) => {
+        assert.equal(replies.length, 1);
+        assert.ok(replies[0].text.indexOf('*Usage in the last 7 days:* 1 requests\ngreeting: 1') === 0);
+      });
+    });
+
+    it('says when nobody has used the bot', () => {
+      return inChannel('stats', 'UADMIN').then((replies) => {
+        assert.deepEqual(texts(replies), ['Nobody has asked me for anything in the last 30 days.']);
+      });
+    });
+
+    it('only counts requests from the admin\'s team', () => {
+      return slack.send({team: 'T2', text: 'hello'}).then(() => norrisBot.usageStats.updates).then(() => {
+        return inChannel('stats', 'UADMIN');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Nobody has asked me for anything in the last 30 days.']);
+      });
+    });
+
+    it('refuses anyone but admins', () => {
+      return inChannel('stats').then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, only admins can see the stats.']);
+      });
+    });
+  });
+
+  describe('statsExport', () => {
+    it('uploads the usage as a CSV file', () => {
+      return slack.send({text: 'hello'}).then(() => norrisBot.usageStats.updates).then(() => {
+        return fromAdmin('export stats from 2016-12-01 to 2016-12-31');
+      }).then((replies) => {
+        assert.deepEqual(replies, []);
+        assert.equal(slack.uploads.length, 1);
+        assert.equal(slack.uploads[0].filename, 'norrisbot-usage-2016-12-01-to-2016-12-31.csv');
+        assert.equal(slack.uploads[0].channels, 'D1');
+        assert.ok(slack.uploads[0].content.indexOf('greeting') !== -1);
+      });
+    });
+
+    it('only exports requests from the admin\'s team', () => {
+      return slack.send({team: 'T2', text: 'hello'}).then(() => norrisBot.usageStats.updates).then(() => {
+        return fromAdmin('export stats from 2016-12-01 to 2016-12-31');
+      }).then(() => {
+        assert.equal(slack.uploads[0].content, 'at,type,user,channel,team,jokeId,success\n');
+      });
+    });
+
+    it('refuses anyone but admins', () => {
+      return slack.send({text: 'export stats'}).then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, only admins can export the stats.']);
+        assert.equal(slack.uploads.length, 0);
+      });
+    });
+  });
+
+  describe('namedJoke', () => {
+    it('tells a joke about someone', () => {
+      return inChannel('tell me a joke about <@U2>').then((replies) => {
+        assert.equal(replies.length, 2);
+        assert.equal(replies[0].text, 'Sure thing <@U1>.');
+        assert.ok(/^>.*Alice/.test(replies[1].text));
+        assert.ok(replies[1].text.indexOf('Chuck') === -1);
+      });
+    });
+
+    it('tells the joke with buttons and remembers it to be rated', () => {
+      return reconfigure({port: 3000, verificationToken: 'token'}).then(() => {
+        return inChannel('tell me a joke about <@U2>');
+      }).then((replies) => {
+        assert.ok(/Alice/.test(replies[1].attachments[0].text));
+        assert.deepEqual(replies[1].attachments[0].actions.map((action) => action.name), [
+          'another', 'gif', 'rate', 'rate'
+        ]);
+
+        return norrisBot.jokeRatings.getLatestToldJoke('C1');
+      }).then((joke) => {
+        assert.ok(/Alice/.test(joke.text));
+      });
+    });
+
+    it('rewrites translations of the joke, or keeps to English when it can\'t', () => {
+      const de = Object.assign({}, locales.de, {jokes: {
+        roundhouse: 'Chuck Norris kann einen Tornado per Roundhouse-Kick treten.',
+        zero: 'Chuck Norris kann durch null teilen.',
+        fist: 'Hinter Chuck Norris\' Bart ist kein Kinn. Da ist nur eine weitere Faust.'
+      }});
+      const askAboutBob = () => inChannel('erzähl mir einen Witz über <@U1>', 'U2').then((replies) => replies[1].text);
+
+      return reconfigure({locales: Object.assign({}, locales, {de})})
+        .then(() => askAboutBob())
+        .then((first) => askAboutBob().then((second) => [first, second]))
+        .then((told) => askAboutBob().then((third) => told.concat(third)))
+        .then((told) => {
+          assert.deepEqual(told.sort(), [
+            '>Bob kann durch null teilen.',
+            '>Bob kann einen Tornado per Roundhouse-Kick treten.',
+            '>There is no chin behind Bob\'s beard. There is only another fist.'
+          ]);
+        });
+    });
+
+    it('mentions someone it can\'t look up in place of their name', () => {
+      return inChannel('tell me a joke about <@U9>').then((replies) => {
+        assert.deepEqual(texts(replies).slice(0, 1), ['Sure thing <@U1>.']);
+        assert.ok(/^>.*<@U9>/.test(replies[1].text));
+        assert.ok(replies[1].text.indexOf('Chuck') === -1);
+      });
+    });
+
+    it('leaves out people who opted out', () => {
+      return inChannel('don\'t use my name', 'U2').then(() => {
+        return inChannel('tell me a joke about <@U2>');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, they\'ve asked me not to use their name in jokes.']);
+      });
+    });
+  });
+
+  describe('nameOptOut', () => {
+    it('stops the bot using your name', () => {
+      return inChannel('please don\'t use my name').then((replies) => {
+        assert.deepEqual(texts(replies), ['No problem, I won\'t use your name in jokes.']);
+
+        return norrisBot.isNameOptedOut('U1');
+      }).then((optedOut) => {
+        assert.equal(optedOut, true);
+      });
+    });
+  });
+
+  describe('nameOptIn', () => {
+    it('lets the bot use your name again', () => {
+      return inChannel('don\'t use my name').then(() => inChannel('you can use my name')).then((replies) => {
+        assert.deepEqual(texts(replies), ['Great, people can ask me for jokes about you again.']);
+
+        return norrisBot.isNameOptedOut('U1');
+      }).then((optedOut) => {
+        assert.equal(optedOut, false);
+      });
+    });
+  });
+
+  describe('salutation', () => {
+    it('greets whoever mentioned the bot', () => {
+      return slack.send({type: 'mention', channel: 'C1', text: 'hello @norrisbot'}).then((replies) => {
+        assert.deepEqual(texts(replies), ['Howdy <@U1>.']);
+      });
+    });
+  });
+
+  describe('jokeSearch', () => {
+    it('tells the joke that best matches', () => {
+      return inChannel('tell me a joke about roundhouse kicks').then((replies) => {
+        assert.deepEqual(texts(replies), ['Sure thing <@U1>.', '>Chuck Norris can roundhouse kick a tornado.']);
+      });
+    });
+
+    it('lists several jokes when asked for more than one', () => {
+      return inChannel('2 jokes about tornado zero').then((replies) => {
+        const lines = replies[0].text.split('\n');
+
+        assert.equal(replies.length, 1);
+        assert.equal(lines[0], 'Here are the 2 best jokes about "tornado zero":');
+        assert.equal(lines.filter((line) => line.indexOf('>') === 0).length, 2);
+      });
+    });
+
+    it('says when nothing matches', () => {
+      return inChannel('tell me a joke about zebras').then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'I don\'t know any jokes about "zebras". Try something like "roundhouse" or "beard".'
+        ]);
+      });
+    });
+  });
+
+  describe('randomJoke', () => {
+    it('tells a joke other than the joke of the day', () => {
+      return inChannel('tell me a joke').then((replies) => {
+        const jokeTexts = JOKES.map((joke) => `>${joke.text}`);
+
+        assert.equal(replies.length, 2);
+        assert.equal(replies[0].text, 'Sure thing <@U1>.');
+        assert.ok(jokeTexts.indexOf(replies[1].text) !== -1);
+        assert.notEqual(replies[1].text, `>${norrisBot.jokeOfTheDay.text}`);
+      });
+    });
+
+    it('apologises when something goes wrong', () => {
+      norrisBot.getNextJoke = () => Promise.reject(new Error('Storage is down.'));
+
+      return inChannel('tell me a joke').then((replies) => {
+        assert.deepEqual(texts(replies), ['Uhoh... Something went wrong... Sorry!']);
+      });
+    });
+  });
+
+  describe('categoryJoke', () => {
+    it('tells a joke from the category', () => {
+      return inChannel('tell me a maths joke').then((replies) => {
+        assert.deepEqual(texts(replies), ['Sure thing <@U1>.', '>Chuck Norris can divide by zero.']);
+      });
+    });
+
+    it('suggests categories when there are no jokes in it', () => {
+      return inChannel('tell me a cooking joke').then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'I don\'t have any cooking jokes. Try one of these: beard, maths, nsfw, sports.'
+        ]);
+      });
+    });
+
+    it('leaves the channel\'s rotation alone when a category runs out', () => {
+      const getTold = () => norrisBot.storage.get('rotations', 'T1:C1').then((state) => state.told);
+      let told = null;
+
+      return inChannel('tell me a joke').then(() => inChannel('tell me a joke')).then(getTold).then((ids) => {
+        told = ids;
+
+        return inChannel('tell me a sports joke');
+      }).then(() => inChannel('tell me a sports joke')).then(() => inChannel('tell me a sports joke')).then(getTold)
+        .then((ids) => {
+          assert.equal(told.length, 2);
+          assert.deepEqual(ids, told);
+        });
+    });
+  });
+
+  describe('categoryList', () => {
+    it('lists the categories', () => {
+      return inChannel('joke categories').then((replies) => {
+        assert.deepEqual(texts(replies), ['I\'ve got jokes about: beard, maths, nsfw, sports.']);
+      });
+    });
+  });
+
+  describe('packJoke', () => {
+    beforeEach(() => reconfigure({packs: PACKS}));
+
+    it('tells a joke from the pack asked for', () => {
+      return inChannel('tell me a dad joke').then((replies) => {
+        assert.equal(replies.length, 2);
+        assert.ok(PACKS[0].jokes.map((joke) => `>${joke}`).indexOf(replies[1].text) !== -1);
+      });
+    });
+  });
+
+  describe('packList', () => {
+    it('lists the joke packs', () => {
+      return reconfigure({packs: PACKS}).then(() => inChannel('joke packs')).then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'I\'ve got these joke packs: Chuck Norris (chuck-norris), Dad jokes (dad), Jack Bauer (jack-bauer).\n' +
+          'I tell jokes from the Chuck Norris pack here unless you ask for another.'
+        ]);
+      });
+    });
+
+    it('lists the joke packs in the language being spoken', () => {
+      return reconfigure({packs: PACKS}).then(() => inChannel('witzpakete', 'U2')).then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'Ich habe diese Witzpakete: Chuck Norris (chuck-norris), Dad jokes (dad), Jack Bauer (jack-bauer).\n' +
+          'Hier erzähle ich Witze aus dem Paket Chuck Norris, außer du willst ein anderes.'
+        ]);
+      });
+    });
+  });
+
+  describe('packChange', () => {
+    beforeEach(() => reconfigure({packs: PACKS}));
+
+    it('tells jokes from the channel\'s pack', () => {
+      return inChannel('joke pack dad').then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'Done. I\'ll tell jokes from the Dad jokes pack here. ' +
+          'The joke of the day stays a Chuck Norris joke, the same in every channel.'
+        ]);
+
+        return inChannel('tell me a joke');
+      }).then((replies) => {
+        assert.ok(PACKS[0].jokes.map((joke) => `>${joke}`).indexOf(replies[1].text) !== -1);
+
+        return inChannel('show me chuck kicking');
+      }).then(() => {
+        assert.deepEqual(giphy.searches, [
+          {q: 'dad joke kicking', limit: '25', rating: 'pg-13', 'api_key': 'giphy-token'}
+        ]);
+      });
+    });
+
+    it('tells jokes about someone with the pack\'s name swapped for theirs', () => {
+      return inChannel('use the jack bauer pack').then(() => {
+        return inChannel('tell me a joke about <@U2>');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Sure thing <@U1>.', '>Alice can get a taxi in the rain.']);
+      });
+    });
+
+    it('goes back to the default pack', () => {
+      return inChannel('joke pack dad').then(() => inChannel('joke pack default')).then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. I\'ll tell jokes from the Chuck Norris pack here.']);
+
+        return inChannel('tell me a joke');
+      }).then((replies) => {
+        assert.ok(JOKES.map((joke) => `>${joke.text}`).indexOf(replies[1].text) !== -1);
+      });
+    });
+
+    it('says when it does not have a pack', () => {
+      return inChannel('joke pack knock knock').then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'I don\'t have a "knock knock" joke pack. ' +
+          'Try one of these: Chuck Norris (chuck-norris), Dad jokes (dad), Jack Bauer (jack-bauer).'
+        ]);
+      });
+    });
+
+    it('changes the pack in the language being spoken', () => {
+      return inChannel('witzpaket dad', 'U2').then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'Erledigt. Ich erzähle hier Witze aus dem Paket Dad jokes. ' +
+          'Der Witz des Tages bleibt einer aus dem Paket Chuck Norris, in jedem Kanal derselbe.'
+        ]);
+
+        return inChannel('witzpaket standard', 'U2');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Erledigt. Ich erzähle hier Witze aus dem Paket Chuck Norris.']);
+
+        return inChannel('witzpaket knock knock', 'U2');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'Ich habe kein Witzpaket "knock knock". ' +
+          'Versuch es mit einem dieser Pakete: Chuck Norris (chuck-norris), Dad jokes (dad), Jack Bauer (jack-bauer).'
+        ]);
+      });
+    });
+  });
+
+  describe('jokeOfTheDaySubscribe', () => {
+    it('subscribes the channel', () => {
+      return inChannel('subscribe to joke of the day').then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. I\'ll post the joke of the day here every day.']);
+
+        return norrisBot.getSubscribedChannels('T1');
+      }).then((channels) => {
+        assert.deepEqual(channels.map((channel) => channel.id), ['C1']);
+      });
+    });
+  });
+
+  describe('jokeOfTheDayUnsubscribe', () => {
+    it('unsubscribes the channel', () => {
+      return inChannel('subscribe to joke of the day').then(() => inChannel('unsubscribe')).then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. I won\'t post the joke of the day here anymore.']);
+
+        return norrisBot.getSubscribedChannels('T1');
+      }).then((channels) => {
+        assert.deepEqual(channels, []);
+      });
+    });
+  });
+
+  describe('subscriptionList', () => {
+    it('lists the subscribed channels', () => {
+      return inChannel('subscribe to joke of the day').then(() => inChannel('list subscriptions')).then((replies) => {
+        assert.deepEqual(texts(replies), ['These channels get the joke of the day:\n• <#C1> at 15:00 (server time)']);
+      });
+    });
+
+    it('says when no channels are subscribed', () => {
+      return inChannel('list subscriptions').then((replies) => {
+        assert.deepEqual(texts(replies), ['No channels are subscribed to the joke of the day.']);
+      });
+    });
+  });
+
+  describe('scheduleChange', () => {
+    it('changes when the channel gets the joke of the day', () => {
+      return inChannel('post joke of the day at 09:30 Australia/Sydney').then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. I\'ll post the joke of the day here at 09:30 Australia/Sydney.']);
+      });
+    });
+
+    it('rejects invalid times', () => {
+      return inChannel('post joke of the day at 25:00').then((replies) => {
+        assert.deepEqual(texts(replies), ['That isn\'t a valid time. Use 24 hour time, e.g. 09:30 or 17:00.']);
+      });
+    });
+  });
+
+  describe('scheduleRequest', () => {
+    it('says when the channel would get the joke of the day', () => {
+      return inChannel('when is the joke of the day posted?').then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'This channel isn\'t subscribed, but it would get the joke of the day at 15:00 (server time).'
+        ]);
+      });
+    });
+
+    it('says when a subscribed channel gets it', () => {
+      return inChannel('subscribe to joke of the day').then(() => {
+        return inChannel('when is the joke of the day posted?');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['I post the joke of the day here at 15:00 (server time).']);
+      });
+    });
+  });
+
+  describe('jokeOfTheDay', () => {
+    it('tells the joke of the day', () => {
+      return inChannel('tell me the joke of the day').then((replies) => {
+        assert.deepEqual(texts(replies), ['Sure thing <@U1>.', `>${norrisBot.jokeOfTheDay.text}`]);
+      });
+    });
+
+    it('tells the same joke of the day whichever pack the channel uses', () => {
+      return reconfigure({packs: PACKS}).then(() => inChannel('joke pack dad')).then(() => {
+        return inChannel('tell me the joke of the day');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Sure thing <@U1>.', `>${norrisBot.jokeOfTheDay.text}`]);
+        assert.ok(JOKES.map((joke) => joke.id).indexOf(norrisBot.jokeOfTheDay.id) !== -1);
+      });
+    });
+  });
+
+  describe('rating', () => {
+    it('rates the last joke told in the channel', () => {
+      return inChannel('tell me a maths joke').then(() => inChannel('rate 4')).then((replies) => {
+        assert.deepEqual(texts(replies), ['Thanks! That joke now scores 4.0/5 from 1 rating.']);
+      });
+    });
+
+    it('records when the joke was told by the bot\'s clock', () => {
+      return inChannel('tell me a maths joke').then(() => norrisBot.jokeRatings.getToldJokes('C1')).then((told) => {
+        assert.equal(told[0].toldAt, '2016-12-15T12:00:00.000Z');
+      });
+    });
+
+    it('forgets the oldest jokes told in a channel', () => {
+      const tellJokes = (count) => (count > 0) ? inChannel('tell me a joke').then(() => tellJokes(count - 1)) : null;
+
+      norrisBot.jokeRatings.toldJokesKept = 2;
+
+      return Promise.resolve(tellJokes(3)).then(() => norrisBot.jokeRatings.getToldJokes('C1')).then((told) => {
+        assert.equal(told.length, 2);
+      });
+    });
+
+    it('says when there is no joke to rate', () => {
+      return inChannel('rate 4').then((replies) => {
+        assert.deepEqual(texts(replies), ['I haven\'t told a joke here to rate yet.']);
+      });
+    });
+  });
+
+  describe('leaderboard', () => {
+    it('lists the best rated jokes', () => {
+      return inChannel('tell me a maths joke').then(() => inChannel('rate 5')).then(() => {
+        return inChannel('top jokes');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'The top rated jokes:\n1. 5.0/5 from 1 rating\n>Chuck Norris can divide by zero.'
+        ]);
+      });
+    });
+
+    it('says when nothing has been rated', () => {
+      return inChannel('worst jokes').then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'Nobody has rated any jokes yet. React to one with :+1: or :-1:, or say "rate 1-5".'
+        ]);
+      });
+    });
+
+    it('leaves out jokes submitted in other teams', () => {
+      return slack.send({text: 'submit joke: Chuck Norris counted to infinity. Twice.'}).then(() => {
+        return fromAdmin('approve 1');
+      }).then(() => norrisBot.jokeRatings.rate(norrisBot.approvedJokes[0], 'U1', 5)).then(() => {
+        return slack.send({team: 'T2', text: 'top jokes'});
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'Nobody has rated any jokes yet. React to one with :+1: or :-1:, or say "rate 1-5".'
+        ]);
+
+        return inChannel('top jokes');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'The top rated jokes:\n1. 5.0/5 from 1 rating\n>Chuck Norris counted to infinity. Twice.'
+        ]);
+      });
+    });
+  });
+
+  describe('randomGif', () => {
+    it('shows a GIF from Giphy', () => {
+      return inChannel('show me chuck kicking').then((replies) => {
+        assert.deepEqual(texts(replies), ['Sure thing <@U1>.', GIF_URL]);
+        assert.deepEqual(giphy.searches, [
+          {q: 'chuck norris kicking', limit: '25', rating: 'pg-13', 'api_key': 'giphy-token'}
+        ]);
+      });
+    });
+
+    it('apologises when no GIF can be found', () => {
+      giphy.status = 500;
+
+      return inChannel('show me chuck').then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'Sure thing <@U1>.',
+          'Uhoh... I couldn\'t find a GIF right now... Sorry!'
+        ]);
+      });
+    });
+  });
+
+  describe('gifRatingChange', () => {
+    it('limits the rating of GIFs shown in the channel', () => {
+      return inChannel('gif rating pg', 'UADMIN').then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. I\'ll only show GIFs rated PG or lower here.']);
+
+        return inChannel('show me chuck');
+      }).then(() => {
+        assert.equal(giphy.searches[0].rating, 'pg');
+      });
+    });
+
+    it('refuses anyone but admins', () => {
+      return inChannel('gif rating g').then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, only admins can change the GIF rating.']);
+      });
+    });
+  });
+
+  describe('gifRatingRequest', () => {
+    it('says the rating of GIFs shown in the channel', () => {
+      return inChannel('what is the gif rating?').then((replies) => {
+        assert.deepEqual(texts(replies), ['I only show GIFs rated PG-13 or lower here.']);
+      });
+    });
+  });
+
+  describe('rateLimitExemption', () => {
+    it('exempts the channel from rate limits', () => {
+      return inChannel('exempt this channel from rate limits', 'UADMIN').then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. Ask away, there are no rate limits here.']);
+        assert.equal(norrisBot.rateLimitExemptChannels.C1, true);
+      });
+    });
+
+    it('refuses anyone but admins', () => {
+      return inChannel('exempt this channel from rate limits').then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, only admins can change rate limits.']);
+      });
+    });
+  });
+
+  describe('rate limits', () => {
+    beforeEach(() => reconfigure({rateLimits: {user: 1, channel: 0, team: 0}}));
+
+    it('asks people to slow down once they go over their limit', () => {
+      return inChannel('joke categories').then(() => inChannel('joke categories')).then((replies) => {
+        assert.deepEqual(texts(replies), ['Easy there <@U1>! Give me 60 seconds to catch my breath.']);
+      });
+    });
+
+    it('asks in the language being spoken', () => {
+      return inChannel('joke categories', 'U2').then(() => inChannel('joke categories', 'U2')).then((replies) => {
+        assert.deepEqual(texts(replies), ['Immer mit der Ruhe <@U2>! Gib mir 60 Sekunden, um durchzuatmen.']);
+      });
+    });
+  });
+
+  describe('safeModeChange', () => {
+    it('keeps unsafe jokes out of the channel', () => {
+      return inChannel('safe mode on', 'UADMIN').then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. Safe mode is on here.']);
+
+        return inChannel('joke categories');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['I\'ve got jokes about: maths, sports.']);
+      });
+    });
+
+    it('changes safe mode for the whole team', () => {
+      return inChannel('team safe mode on', 'UADMIN').then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. Safe mode is on for this team\'s channels.']);
+      });
+    });
+
+    it('refuses anyone but admins', () => {
+      return inChannel('safe mode off').then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, only admins can change safe mode.']);
+      });
+    });
+  });
+
+  describe('localeChange', () => {
+    const hello = (user = 'U1') => slack.send({type: 'mention', channel: 'C1', user, text: 'hola @norrisbot'});
+
+    it('speaks the language you choose', () => {
+      return inChannel('language es').then((replies) => {
+        assert.deepEqual(texts(replies), ['Hecho. Te hablaré en Español.']);
+
+        return hello();
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Hola <@U1>.']);
+      });
+    });
+
+    it('tells jokes in the language being spoken', () => {
+      const es = Object.assign({}, locales.es, {jokes: {zero: 'Chuck Norris puede dividir entre cero.'}});
+
+      return reconfigure({locales: Object.assign({}, locales, {es})}).then(() => {
+        return inChannel('language spanish');
+      }).then(() => inChannel('3 jokes about zero')).then((replies) => {
+        assert.equal(replies[0].text.split('\n')[1], '>Chuck Norris puede dividir entre cero.');
+      });
+    });
+
+    it('lets admins choose the language of a channel', () => {
+      return inChannel('channel language deutsch', 'UADMIN').then((replies) => {
+        assert.deepEqual(texts(replies), ['Erledigt. Ich spreche hier Deutsch.']);
+
+        return inChannel('help');
+      }).then((replies) => {
+        assert.ok(replies[0].text.indexOf('Frag mich nach einem Witz, z. B.\n>"<@norrisbot>, erzähl mir') === 0);
+      });
+    });
+
+    it('lets people override the language of their channel or team', () => {
+      return inChannel('team language de', 'UADMIN').then(() => inChannel('language en')).then(() => {
+        return hello();
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Howdy <@U1>.']);
+
+        return inChannel('language auto');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Done. That language setting is cleared.']);
+
+        return hello();
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Servus <@U1>.']);
+      });
+    });
+
+    it('clears a language setting in any language', () => {
+      return inChannel('idioma es').then(() => inChannel('idioma automático')).then((replies) => {
+        assert.deepEqual(texts(replies), ['Hecho. He borrado ese ajuste de idioma.']);
+
+        return inChannel('sprache de');
+      }).then(() => inChannel('sprache automatisch')).then((replies) => {
+        assert.deepEqual(texts(replies), ['Erledigt. Die Spracheinstellung ist gelöscht.']);
+
+        return hello();
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['Howdy <@U1>.']);
+      });
+    });
+
+    it('uses the language set in Slack when nobody has chosen one', () => {
+      return hello('U2').then((replies) => {
+        assert.deepEqual(texts(replies), ['Servus <@U2>.']);
+      });
+    });
+
+    it('understands and answers commands in the language being spoken', () => {
+      return inChannel('witzkategorien', 'U2').then((replies) => {
+        assert.deepEqual(texts(replies), ['Ich habe Witze aus: beard, maths, nsfw, sports.']);
+
+        return inChannel('language es').then(() => inChannel('cuéntame un chiste de cooking'));
+      }).then((replies) => {
+        assert.ok(replies[0].text.indexOf('No tengo chistes de cooking. Prueba con una de estas: ') === 0);
+      });
+    });
+
+    it('explains every command in the language being spoken', () => {
+      return inChannel('help', 'U2').then((replies) => {
+        assert.ok(replies[0].text.indexOf('"<@norrisbot>, witz des tages abonnieren"') !== -1);
+        assert.equal(replies[0].text.indexOf('Englisch'), -1);
+      });
+    });
+
+    it('lists the languages it speaks', () => {
+      return inChannel('language').then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'I\'m speaking English to you. I can speak English (en), Español (es), Deutsch (de).'
+        ]);
+      });
+    });
+
+    it('says when it does not speak a language', () => {
+      return inChannel('language klingon').then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'I don\'t speak "klingon". Try one of English (en), Español (es), Deutsch (de).'
+        ]);
+      });
+    });
+
+    it('refuses anyone but admins for channels and teams', () => {
+      return inChannel('team language de').then((replies) => {
+        assert.deepEqual(texts(replies), ['Sorry, only admins can change the language of a channel or team.']);
+      });
+    });
+  });
+
+  describe('slash commands', () => {
+    const slashCommand = (text) => {
+      return slack.send({type: 'slash_command', command: '/norris', text, user: 'U1', channel: 'C1'});
+    };
+
+    it('tells a joke only to whoever asked by default', () => {
+      return slashCommand('joke maths').then((replies) => {
+        assert.deepEqual(replies.map((reply) => [reply.via, reply.text]), [
+          ['private', '>Chuck Norris can divide by zero.']
+        ]);
+      });
+    });
+
+    it('says which categories there are', () => {
+      return slashCommand('joke cooking').then((replies) => {
+        assert.equal(replies.length, 1);
+        assert.ok(replies[0].text.indexOf('I don\'t have any cooking jokes. Try one of these: ') === 0);
+      });
+    });
+
+    it('tells the joke of the day to the channel when asked to', () => {
+      return slashCommand('today --public').then((replies) => {
+        assert.equal(replies.length, 1);
+        assert.equal(replies[0].via, 'public');
+        assert.ok(replies[0].text.indexOf(`\n>${norrisBot.jokeOfTheDay.text}`) !== -1);
+      });
+    });
+
+    it('acknowledges the command before the GIF follows', () => {
+      return slashCommand('gif kicking').then((replies) => {
+        assert.equal(slack.acknowledged, 1);
+        assert.deepEqual(texts(replies), [GIF_URL]);
+        assert.equal(giphy.searches[0].q, 'chuck norris kicking');
+      });
+    });
+
+    it('searches for jokes', () => {
+      return slashCommand('search divide').then((replies) => {
+        assert.deepEqual(texts(replies), ['>Chuck Norris can divide by zero.']);
+
+        return slashCommand('search');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), ['What should I search for? e.g. `/norris search roundhouse`']);
+      });
+    });
+
+    it('explains itself', () => {
+      return slashCommand('').then((replies) => {
+        assert.equal(replies.length, 1);
+        assert.ok(replies[0].text.indexOf('`/norris joke [category]` tells you a joke') === 0);
+      });
+    });
+
+    it('ignores other commands', () => {
+      return slack.send({type: 'slash_command', command: '/other', text: 'joke', channel: 'C1'}).then((replies) => {
+        assert.deepEqual(replies, []);
+      });
+    });
+  });
+
+  describe('joke buttons', () => {
+    const click = (name, value, messageTs) => slack.send({
+      type: 'interactive_message_callback',
+      'callback_id': 'joke',
+      actions: [{name, value}],
+      channel: 'C1',
+      user: 'U2',
+      'message_ts': messageTs
+    });
+    let joke;
+
+    beforeEach(() => {
+      return reconfigure({port: 3000, verificationToken: 'token'}).then(() => {
+        return inChannel('tell me a maths joke');
+      }).then((replies) => {
+        joke = replies[1];
+      });
+    });
+
+    it('come with jokes', () => {
+      assert.equal(joke.attachments[0].text, 'Chuck Norris can divide by zero.');
+      assert.deepEqual(joke.attachments[0].actions.map((action) => action.name), ['another', 'gif', 'rate', 'rate']);
+    });
+
+    it('swap the joke for another one', () => {
+      return click('another', 'another', joke.ts).then((replies) => {
+        assert.equal(replies.length, 1);
+        assert.equal(replies[0].via, 'interactive');
+        assert.ok(JOKES.map((told) => told.text).indexOf(replies[0].attachments[0].text) !== -1);
+      });
+    });
+
+    it('show a GIF', () => {
+      return click('gif', 'gif', joke.ts).then((replies) => {
+        assert.deepEqual(texts(replies), [GIF_URL]);
+      });
+    });
+
+    it('rate the joke, thanking whoever clicked in their language', () => {
+      return click('rate', 'up', joke.ts).then((replies) => {
+        assert.deepEqual(texts(replies), ['Danke <@U2>! Der Witz steht jetzt bei 5.0/5 aus 1 Bewertung.']);
+      });
+    });
+  });
+
+  describe('reactions', () => {
+    const react = (type, reaction, ts) => {
+      return slack.send({type, reaction, user: 'U2', item: {type: 'message', channel: 'C1', ts}});
+    };
+    let joke;
+
+    beforeEach(() => inChannel('tell me a maths joke').then((replies) => {
+      joke = replies[1];
+    }));
+
+    it('rate the joke reacted to', () => {
+      return react('reaction_added', '+1::skin-tone-2', joke.ts).then(() => inChannel('top jokes')).then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'The top rated jokes:\n1. 5.0/5 from 1 rating\n>Chuck Norris can divide by zero.'
+        ]);
+      });
+    });
+
+    it('withdraw the rating when removed', () => {
+      return react('reaction_added', '-1', joke.ts).then(() => react('reaction_removed', '-1', joke.ts)).then(() => {
+        return inChannel('worst jokes');
+      }).then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'Nobody has rated any jokes yet. React to one with :+1: or :-1:, or say "rate 1-5".'
+        ]);
+      });
+    });
+
+    it('ignore other reactions', () => {
+      return react('reaction_added', 'tada', joke.ts).then(() => inChannel('top jokes')).then((replies) => {
+        assert.deepEqual(texts(replies), [
+          'Nobody has rated any jokes yet. React to one with :+1: or :-1:, or say "rate 1-5".'
+        ]);
+      });
+    });
+  });
+
+  describe('help', () => {
+    it('explains what the bot can do', () => {
+      return inChannel('help').then((replies) => {
+        assert.equal(replies.length, 1);
+        assert.ok(replies[0].text.indexOf('Ask me to tell you a joke, e.g.\n>"<@norrisbot>, tell me a joke') === 0);
+        assert.ok(replies[0].text.indexOf('Admins can turn on safe mode') !== -1);
+      });
+    });
+  });
+
+  describe('gratitude', () => {
+    it('responds to being thanked', () => {
+      return slack.send({type: 'mention', channel: 'C1', text: 'thanks @norrisbot'}).then((replies) => {
+        assert.deepEqual(texts(replies), ['You\'re welcome <@U1>.']);
+      });
+    });
+  });
+
+  describe('unrecognised messages', () => {
+    it('points people at the help', () => {
+      return slack.send({text: 'what is the airspeed velocity of an unladen swallow'}).then((replies) => {
+        assert.deepEqual(texts(replies), ['I didn\'t get that, try `help`.']);
+      });
+    });
+  });
+
+  describe('channel settings', () => {
+    it('keeps every setting changed at once', () => {
+      return Promise.all([
+        norrisBot.setChannelSafeMode('T1', 'C1', true),
+        norrisBot.setChannelGifRating('T1', 'C1', 'g'),
+        norrisBot.setChannelLocale('T1', 'C1', 'de')
+      ]).then(() => norrisBot.getChannelData('C1')).then((channelData) => {
+        assert.equal(channelData.safeMode, true);
+        assert.equal(channelData.gifRating, 'g');
+        assert.equal(channelData.locale, 'de');
+      });
+    });
+  });
+
+  describe('connection', () => {
+    let logs;
+
+    const logged = (event) => logs.filter((entry) => entry.event === event);
+    const connect = (options, rtmErrors = []) => {
+      logs = [];
+
+      return reconfigure(Object.assign({
+        slackToken: 'xoxb-test',
+        logger: new Logger({write: (line) => logs.push(JSON.parse(line))})
+      }, options)).then(() => {
+        slack.rtmErrors = rtmErrors;
+        norrisBot.start();
+      });
+    };
+
+    it('reconnects after a while, waiting twice as long after each failed attempt', () => {
+      return connect({reconnectDelay: {min: 5, max: 20}}).then(() => {
+        slack.rtmErrors = ['connection_failed', 'connection_failed', 'connection_failed'];
+        slack.bot.closeRTM();
+
+        return waitFor(() => norrisBot.getReadinessChecks().rtm);
+      }).then(() => {
+        assert.deepEqual(logged('rtmReconnectScheduled').map((entry) => [entry.attempt, entry.delay]), [
+          [1, 5], [2, 10], [3, 20], [4, 20]
+        ]);
+        assert.equal(slack.rtmStarts, 5);
+        assert.equal(norrisBot.reconnectAttempts, 0);
+      });
+    });
+
+    it('gives up on errors reconnecting won\'t fix', () => {
+      return connect({reconnectDelay: {min: 5, max: 20}}, ['invalid_auth'])
+        .then(() => waitFor(() => logged('rtmReconnectAbandoned').length > 0))
+        .then(() => new Promise((resolve) => setTimeout(resolve, 20)))
+        .then(() => {
+          assert.equal(logged('rtmReconnectAbandoned')[0].err, 'invalid_auth');
+          assert.deepEqual(logged('rtmReconnectScheduled'), []);
+          assert.equal(slack.rtmStarts, 1);
+        });
+    });
+
+    it('cancels a pending reconnect when stopped', () => {
+      return connect({reconnectDelay: {min: 20, max: 20}}, ['connection_failed'])
+        .then(() => waitFor(() => logged('rtmReconnectScheduled').length > 0))
+        .then(() => norrisBot.stop())
+        .then(() => new Promise((resolve) => setTimeout(resolve, 40)))
+        .then(() => {
+          assert.equal(norrisBot.reconnectTimer, null);
+          assert.equal(slack.rtmStarts, 1);
+        });
+    });
+
+    it('closes the webserver for slash commands when stopped', () => {
+      let port;
+
+      return findFreePort().then((freePort) => {
+        port = freePort;
+
+        return connect({port, verificationToken: 'verification-token'});
+      }).then(() => waitFor(() => norrisBot.webserver.listening)).then(() => norrisBot.stop()).then(() => {
+        return new Promise((resolve) => {
+          http.get({host: '127.0.0.1', port, path: '/slack/receive'}).on('error', resolve);
+        });
+      }).then((err) => {
+        assert.equal(err.code, 'ECONNREFUSED');
+      });
+    });
+
+    it('saves ratings still being made when stopped', () => {
+      const storage = norrisBot.storage;
+      const save = storage.save.bind(storage);
+
+      storage.save = (collection, item) => new Promise((resolve) => setTimeout(resolve, 10)).then(() => {
+        return save(collection, item);
+      });
+      norrisBot.jokeRatings.rate(JOKES[0], 'U1', 5);
+
+      return norrisBot.stop().then(() => norrisBot.storage.get('ratings', 'roundhouse')).then((rating) => {
+        assert.deepEqual(rating.votes, {U1: 5});
+      });
+    });
+  });
+
+  describe('readiness', () => {
+    const rtmEvent = (event) => slack.trigger(event, [Object.assign({'team_info': {id: 'T1'}}, slack.bot)]);
+
+    it('is ready once connected to Slack with the joke of the day scheduled', () => {
+      assert.deepEqual(norrisBot.getReadinessChecks(), {rtm: false, jokeOfTheDaySchedule: false});
+
+      rtmEvent('rtm_open');
+      assert.deepEqual(norrisBot.getReadinessChecks(), {rtm: true, jokeOfTheDaySchedule: false});
+
+      norrisBot.scheduleJokeOfTheDay();
+      assert.deepEqual(norrisBot.getReadinessChecks(), {rtm: true, jokeOfTheDaySchedule: true});
+
+      rtmEvent('rtm_close');
+      assert.deepEqual(norrisBot.getReadinessChecks(), {rtm: false, jokeOfTheDaySchedule: true});
+    });
+
+    it('reports whether each team is connected and how often it reconnected', () => {
+      rtmEvent('rtm_open');
+      rtmEvent('rtm_close');
+      rtmEvent('rtm_open');
+
+      const lines = norrisBot.metrics.toPrometheus().split('\n');
+
+      assert(lines.indexOf('norrisbot_rtm_connected{team="T1"} 1') >= 0);
+      assert(lines.indexOf('norrisbot_rtm_reconnects_total{team="T1"} 1') >= 0);
+    });
+  });
+
+  describe('configuration', () => {
+    it('recognises extra trigger phrases', () => {
+      return reconfigure({phrases: {randomJoke: ['gimme a joke']}})
+        .then(() => slack.send({text: 'gimme a joke!'}))
+        .then((replies) => {
+          assert.equal(replies.length, 2);
+          assert.equal(replies[0].text, 'Sure thing <@U1>.');
+        });
+    });
+
+    it('uses reworded replies', () => {
+      return reconfigure({replies: {salutation: 'Well howdy {user}!', unrecognised: 'Come again?'}})
+        .then(() => slack.send({type: 'mention', channel: 'C1', text: 'hello @norrisbot'}))
+        .then((replies) => {
+          assert.deepEqual(texts(replies), ['Well howdy <@U1>!']);
+
+          return slack.send({text: 'what is the airspeed velocity of an unladen swallow'});
+        })
+        .then((replies) => {
+          assert.deepEqual(texts(replies), ['Come again?']);
+        });
+    });
+
+    it('uses reworded replies in other languages', () => {
+      const localeReplies = {de: {salutation: 'Servus {user}!'}};
+
+      return reconfigure({replies: {salutation: 'Well howdy {user}!'}, localeReplies})
+        .then(() => slack.send({type: 'mention', channel: 'C1', user: 'U2', text: 'hallo @norrisbot'}))
+        .then((replies) => {
+          assert.deepEqual(texts(replies), ['Servus <@U2>!']);
+        });
+    });
+
+    it('searches for GIFs of the configured subject', () => {
+      return reconfigure({gifSearchTerm: 'bruce lee'})
+        .then(() => inChannel('show me chuck kicking'))
+        .then(() => {
+          assert.deepEqual(giphy.searches, [
+            {q: 'bruce lee kicking', limit: '25', rating: 'pg-13', 'api_key': 'giphy-token'}
+          ]);
+        });
+    });
+
+    it('refuses joke packs without jokes', () => {
+      assert.throws(() => new NorrisBot({jokes: JOKES, packs: [{id: 'empty', name: 'Empty'}]}),
+        /Invalid joke pack "empty". Missing jokes./);
+    });
+
+    it('refuses GIF providers it does not know', () => {
+      assert.throws(() => new NorrisBot({jokes: JOKES, gifProviders: ['imgur']}), /Unknown GIF provider "imgur"/);
+    });
+  });
+});
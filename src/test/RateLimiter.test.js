@@ -0,0 +1,61 @@
+import assert from 'assert';
+import RateLimiter from '../RateLimiter';
+
+describe('RateLimiter', () => {
+  let now;
+  let rateLimiter;
+
+  beforeEach(() => {
+    now = 0;
+    rateLimiter = new RateLimiter({limits: {user: 2, channel: 3}, now: () => now});
+  });
+
+  it('allows bursts up to the limit, then says how long to wait', () => {
+    assert.equal(rateLimiter.consume({user: 'U1'}), 0);
+    assert.equal(rateLimiter.consume({user: 'U1'}), 0);
+    assert.equal(rateLimiter.consume({user: 'U1'}), 30000);
+  });
+
+  it('needs a token from every bucket a request involves', () => {
+    ['U1', 'U2', 'U3'].forEach((user) => rateLimiter.consume({user, channel: 'C1'}));
+
+    assert.ok(rateLimiter.consume({user: 'U4', channel: 'C1'}) > 0);
+    assert.equal(rateLimiter.consume({user: 'U4', channel: 'C2'}), 0);
+  });
+
+  it('refills buckets over time', () => {
+    rateLimiter.consume({user: 'U1'});
+    rateLimiter.consume({user: 'U1'});
+    now = 30000;
+
+    assert.equal(rateLimiter.consume({user: 'U1'}), 0);
+  });
+
+  it('forgets buckets once they have filled up again', () => {
+    rateLimiter.consume({user: 'U1', channel: 'C1'});
+    now = 30000;
+    rateLimiter.consume({user: 'U2'});
+    rateLimiter.consume({user: 'U2'});
+    now = 60000;
+    rateLimiter.consume({user: 'U3'});
+
+    assert.deepEqual(Object.keys(rateLimiter.buckets).sort(), ['user:U2', 'user:U3']);
+  });
+
+  it('gives out one notice per wait', () => {
+    assert.equal(rateLimiter.claimNotice('C1:U1', 30000), true);
+    assert.equal(rateLimiter.claimNotice('C1:U1', 30000), false);
+    now = 30000;
+
+    assert.equal(rateLimiter.claimNotice('C1:U1', 30000), true);
+  });
+
+  it('forgets notices once their wait is over', () => {
+    rateLimiter.claimNotice('C1:U1', 30000);
+    rateLimiter.claimNotice('C1:U2', 90000);
+    now = 60000;
+    rateLimiter.consume({user: 'U3'});
+
+    assert.deepEqual(Object.keys(rateLimiter.notices), ['C1:U2']);
+  });
+});
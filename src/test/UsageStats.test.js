@@ -0,0 +1,63 @@
+import assert from 'assert';
+import UsageStats from '../UsageStats';
+import MemoryStorage from '../storage/MemoryStorage';
+
+describe('UsageStats', () => {
+  let now;
+  let storage;
+  let usageStats;
+
+  const record = (events) => events.reduce((previous, event) => {
+    return previous.then(() => usageStats.record(event));
+  }, Promise.resolve());
+
+  beforeEach(() => {
+    now = new Date('2016-12-15T12:00:00Z');
+    storage = new MemoryStorage();
+    usageStats = new UsageStats({storage, pageSize: 2, now: () => now});
+  });
+
+  it('keeps each team\'s events for a day in pages of limited size', () => {
+    return record([
+      {type: 'joke', team: 'T1'},
+      {type: 'gif', team: 'T2'},
+      {type: 'help', team: 'T1'},
+      {type: 'thanks', team: 'T1'}
+    ]).then(() => storage.all('usage')).then((pages) => {
+      assert.deepEqual(pages.map((usage) => [usage.id, usage.events.map((event) => event.type)]).sort(), [
+        ['2016-12-15:T1:0', ['joke', 'help']],
+        ['2016-12-15:T1:1', ['thanks']],
+        ['2016-12-15:T2:0', ['gif']]
+      ]);
+    });
+  });
+
+  it('carries on filling the last page after a restart', () => {
+    return record([{type: 'joke', team: 'T1'}]).then(() => {
+      usageStats = new UsageStats({storage, pageSize: 2, now: () => now});
+
+      return record([{type: 'gif', team: 'T1'}, {type: 'help', team: 'T1'}]);
+    }).then(() => storage.all('usage')).then((pages) => {
+      assert.deepEqual(pages.map((usage) => usage.events.length).sort(), [1, 2]);
+    });
+  });
+
+  it('gets a team\'s events between two days in the order they happened', () => {
+    return record([{type: 'joke', team: 'T1'}, {type: 'gif', team: 'T2'}]).then(() => {
+      now = new Date('2016-12-16T09:00:00Z');
+
+      return record([{type: 'help', team: 'T1'}, {type: 'thanks', team: 'T1'}, {type: 'joke', team: 'T1'}]);
+    }).then(() => {
+      now = new Date('2016-12-17T09:00:00Z');
+
+      return record([{type: 'gif', team: 'T1'}]);
+    }).then(() => usageStats.getEvents('2016-12-15', '2016-12-16', 'T1')).then((events) => {
+      assert.deepEqual(events.map((event) => [event.at, event.type]), [
+        ['2016-12-15T12:00:00.000Z', 'joke'],
+        ['2016-12-16T09:00:00.000Z', 'help'],
+        ['2016-12-16T09:00:00.000Z', 'thanks'],
+        ['2016-12-16T09:00:00.000Z', 'joke']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import loadConfig from '../loadConfig';
+
+describe('loadConfig', () => {
+  const configPath = path.join(os.tmpdir(), `norrisbot-config-${process.pid}.json`);
+
+  const writeConfig = (config) => {
+    fs.writeFileSync(configPath, typeof config === 'string' ? config : JSON.stringify(config));
+  };
+
+  const problemsWith = (config, env = {}) => {
+    writeConfig(config);
+
+    try {
+      loadConfig({path: configPath, env});
+    } catch (err) {
+      return err.message.split('\n').slice(1);
+    }
+
+    return [];
+  };
+
+  afterEach(() => {
+    if (fs.existsSync(configPath)) {
+      fs.unlinkSync(configPath);
+    }
+  });
+
+  it('uses the defaults without a config file', () => {
+    const config = loadConfig({path: '', env: {CONFIG_PATH: ''}});
+
+    assert.equal(config.storagePath, './data');
+    assert.deepEqual(config.rateLimits, {user: 5, channel: 10, team: 30});
+    assert.deepEqual(config.jokeOfTheDaySchedule, {hour: 15, minute: 0, timeZone: null});
+    assert.deepEqual(config.gifProviders, ['giphy', 'tenor']);
+    assert.deepEqual(config.phrases, {});
+  });
+
+  it('layers the config file over the defaults', () => {
+    writeConfig({rateLimits: {user: 2}, phrases: {randomJoke: ['gimme a joke']}, gifProviders: ['tenor']});
+
+    const config = loadConfig({path: configPath, env: {}});
+
+    assert.deepEqual(config.rateLimits, {user: 2, channel: 10, team: 30});
+    assert.deepEqual(config.phrases, {randomJoke: ['gimme a joke']});
+    assert.deepEqual(config.gifProviders, ['tenor']);
+  });
+
+  it('finds the config file through CONFIG_PATH', () => {
+    writeConfig({logLevel: 'debug'});
+
+    assert.equal(loadConfig({env: {CONFIG_PATH: configPath}}).logLevel, 'debug');
+  });
+
+  it('layers environment variables over the config file', () => {
+    writeConfig({slackToken: 'from-file', admins: ['U1'], rateLimits: {user: 2, channel: 3}});
+
+    const config = loadConfig({
+      path: configPath,
+      env: {SLACK_TOKEN: 'from-env', ADMINS: 'U2, U3', RATE_LIMIT_PER_USER: '0', RATE_LIMIT_PER_TEAM: '', PORT: '8080'}
+    });
+
+    assert.equal(config.slackToken, 'from-env');
+    assert.deepEqual(config.admins, ['U2', 'U3']);
+    assert.deepEqual(config.rateLimits, {user: 0, channel: 3, team: 30});
+    assert.equal(config.port, 8080);
+  });
+
+  it('describes invalid environment variables by name', () => {
+    assert.deepEqual(problemsWith({}, {RATE_LIMIT_PER_USER: 'lots', WORKSPACE_ADMINS: 'yes'}), [
+      '- WORKSPACE_ADMINS must be true or false, but is "yes".',
+      '- RATE_LIMIT_PER_USER must be a whole number of 0 or more, but is "lots".'
+    ]);
+  });
+
+  it('describes every invalid setting by where it is', () => {
+    const problems = problemsWith({
+      port: 70000,
+      logLevel: 'loud',
+      rateLimits: {user: -1},
+      jokeOfTheDaySchedule: {hour: 24, timeZone: 'Mars/Olympus_Mons'},
+      gifProviders: ['giphy', 'imgur']
+    });
+
+    assert.deepEqual(problems, [
+      '- port must be a whole number from 1 to 65535 or null, but is 70000.',
+      '- logLevel must be one of "debug", "info", "warn", "error", but is "loud".',
+      '- rateLimits.user must be a whole number of 0 or more, but is -1.',
+      '- jokeOfTheDaySchedule.hour must be a whole number from 0 to 23, but is 24.',
+      '- jokeOfTheDaySchedule.timeZone isn\'t a timezone I know. Use an IANA name, e.g. "Europe/London".',
+      '- gifProviders[1] must be one of "giphy", "tenor", but is "imgur".'
+    ]);
+  });
+
+  it('rejects settings that do not exist', () => {
+    assert.deepEqual(problemsWith({rateLimits: {hour: 1}}), [
+      '- rateLimits.hour isn\'t a setting. Settings here are user, channel, team.'
+    ]);
+  });
+
+  it('rejects phrases for intents that cannot be triggered by one', () => {
+    const problems = problemsWith({phrases: {randomJoke: ['gimme a joke', ''], jokeSearch: ['find a joke']}});
+
+    assert.equal(problems.length, 2);
+    assert.equal(problems[0], '- phrases.randomJoke[1] must be a non-empty string, but is "".');
+    assert.ok(problems[1].indexOf('- phrases.jokeSearch isn\'t allowed. Use one of ') === 0);
+    assert.ok(problems[1].indexOf('randomJoke') !== -1);
+  });
+
+  it('rejects reply templates with placeholders their default does not have', () => {
+    assert.deepEqual(problemsWith({replies: {salutation: 'Hi {user}', failure: 'Sorry {user}, {error}'}}), [
+      '- replies has unknown placeholders: failure can\'t use {user}, {error}.'
+    ]);
+  });
+
+  it('checks the reply templates of each language the same way', () => {
+    assert.deepEqual(problemsWith({localeReplies: {de: {failure: 'Hoppla {error}'}, fr: {}}}), [
+      '- localeReplies.de has unknown placeholders: failure can\'t use {error}.',
+      '- localeReplies.fr isn\'t allowed. Use one of es, de.'
+    ]);
+  });
+
+  it('says which config file is invalid JSON', () => {
+    writeConfig('{"slackToken": ');
+
+    assert.throws(() => loadConfig({path: configPath, env: {}}), (err) => {
+      return err.message.indexOf(`Config: ${configPath} isn't valid JSON.`) === 0;
+    });
+  });
+
+  it('requires a config file it was pointed at to exist', () => {
+    assert.throws(() => loadConfig({env: {CONFIG_PATH: configPath}}), /Config: Couldn't read/);
+  });
+});
@@ -0,0 +1,41 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import loadPacks from '../loadPacks';
+
+describe('loadPacks', () => {
+  const directory = path.join(os.tmpdir(), `norrisbot-packs-${process.pid}`);
+
+  const writePack = (fileName, pack) => {
+    fs.writeFileSync(path.join(directory, fileName), typeof pack === 'string' ? pack : JSON.stringify(pack));
+  };
+
+  beforeEach(() => fs.mkdirSync(directory));
+
+  afterEach(() => {
+    fs.readdirSync(directory).forEach((fileName) => fs.unlinkSync(path.join(directory, fileName)));
+    fs.rmdirSync(directory);
+  });
+
+  it('reads each JSON file as a pack named after the file', () => {
+    writePack('dad.json', {name: 'Dad jokes', jokes: ['I\'m reading a book about anti-gravity.']});
+    writePack('jack-bauer.json', {name: 'Jack Bauer', jokes: ['Jack Bauer can get a taxi in the rain.']});
+    writePack('README.md', '# Not a pack');
+
+    assert.deepEqual(loadPacks(directory), [
+      {id: 'dad', name: 'Dad jokes', jokes: ['I\'m reading a book about anti-gravity.']},
+      {id: 'jack-bauer', name: 'Jack Bauer', jokes: ['Jack Bauer can get a taxi in the rain.']}
+    ]);
+  });
+
+  it('has no packs without the directory', () => {
+    assert.deepEqual(loadPacks(path.join(directory, 'missing')), []);
+  });
+
+  it('explains packs that are not valid JSON', () => {
+    writePack('dad.json', '{"name": "Dad jokes",');
+
+    assert.throws(() => loadPacks(directory), /Packs: Couldn't read .*dad\.json\./);
+  });
+});
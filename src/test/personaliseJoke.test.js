@@ -0,0 +1,36 @@
+import assert from 'assert';
+import personaliseJoke from '../personaliseJoke';
+
+describe('personaliseJoke', () => {
+  it('swaps the full name for someone else\'s', () => {
+    assert.equal(personaliseJoke('Chuck Norris can divide by zero.', 'Alice'), 'Alice can divide by zero.');
+    assert.equal(
+      personaliseJoke('Nobody beats Chuck Norris at chess. CHUCK NORRIS never loses.', 'Alice'),
+      'Nobody beats Alice at chess. Alice never loses.'
+    );
+  });
+
+  it('swaps possessives', () => {
+    assert.equal(personaliseJoke('Chuck Norris\'s beard is a fist.', 'Alice'), 'Alice\'s beard is a fist.');
+    assert.equal(personaliseJoke('Chuck Norris\' tears cure cancer.', 'Alice'), 'Alice\'s tears cure cancer.');
+    assert.equal(personaliseJoke('Chuck Norris’s beard is a fist.', 'Alice'), 'Alice\'s beard is a fist.');
+  });
+
+  it('refuses jokes that use a pronoun for him', () => {
+    assert.strictEqual(personaliseJoke('Chuck Norris counted to infinity. He did it twice.', 'Alice'), null);
+    assert.strictEqual(personaliseJoke('Chuck Norris lost his temper once.', 'Alice'), null);
+  });
+
+  it('refuses jokes that call him by part of his name', () => {
+    assert.strictEqual(personaliseJoke('Chuck Norris once met Norris the cat.', 'Alice'), null);
+    assert.strictEqual(personaliseJoke('Ask Chuck.', 'Alice'), null);
+  });
+
+  it('swaps whoever else the joke is about', () => {
+    assert.equal(
+      personaliseJoke('Jack Bauer can get a taxi in the rain.', 'Alice', 'Jack Bauer'),
+      'Alice can get a taxi in the rain.'
+    );
+    assert.strictEqual(personaliseJoke('Chuck Norris can divide by zero.', 'Alice', 'Jack Bauer'), null);
+  });
+});
@@ -0,0 +1,89 @@
+import http from 'http';
+import querystring from 'querystring';
+import url from 'url';
+
+class FakeGiphy {
+  /**
+   * A stand in for the Giphy API, serving canned search results over HTTP
+   * on a local port and remembering what was searched for.
+   *
+   * @param {Object} [options]
+   * @param {Array} [options.urls] - URLs of the GIFs every search finds.
+   * @param {Number} [options.status] - Status Giphy responds with, 200 by default.
+   * @param {Boolean} [options.stalled] - Whether searches go unanswered, as when Giphy is slow.
+   */
+  constructor(options = {}) {
+    this.urls = options.urls || [];
+    this.status = options.status || 200;
+    this.stalled = options.stalled || false;
+    this.searches = [];
+    this.abandonedSearches = 0;
+    this.sockets = [];
+    this.server = http.createServer((request, response) => this.respond(request, response));
+    this.server.on('connection', (socket) => {
+      this.sockets.push(socket);
+      socket.on('close', () => this.sockets.splice(this.sockets.indexOf(socket), 1));
+    });
+  }
+
+  /**
+   * Starts listening on a free port.
+   *
+   * @returns {Promise} Resolves with the URL to use instead of Giphy's.
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${this.server.address().port}`));
+    });
+  }
+
+  /**
+   * Stops listening, once every connection has closed.
+   *
+   * @returns {Promise}
+   */
+  stop() {
+    // The server can finish closing before connections clients cut off do.
+    const closing = this.sockets.map((socket) => new Promise((resolve) => socket.on('close', resolve)));
+
+    return new Promise((resolve) => this.server.close(() => resolve())).then(() => Promise.all(closing));
+  }
+
+  /**
+   * Answers a request the way Giphy does: searches with the configured
+   * status, and 404 for anything else. Stalled searches are never answered,
+   * counting those the client gives up on.
+   *
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  respond(request, response) {
+    const parsed = url.parse(request.url);
+    // Closing connections after each response lets the server stop straight away.
+    const headers = {'Content-Type': 'application/json', 'Connection': 'close'};
+
+    if (parsed.pathname !== '/v1/gifs/search') {
+      response.writeHead(404, headers);
+      response.end(JSON.stringify({meta: {status: 404, msg: 'Not Found'}}));
+      return;
+    }
+
+    this.searches.push(querystring.parse(parsed.query));
+
+    if (this.stalled) {
+      response.on('close', () => {
+        this.abandonedSearches += 1;
+      });
+      return;
+    }
+
+    response.writeHead(this.status, headers);
+    response.end(JSON.stringify({
+      meta: {status: this.status},
+      data: this.status === 200 ? this.urls.map((gifUrl) => ({images: {original: {url: gifUrl}}})) : []
+    }));
+  }
+}
+
+export default FakeGiphy;
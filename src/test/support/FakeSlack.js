@@ -0,0 +1,249 @@
+class FakeSlack {
+  /**
+   * An in-process stand in for a Botkit controller and the Slack team it's
+   * connected to. Messages are sent to the bot with `send()`, which resolves
+   * with whatever the bot replied once it has finished handling them.
+   *
+   * Like Botkit, handlers for an event run in the order they were added
+   * until one returns false, and `hears` handlers stop the chain when their
+   * ears match.
+   *
+   * @param {Object} [options]
+   * @param {String} [options.team] - ID of the team messages come from.
+   * @param {Object} [options.users] - Slack users, as `users.info` describes them, keyed by ID.
+   * @param {Array} [options.channels] - IDs of the team's channels.
+   * @param {Array} [options.rtmErrors] - Errors connecting to real time messaging fails with, in turn, before it succeeds.
+   */
+  constructor(options = {}) {
+    this.team = options.team || 'T1';
+    this.users = options.users || {};
+    this.channels = options.channels || ['C1'];
+    this.rtmErrors = options.rtmErrors || [];
+    this.rtmStarts = 0;
+    this.events = {};
+    this.ears = null;
+    this.receiveMiddleware = [];
+    this.pending = [];
+    this.replies = [];
+    this.uploads = [];
+    this.acknowledged = 0;
+    this.controller = this.createController();
+    this.bot = this.createBot();
+  }
+
+  /**
+   * Creates the parts of a Botkit controller the bot uses.
+   *
+   * @returns {Object}
+   */
+  createController() {
+    return {
+      changeEars: (ears) => {
+        this.ears = ears;
+      },
+      hears: (keywords, events, handler) => {
+        this.on(events, (bot, message) => {
+          if (!this.ears([].concat(keywords), message)) {
+            return undefined;
+          }
+
+          this.pending.push(Promise.resolve(handler(bot, message)));
+
+          return false;
+        });
+      },
+      on: (events, handler) => this.on(events, handler),
+      spawn: () => this.bot,
+      saveTeam: (team, callback) => callback(null, team),
+      createWebhookEndpoints: () => {},
+      middleware: {
+        receive: {
+          use: (middleware) => this.receiveMiddleware.push(middleware)
+        }
+      }
+    };
+  }
+
+  /**
+   * Creates the parts of a Botkit bot the bot uses, recording replies and
+   * uploads rather than sending them, and connecting to real time messaging
+   * straight away unless told to fail.
+   *
+   * @returns {Object}
+   */
+  createBot() {
+    const replyAs = (via) => (message, reply, callback) => this.record(message, reply, via, callback);
+
+    const bot = {
+      rtm: null,
+      startRTM: (callback) => {
+        const err = this.rtmErrors.shift();
+
+        this.rtmStarts += 1;
+
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        Object.assign(bot, {rtm: {}, 'team_info': {id: this.team, name: 'Team'}});
+        this.trigger('rtm_open', [bot]);
+        callback(null, bot, {});
+      },
+      closeRTM: () => {
+        bot.rtm = null;
+        this.trigger('rtm_close', [bot]);
+      },
+      destroy: () => {
+        bot.rtm = null;
+      },
+      identifyBot: () => ({id: 'B1', name: 'norrisbot'}),
+      identifyTeam: () => this.team,
+      reply: replyAs('reply'),
+      replyPublic: replyAs('public'),
+      replyPrivate: replyAs('private'),
+      replyPublicDelayed: replyAs('public'),
+      replyPrivateDelayed: replyAs('private'),
+      replyInteractive: replyAs('interactive'),
+      replyAcknowledge: () => {
+        this.acknowledged += 1;
+      },
+      api: {
+        users: {
+          info: (params, callback) => {
+            if (!this.users[params.user]) {
+              callback('user_not_found');
+              return;
+            }
+
+            callback(null, {ok: true, user: this.users[params.user]});
+          }
+        },
+        channels: {
+          info: (params, callback) => {
+            if (this.channels.indexOf(params.channel) === -1) {
+              callback('channel_not_found');
+              return;
+            }
+
+            callback(null, {ok: true, channel: {id: params.channel}});
+          }
+        },
+        files: {
+          upload: (file, callback) => {
+            this.uploads.push(file);
+            callback(null, {ok: true});
+          }
+        }
+      }
+    };
+
+    return bot;
+  }
+
+  /**
+   * Records a reply, as if it had been posted.
+   *
+   * @param {Object} message - The message being replied to.
+   * @param {String|Object} reply
+   * @param {String} via - How it was sent: "reply", "public", "private" or "interactive".
+   * @param {Function} [callback] - Called with the posted message, as Slack describes it.
+   */
+  record(message, reply, via, callback) {
+    const ts = `${this.replies.length + 1}.000`;
+
+    this.replies.push({
+      channel: message.channel,
+      text: (typeof reply === 'string') ? reply : reply.text,
+      attachments: (typeof reply === 'string') ? [] : (reply.attachments || []),
+      via,
+      ts
+    });
+
+    if (callback) {
+      callback(null, {ok: true, channel: message.channel, ts});
+    }
+  }
+
+  /**
+   * Adds a handler for one or more events.
+   *
+   * @param {String|Array} events
+   * @param {Function} handler
+   */
+  on(events, handler) {
+    [].concat(events).forEach((event) => {
+      this.events[event] = (this.events[event] || []).concat(handler);
+    });
+  }
+
+  /**
+   * Runs the handlers for an event until one returns false, waiting on any
+   * that return a promise before replies are collected.
+   *
+   * @param {String} event
+   * @param {Array} args
+   */
+  trigger(event, args) {
+    (this.events[event] || []).some((handler) => {
+      const result = handler.apply(null, args);
+
+      if (result && typeof result.then === 'function') {
+        this.pending.push(result);
+      }
+
+      return result === false;
+    });
+  }
+
+  /**
+   * Sends the bot a message, a direct message from U1 by default. Other
+   * events, e.g. slash commands, button clicks and reactions, are sent the
+   * same way with their `type`.
+   *
+   * @param {Object} message - e.g. `{text: 'tell me a joke'}` or `{type: 'direct_mention', text: 'help'}`.
+   * @returns {Promise} Resolves with the replies to the message.
+   */
+  send(message) {
+    const received = Object.assign({
+      type: 'direct_message',
+      user: 'U1',
+      channel: 'D1',
+      team: this.team
+    }, message);
+    const firstReply = this.replies.length;
+
+    this.pending = [];
+
+    // Handlers that stop the chain can't hand back a promise, so give any
+    // replies they send once a lookup settles a turn of the event loop.
+    return this.receive(received)
+      .then(() => Promise.all(this.pending))
+      .then(() => new Promise((resolve) => setImmediate(resolve)))
+      .then(() => this.replies.slice(firstReply));
+  }
+
+  /**
+   * Passes a message through the receive middleware, then to its handlers.
+   *
+   * @param {Object} message
+   * @returns {Promise}
+   */
+  receive(message) {
+    return new Promise((resolve) => {
+      const next = (index) => {
+        if (index >= this.receiveMiddleware.length) {
+          this.trigger(message.type, [this.bot, message]);
+          resolve();
+          return;
+        }
+
+        this.receiveMiddleware[index](this.bot, message, () => next(index + 1));
+      };
+
+      next(0);
+    });
+  }
+}
+
+export default FakeSlack;
@@ -0,0 +1,6 @@
+/**
+ * Jokes tagged with any of these are left out in channels using safe mode.
+ */
+export default [
+  'nsfw'
+];
@@ -0,0 +1,152 @@
+/**
+ * Joins a setting's key onto the path of the object holding it.
+ *
+ * @param {String} path - e.g. "rateLimits", or empty at the top level.
+ * @param {String} key - e.g. "user".
+ * @returns {String}
+ */
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Describes the values a setting allows, e.g. "a whole number from 0 to 23".
+ *
+ * @param {Object} setting - See configSchema.js.
+ * @returns {String}
+ */
+function describeSetting(setting) {
+  const hasMin = typeof setting.min === 'number';
+  const hasMax = typeof setting.max === 'number';
+  let range = '';
+  let description;
+
+  if (hasMin && hasMax) {
+    range = ` from ${setting.min} to ${setting.max}`;
+  } else if (hasMin) {
+    range = ` of ${setting.min} or more`;
+  } else if (hasMax) {
+    range = ` of ${setting.max} or less`;
+  }
+
+  switch (setting.type) {
+    case 'string':
+      if (setting.values) {
+        description = `one of ${setting.values.map((value) => `"${value}"`).join(', ')}`;
+      } else {
+        description = setting.min > 0 ? 'a non-empty string' : 'a string';
+      }
+      break;
+    case 'boolean':
+      description = 'true or false';
+      break;
+    case 'integer':
+      description = `a whole number${range}`;
+      break;
+    case 'number':
+      description = `a number${range}`;
+      break;
+    case 'array':
+      description = 'a list';
+      break;
+    default:
+      description = 'an object';
+  }
+
+  return setting.nullable ? `${description} or null` : description;
+}
+
+/**
+ * Checks whether a value is a plain object, as opposed to a list or null.
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks a value is of the type a setting describes, ignoring what it holds.
+ *
+ * @param {*} value
+ * @param {Object} setting - See configSchema.js.
+ * @returns {Boolean}
+ */
+function isValidValue(value, setting) {
+  const inRange = (number) => {
+    const tooSmall = typeof setting.min === 'number' && number < setting.min;
+    const tooBig = typeof setting.max === 'number' && number > setting.max;
+
+    return !tooSmall && !tooBig;
+  };
+
+  switch (setting.type) {
+    case 'string':
+      return typeof value === 'string'
+        && value.length >= (setting.min || 0)
+        && (!setting.values || setting.values.indexOf(value) !== -1);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+      return Number.isInteger(value) && inRange(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) && inRange(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return isObject(value);
+  }
+}
+
+/**
+ * Checks a config, or part of one, against the schema, describing every
+ * problem found, e.g. "rateLimits.user must be a whole number of 0 or more,
+ * but is -1".
+ *
+ * @param {*} value
+ * @param {Object} setting - See configSchema.js.
+ * @param {String} [path] - Where the value is in the config, e.g. "rateLimits.user".
+ * @returns {Array}
+ */
+export default function validateConfig(value, setting, path = '') {
+  if (value === null && setting.nullable) {
+    return [];
+  }
+
+  if (!isValidValue(value, setting)) {
+    return [`${path || 'The config'} must be ${describeSetting(setting)}, but is ${JSON.stringify(value)}`];
+  }
+
+  let problems = [];
+
+  if (setting.type === 'array') {
+    value.forEach((item, index) => {
+      problems = problems.concat(validateConfig(item, setting.items, `${path}[${index}]`));
+    });
+  } else if (setting.type === 'object') {
+    Object.keys(value).forEach((key) => {
+      problems = problems.concat(setting.properties[key] ?
+        validateConfig(value[key], setting.properties[key], joinPath(path, key)) :
+        [`${joinPath(path, key)} isn't a setting. Settings here are ${Object.keys(setting.properties).join(', ')}`]
+      );
+    });
+  } else if (setting.type === 'map') {
+    Object.keys(value).forEach((key) => {
+      problems = problems.concat(setting.keys.indexOf(key) !== -1 ?
+        validateConfig(value[key], setting.values, joinPath(path, key)) :
+        [`${joinPath(path, key)} isn't allowed. Use one of ${setting.keys.join(', ')}`]
+      );
+    });
+  }
+
+  if (problems.length <= 0 && setting.check) {
+    const problem = setting.check(value);
+
+    if (problem) {
+      problems.push(`${path} ${problem}`);
+    }
+  }
+
+  return problems;
+}